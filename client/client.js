@@ -22,6 +22,13 @@ const SIGNATURE_ALGORITHMS = {
 };
 
 const DEFAULT_SIGNATURE_ALGORITHM = 'ed25519';
+// Used when neither the caller nor the coordinator supplies ICE servers
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+const ANSWER_TIMEOUT_MS = 30000;
+// Longest the coordinator holds a poll open; below the 30 s iframe request timeout
+const POLL_WAIT_MS = 25000;
+// Pause between polls that came back empty (coordinators without long-poll)
+const POLL_INTERVAL_MS = 500;
 
 function normalizeSignatureAlgorithm(algorithm) {
   if (!algorithm) {
@@ -117,16 +124,6 @@ function normalizeSignatureAlgorithm(algorithm) {
     return key.replace(/\s/g, '');
   }
 
-  /**
-   * Hash challenge answer (browser version)
-   */
-  async function hashChallengeAnswer(challenge, password) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(challenge + password);
-    const hashBuffer = await cryptoAPI.subtle.digest('SHA-256', data);
-    return bytesToHex(new Uint8Array(hashBuffer));
-  }
-
   /**
    * Convert hex string to Uint8Array
    */
@@ -146,19 +143,222 @@ function normalizeSignatureAlgorithm(algorithm) {
       .map(b => b.toString(16).padStart(2, '0'))
       .join('');
   }
+
+  // SRP-6a group and hash, as in shared/srp.js: RFC 3526 2048-bit MODP group, g = 2, SHA-256
+  const SRP_N_HEX =
+    'ffffffffffffffffc90fdaa22168c234c4c6628b80dc1cd129024e088a67cc74' +
+    '020bbea63b139b22514a08798e3404ddef9519b3cd3a431b302b0a6df25f1437' +
+    '4fe1356d6d51c245e485b576625e7ec6f44c42e9a637ed6b0bff5cb6f406b7ed' +
+    'ee386bfb5a899fa5ae9f24117c4b1fe649286651ece45b3dc2007cb8a163bf05' +
+    '98da48361c55d39a69163fa8fd24cf5f83655d23dca3ad961c62f356208552bb' +
+    '9ed529077096966d670c354e4abc9804f1746c08ca18217c32905e462e36ce3b' +
+    'e39e772c180e86039b2783a2ec07a28fb5c55df06f4c52c9de2bcbf695581718' +
+    '3995497cea956ae515d2261898fa051015728e5a8aacaa68ffffffffffffffff';
+  const SRP_N = BigInt(`0x${SRP_N_HEX}`);
+  const SRP_G = 2n;
+
+  /**
+   * SHA-256 of the concatenated parts (strings as UTF-8)
+   */
+  async function srpHash(...parts) {
+    const encoder = new TextEncoder();
+    const chunks = parts.map(part => typeof part === 'string' ? encoder.encode(part) : part);
+    const data = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+      data.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return new Uint8Array(await cryptoAPI.subtle.digest('SHA-256', data));
+  }
+
+  /**
+   * Big-endian bytes of value, left-padded to the length of N
+   */
+  function srpPad(value) {
+    return hexToBytes(value.toString(16).padStart(SRP_N_HEX.length, '0'));
+  }
+
+  function bytesToBigInt(bytes) {
+    return bytes.length > 0 ? BigInt(`0x${bytesToHex(bytes)}`) : 0n;
+  }
+
+  function modPow(base, exponent, modulus) {
+    let result = 1n;
+    base %= modulus;
+    while (exponent > 0n) {
+      if (exponent & 1n) {
+        result = (result * base) % modulus;
+      }
+      base = (base * base) % modulus;
+      exponent >>= 1n;
+    }
+    return result;
+  }
+
+  /**
+   * Client side of the SRP-6a exchange with the server (formulas in shared/srp.js)
+   * clientPublic (A) goes with the offer; the proof is computed once the
+   * server's salt and B arrive with its signed answer
+   */
+  class SRPClientSession {
+    constructor(username, password) {
+      this.username = username;
+      this.password = password;
+      this.a = bytesToBigInt(cryptoAPI.getRandomValues(new Uint8Array(32)));
+      this.clientPublic = bytesToHex(srpPad(modPow(SRP_G, this.a, SRP_N)));
+      this.serverProof = null;
+    }
+
+    /**
+     * Compute M1 (hex) from the server's salt and B; throws on invalid values
+     */
+    async computeProof(salt, serverPublic) {
+      const isHex = (value, maxLength) => typeof value === 'string' && value.length <= maxLength &&
+        /^(?:[0-9a-f]{2})+$/.test(value);
+      if (!isHex(salt, 128) || !isHex(serverPublic, SRP_N_HEX.length)) {
+        throw new Error('Invalid SRP values from server');
+      }
+      const B = BigInt(`0x${serverPublic}`);
+      const A = BigInt(`0x${this.clientPublic}`);
+      const u = bytesToBigInt(await srpHash(srpPad(A), srpPad(B)));
+      if (B % SRP_N === 0n || u === 0n) {
+        throw new Error('Invalid SRP values from server');
+      }
+
+      const saltBytes = hexToBytes(salt);
+      const x = bytesToBigInt(await srpHash(saltBytes, await srpHash(`${this.username}:${this.password}`)));
+      this.password = null;
+      const k = bytesToBigInt(await srpHash(srpPad(SRP_N), srpPad(SRP_G)));
+      const base = ((B - k * modPow(SRP_G, x, SRP_N)) % SRP_N + SRP_N) % SRP_N;
+      const key = await srpHash(srpPad(modPow(base, this.a + u * x, SRP_N)));
+
+      const hashN = await srpHash(srpPad(SRP_N));
+      const hashG = await srpHash(srpPad(SRP_G));
+      const clientProof = await srpHash(
+        hashN.map((byte, i) => byte ^ hashG[i]),
+        await srpHash(this.username),
+        saltBytes,
+        srpPad(A),
+        srpPad(B),
+        key
+      );
+      this.serverProof = bytesToHex(await srpHash(srpPad(A), clientProof, key));
+      return bytesToHex(clientProof);
+    }
+
+    /**
+     * Whether the server's M2 proves it holds the password verifier
+     */
+    verifyServerProof(proof) {
+      if (this.serverProof === null || typeof proof !== 'string' || proof.length !== this.serverProof.length) {
+        return false;
+      }
+      // Constant time: how far a forged proof matches must not show in the timing
+      let difference = 0;
+      for (let i = 0; i < proof.length; i++) {
+        difference |= proof.charCodeAt(i) ^ this.serverProof.charCodeAt(i);
+      }
+      return difference === 0;
+    }
+  }
+
+  // Device key for auth:key, kept non-extractable in IndexedDB
+  const CLIENT_KEY_DB = 'homechannel';
+  const CLIENT_KEY_STORE = 'keys';
+  const CLIENT_KEY_ID = 'client';
+
+  /**
+   * Base64 encode that works in both browser and Node.js
+   */
+  function base64Encode(bytes) {
+    if (typeof btoa !== 'undefined') {
+      return btoa(String.fromCharCode(...bytes));
+    }
+    return Buffer.from(bytes).toString('base64');
+  }
+
+  /**
+   * DTLS fingerprint of an SDP as 'sha-256 AB:CD:...' (as in server/authorized-keys.js)
+   */
+  function sdpFingerprint(sdp) {
+    const match = typeof sdp === 'string' && sdp.match(/^a=fingerprint:(\S+) ([0-9A-Fa-f:]+)\s*$/m);
+    return match ? `${match[1].toLowerCase()} ${match[2].toUpperCase()}` : null;
+  }
+
+  /**
+   * Text signed for auth:key: the server's nonce bound to both DTLS fingerprints
+   */
+  function keyProofMessage(nonce, clientFingerprint, serverFingerprint) {
+    return `homechannel auth:key\n${nonce}\n${clientFingerprint}\n${serverFingerprint}`;
+  }
+
+  function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Load the device key pair from IndexedDB, creating it on first use
+   * Without IndexedDB the key lasts as long as the page
+   */
+  async function loadClientKeyPair() {
+    let db = null;
+    if (typeof indexedDB !== 'undefined') {
+      const open = indexedDB.open(CLIENT_KEY_DB, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(CLIENT_KEY_STORE);
+      db = await idbRequest(open);
+    }
+
+    let keyPair = db
+      ? await idbRequest(db.transaction(CLIENT_KEY_STORE).objectStore(CLIENT_KEY_STORE).get(CLIENT_KEY_ID))
+      : null;
+    if (!keyPair) {
+      // The private key cannot be exported, only used to sign
+      keyPair = await cryptoAPI.subtle.generateKey({ name: 'Ed25519' }, false, ['sign', 'verify']);
+      if (db) {
+        await idbRequest(db.transaction(CLIENT_KEY_STORE, 'readwrite').objectStore(CLIENT_KEY_STORE).put(keyPair, CLIENT_KEY_ID));
+      }
+    }
+    db?.close();
+    return keyPair;
+  }
   
 /**
  * HomeChannel Client
  * Manages WebRTC peer connection and coordinator iframe communication
  */
 class Client {
-    constructor(coordinatorUrl) {
-      this.coordinatorUrl = coordinatorUrl;
+    /**
+     * @param {string|string[]} coordinatorUrls - Coordinator URL, or several tried in order
+     * @param {Object} [options]
+     * @param {RTCIceServer[]} [options.iceServers] - ICE servers to use instead of the coordinator's
+     * @param {boolean} [options.keyAuth=true] - Offer this device's key to servers that accept client keys
+     */
+    constructor(coordinatorUrls, options = {}) {
+      this.coordinatorUrls = Array.isArray(coordinatorUrls) ? [...coordinatorUrls] : [coordinatorUrls];
+      if (this.coordinatorUrls.length === 0) {
+        throw new Error('At least one coordinator URL is required');
+      }
+      // Coordinator currently used for signaling
+      this.coordinatorUrl = this.coordinatorUrls[0];
+      this.iceServers = Array.isArray(options.iceServers) ? options.iceServers : null;
+      this.keyAuth = options.keyAuth !== false;
+      // Promise of the device key pair, loaded on first use; resolves to null without Ed25519 support
+      this.clientKeyPair = null;
       this.iframe = null;
+      this._onIframeMessage = this.handleIframeMessage.bind(this);
       this.peerConnection = null;
       this.dataChannel = null;
       this.serverPublicKey = null;
       this.sessionId = null;
+      // Account on the server ('' on single-password servers) and SRP exchange of the current attempt
+      this.username = '';
+      this.pake = null;
+      // The server wants a TOTP code (verifyTotp) before it serves apps
+      this.totpRequired = false;
       this.state = 'disconnected'; // disconnected, connecting, connected
       
       // Event handlers
@@ -178,6 +378,19 @@ class Client {
       this.iceCandidates = [];
       this.iceGatheringComplete = false;
 
+      // Trickle ICE: candidates are exchanged after the offer instead of before it
+      this.trickle = false;
+      this.sentCandidateCount = 0;        // local candidates already sent to the coordinator
+      this.candidatesCompleteSent = false;
+      this.candidateFlushTimer = null;
+      this.remoteCandidates = [];         // server candidates received before the answer was applied
+      this.remoteCandidateIndex = 0;      // server candidates received so far
+      this.remoteCandidatesComplete = false;
+      this.remoteDescriptionSet = false;
+
+      // Coordinator event stream while open: { answer, waiter }
+      this.sessionEvents = null;
+
       // App channels
       this.controlChannel = null;
       this.appChannels = new Map();   // appName -> RTCDataChannel
@@ -214,9 +427,10 @@ class Client {
     /**
      * Connect to server
     * @param {string} serverPublicKey - Server's Ed25519/Ed448 public key (PEM format)
-     * @param {string} password - Password for challenge-response authentication
+     * @param {string} password - Password, proven to the server with SRP (never sent)
+     * @param {string} [username] - Account on servers with several users
      */
-    async connect(serverPublicKey, password) {
+    async connect(serverPublicKey, password, username = '') {
       if (this.state !== 'disconnected') {
         throw new Error('Already connected or connecting');
       }
@@ -224,77 +438,34 @@ class Client {
       try {
         this.state = 'connecting';
         this.serverPublicKey = serverPublicKey;
+        this.username = username;
         
-        // Create and setup iframe
-        await this.createIframe();
-        
-        const serverPublicKeyBase64 = normalizePublicKeyBase64(serverPublicKey);
-
-        // Get server challenge
-        const serverInfo = await this.iframeRequest('getServerInfo', {
-          serverPublicKey: serverPublicKeyBase64
-        });
-        
-        if (!serverInfo.online) {
-          throw new Error('Server is offline');
-        }
-        
-        // Compute challenge answer
-        const challengeAnswer = await hashChallengeAnswer(
-          serverInfo.challenge,
-          password
-        );
-        
-        // Create WebRTC peer connection and offer
-        await this.createPeerConnection();
-        const offer = await this.peerConnection.createOffer();
-        await this.peerConnection.setLocalDescription(offer);
-        
-        // Wait for ICE gathering to complete
-        await this.waitForIceGathering();
-        
-        // Send connection request with offer and candidates
-        const connectResponse = await this.iframeRequest('connect', {
-          serverPublicKey: serverPublicKeyBase64,
-          challengeAnswer,
-          payload: {
-            sdp: offer,
-            candidates: this.iceCandidates
-          }
-        });
-        
-        this.sessionId = connectResponse.sessionId;
-        
-        // Poll for server's answer
-        const answer = await this.pollForAnswer();
-        
-        // Verify server's signature on answer
-        const answerValid = await verifySignature(
-          {
-            serverPublicKey: answer.serverPublicKey,
-            sessionId: answer.sessionId,
-            timestamp: answer.timestamp,
-            payload: answer.payload
-          },
-          answer.serverSignature,
-          serverPublicKey,
-          answer.serverSignatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
-        );
-        
-        if (!answerValid) {
-          throw new Error('Invalid server signature on answer');
-        }
+        // Exchange offer/answer through the first coordinator that can reach the server
+        const answer = await this.signalViaCoordinators(serverPublicKey, password);
         
         // Set remote description and add ICE candidates
         await this.peerConnection.setRemoteDescription(answer.payload.sdp);
+        this.remoteDescriptionSet = true;
         
         for (const candidate of answer.payload.candidates) {
           await this.peerConnection.addIceCandidate(candidate);
         }
         
+        if (this.trickle) {
+          // Server candidates that arrived with or before the answer, then keep polling for more
+          await this.addRemoteCandidates([]);
+          this.pollRemoteCandidates();
+        }
+        
         // Wait for datachannel to open
         await this.waitForDataChannel();
         
+        // Prove the device key where the server accepts it, otherwise the password
+        const keyAccepted = this.keyAuth && answer.payload.keyAuth && await this.authenticateWithKey(answer.payload);
+        if (!keyAccepted) {
+          await this.authenticate(answer.payload.pake);
+        }
+        
         // Connection established - can delete iframe now
         this.destroyIframe();
         
@@ -310,6 +481,135 @@ class Client {
       }
     }
     
+    /**
+     * Try each coordinator in order until one returns a verified answer.
+     * The server may be registered with several coordinators; any of them can relay.
+     * @returns {Promise<Object>} Verified answer from the server
+     */
+    async signalViaCoordinators(serverPublicKey, password) {
+      const failures = [];
+      
+      for (const url of this.coordinatorUrls) {
+        this.coordinatorUrl = url;
+        try {
+          return await this.signal(serverPublicKey, password);
+        } catch (error) {
+          failures.push({ url, error });
+          this.destroyIframe();
+          this.closePeerConnection();
+          // Every coordinator reaches the same server, which would refuse again
+          if (error.refused) {
+            throw error;
+          }
+        }
+      }
+      
+      // Single coordinator: surface its error unchanged
+      if (failures.length === 1) {
+        throw failures[0].error;
+      }
+      throw new Error(
+        'All coordinators failed: ' +
+        failures.map(({ url, error }) => `${url} (${error.message})`).join(', ')
+      );
+    }
+    
+    /**
+     * Signal through the current coordinator: send offer, wait for and verify answer
+     * @returns {Promise<Object>} Verified answer from the server
+     */
+    async signal(serverPublicKey, password) {
+      // Create and setup iframe
+      await this.createIframe();
+      
+      const serverPublicKeyBase64 = normalizePublicKeyBase64(serverPublicKey);
+
+      // Get server challenge
+      const serverInfo = await this.iframeRequest('getServerInfo', {
+        serverPublicKey: serverPublicKeyBase64
+      });
+      
+      if (!serverInfo.online) {
+        throw new Error('Server is offline');
+      }
+      
+      // Trickle ICE only with servers that can receive candidates after the offer
+      this.trickle = serverInfo.trickleIce === true;
+      
+      // SRP with the server: A goes with the offer, the proofs over the datachannel
+      this.pake = new SRPClientSession(this.username, password);
+      
+      // Create WebRTC peer connection and offer
+      await this.createPeerConnection(this.selectIceServers(serverInfo));
+      const offer = await this.peerConnection.createOffer();
+      await this.peerConnection.setLocalDescription(offer);
+      
+      // Without trickle ICE every candidate has to go with the offer
+      if (!this.trickle) {
+        await this.waitForIceGathering();
+      }
+      
+      // Send connection request with offer and the candidates gathered so far
+      const candidates = this.iceCandidates.slice();
+      this.sentCandidateCount = candidates.length;
+      const connectResponse = await this.iframeRequest('connect', {
+        serverPublicKey: serverPublicKeyBase64,
+        challenge: serverInfo.challenge,
+        payload: {
+          sdp: offer,
+          candidates,
+          pake: { A: this.pake.clientPublic, ...(this.username ? { username: this.username } : {}) },
+          ...(this.trickle ? { trickle: true } : {})
+        }
+      });
+      
+      this.sessionId = connectResponse.sessionId;
+      
+      // The coordinator may still decline trickle ICE for this session
+      if (this.trickle && connectResponse.trickle === false) {
+        this.trickle = false;
+      }
+      
+      // Candidates gathered while the connect request was in flight
+      if (this.trickle) {
+        await this.sendIceCandidates();
+      }
+      
+      // Poll for server's answer
+      const answer = await this.pollForAnswer();
+      
+      // Verify server's signature on answer
+      const answerValid = await verifySignature(
+        {
+          serverPublicKey: answer.serverPublicKey,
+          sessionId: answer.sessionId,
+          timestamp: answer.timestamp,
+          payload: answer.payload
+        },
+        answer.serverSignature,
+        serverPublicKey,
+        answer.serverSignatureAlgorithm || DEFAULT_SIGNATURE_ALGORITHM
+      );
+      
+      if (!answerValid) {
+        throw new Error('Invalid server signature on answer');
+      }
+
+      // The server refused the offer (too many failed logins or pending connections)
+      if (answer.payload.error) {
+        const error = new Error(answer.payload.error);
+        error.refused = true;
+        error.retryAfterMs = answer.payload.retryAfterMs || 0;
+        throw error;
+      }
+      
+      if (!answer.payload.pake) {
+        throw new Error('Server does not support password authentication');
+      }
+      
+      return answer;
+    }
+    
     /**
      * Send message over datachannel
      */
@@ -353,7 +653,7 @@ class Client {
         
         this.iframe.onload = () => {
           // Setup postMessage handler
-          window.addEventListener('message', this.handleIframeMessage.bind(this));
+          window.addEventListener('message', this._onIframeMessage);
           resolve();
         };
         
@@ -370,7 +670,7 @@ class Client {
      */
     destroyIframe() {
       if (this.iframe) {
-        window.removeEventListener('message', this.handleIframeMessage.bind(this));
+        window.removeEventListener('message', this._onIframeMessage);
         document.body.removeChild(this.iframe);
         this.iframe = null;
       }
@@ -380,6 +680,12 @@ class Client {
         reject(new Error('Client disconnected'));
       }
       this.iframeRequests.clear();
+      
+      // The event stream lived in the iframe
+      if (this.sessionEvents && this.sessionEvents.waiter) {
+        this.sessionEvents.waiter.reject(new Error('Client disconnected'));
+      }
+      this.sessionEvents = null;
     }
     
     /**
@@ -429,18 +735,30 @@ class Client {
             pending.resolve(data);
           }
         }
+      } else if (type === 'event') {
+        this.handleSessionEvent(event.data);
+      }
+    }
+    
+    /**
+     * ICE servers for a connection: the constructor override, else the
+     * coordinator's list from getServerInfo (may hold TURN credentials)
+     */
+    selectIceServers(serverInfo = {}) {
+      if (this.iceServers) {
+        return this.iceServers;
       }
+      if (Array.isArray(serverInfo.iceServers) && serverInfo.iceServers.length > 0) {
+        return serverInfo.iceServers;
+      }
+      return DEFAULT_ICE_SERVERS;
     }
     
     /**
      * Create WebRTC peer connection
      */
-    async createPeerConnection() {
-      this.peerConnection = new RTCPeerConnection({
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' }
-        ]
-      });
+    async createPeerConnection(iceServers = DEFAULT_ICE_SERVERS) {
+      this.peerConnection = new RTCPeerConnection({ iceServers });
       
       // Create datachannel
       this.dataChannel = this.peerConnection.createDataChannel('homechannel', {
@@ -469,6 +787,12 @@ class Client {
       // Gather ICE candidates
       this.iceCandidates = [];
       this.iceGatheringComplete = false;
+      this.sentCandidateCount = 0;
+      this.candidatesCompleteSent = false;
+      this.remoteCandidates = [];
+      this.remoteCandidateIndex = 0;
+      this.remoteCandidatesComplete = false;
+      this.remoteDescriptionSet = false;
       
       this.peerConnection.onicecandidate = (event) => {
         if (event.candidate) {
@@ -481,6 +805,7 @@ class Client {
           // ICE gathering complete
           this.iceGatheringComplete = true;
         }
+        this.scheduleCandidateFlush();
       };
       
       this.peerConnection.onconnectionstatechange = () => {
@@ -520,28 +845,224 @@ class Client {
     }
     
     /**
-     * Poll coordinator for server's answer
+     * Batch local candidates found in quick succession into one request
      */
-    async pollForAnswer() {
-      const maxAttempts = 60; // 60 attempts = 30 seconds
+    scheduleCandidateFlush() {
+      if (!this.trickle || !this.sessionId || this.candidateFlushTimer) {
+        return;
+      }
+      this.candidateFlushTimer = setTimeout(() => {
+        this.candidateFlushTimer = null;
+        this.sendIceCandidates();
+      }, 50);
+    }
+    
+    /**
+     * Send local candidates not yet sent, and end-of-candidates once gathering is done
+     */
+    async sendIceCandidates() {
+      if (!this.trickle || !this.sessionId || !this.iframe) {
+        return;
+      }
+      
+      const candidates = this.iceCandidates.slice(this.sentCandidateCount);
+      const complete = this.iceGatheringComplete && !this.candidatesCompleteSent;
+      if (candidates.length === 0 && !complete) {
+        return;
+      }
       
-      for (let i = 0; i < maxAttempts; i++) {
-        const response = await this.iframeRequest('poll', {
+      this.sentCandidateCount += candidates.length;
+      if (complete) {
+        this.candidatesCompleteSent = true;
+      }
+      
+      try {
+        await this.iframeRequest('candidates', {
           sessionId: this.sessionId,
-          lastUpdate: Date.now()
+          candidates,
+          complete
         });
-        
+      } catch (error) {
+        // A lost batch only removes connectivity options; keep going
+        console.warn('Failed to send ICE candidates:', error.message);
+      }
+    }
+    
+    /**
+     * Add server candidates; held until the answer has been applied
+     */
+    async addRemoteCandidates(candidates) {
+      this.remoteCandidates.push(...candidates);
+      if (!this.remoteDescriptionSet || !this.peerConnection) {
+        return;
+      }
+      
+      const pending = this.remoteCandidates.splice(0);
+      for (const candidate of pending) {
+        await this.peerConnection.addIceCandidate(candidate).catch((error) => {
+          console.warn('Failed to add ICE candidate:', error.message);
+        });
+      }
+    }
+    
+    /**
+     * Record trickle fields of a poll response
+     */
+    async handleCandidatesResponse(response) {
+      if (!this.trickle || !Array.isArray(response.candidates)) {
+        return;
+      }
+      this.remoteCandidateIndex += response.candidates.length;
+      if (response.candidatesComplete) {
+        this.remoteCandidatesComplete = true;
+      }
+      await this.addRemoteCandidates(response.candidates);
+    }
+    
+    /**
+     * Keep polling for server candidates until the server is done or signaling ends
+     * Not needed while the event stream is open: it delivers them
+     */
+    async pollRemoteCandidates() {
+      while (this.trickle && this.iframe && !this.sessionEvents &&
+             !this.remoteCandidatesComplete && this.state === 'connecting') {
+        try {
+          await this.pollSession({ answerReceived: true });
+        } catch (error) {
+          // Session expired or iframe gone - the datachannel may still open
+          return;
+        }
+      }
+    }
+    
+    /**
+     * One long-poll of the session; pauses after empty responses so
+     * coordinators that answer immediately are not hammered
+     * @returns {Promise<Object>} Poll response
+     */
+    async pollSession({ answerReceived = false, wait = POLL_WAIT_MS } = {}) {
+      const candidateIndex = this.remoteCandidateIndex;
+      const response = await this.iframeRequest('poll', {
+        sessionId: this.sessionId,
+        lastUpdate: Date.now(),
+        candidateIndex,
+        wait,
+        answerReceived
+      });
+      
+      await this.handleCandidatesResponse(response);
+      
+      const news = (response.success && response.payload && !answerReceived) ||
+        this.remoteCandidateIndex > candidateIndex || response.candidatesComplete;
+      if (!news) {
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      }
+      return response;
+    }
+    
+    /**
+     * Wait for the server's answer: over the coordinator's event stream when
+     * the iframe can open one, otherwise (or when it breaks) by long-polling
+     */
+    async pollForAnswer() {
+      const deadline = Date.now() + ANSWER_TIMEOUT_MS;
+      
+      if (await this.subscribeSessionEvents()) {
+        const answer = await this.waitForAnswerEvent(deadline);
+        if (answer) {
+          return answer;
+        }
+      }
+      
+      while (Date.now() < deadline) {
+        const wait = Math.min(POLL_WAIT_MS, Math.max(0, deadline - Date.now()));
+        const response = await this.pollSession({ wait });
         if (response.success && response.payload) {
           return response;
         }
-        
-        // Wait 500ms before next poll
-        await new Promise(resolve => setTimeout(resolve, 500));
       }
       
       throw new Error('Timeout waiting for server answer');
     }
     
+    /**
+     * Ask the iframe to open the session's event stream
+     * @returns {Promise<boolean>} false when the iframe or coordinator cannot stream
+     */
+    async subscribeSessionEvents() {
+      // Set first: events may follow the subscribe response immediately
+      this.sessionEvents = { answer: null, waiter: null };
+      try {
+        await this.iframeRequest('subscribe', {
+          sessionId: this.sessionId,
+          candidateIndex: this.remoteCandidateIndex
+        });
+        return true;
+      } catch (error) {
+        this.sessionEvents = null;
+        return false;
+      }
+    }
+    
+    /**
+     * Resolve with the answer from the event stream, or null if the stream ends first
+     */
+    waitForAnswerEvent(deadline) {
+      const stream = this.sessionEvents;
+      if (!stream) {
+        return Promise.resolve(null);
+      }
+      if (stream.answer) {
+        return Promise.resolve(stream.answer);
+      }
+      
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          stream.waiter = null;
+          reject(new Error('Timeout waiting for server answer'));
+        }, Math.max(0, deadline - Date.now()));
+        stream.waiter = {
+          resolve: (answer) => {
+            clearTimeout(timer);
+            stream.waiter = null;
+            resolve(answer);
+          },
+          reject: (error) => {
+            clearTimeout(timer);
+            stream.waiter = null;
+            reject(error);
+          }
+        };
+      });
+    }
+    
+    /**
+     * Handle an event forwarded from the coordinator's event stream
+     */
+    async handleSessionEvent({ sessionId, event, data } = {}) {
+      const stream = this.sessionEvents;
+      if (!stream || sessionId !== this.sessionId) {
+        return;
+      }
+      
+      if (event === 'candidates') {
+        await this.handleCandidatesResponse(data);
+      } else if (event === 'answer') {
+        stream.answer = data;
+        if (stream.waiter) {
+          stream.waiter.resolve(data);
+        }
+      } else if (event === 'closed') {
+        this.sessionEvents = null;
+        if (stream.waiter) {
+          stream.waiter.resolve(null);
+        } else if (stream.answer && !this.remoteCandidatesComplete) {
+          // Stream broke after the answer: poll for the remaining candidates
+          this.pollRemoteCandidates();
+        }
+      }
+    }
+    
     /**
      * Wait for datachannel to open
      */
@@ -586,6 +1107,83 @@ class Client {
       });
     }
     
+    /**
+     * Prove the password over the apps-control channel (SRP-6a) and check the server's proof
+     * The server answers nothing else on the connection until this succeeds
+     * @param {Object} pake - { salt, B } from the server's signed answer
+     */
+    async authenticate({ salt, B } = {}) {
+      const proof = await this.pake.computeProof(salt, B);
+      const response = await this._controlRequest({ type: 'auth:pake', proof }, 'Authentication timeout');
+      if (!this.pake.verifyServerProof(response.proof)) {
+        throw new Error('Server failed to prove the password');
+      }
+      this.pake = null;
+      this.totpRequired = response.totpRequired === true;
+    }
+
+    /**
+     * Present a TOTP code when the server asks for a second factor (totpRequired)
+     * @param {string} code - Six-digit code from the user's authenticator app
+     */
+    async verifyTotp(code) {
+      await this._controlRequest({ type: 'auth:totp', code: String(code).trim() }, 'Authentication timeout');
+      this.totpRequired = false;
+    }
+
+    /**
+     * Prove possession of the device key (auth:key) by signing the server's
+     * nonce and both DTLS fingerprints
+     * @param {Object} payload - The server's signed answer payload ({ sdp, keyAuth: { nonce } })
+     * @returns {Promise<boolean>} false if the server does not know the key
+     */
+    async authenticateWithKey(payload) {
+      const keyPair = await this._getClientKeyPair();
+      const clientFingerprint = sdpFingerprint(this.peerConnection.localDescription?.sdp);
+      const serverFingerprint = sdpFingerprint(payload.sdp?.sdp);
+      if (!keyPair || !clientFingerprint || !serverFingerprint) {
+        return false;
+      }
+
+      const message = new TextEncoder().encode(keyProofMessage(payload.keyAuth.nonce, clientFingerprint, serverFingerprint));
+      const signature = new Uint8Array(await cryptoAPI.subtle.sign({ name: 'Ed25519' }, keyPair.privateKey, message));
+      let response;
+      try {
+        response = await this._controlRequest({
+          type: 'auth:key',
+          publicKey: await this.getClientPublicKey(),
+          signature: bytesToHex(signature)
+        }, 'Authentication timeout');
+      } catch (error) {
+        if (error.message === 'Key not authorized') {
+          return false;
+        }
+        throw error;
+      }
+      this.pake = null;
+      this.totpRequired = response.totpRequired === true;
+      return true;
+    }
+
+    /**
+     * This device's public key (base64, raw Ed25519) for the server's authorized_keys
+     * @returns {Promise<string|null>} null where WebCrypto has no Ed25519
+     */
+    async getClientPublicKey() {
+      const keyPair = await this._getClientKeyPair();
+      if (!keyPair) {
+        return null;
+      }
+      return base64Encode(new Uint8Array(await cryptoAPI.subtle.exportKey('raw', keyPair.publicKey)));
+    }
+
+    _getClientKeyPair() {
+      if (!this.clientKeyPair) {
+        this.clientKeyPair = loadClientKeyPair().catch(() => null);
+      }
+      return this.clientKeyPair;
+    }
+
     /**
      * Request app list over the apps-control channel
      * @returns {Promise<Array>} List of available apps
@@ -595,29 +1193,7 @@ class Client {
         throw new Error('Not connected');
       }
 
-      // Create control channel if not already open
-      if (!this.controlChannel || this.controlChannel.readyState !== 'open') {
-        this.controlChannel = this.peerConnection.createDataChannel('apps-control', { ordered: true });
-        await this._waitForChannelOpen(this.controlChannel);
-        this._setupControlChannel();
-      }
-
-      const requestId = `ctrl_${this.nextRequestId++}`;
-      const result = await new Promise((resolve, reject) => {
-        this.controlRequests.set(requestId, { resolve, reject });
-
-        this.controlChannel.send(JSON.stringify({
-          type: 'apps:list',
-          requestId
-        }));
-
-        setTimeout(() => {
-          if (this.controlRequests.has(requestId)) {
-            this.controlRequests.delete(requestId);
-            reject(new Error('App list request timeout'));
-          }
-        }, 30000);
-      });
+      const result = await this._controlRequest({ type: 'apps:list' }, 'App list request timeout');
 
       this.apps = result.apps || [];
       this.emit('appsLoaded', this.apps);
@@ -685,6 +1261,32 @@ class Client {
       }
     }
 
+    /**
+     * Send a request on the apps-control channel, opening it first if needed
+     * @returns {Promise<Object>} Response with the same requestId
+     */
+    async _controlRequest(message, timeoutMessage) {
+      if (!this.controlChannel || this.controlChannel.readyState !== 'open') {
+        this.controlChannel = this.peerConnection.createDataChannel('apps-control', { ordered: true });
+        await this._waitForChannelOpen(this.controlChannel);
+        this._setupControlChannel();
+      }
+
+      const requestId = `ctrl_${this.nextRequestId++}`;
+      return new Promise((resolve, reject) => {
+        this.controlRequests.set(requestId, { resolve, reject });
+
+        this.controlChannel.send(JSON.stringify({ ...message, requestId }));
+
+        setTimeout(() => {
+          if (this.controlRequests.has(requestId)) {
+            this.controlRequests.delete(requestId);
+            reject(new Error(timeoutMessage));
+          }
+        }, 30000);
+      });
+    }
+
     /**
      * Setup control channel message handler
      */
@@ -770,6 +1372,11 @@ class Client {
         this.dataChannel = null;
       }
       
+      if (this.candidateFlushTimer) {
+        clearTimeout(this.candidateFlushTimer);
+        this.candidateFlushTimer = null;
+      }
+      
       if (this.peerConnection) {
         this.peerConnection.close();
         this.peerConnection = null;
@@ -1189,20 +1796,32 @@ class AppManager {
           <h1>🏠 HomeChannel</h1>
           <form id="hc-cform" autocomplete="on">
             <div class="hc-fg">
-              <label for="hc-url">Coordinator URL</label>
-              <input id="hc-url" type="url" name="hc-url" placeholder="https://coordinator.example.com" required />
+              <label for="hc-url">Coordinator URL(s)</label>
+              <input id="hc-url" type="text" name="hc-url" placeholder="https://coordinator.example.com, https://backup.example.com" required />
             </div>
             <div class="hc-fg">
               <label for="hc-key">Server Public Key</label>
               <textarea id="hc-key" name="hc-key" placeholder="Paste PEM or base64 public key" rows="3" required></textarea>
             </div>
+            <div class="hc-fg">
+              <label for="hc-user">User</label>
+              <input id="hc-user" type="text" name="hc-user" placeholder="Leave empty if the server has one password" autocomplete="username" />
+            </div>
             <div class="hc-fg">
               <label for="hc-pass">Password</label>
-              <input id="hc-pass" type="password" name="hc-pass" placeholder="Enter password" required />
+              <input id="hc-pass" type="password" name="hc-pass" placeholder="Not needed if this device's key is authorized" />
             </div>
             <button class="hc-submit" id="hc-cbtn" type="submit">Connect</button>
             <p class="hc-c-status" id="hc-cstat"></p>
           </form>
+          <form id="hc-tform" autocomplete="off" style="display:none">
+            <div class="hc-fg">
+              <label for="hc-totp">Authenticator code</label>
+              <input id="hc-totp" type="text" name="hc-totp" inputmode="numeric" autocomplete="one-time-code" pattern="[0-9]{6}" maxlength="6" placeholder="123456" required />
+            </div>
+            <button class="hc-submit" id="hc-tbtn" type="submit">Verify</button>
+            <p class="hc-c-status" id="hc-tstat"></p>
+          </form>
         </div>
       </div>
       <div id="hc-tb">
@@ -1219,9 +1838,11 @@ class AppManager {
     try {
       const u = localStorage.getItem('hc_url');
       const k = localStorage.getItem('hc_key');
+      const n = localStorage.getItem('hc_user');
       const p = localStorage.getItem('hc_pass');
       if (u) desktop.querySelector('#hc-url').value = u;
       if (k) desktop.querySelector('#hc-key').value = k;
+      if (n) desktop.querySelector('#hc-user').value = n;
       if (p) desktop.querySelector('#hc-pass').value = p;
     } catch (_) {}
 
@@ -1235,13 +1856,20 @@ class AppManager {
       e.preventDefault();
       const url  = desktop.querySelector('#hc-url').value.trim();
       const key  = desktop.querySelector('#hc-key').value.trim();
+      const user = desktop.querySelector('#hc-user').value.trim();
       const pass = desktop.querySelector('#hc-pass').value;
       try {
         localStorage.setItem('hc_url', url);
         localStorage.setItem('hc_key', key);
+        localStorage.setItem('hc_user', user);
         localStorage.setItem('hc_pass', pass);
       } catch (_) {}
-      await this._doConnect(url, key, pass);
+      await this._doConnect(url, key, pass, user);
+    });
+
+    desktop.querySelector('#hc-tform').addEventListener('submit', async e => {
+      e.preventDefault();
+      await this._doVerifyTotp(desktop.querySelector('#hc-totp').value);
     });
 
     desktop.querySelector('#hc-tb-start').addEventListener('click',  () => this._openLauncher());
@@ -1255,15 +1883,17 @@ class AppManager {
     el.className = 'hc-c-status' + (isErr ? ' err' : '');
   }
 
-  async _doConnect(url, key, pass) {
+  async _doConnect(url, key, pass, user = '') {
     const btn = document.getElementById('hc-cbtn');
     if (btn) btn.disabled = true;
     this._setStatus('Connecting\u2026');
     try {
-      this.client = new Client(url);
+      // Several coordinators may be listed (comma or space separated), tried in order
+      const urls = url.split(/[\s,]+/).filter(Boolean);
+      this.client = new Client(urls);
       this.client.on('error',        err  => this._setStatus(err.message || 'Error', true));
       this.client.on('disconnected', ()   => this._onDisconnected());
-      await this.client.connect(key, pass);
+      await this.client.connect(key, pass, user);
       this._setStatus('');
       await this._onConnected();
     } catch (err) {
@@ -1273,6 +1903,40 @@ class AppManager {
   }
 
   async _onConnected() {
+    // Second factor before anything else is shown
+    if (this.client.totpRequired) {
+      this._showTotpPrompt(true);
+      return;
+    }
+    await this._openDesktop();
+  }
+
+  _showTotpPrompt(show) {
+    document.getElementById('hc-cform').style.display = show ? 'none' : '';
+    document.getElementById('hc-tform').style.display = show ? '' : 'none';
+    const input = document.getElementById('hc-totp');
+    input.value = '';
+    if (show) input.focus();
+  }
+
+  async _doVerifyTotp(code) {
+    const btn = document.getElementById('hc-tbtn');
+    const stat = document.getElementById('hc-tstat');
+    btn.disabled = true;
+    stat.textContent = '';
+    try {
+      await this.client.verifyTotp(code);
+      this._showTotpPrompt(false);
+      await this._openDesktop();
+    } catch (err) {
+      stat.textContent = err.message || 'Verification failed';
+      stat.className = 'hc-c-status err';
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  async _openDesktop() {
     document.getElementById('hc-cov').style.display = 'none';
     document.getElementById('hc-tb').classList.add('hc-visible');
     try {
@@ -1288,6 +1952,7 @@ class AppManager {
     document.getElementById('hc-tb')?.classList.remove('hc-visible');
     const cov = document.getElementById('hc-cov');
     if (cov) cov.style.display = '';
+    if (document.getElementById('hc-tform')) this._showTotpPrompt(false);
     const btn = document.getElementById('hc-cbtn');
     if (btn) btn.disabled = false;
     this._setStatus('Disconnected');
@@ -1522,4 +2187,4 @@ class AppManager {
 
 // Expose via globalThis - works in browser (classic script or module) and Node.js
 // Using globalThis avoids the 'export' keyword which is a SyntaxError in classic scripts
-globalThis.HomeChannelClient = { Client, AppManager, verifySignature, hashChallengeAnswer };
+globalThis.HomeChannelClient = { Client, AppManager, verifySignature, SRPClientSession };
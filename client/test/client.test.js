@@ -1,7 +1,9 @@
 import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import '../client.js';
-const { Client, verifySignature, hashChallengeAnswer } = globalThis.HomeChannelClient;
+import { createVerifier, SRPServerSession } from '../../shared/srp.js';
+import { keyProofMessage, verifyKeyProof } from '../../server/authorized-keys.js';
+const { Client, verifySignature, SRPClientSession } = globalThis.HomeChannelClient;
 
 /**
  * Mock browser APIs for Node.js testing
@@ -60,6 +62,10 @@ class MockRTCPeerConnection {
   async addIceCandidate(candidate) {
     // Mock implementation
   }
+
+  getConfiguration() {
+    return this.config;
+  }
   
   close() {
     this.connectionState = 'closed';
@@ -301,6 +307,90 @@ describe('Client API', () => {
     assert.strictEqual(client.dataChannel.label, 'homechannel');
   });
   
+  test('signal() creates the peer connection with the coordinator\'s ICE servers', async () => {
+    const turn = { urls: 'turn:coordinator.example.com:3480?transport=udp', username: '1700000000:abcd', credential: 'secret' };
+    client.createIframe = async () => {};
+    client.iframeRequest = async (method) => {
+      if (method === 'getServerInfo') {
+        return { online: true, challenge: 'challenge', trickleIce: true, iceServers: [turn] };
+      }
+      throw new Error('stop after offer');
+    };
+
+    await assert.rejects(client.signal('key', 'password'), /stop after offer/);
+    assert.deepStrictEqual(client.peerConnection.getConfiguration().iceServers, [turn]);
+  });
+
+  test('signal() names the user and the server\'s challenge in the offer', async () => {
+    let connectParams = null;
+    client.createIframe = async () => {};
+    client.iframeRequest = async (method, params) => {
+      if (method === 'getServerInfo') {
+        return { online: true, challenge: 'challenge', trickleIce: true };
+      }
+      connectParams = params;
+      throw new Error('stop after offer');
+    };
+
+    client.username = 'alice';
+    await assert.rejects(client.signal('key', 'password'), /stop after offer/);
+    client.username = '';
+    assert.strictEqual(connectParams.challenge, 'challenge');
+    assert.strictEqual(connectParams.payload.pake.username, 'alice');
+    assert.strictEqual(connectParams.payload.pake.A, client.pake.clientPublic);
+    assert.strictEqual(client.pake.username, 'alice');
+  });
+
+  test('authenticateWithKey() signs the nonce and both DTLS fingerprints', async () => {
+    const sent = [];
+    client.peerConnection = { localDescription: { sdp: 'v=0\r\na=fingerprint:sha-256 AA:BB\r\n' }, close: () => {} };
+    client._controlRequest = async (message) => {
+      sent.push(message);
+      if (sent.length > 1) {
+        throw new Error('Key not authorized');
+      }
+      return { type: 'auth:key:response', username: '' };
+    };
+    const payload = { sdp: { type: 'answer', sdp: 'v=0\r\na=fingerprint:sha-256 cc:dd\r\n' }, keyAuth: { nonce: 'abc' } };
+
+    assert.strictEqual(await client.authenticateWithKey(payload), true);
+    const publicKey = await client.getClientPublicKey();
+    assert.strictEqual(sent[0].type, 'auth:key');
+    assert.strictEqual(sent[0].publicKey, publicKey);
+    assert.strictEqual(
+      verifyKeyProof(publicKey, sent[0].signature, keyProofMessage('abc', 'sha-256 AA:BB', 'sha-256 CC:DD')),
+      true
+    );
+
+    // The key survives across connections of the client; an unknown key is not an error
+    assert.strictEqual(await client.authenticateWithKey(payload), false);
+    assert.strictEqual(sent[1].publicKey, publicKey);
+    delete client._controlRequest;
+  });
+
+  test('verifyTotp() sends the code on apps-control', async () => {
+    const sent = [];
+    client._controlRequest = async (message) => {
+      sent.push(message);
+      return { type: 'auth:totp:response' };
+    };
+    client.totpRequired = true;
+
+    await client.verifyTotp(' 123456 ');
+    assert.deepStrictEqual(sent, [{ type: 'auth:totp', code: '123456' }]);
+    assert.strictEqual(client.totpRequired, false);
+    delete client._controlRequest;
+  });
+
+  test('selectIceServers() prefers the constructor override', () => {
+    const coordinatorServers = [{ urls: 'stun:coordinator.example.com:3478' }];
+    assert.deepStrictEqual(client.selectIceServers({ iceServers: coordinatorServers }), coordinatorServers);
+    assert.deepStrictEqual(client.selectIceServers({}), [{ urls: 'stun:stun.l.google.com:19302' }]);
+
+    const lanOnly = new Client('https://coordinator.example.com', { iceServers: [] });
+    assert.deepStrictEqual(lanOnly.selectIceServers({ iceServers: coordinatorServers }), []);
+  });
+  
   test('send() throws when not connected', () => {
     assert.throws(() => {
       client.send('test');
@@ -444,6 +534,150 @@ describe('Client API', () => {
     assert.strictEqual(client.dataChannel, null);
     assert.strictEqual(client.peerConnection, null);
   });
+  
+  test('constructor accepts a list of coordinators', () => {
+    const multi = new Client(['https://a.example.com', 'https://b.example.com']);
+    assert.deepStrictEqual(multi.coordinatorUrls, ['https://a.example.com', 'https://b.example.com']);
+    assert.strictEqual(multi.coordinatorUrl, 'https://a.example.com');
+    assert.throws(() => new Client([]), /At least one coordinator/);
+  });
+  
+  test('signalViaCoordinators() tries coordinators in order', async () => {
+    const multi = new Client(['https://a.example.com', 'https://b.example.com', 'https://c.example.com']);
+    const tried = [];
+    multi.signal = async () => {
+      tried.push(multi.coordinatorUrl);
+      if (multi.coordinatorUrl !== 'https://b.example.com') {
+        throw new Error('Server is offline');
+      }
+      return { payload: { sdp: 'answer' } };
+    };
+    
+    const answer = await multi.signalViaCoordinators('key', 'password');
+    
+    assert.deepStrictEqual(tried, ['https://a.example.com', 'https://b.example.com']);
+    assert.strictEqual(multi.coordinatorUrl, 'https://b.example.com');
+    assert.strictEqual(answer.payload.sdp, 'answer');
+  });
+  
+  test('signalViaCoordinators() reports every failure', async () => {
+    const multi = new Client(['https://a.example.com', 'https://b.example.com']);
+    multi.signal = async () => {
+      throw new Error(`down at ${multi.coordinatorUrl}`);
+    };
+    
+    await assert.rejects(
+      multi.signalViaCoordinators('key', 'password'),
+      /All coordinators failed: https:\/\/a\.example\.com \(down at https:\/\/a\.example\.com\), https:\/\/b\.example\.com/
+    );
+    
+    // A single coordinator keeps its original error
+    client.signal = async () => {
+      throw new Error('Server is offline');
+    };
+    await assert.rejects(client.signalViaCoordinators('key', 'password'), /^Error: Server is offline$/);
+  });
+
+  test('signalViaCoordinators() stops when the server refuses the offer', async () => {
+    const multi = new Client(['https://a.example.com', 'https://b.example.com']);
+    const tried = [];
+    multi.signal = async () => {
+      tried.push(multi.coordinatorUrl);
+      throw Object.assign(new Error('Too many failed attempts'), { refused: true, retryAfterMs: 4000 });
+    };
+
+    await assert.rejects(multi.signalViaCoordinators('key', 'password'), { message: 'Too many failed attempts', retryAfterMs: 4000 });
+    assert.deepStrictEqual(tried, ['https://a.example.com']);
+  });
+
+  test('pollForAnswer() takes the answer from the event stream', async () => {
+    await client.createPeerConnection();
+    client.sessionId = 'session-1';
+    client.trickle = true;
+    const methods = [];
+    client.iframeRequest = async (method) => {
+      methods.push(method);
+      // Events follow the subscribe response
+      setTimeout(() => {
+        client.handleSessionEvent({ sessionId: 'session-1', event: 'candidates', data: { candidates: [{ candidate: 's1' }], candidatesComplete: false } });
+        client.handleSessionEvent({ sessionId: 'other', event: 'answer', data: { payload: 'wrong session' } });
+        client.handleSessionEvent({ sessionId: 'session-1', event: 'answer', data: { success: true, payload: { sdp: 'answer' } } });
+      }, 0);
+      return { subscribed: true };
+    };
+
+    const answer = await client.pollForAnswer();
+
+    assert.deepStrictEqual(methods, ['subscribe']);
+    assert.deepStrictEqual(answer.payload, { sdp: 'answer' });
+    assert.strictEqual(client.remoteCandidateIndex, 1);
+  });
+
+  test('pollForAnswer() long-polls when the event stream is unavailable', async () => {
+    client.sessionId = 'session-1';
+    const polls = [];
+    client.iframeRequest = async (method, params) => {
+      if (method === 'subscribe') {
+        throw new Error('EventSource not supported');
+      }
+      polls.push(params);
+      return { success: true, payload: { sdp: 'answer' } };
+    };
+
+    const answer = await client.pollForAnswer();
+
+    assert.deepStrictEqual(answer.payload, { sdp: 'answer' });
+    assert.strictEqual(polls.length, 1);
+    assert.ok(polls[0].wait > 0, 'poll should ask the coordinator to wait');
+    assert.strictEqual(client.sessionEvents, null);
+  });
+
+  test('sendIceCandidates() sends only new candidates and end-of-candidates once', async () => {
+    await client.createIframe();
+    const sent = [];
+    client.iframeRequest = async (method, params) => {
+      sent.push({ method, params });
+      return { success: true };
+    };
+    client.trickle = true;
+    client.sessionId = 'session-1';
+    client.iceCandidates = [{ candidate: 'c1' }, { candidate: 'c2' }];
+
+    await client.sendIceCandidates();
+    client.iceCandidates.push({ candidate: 'c3' });
+    client.iceGatheringComplete = true;
+    await client.sendIceCandidates();
+    await client.sendIceCandidates();
+
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(sent[0].method, 'candidates');
+    assert.deepStrictEqual(sent[0].params.candidates, [{ candidate: 'c1' }, { candidate: 'c2' }]);
+    assert.strictEqual(sent[0].params.complete, false);
+    assert.deepStrictEqual(sent[1].params.candidates, [{ candidate: 'c3' }]);
+    assert.strictEqual(sent[1].params.complete, true);
+  });
+
+  test('handleCandidatesResponse() holds server candidates until the answer is applied', async () => {
+    await client.createPeerConnection();
+    const added = [];
+    client.peerConnection.addIceCandidate = async (candidate) => added.push(candidate);
+    client.trickle = true;
+
+    await client.handleCandidatesResponse({ success: true, candidates: [{ candidate: 's1' }] });
+    assert.strictEqual(added.length, 0);
+    assert.strictEqual(client.remoteCandidateIndex, 1);
+
+    client.remoteDescriptionSet = true;
+    await client.handleCandidatesResponse({
+      success: true,
+      candidates: [{ candidate: 's2' }],
+      candidatesComplete: true
+    });
+
+    assert.deepStrictEqual(added, [{ candidate: 's1' }, { candidate: 's2' }]);
+    assert.strictEqual(client.remoteCandidateIndex, 2);
+    assert.strictEqual(client.remoteCandidatesComplete, true);
+  });
 });
 
 describe('Client Crypto', () => {
@@ -458,12 +692,25 @@ describe('Client Crypto', () => {
     delete global.window;
   });
   
-  test('hashChallengeAnswer() returns hex string', async () => {
-    // hashChallengeAnswer is already imported from unified module
-    const result = await hashChallengeAnswer('challenge123', 'password456');
-    
-    assert.strictEqual(typeof result, 'string');
-    assert.strictEqual(result.length, 64); // 32 bytes = 64 hex chars
+  test('SRPClientSession interoperates with the server side', async () => {
+    const verifier = createVerifier('', 'password456');
+
+    const client = new SRPClientSession('', 'password456');
+    const server = new SRPServerSession(verifier, client.clientPublic);
+    const proof = await client.computeProof(server.salt, server.serverPublic);
+    const serverProof = server.verifyClientProof(proof);
+    assert.ok(serverProof);
+    assert.strictEqual(await client.verifyServerProof(serverProof), true);
+    assert.strictEqual(client.verifyServerProof(serverProof.replace(/.$/, c => (c === '0' ? '1' : '0'))), false);
+    assert.strictEqual(client.verifyServerProof(serverProof.slice(2)), false);
+    assert.strictEqual(client.password, null);
+
+    const wrong = new SRPClientSession('', 'password457');
+    const wrongServer = new SRPServerSession(verifier, wrong.clientPublic);
+    const wrongProof = await wrong.computeProof(wrongServer.salt, wrongServer.serverPublic);
+    assert.strictEqual(wrongServer.verifyClientProof(wrongProof), null);
+
+    await assert.rejects(client.computeProof(server.salt, '00'), /Invalid SRP values from server/);
   });
   
   test('verifySignature() validates signatures', async () => {
@@ -0,0 +1,486 @@
+/**
+ * Coordinator cluster: several coordinators behind one DNS name share their
+ * registries, so a client can reach any server through any coordinator.
+ *
+ * Nodes talk over UDP. Each datagram is [version(1)][AES-GCM(JSON)] with a key
+ * derived from the shared cluster secret; every message carries
+ * { type, from, id, sentAt }, and stale or repeated messages are dropped.
+ * Forwarded data keeps its own fields (an answer travels whole in `answer`, so
+ * the timestamp the server signed is not mixed up with the envelope's).
+ * Messages too large for one datagram (offers and answers with full SDP) are
+ * sent as 'fragment' messages { messageId, index, count, data } and reassembled.
+ *
+ * gossip            every node → its peers: the servers registered with it
+ * offer, candidates node holding the client's HTTP session → node holding the server's UDP mapping
+ * answer, serverCandidates  the server's node → node that forwarded the offer
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { bindUDPSocket, formatIpPort, normalizeAddress, toSocketAddress, MAX_DATAGRAM_SIZE } from '../shared/protocol.js';
+import { deriveClusterKey, encryptAESBytes, decryptAES } from '../shared/crypto.js';
+
+export const CLUSTER_PROTOCOL_VERSION = 0x01;
+
+// Messages older than this (or from further in the future) are dropped
+const MAX_MESSAGE_AGE_MS = 30000;
+// Registry entries per gossip datagram
+const GOSSIP_BATCH_SIZE = 8;
+// Bytes of the serialized message per fragment: base64 plus the fragment
+// envelope, the AES-GCM IV and tag still fit in MAX_DATAGRAM_SIZE
+const FRAGMENT_DATA_SIZE = 720;
+const MAX_FRAGMENTS = 32;
+// AES-GCM IV and tag, and the version byte
+const DATAGRAM_OVERHEAD = 12 + 16 + 1;
+
+export class Cluster {
+  /**
+   * registry: local ServerRegistry, gossiped to the peers
+   * options: { secret, nodeId, port, host, peers: [{ host, port }], gossipIntervalMs,
+   *            serverTimeout, sessionTimeout, verbosity }
+   */
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.key = deriveClusterKey(options.secret);
+    this.nodeId = options.nodeId || crypto.randomBytes(8).toString('hex');
+    this.port = options.port !== undefined ? options.port : 3479;
+    this.host = options.host;
+    this.peers = options.peers || [];
+    this.gossipIntervalMs = options.gossipIntervalMs || 5000;
+    this.serverTimeout = options.serverTimeout || registry.serverTimeout;
+    this.sessionTimeout = options.sessionTimeout || 60000;
+    this.verbosity = options.verbosity !== undefined ? options.verbosity : 1;
+    // DNS lookup for peer host names (same signature as dns.promises.lookup)
+    this._lookup = options.lookup || dns.promises.lookup;
+
+    this.socket = null;
+    this.family = null;
+    this.handlers = new Map();
+    this.gossipInterval = null;
+
+    // serverPublicKey → { nodeId, challenge, timestamp, capabilities }
+    this.remoteServers = new Map();
+    // nodeId → { address, port, lastSeen }: where to forward to, learned from valid messages
+    // Nodes silent for serverTimeout are forgotten
+    this.nodes = new Map();
+    // sessionId → { nodeId, timestamp }: node that forwarded an offer gets the answer
+    this.sessionOrigins = new Map();
+    // message id → sentAt, for replay protection
+    this.seenIds = new Map();
+    // `${nodeId}|${messageId}` → { count, parts, received, timestamp }: messages being reassembled
+    this.fragments = new Map();
+  }
+
+  async start() {
+    const { socket, family } = await bindUDPSocket(this.port, this.host);
+    this.socket = socket;
+    this.family = family;
+
+    this.socket.on('error', (err) => {
+      console.error('Cluster socket error:', err);
+    });
+    this.socket.on('message', (msg, rinfo) => {
+      this.handleMessage(msg, rinfo);
+    });
+
+    this.gossipInterval = setInterval(() => {
+      this.prune();
+      this.gossip();
+    }, this.gossipIntervalMs);
+    this.gossip();
+
+    if (this.verbosity >= 1) {
+      const address = this.socket.address();
+      console.log(`Cluster node ${this.nodeId} listening on ${formatIpPort(address.address, address.port)}`);
+    }
+  }
+
+  async stop() {
+    if (this.gossipInterval) {
+      clearInterval(this.gossipInterval);
+      this.gossipInterval = null;
+    }
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      await new Promise(resolve => this.socket.close(resolve));
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Register event handler: 'offer', 'candidates', 'answer', 'serverCandidates'
+   */
+  on(event, handler) {
+    this.handlers.set(event, handler);
+  }
+
+  /**
+   * Server registered with another node, or null
+   * Returns: { nodeId, challenge, timestamp, capabilities }
+   */
+  getServer(serverPublicKey) {
+    const server = this.remoteServers.get(serverPublicKey);
+    if (!server) {
+      return null;
+    }
+    if (Date.now() - server.timestamp > this.serverTimeout) {
+      this.remoteServers.delete(serverPublicKey);
+      return null;
+    }
+    return server;
+  }
+
+  /**
+   * Check a client's challenge against a server registered with another node
+   */
+  verifyChallenge(serverPublicKey, challenge) {
+    const server = this.getServer(serverPublicKey);
+    return !!server && server.challenge === challenge;
+  }
+
+  /**
+   * Send one or all local registry entries to the peers
+   */
+  gossip(serverPublicKey = null) {
+    if (!this.socket) {
+      return Promise.resolve();
+    }
+
+    const keys = serverPublicKey ? [serverPublicKey] : [...this.registry.servers.keys()];
+    const servers = keys
+      .map(key => [key, this.registry.getServerByPublicKey(key)])
+      .filter(([, server]) => server)
+      .map(([key, server]) => ({
+        publicKey: key,
+        challenge: server.challenge,
+        timestamp: server.timestamp,
+        capabilities: server.capabilities
+      }));
+    if (servers.length === 0 && serverPublicKey) {
+      return Promise.resolve();
+    }
+
+    // A full round is sent even when empty: it tells peers where this node is
+    const batches = [];
+    for (let i = 0; i < servers.length; i += GOSSIP_BATCH_SIZE) {
+      batches.push(servers.slice(i, i + GOSSIP_BATCH_SIZE));
+    }
+    if (batches.length === 0) {
+      batches.push([]);
+    }
+
+    return this._peerAddresses().then(addresses => Promise.all(addresses.flatMap(({ address, port }) =>
+      batches.map(batch => this._send(address, port, { type: 'gossip', servers: batch }).catch((err) => {
+        if (this.verbosity >= 2) console.error(`Error gossiping to ${formatIpPort(address, port)}:`, err.message);
+      }))
+    )));
+  }
+
+  /**
+   * Forward a client's offer to the node holding the server
+   */
+  forwardOffer({ serverPublicKey, sessionId, payload }) {
+    return this._sendToOwner(serverPublicKey, { type: 'offer', serverPublicKey, sessionId, payload });
+  }
+
+  /**
+   * Forward a client's trickled candidates to the node holding the server
+   */
+  forwardCandidates({ serverPublicKey, sessionId, candidates, complete }) {
+    return this._sendToOwner(serverPublicKey, { type: 'candidates', serverPublicKey, sessionId, candidates, complete });
+  }
+
+  /**
+   * Return a server's answer to the node that forwarded the offer
+   * answer: { serverPublicKey, payload, signature, signatureAlgorithm, timestamp }
+   * Returns false when the session did not come from another node
+   */
+  forwardAnswer(sessionId, { serverPublicKey, payload, signature, signatureAlgorithm, timestamp }) {
+    return this._sendToOrigin(sessionId, {
+      type: 'answer',
+      sessionId,
+      answer: { serverPublicKey, payload, signature, signatureAlgorithm, timestamp }
+    });
+  }
+
+  /**
+   * Return a server's trickled candidates to the node that forwarded the offer
+   * Returns false when the session did not come from another node
+   */
+  forwardServerCandidates(sessionId, { serverPublicKey, candidates, complete }) {
+    return this._sendToOrigin(sessionId, { type: 'serverCandidates', sessionId, serverPublicKey, candidates, complete });
+  }
+
+  /**
+   * Handle a datagram from another node
+   */
+  handleMessage(msg, rinfo) {
+    let message;
+    try {
+      if (msg.length < 2 || msg[0] !== CLUSTER_PROTOCOL_VERSION) {
+        throw new Error('Unsupported cluster message');
+      }
+      message = decryptAES(msg.subarray(1), this.key);
+    } catch (error) {
+      if (this.verbosity >= 2) {
+        console.warn(`Dropped cluster message from ${formatIpPort(rinfo.address, rinfo.port)}: ${error.message}`);
+      }
+      return;
+    }
+    this._dispatch(message, rinfo);
+  }
+
+  /**
+   * Handle a decrypted (or reassembled) message
+   */
+  _dispatch(message, rinfo) {
+    const { type, from, id, sentAt } = message;
+    if (typeof from !== 'string' || from === this.nodeId || typeof id !== 'string' ||
+        !Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > MAX_MESSAGE_AGE_MS ||
+        this.seenIds.has(id)) {
+      return;
+    }
+    this.seenIds.set(id, sentAt);
+    this.nodes.set(from, { address: normalizeAddress(rinfo.address), port: rinfo.port, lastSeen: Date.now() });
+
+    switch (type) {
+      case 'gossip':
+        this.handleGossip(message);
+        break;
+      case 'fragment':
+        this.handleFragment(message, rinfo);
+        break;
+      case 'offer':
+        this.sessionOrigins.set(message.sessionId, { nodeId: from, timestamp: Date.now() });
+        this._emit('offer', {
+          serverPublicKey: message.serverPublicKey,
+          sessionId: message.sessionId,
+          payload: message.payload
+        });
+        break;
+      case 'candidates':
+        this._emit('candidates', {
+          serverPublicKey: message.serverPublicKey,
+          sessionId: message.sessionId,
+          candidates: message.candidates,
+          complete: !!message.complete
+        });
+        break;
+      case 'answer':
+        if (typeof message.answer !== 'object' || message.answer === null) {
+          return;
+        }
+        this._emit('answer', {
+          sessionId: message.sessionId,
+          serverPublicKey: message.answer.serverPublicKey,
+          payload: message.answer.payload,
+          signature: message.answer.signature,
+          signatureAlgorithm: message.answer.signatureAlgorithm,
+          timestamp: message.answer.timestamp
+        });
+        break;
+      case 'serverCandidates':
+        this._emit('serverCandidates', {
+          sessionId: message.sessionId,
+          serverPublicKey: message.serverPublicKey,
+          candidates: message.candidates,
+          complete: !!message.complete
+        });
+        break;
+      default:
+        if (this.verbosity >= 2) console.warn(`Unknown cluster message type: ${type}`);
+    }
+  }
+
+  /**
+   * Store gossiped entries; the most recently seen entry for a server wins
+   */
+  handleGossip({ from, servers }) {
+    if (!Array.isArray(servers)) {
+      return;
+    }
+    for (const server of servers) {
+      if (typeof server?.publicKey !== 'string' || !Number.isFinite(server.timestamp)) {
+        continue;
+      }
+      const known = this.remoteServers.get(server.publicKey);
+      if (known && known.nodeId !== from && known.timestamp > server.timestamp) {
+        continue;
+      }
+      this.remoteServers.set(server.publicKey, {
+        nodeId: from,
+        challenge: server.challenge,
+        timestamp: server.timestamp,
+        capabilities: server.capabilities || 0
+      });
+    }
+  }
+
+  /**
+   * Collect one fragment of a large message; the complete message is handled
+   * like any other, with its own id and sentAt checks
+   */
+  handleFragment({ from, messageId, index, count, data }, rinfo) {
+    if (typeof messageId !== 'string' || typeof data !== 'string' ||
+        !Number.isInteger(count) || count < 1 || count > MAX_FRAGMENTS ||
+        !Number.isInteger(index) || index < 0 || index >= count) {
+      return;
+    }
+
+    const key = `${from}|${messageId}`;
+    let entry = this.fragments.get(key);
+    if (!entry) {
+      entry = { count, parts: new Array(count), received: 0, timestamp: Date.now() };
+      this.fragments.set(key, entry);
+    } else if (entry.count !== count) {
+      return;
+    }
+    if (!entry.parts[index]) {
+      entry.parts[index] = Buffer.from(data, 'base64');
+      entry.received++;
+    }
+    if (entry.received < count) {
+      return;
+    }
+
+    this.fragments.delete(key);
+    let message;
+    try {
+      message = JSON.parse(Buffer.concat(entry.parts).toString('utf8'));
+    } catch (error) {
+      if (this.verbosity >= 2) console.warn(`Dropped fragmented cluster message from ${from}: ${error.message}`);
+      return;
+    }
+    if (message?.from !== from || message.type === 'fragment') {
+      return;
+    }
+    this._dispatch(message, rinfo);
+  }
+
+  /**
+   * Drop expired remote servers, silent nodes, session origins, replay ids
+   * and incomplete fragmented messages
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, server] of this.remoteServers) {
+      if (now - server.timestamp > this.serverTimeout) this.remoteServers.delete(key);
+    }
+    for (const [nodeId, node] of this.nodes) {
+      if (now - node.lastSeen > this.serverTimeout) this.nodes.delete(nodeId);
+    }
+    for (const [key, entry] of this.fragments) {
+      if (now - entry.timestamp > MAX_MESSAGE_AGE_MS) this.fragments.delete(key);
+    }
+    for (const [sessionId, origin] of this.sessionOrigins) {
+      if (now - origin.timestamp > this.sessionTimeout) this.sessionOrigins.delete(sessionId);
+    }
+    for (const [id, timestamp] of this.seenIds) {
+      if (now - timestamp > 2 * MAX_MESSAGE_AGE_MS) this.seenIds.delete(id);
+    }
+  }
+
+  _emit(event, data) {
+    const handler = this.handlers.get(event);
+    if (!handler) {
+      return;
+    }
+    Promise.resolve()
+      .then(() => handler(data))
+      .catch((err) => {
+        console.error(`Error handling cluster ${event}:`, err.message);
+      });
+  }
+
+  _sendToOwner(serverPublicKey, message) {
+    const server = this.getServer(serverPublicKey);
+    const node = server && this.nodes.get(server.nodeId);
+    if (!node) {
+      return Promise.reject(new Error('Server not found in cluster'));
+    }
+    return this._send(node.address, node.port, message);
+  }
+
+  _sendToOrigin(sessionId, message) {
+    const origin = this.sessionOrigins.get(sessionId);
+    const node = origin && this.nodes.get(origin.nodeId);
+    if (!node) {
+      return false;
+    }
+    this._send(node.address, node.port, message).catch((err) => {
+      console.error(`Error forwarding ${message.type} to cluster node ${origin.nodeId}:`, err.message);
+    });
+    return true;
+  }
+
+  /**
+   * Configured peers plus nodes that contacted us, one entry per address
+   */
+  async _peerAddresses() {
+    const addresses = new Map();
+    for (const peer of this.peers) {
+      try {
+        const address = net.isIP(peer.host)
+          ? peer.host
+          : (await this._lookup(peer.host, { family: this.family === 4 ? 4 : 0 })).address;
+        addresses.set(formatIpPort(address, peer.port), { address, port: peer.port });
+      } catch (err) {
+        if (this.verbosity >= 1) console.warn(`Cannot resolve cluster peer ${peer.host}:`, err.message);
+      }
+    }
+    for (const node of this.nodes.values()) {
+      addresses.set(formatIpPort(node.address, node.port), { address: node.address, port: node.port });
+    }
+    return [...addresses.values()];
+  }
+
+  /**
+   * Send a message to a node, in fragments when it does not fit one datagram
+   */
+  _send(address, port, message) {
+    const envelope = this._envelope(message);
+    const plaintext = Buffer.from(JSON.stringify(envelope), 'utf8');
+    if (plaintext.length + DATAGRAM_OVERHEAD <= MAX_DATAGRAM_SIZE) {
+      return this._sendDatagram(address, port, this._datagram(plaintext));
+    }
+
+    const count = Math.ceil(plaintext.length / FRAGMENT_DATA_SIZE);
+    if (count > MAX_FRAGMENTS) {
+      return Promise.reject(new Error(`Cluster message needs ${count} fragments, limit is ${MAX_FRAGMENTS}`));
+    }
+    const fragments = [];
+    for (let index = 0; index < count; index++) {
+      const data = plaintext.subarray(index * FRAGMENT_DATA_SIZE, (index + 1) * FRAGMENT_DATA_SIZE);
+      const fragment = this._envelope({ type: 'fragment', messageId: envelope.id, index, count, data: data.toString('base64') });
+      fragments.push(this._sendDatagram(address, port, this._datagram(Buffer.from(JSON.stringify(fragment), 'utf8'))));
+    }
+    return Promise.all(fragments).then(() => {});
+  }
+
+  _envelope(message) {
+    return {
+      ...message,
+      from: this.nodeId,
+      id: crypto.randomBytes(8).toString('hex'),
+      sentAt: Date.now()
+    };
+  }
+
+  _datagram(plaintext) {
+    return Buffer.concat([Buffer.from([CLUSTER_PROTOCOL_VERSION]), encryptAESBytes(plaintext, this.key)]);
+  }
+
+  _sendDatagram(address, port, datagram) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Cluster not started'));
+        return;
+      }
+      this.socket.send(datagram, port, toSocketAddress(address, this.family), (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+}
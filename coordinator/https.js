@@ -2,9 +2,26 @@ import http from 'http';
 import https from 'https';
 import crypto from 'crypto';
 import fs from 'fs/promises';
+import { CAPABILITIES, normalizeAddress } from '../shared/protocol.js';
+import { upgradeToWebSocket } from './websocket.js';
 
 const IFRAME_PATH = new URL('./http/iframe.html', import.meta.url);
 
+// Trickled ICE candidates buffered per session and direction
+const MAX_SESSION_CANDIDATES = 64;
+// Sessions one WebSocket may follow at a time
+const MAX_SOCKET_SUBSCRIPTIONS = 8;
+
+/**
+ * Request error with the HTTP status to answer with
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
 /**
  * HTTPS server for client-coordinator communication
  * Provides REST API for WebRTC signaling
@@ -18,6 +35,15 @@ export class HTTPSServer {
     this.relayOffer = options.relayOffer || null;
     this.getServerByPublicKey = options.getServerByPublicKey || null;
     this.verifyChallenge = options.verifyChallenge || null;
+    // Optional: relays client ICE candidates to the server (trickle ICE)
+    this.relayCandidates = options.relayCandidates || null;
+    // Optional: ICE servers (STUN, TURN credentials) for both peers of a session
+    this.getIceServers = options.getIceServers || null;
+    // Optional admin API: disabled unless both a token and a handler are configured
+    this.migrateServers = options.migrateServers || null;
+    this.adminTokenHash = options.adminToken
+      ? crypto.createHash('sha256').update(String(options.adminToken)).digest()
+      : null;
     if (typeof this.relayOffer !== 'function') {
       throw new Error('relayOffer must be a function');
     }
@@ -29,9 +55,15 @@ export class HTTPSServer {
     }
     
     this.server = null;
-    this.sessions = new Map(); // sessionId -> {clientOffer, timestamp, answer}
+    this.sessions = new Map(); // sessionId -> {clientOffer, timestamp, answer, trickle, clientCandidates, serverCandidates}
     this.sessionCleanupInterval = null;
-    this.pendingResponses = new Map(); // sessionId -> {resolve, reject, timeout}
+    // Woken when a session gets an answer or server candidates (long-poll, event streams)
+    this.sessionListeners = new Map(); // sessionId -> Set<listener>
+    this.eventStreams = new Set();     // open /api/events responses
+    this.webSockets = new Set();       // open /api/ws connections
+
+    // Longest a poll may be held open waiting for news
+    this.maxPollWait = options.maxPollWait || 25000;
     
     // Rate limiting
     this.rateLimitMap = new Map(); // IP -> {count, resetTime}
@@ -100,6 +132,7 @@ export class HTTPSServer {
         });
       }
 
+      this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
       this.server.on('error', reject);
     });
   }
@@ -113,12 +146,17 @@ export class HTTPSServer {
         clearInterval(this.sessionCleanupInterval);
       }
       
-      // Clear all pending responses
-      for (const [sessionId, pending] of this.pendingResponses.entries()) {
-        clearTimeout(pending.timeout);
-        pending.reject(new Error('Server shutting down'));
+      // Answer held polls and end event streams so the server can close
+      for (const sessionId of [...this.sessionListeners.keys()]) {
+        this.notifySession(sessionId);
+      }
+      for (const res of this.eventStreams) {
+        res.end();
+      }
+      this.eventStreams.clear();
+      for (const ws of this.webSockets) {
+        ws.close(1001, 'Server shutting down');
       }
-      this.pendingResponses.clear();
       
       if (this.server) {
         this.server.close(() => {
@@ -163,6 +201,12 @@ export class HTTPSServer {
       await this.handleConnect(req, res);
     } else if (req.method === 'POST' && url.pathname === '/api/poll') {
       await this.handlePoll(req, res);
+    } else if (req.method === 'GET' && url.pathname === '/api/events') {
+      this.handleEvents(req, res, url);
+    } else if (req.method === 'POST' && url.pathname === '/api/candidates') {
+      await this.handleCandidates(req, res);
+    } else if (req.method === 'POST' && url.pathname === '/api/admin/migrate' && this.isAdminEnabled()) {
+      await this.handleAdminMigrate(req, res);
     } else {
       this.sendError(res, 404, 'Not found');
     }
@@ -252,6 +296,28 @@ export class HTTPSServer {
     this.sendJSON(res, statusCode, { error: message });
   }
 
+  /**
+   * Answer a failed request: ApiErrors with their status, anything else as 400
+   */
+  sendApiError(res, err, context) {
+    if (err instanceof ApiError) {
+      this.sendError(res, err.status, err.message);
+      return;
+    }
+    console.error(`Error in ${context}:`, err);
+    this.sendError(res, 400, err.message);
+  }
+
+  /**
+   * ICE servers for a session with the given server (empty without getIceServers)
+   */
+  iceServersFor(serverPublicKeyBase64) {
+    if (typeof this.getIceServers !== 'function') {
+      return [];
+    }
+    return this.getIceServers(serverPublicKeyBase64) || [];
+  }
+
   /**
    * POST /api/servers
    * Lists available servers
@@ -259,37 +325,46 @@ export class HTTPSServer {
   async handleListServers(req, res) {
     try {
       const body = await this.readBody(req);
-      const { serverPublicKeys } = body;
-      
-      if (!Array.isArray(serverPublicKeys)) {
-        this.sendError(res, 400, 'serverPublicKeys must be an array');
-        return;
-      }
-      
-      const servers = [];
-      
-      for (const serverPublicKeyBase64 of serverPublicKeys) {
-        const server = this.getServerByPublicKey(serverPublicKeyBase64);
-        if (server) {
-          const now = Date.now();
-          const isOnline = (now - server.timestamp) < 60000; // Online if seen in last 60s
-          
-          servers.push({
-            publicKeyHash: serverPublicKeyBase64,
-            name: serverPublicKeyBase64.substring(0, 16) + '...', // Truncated hash as name
-            online: isOnline,
-            challenge: server.challenge
-          });
-        }
-      }
-      
-      this.sendJSON(res, 200, { servers });
+      this.sendJSON(res, 200, this.listServers(body));
     } catch (err) {
-      console.error('Error in handleListServers:', err);
-      this.sendError(res, 400, err.message);
+      this.sendApiError(res, err, 'handleListServers');
     }
   }
 
+  /**
+   * Server entries for the given public keys (HTTP and WebSocket)
+   */
+  listServers(body) {
+    const { serverPublicKeys } = body;
+    
+    if (!Array.isArray(serverPublicKeys)) {
+      throw new ApiError(400, 'serverPublicKeys must be an array');
+    }
+    
+    const servers = [];
+    
+    for (const serverPublicKeyBase64 of serverPublicKeys) {
+      const server = this.getServerByPublicKey(serverPublicKeyBase64);
+      if (server) {
+        const now = Date.now();
+        const isOnline = (now - server.timestamp) < 60000; // Online if seen in last 60s
+        // Clients need these before creating their peer connection
+        const iceServers = isOnline ? this.iceServersFor(serverPublicKeyBase64) : [];
+        
+        servers.push({
+          publicKeyHash: serverPublicKeyBase64,
+          name: serverPublicKeyBase64.substring(0, 16) + '...', // Truncated hash as name
+          online: isOnline,
+          challenge: server.challenge,
+          trickleIce: this.supportsTrickle(server),
+          ...(iceServers.length > 0 ? { iceServers } : {})
+        });
+      }
+    }
+    
+    return { servers };
+  }
+
   /**
    * POST /api/connect
    * Initiates connection to a server
@@ -297,93 +372,111 @@ export class HTTPSServer {
   async handleConnect(req, res) {
     try {
       const body = await this.readBody(req);
-      const { serverPublicKey: serverPublicKeyBase64, challengeAnswer, payload, timestamp } = body;
-      
-      // Validate input
-      if (!serverPublicKeyBase64 || !challengeAnswer || !payload) {
-        this.sendError(res, 400, 'Missing required fields');
-        return;
-      }
-      
-      if (!payload.sdp || !Array.isArray(payload.candidates)) {
-        this.sendError(res, 400, 'Invalid payload format');
-        return;
-      }
-      
-      // Check timestamp (prevent replay attacks)
-      if (!timestamp || Math.abs(Date.now() - timestamp) > 60000) {
-        this.sendError(res, 400, 'Invalid or expired timestamp');
-        return;
-      }
-      
-      // Get server info
-      const server = this.getServerByPublicKey(serverPublicKeyBase64);
-      if (!server) {
-        this.sendError(res, 404, 'Server not found');
-        return;
-      }
-      
-      // Verify challenge answer
-      if (!this.verifyChallenge(serverPublicKeyBase64, challengeAnswer)) {
-        this.sendError(res, 403, 'Invalid challenge answer');
-        return;
-      }
-      
-      // Generate unique session ID
-      const sessionId = crypto.randomBytes(16).toString('hex');
-      
-      // Store session
-      this.sessions.set(sessionId, {
-        clientOffer: payload,
-        timestamp: Date.now(),
-        serverPublicKey: serverPublicKeyBase64,
-        answer: null
-      });
-      
-      // Relay offer to server via higher-level component
-      try {
-        await this.relayOffer({
-          ipPort: server.ipPort,
-          sessionId,
-          payload,
-          serverPublicKey: serverPublicKeyBase64
-        });
-      } catch (err) {
-        console.error('Error sending offer to server:', err);
-        this.sessions.delete(sessionId);
-        this.sendError(res, 500, 'Failed to relay offer to server');
-        return;
-      }
-      
-      // Respond with session ID
-      const response = {
-        success: true,
+      this.sendJSON(res, 200, await this.connectSession(body, req.socket.remoteAddress));
+    } catch (err) {
+      this.sendApiError(res, err, 'handleConnect');
+    }
+  }
+
+  /**
+   * Check the challenge, store the session and relay the offer
+   * The payload (SDP and the client's PAKE message) is relayed unread, with the
+   * client's address added so the server can throttle failed logins per source
+   */
+  async connectSession(body, clientIp = null) {
+    const { serverPublicKey: serverPublicKeyBase64, challenge, payload, timestamp } = body;
+    
+    // Validate input
+    if (!serverPublicKeyBase64 || !challenge || !payload) {
+      throw new ApiError(400, 'Missing required fields');
+    }
+    
+    if (!payload.sdp || !Array.isArray(payload.candidates)) {
+      throw new ApiError(400, 'Invalid payload format');
+    }
+    
+    // Check timestamp (prevent replay attacks)
+    if (!timestamp || Math.abs(Date.now() - timestamp) > 60000) {
+      throw new ApiError(400, 'Invalid or expired timestamp');
+    }
+    
+    // Get server info
+    const server = this.getServerByPublicKey(serverPublicKeyBase64);
+    if (!server) {
+      throw new ApiError(404, 'Server not found');
+    }
+    
+    // Only clients holding the server's current challenge reach it
+    if (!this.verifyChallenge(serverPublicKeyBase64, challenge)) {
+      throw new ApiError(403, 'Invalid challenge');
+    }
+    
+    // Generate unique session ID
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    
+    // Trickle only when the client asked for it and the server can receive candidates
+    const trickle = payload.trickle === true && this.supportsTrickle(server);
+
+    const iceServers = this.iceServersFor(serverPublicKeyBase64);
+
+    // Store session
+    this.sessions.set(sessionId, {
+      clientOffer: payload,
+      timestamp: Date.now(),
+      serverPublicKey: serverPublicKeyBase64,
+      answer: null,
+      trickle,
+      clientCandidates: [],
+      serverCandidates: [],
+      serverCandidatesComplete: false
+    });
+    
+    // Relay offer to server via higher-level component
+    try {
+      await this.relayOffer({
+        ipPort: server.ipPort,
         sessionId,
-        message: 'Waiting for server response'
-      };
-      
-      this.sendJSON(res, 200, response);
+        payload: {
+          ...payload,
+          clientAddress: clientIp ? normalizeAddress(clientIp) : undefined,
+          ...(iceServers.length > 0 ? { iceServers } : {})
+        },
+        serverPublicKey: serverPublicKeyBase64
+      });
     } catch (err) {
-      console.error('Error in handleConnect:', err);
-      this.sendError(res, 400, err.message);
+      console.error('Error sending offer to server:', err);
+      this.sessions.delete(sessionId);
+      throw new ApiError(500, 'Failed to relay offer to server');
     }
+    
+    // Respond with session ID
+    const response = {
+      success: true,
+      sessionId,
+      trickle,
+      message: 'Waiting for server response'
+    };
+    
+    return response;
   }
 
   /**
    * POST /api/poll
    * Poll for server response
+   * With `wait` (ms, capped at maxPollWait) the request is held until the
+   * session has something the client has not seen, or the wait runs out
    */
   async handlePoll(req, res) {
     try {
       const body = await this.readBody(req);
-      const { sessionId, lastUpdate } = body;
+      const { sessionId, candidateIndex = 0, wait = 0, answerReceived = false } = body;
       
       if (!sessionId) {
         this.sendError(res, 400, 'Missing sessionId');
         return;
       }
       
-      const session = this.sessions.get(sessionId);
+      let session = this.sessions.get(sessionId);
       if (!session) {
         this.sendError(res, 404, 'Session not found');
         return;
@@ -396,27 +489,48 @@ export class HTTPSServer {
         return;
       }
       
+      const index = Math.max(0, Number(candidateIndex) || 0);
+      const waitMs = Math.min(Math.max(0, Number(wait) || 0), this.maxPollWait);
+      if (waitMs > 0 && !this.hasSessionNews(session, index, answerReceived === true)) {
+        await this.waitForSession(sessionId, waitMs, res);
+        if (res.destroyed) {
+          return;
+        }
+        session = this.sessions.get(sessionId);
+        if (!session) {
+          this.sendError(res, 408, 'Session expired');
+          return;
+        }
+      }
+      
+      // Trickle sessions also return server candidates the client has not seen yet
+      const trickleFields = session.trickle
+        ? {
+          candidates: session.serverCandidates.slice(index),
+          candidatesComplete: session.serverCandidatesComplete
+        }
+        : {};
+
       // Check if answer is available
       if (session.answer) {
         const response = {
-          success: true,
-          serverPublicKey: session.answer.serverPublicKey,
-          sessionId,
-          timestamp: session.answer.timestamp,
-          payload: session.answer.payload,
-          serverSignature: session.answer.signature,
-          serverSignatureAlgorithm: session.answer.signatureAlgorithm
+          ...this.answerFields(sessionId, session),
+          ...trickleFields
         };
         
-        // Clean up session after successful poll
-        this.sessions.delete(sessionId);
+        // Clean up session after successful poll; trickle sessions stay until
+        // they expire so candidates can keep flowing
+        if (!session.trickle) {
+          this.sessions.delete(sessionId);
+        }
 
         this.sendJSON(res, 200, response);
       } else {
         // Still waiting
         const response = {
           success: false,
-          waiting: true
+          waiting: true,
+          ...trickleFields
         };
 
         this.sendJSON(res, 200, response);
@@ -427,15 +541,458 @@ export class HTTPSServer {
     }
   }
 
+  /**
+   * GET /api/events?sessionId=...&candidateIndex=...
+   * Server-Sent Events for one session: `candidates` ({ candidates, candidatesComplete }),
+   * `answer` (same fields as a successful poll) and `end` ({ reason }) before the stream closes
+   */
+  handleEvents(req, res, url) {
+    const sessionId = url.searchParams.get('sessionId');
+    try {
+      this.getLiveSession(sessionId);
+    } catch (err) {
+      this.sendApiError(res, err, 'handleEvents');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    });
+    this.eventStreams.add(res);
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), 15000).unref();
+    const stop = this.watchSession(sessionId, url.searchParams.get('candidateIndex'), (event, data) => {
+      this.writeEvent(res, event, data);
+      if (event === 'end') {
+        res.end();
+      }
+    });
+    res.on('close', () => {
+      clearInterval(keepalive);
+      stop();
+      this.eventStreams.delete(res);
+    });
+  }
+
+  /**
+   * Session that exists and has not expired; throws ApiError otherwise
+   */
+  getLiveSession(sessionId) {
+    if (!sessionId) {
+      throw new ApiError(400, 'Missing sessionId');
+    }
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new ApiError(404, 'Session not found');
+    }
+    if (Date.now() - session.timestamp > this.sessionTimeout) {
+      this.sessions.delete(sessionId);
+      throw new ApiError(408, 'Session expired');
+    }
+    return session;
+  }
+
+  /**
+   * Follow a session for an event stream or WebSocket: emit(event, data) with the
+   * current state, then every change, and finally `end` ({ reason }).
+   * Returns a function that stops watching
+   */
+  watchSession(sessionId, candidateIndex, emit) {
+    let index = Math.max(0, Number(candidateIndex) || 0);
+    let completeSent = false;
+    let answerSent = false;
+    let stopped = false;
+    let removeListener = null;
+
+    const stop = () => {
+      if (!stopped) {
+        stopped = true;
+        removeListener();
+      }
+    };
+    const end = (reason) => {
+      stop();
+      emit('end', { reason });
+    };
+
+    const push = () => {
+      const session = this.sessions.get(sessionId);
+      if (!session) {
+        end(answerSent ? 'done' : 'expired');
+        return;
+      }
+      if (session.trickle &&
+          (session.serverCandidates.length > index || (session.serverCandidatesComplete && !completeSent))) {
+        const candidates = session.serverCandidates.slice(index);
+        index += candidates.length;
+        completeSent = session.serverCandidatesComplete;
+        emit('candidates', { candidates, candidatesComplete: completeSent });
+      }
+      if (session.answer && !answerSent) {
+        answerSent = true;
+        emit('answer', this.answerFields(sessionId, session));
+        if (!session.trickle) {
+          this.sessions.delete(sessionId);
+        }
+      }
+      if (answerSent && (!session.trickle || completeSent)) {
+        end('done');
+      }
+    };
+
+    removeListener = this.addSessionListener(sessionId, push);
+    push();
+    return stop;
+  }
+
+  /**
+   * Upgrade GET /api/ws to a WebSocket carrying the /api/* requests and session events
+   */
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (url.pathname !== '/api/ws') {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const clientIp = req.socket.remoteAddress;
+    if (this.isRateLimited(clientIp)) {
+      socket.end('HTTP/1.1 429 Too Many Requests\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const ws = upgradeToWebSocket(req, socket, head, { maxMessageSize: 100000 });
+    if (!ws) {
+      return;
+    }
+    this.webSockets.add(ws);
+
+    // sessionId -> stop watching
+    const subscriptions = new Map();
+    ws.on('message', (message) => {
+      this.handleWebSocketMessage(ws, clientIp, subscriptions, message);
+    });
+    ws.on('close', () => {
+      this.webSockets.delete(ws);
+      for (const stop of subscriptions.values()) {
+        stop();
+      }
+      subscriptions.clear();
+    });
+  }
+
+  /**
+   * One WebSocket request: { id, method, params } answered with { id, result } or { id, error, status }
+   * Methods: servers, connect, candidates (bodies as in /api/*) and subscribe ({ sessionId, candidateIndex })
+   */
+  async handleWebSocketMessage(ws, clientIp, subscriptions, message) {
+    let request;
+    try {
+      request = JSON.parse(message);
+    } catch (err) {
+      ws.send(JSON.stringify({ id: null, error: 'Invalid JSON', status: 400 }));
+      return;
+    }
+    const { id = null, method, params = {} } = request || {};
+
+    // Each request counts like an HTTP request
+    if (this.isRateLimited(clientIp)) {
+      ws.send(JSON.stringify({ id, error: 'Too many requests', status: 429 }));
+      return;
+    }
+
+    try {
+      let result;
+      switch (method) {
+        case 'servers':
+          result = this.listServers(params);
+          break;
+        case 'connect':
+          result = await this.connectSession(params, clientIp);
+          break;
+        case 'candidates':
+          result = await this.addClientCandidates(params);
+          break;
+        case 'subscribe':
+          result = this.subscribeWebSocket(ws, subscriptions, params);
+          break;
+        default:
+          throw new ApiError(400, `Unknown method: ${method}`);
+      }
+      ws.send(JSON.stringify({ id, result }));
+    } catch (err) {
+      if (!(err instanceof ApiError)) {
+        console.error('Error in WebSocket request:', err);
+      }
+      ws.send(JSON.stringify({ id, error: err.message, status: err.status || 400 }));
+    }
+  }
+
+  /**
+   * Push a session's events over a WebSocket as { type: 'event', sessionId, event, data }
+   */
+  subscribeWebSocket(ws, subscriptions, { sessionId, candidateIndex } = {}) {
+    this.getLiveSession(sessionId);
+    if (!subscriptions.has(sessionId)) {
+      if (subscriptions.size >= MAX_SOCKET_SUBSCRIPTIONS) {
+        throw new ApiError(429, 'Too many subscriptions');
+      }
+      let ended = false;
+      const stop = this.watchSession(sessionId, candidateIndex, (event, data) => {
+        ws.send(JSON.stringify({ type: 'event', sessionId, event, data }));
+        if (event === 'end') {
+          ended = true;
+          subscriptions.delete(sessionId);
+        }
+      });
+      if (!ended) {
+        subscriptions.set(sessionId, stop);
+      }
+    }
+    return { subscribed: true };
+  }
+
+  /**
+   * Write one Server-Sent Event
+   */
+  writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Answer fields shared by poll responses and `answer` events
+   */
+  answerFields(sessionId, session) {
+    return {
+      success: true,
+      serverPublicKey: session.answer.serverPublicKey,
+      sessionId,
+      timestamp: session.answer.timestamp,
+      payload: session.answer.payload,
+      serverSignature: session.answer.signature,
+      serverSignatureAlgorithm: session.answer.signatureAlgorithm
+    };
+  }
+
+  /**
+   * Whether a session has an answer or candidates the client has not seen
+   */
+  hasSessionNews(session, candidateIndex, answerReceived) {
+    if (session.answer && !answerReceived) {
+      return true;
+    }
+    return session.trickle &&
+      (session.serverCandidates.length > candidateIndex || session.serverCandidatesComplete);
+  }
+
+  /**
+   * Call listener whenever the session changes; returns a function that removes it
+   */
+  addSessionListener(sessionId, listener) {
+    let listeners = this.sessionListeners.get(sessionId);
+    if (!listeners) {
+      listeners = new Set();
+      this.sessionListeners.set(sessionId, listeners);
+    }
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0 && this.sessionListeners.get(sessionId) === listeners) {
+        this.sessionListeners.delete(sessionId);
+      }
+    };
+  }
+
+  /**
+   * Wake everything waiting on a session
+   */
+  notifySession(sessionId) {
+    const listeners = this.sessionListeners.get(sessionId);
+    if (listeners) {
+      for (const listener of [...listeners]) {
+        listener();
+      }
+    }
+  }
+
+  /**
+   * Resolve when the session changes, timeoutMs passes or the client goes away
+   */
+  waitForSession(sessionId, timeoutMs, res) {
+    return new Promise((resolve) => {
+      let timer = null;
+      let removeListener = null;
+      const done = () => {
+        clearTimeout(timer);
+        removeListener();
+        res.off('close', done);
+        resolve();
+      };
+      removeListener = this.addSessionListener(sessionId, done);
+      timer = setTimeout(done, timeoutMs);
+      res.on('close', done);
+    });
+  }
+
+  /**
+   * Whether the admin API is configured
+   */
+  isAdminEnabled() {
+    return !!(this.adminTokenHash && typeof this.migrateServers === 'function');
+  }
+
+  /**
+   * Check admin bearer token
+   * Compares SHA-256 digests so the comparison is constant-time and length-independent
+   */
+  isAdminAuthorized(req) {
+    const header = req.headers['authorization'] || '';
+    const match = /^Bearer (.+)$/.exec(header);
+    if (!match) {
+      return false;
+    }
+    const tokenHash = crypto.createHash('sha256').update(match[1]).digest();
+    return crypto.timingSafeEqual(tokenHash, this.adminTokenHash);
+  }
+
+  /**
+   * POST /api/admin/migrate
+   * Sends MIGRATE to one server (serverPublicKey) or to every registered server
+   * Requires: Authorization: Bearer <admin token>
+   */
+  async handleAdminMigrate(req, res) {
+    try {
+      if (!this.isAdminAuthorized(req)) {
+        this.sendError(res, 401, 'Unauthorized');
+        return;
+      }
+
+      const body = await this.readBody(req);
+      const { host, port, publicKey, serverPublicKey } = body;
+
+      if (!host || !port || !publicKey) {
+        this.sendError(res, 400, 'Missing required fields');
+        return;
+      }
+
+      const result = await this.migrateServers({
+        target: { host, port, publicKey },
+        serverPublicKey
+      });
+
+      this.sendJSON(res, 200, { success: true, ...result });
+    } catch (err) {
+      console.error('Error in handleAdminMigrate:', err);
+      const status = err.message === 'Server not found' ? 404 : 400;
+      this.sendError(res, status, err.message);
+    }
+  }
+
+  /**
+   * POST /api/candidates
+   * Client trickles ICE candidates; buffered in the session and relayed to the server
+   */
+  async handleCandidates(req, res) {
+    try {
+      const body = await this.readBody(req);
+      this.sendJSON(res, 200, await this.addClientCandidates(body));
+    } catch (err) {
+      this.sendApiError(res, err, 'handleCandidates');
+    }
+  }
+
+  /**
+   * Buffer client candidates and relay them to the server
+   */
+  async addClientCandidates(body) {
+    const { sessionId, candidates, complete } = body;
+
+    if (!sessionId || !Array.isArray(candidates)) {
+      throw new ApiError(400, 'Missing sessionId or candidates');
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new ApiError(404, 'Session not found');
+    }
+
+    if (Date.now() - session.timestamp > this.sessionTimeout) {
+      this.sessions.delete(sessionId);
+      throw new ApiError(408, 'Session expired');
+    }
+
+    if (!session.trickle || typeof this.relayCandidates !== 'function') {
+      throw new ApiError(409, 'Session does not use trickle ICE');
+    }
+
+    if (session.clientCandidates.length + candidates.length > MAX_SESSION_CANDIDATES) {
+      throw new ApiError(413, 'Too many candidates');
+    }
+
+    const server = this.getServerByPublicKey(session.serverPublicKey);
+    if (!server) {
+      throw new ApiError(404, 'Server not found');
+    }
+
+    session.clientCandidates.push(...candidates);
+
+    try {
+      await this.relayCandidates({
+        ipPort: server.ipPort,
+        sessionId,
+        candidates,
+        complete: !!complete,
+        serverPublicKey: session.serverPublicKey
+      });
+    } catch (err) {
+      console.error('Error relaying candidates to server:', err);
+      throw new ApiError(500, 'Failed to relay candidates to server');
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Whether a registry entry negotiated trickle ICE
+   */
+  supportsTrickle(server) {
+    return !!(server.capabilities & CAPABILITIES.TRICKLE_ICE);
+  }
+
+  /**
+   * Store ICE candidates trickled by the server
+   * Called by UDP server; ignored unless the session belongs to that server
+   */
+  storeServerCandidates(sessionId, serverPublicKey, candidates, complete) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.trickle || session.serverPublicKey !== serverPublicKey) {
+      return false;
+    }
+    if (session.serverCandidates.length + candidates.length > MAX_SESSION_CANDIDATES) {
+      return false;
+    }
+    session.serverCandidates.push(...candidates);
+    if (complete) {
+      session.serverCandidatesComplete = true;
+    }
+    this.notifySession(sessionId);
+    return true;
+  }
+
   /**
    * Store server answer for a session
-   * Called by UDP server when server responds
+   * Called by UDP server when server responds; returns false for unknown sessions
    */
   storeServerAnswer(sessionId, serverPublicKey, payload, signature, signatureAlgorithm, timestamp) {
     const session = this.sessions.get(sessionId);
-    if (session) {
-      session.answer = { serverPublicKey, payload, signature, signatureAlgorithm, timestamp };
+    if (!session) {
+      return false;
     }
+    session.answer = { serverPublicKey, payload, signature, signatureAlgorithm, timestamp };
+    this.notifySession(sessionId);
+    return true;
   }
 
   /**
@@ -453,6 +1010,7 @@ export class HTTPSServer {
     
     expiredSessions.forEach(sessionId => {
       this.sessions.delete(sessionId);
+      this.notifySession(sessionId);
     });
     
     if (expiredSessions.length > 0) {
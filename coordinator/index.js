@@ -1,6 +1,9 @@
 import { promises as fsPromises } from 'fs';
 import path from 'path';
 import { ServerRegistry } from './registry.js';
+import { RegistryStore } from './registry-store.js';
+import { Cluster } from './cluster.js';
+import { TurnServer } from './turn.js';
 import { UDPServer } from '../shared/protocol.js';
 import { loadKeys, generateSigningKeyPair, saveKeys, normalizeSignatureAlgorithm, loadTLSCertificates } from '../shared/keys.js';
 import { normalizeKeyAgreementCurve } from '../shared/crypto.js';
@@ -11,6 +14,7 @@ const _CONFIG_DIR = path.join(process.env.HOME || process.env.USERPROFILE || '/r
 const _CONFIG_PATH = path.join(_CONFIG_DIR, 'coordinator.json');
 const _PRIVATE_KEY_PATH = path.join(_CONFIG_DIR, 'coordinator.key');
 const _PUBLIC_KEY_PATH = path.join(_CONFIG_DIR, 'coordinator.pub');
+const _REGISTRY_PATH = path.join(_CONFIG_DIR, 'registry.json');
 
 const _DEFAULT_COORDINATOR_CONFIG = {
   udp: {
@@ -25,7 +29,8 @@ const _DEFAULT_COORDINATOR_CONFIG = {
     keyAgreementCurve: 'x25519'
   },
   serverTimeout: 120000,
-  maxServers: 100
+  maxServers: 100,
+  persistRegistry: false
 };
 
 /**
@@ -39,6 +44,8 @@ class Coordinator {
     this.registry = null;
     this.udpServer = null;
     this.httpsServer = null;
+    this.cluster = null;
+    this.turnServer = null;
     this.coordinatorKeys = null;
   }
 
@@ -94,16 +101,47 @@ class Coordinator {
     // Initialize registry
     this.registry = new ServerRegistry({
       serverTimeout: this.config.serverTimeout,
-      maxServers: this.config.maxServers
+      maxServers: this.config.maxServers,
+      store: this.config.registryPath ? new RegistryStore(this.config.registryPath) : null
     });
 
+    // Servers registered before a restart keep their sessions
+    if (this.registry.store) {
+      try {
+        const restored = await this.registry.restore();
+        console.log(`Restored ${restored} server${restored === 1 ? '' : 's'} from ${this.config.registryPath}`);
+      } catch (error) {
+        console.error('Error restoring registry, starting empty:', error.message);
+      }
+    }
+
     // Initialize UDP server
     this.udpServer = new UDPServer(this.registry, this.coordinatorKeys, {
       port: this.config.udp.port,
+      host: this.config.udp.host,
+      stun: this.config.udp.stun,
       keyAgreementCurve,
       signatureAlgorithm
     });
 
+    // Peer coordinators share registry entries and forward signaling
+    if (this.config.cluster) {
+      this.cluster = new Cluster(this.registry, {
+        ...this.config.cluster,
+        serverTimeout: this.config.serverTimeout
+      });
+    }
+
+    // Optional TURN relay for peers behind symmetric NAT
+    if (this.config.turn) {
+      // Peers may not target the coordinator's own UDP ports through the relay
+      const reservedPorts = [this.config.udp.port];
+      if (this.config.cluster) {
+        reservedPorts.push(this.cluster.port);
+      }
+      this.turnServer = new TurnServer({ ...this.config.turn, reservedPorts });
+    }
+
     const tlsOptions = await tlsLoadPromise;
 
     // Initialize HTTPS server with TLS config from config file
@@ -112,17 +150,36 @@ class Coordinator {
       host: this.config.https.host,
       ...tlsOptions,
       signatureAlgorithm,
-      relayOffer: async ({ ipPort, sessionId, payload }) => {
+      relayOffer: async ({ ipPort, sessionId, payload, serverPublicKey }) => {
+        if (this.isRemoteServer(serverPublicKey)) {
+          await this.cluster.forwardOffer({ serverPublicKey, sessionId, payload });
+          return;
+        }
         await this.udpServer.sendOfferToServer(ipPort, sessionId, payload);
       },
-      getServerByPublicKey: (publicKey) => this.registry.getServerByPublicKey(publicKey),
-      verifyChallenge: (publicKey, answer) => this.registry.verifyChallenge(publicKey, answer)
+      relayCandidates: async ({ ipPort, sessionId, candidates, complete, serverPublicKey }) => {
+        if (this.isRemoteServer(serverPublicKey)) {
+          await this.cluster.forwardCandidates({ serverPublicKey, sessionId, candidates, complete });
+          return;
+        }
+        await this.udpServer.sendCandidatesToServer(ipPort, sessionId, candidates, complete);
+      },
+      getServerByPublicKey: (publicKey) => this.findServer(publicKey),
+      getIceServers: (publicKey) => [
+        ...(this.turnServer ? [this.turnServer.issueCredentials(publicKey)] : []),
+        ...(this.config.iceServers || [])
+      ],
+      verifyChallenge: (publicKey, challenge) =>
+        this.registry.verifyChallenge(publicKey, challenge) || !!this.cluster?.verifyChallenge(publicKey, challenge),
+      adminToken: this.config.admin?.token,
+      migrateServers: (request) => this.migrateServers(request)
     });
 
     // Register answer handler to relay to HTTPS clients
+    // Answers for sessions another cluster node holds are sent back to it
     this.udpServer.on('answer', (answerData, sessionId) => {
       if (this.httpsServer) {
-        this.httpsServer.storeServerAnswer(
+        const stored = this.httpsServer.storeServerAnswer(
           sessionId,
           answerData.serverPublicKey,
           answerData.payload,
@@ -130,16 +187,122 @@ class Coordinator {
           answerData.signatureAlgorithm,
           answerData.timestamp
         );
+        if (!stored && this.cluster) {
+          this.cluster.forwardAnswer(sessionId, answerData);
+        }
       }
     });
 
+    // Relay server ICE candidates to polling clients
+    this.udpServer.on('candidates', ({ serverPublicKey, sessionId, candidates, complete }) => {
+      if (this.httpsServer) {
+        const stored = this.httpsServer.storeServerCandidates(sessionId, serverPublicKey, candidates, complete);
+        if (!stored && this.cluster) {
+          this.cluster.forwardServerCandidates(sessionId, { serverPublicKey, candidates, complete });
+        }
+      }
+    });
+
+    if (this.cluster) {
+      this.initCluster();
+    }
+
     console.log('Coordinator initialized');
   }
 
+  /**
+   * Forward signaling between cluster nodes
+   * The node holding a server's UDP mapping delivers offers and candidates;
+   * the node holding the client's HTTP session stores answers and candidates.
+   */
+  initCluster() {
+    this.cluster.on('offer', async ({ serverPublicKey, sessionId, payload }) => {
+      const server = this.registry.getServerByPublicKey(serverPublicKey);
+      if (!server) {
+        throw new Error('Server not found');
+      }
+      await this.udpServer.sendOfferToServer(server.ipPort, sessionId, payload);
+    });
+
+    this.cluster.on('candidates', async ({ serverPublicKey, sessionId, candidates, complete }) => {
+      const server = this.registry.getServerByPublicKey(serverPublicKey);
+      if (!server) {
+        throw new Error('Server not found');
+      }
+      await this.udpServer.sendCandidatesToServer(server.ipPort, sessionId, candidates, complete);
+    });
+
+    this.cluster.on('answer', ({ sessionId, serverPublicKey, payload, signature, signatureAlgorithm, timestamp }) => {
+      this.httpsServer.storeServerAnswer(sessionId, serverPublicKey, payload, signature, signatureAlgorithm, timestamp);
+    });
+
+    this.cluster.on('serverCandidates', ({ sessionId, serverPublicKey, candidates, complete }) => {
+      this.httpsServer.storeServerCandidates(sessionId, serverPublicKey, candidates, complete);
+    });
+
+    // Peers learn about new registrations and refreshed challenges right away
+    // (listeners, so handlers set with udpServer.on() do not replace them)
+    this.udpServer.addListener('register', ({ serverPublicKey }) => {
+      this.cluster.gossip(serverPublicKey);
+    });
+    this.udpServer.addListener('heartbeat', (message, ipPort) => {
+      const server = this.registry.getServerByIpPort(ipPort);
+      if (server) {
+        this.cluster.gossip(server.publicKey);
+      }
+    });
+  }
+
+  /**
+   * Registry entry for a server, local or from a cluster peer
+   * When both exist the more recently refreshed one wins.
+   */
+  findServer(serverPublicKey) {
+    return this.isRemoteServer(serverPublicKey)
+      ? this.cluster.getServer(serverPublicKey)
+      : this.registry.getServerByPublicKey(serverPublicKey);
+  }
+
+  /**
+   * Whether a server's UDP mapping is held by another cluster node
+   */
+  isRemoteServer(serverPublicKey) {
+    const remote = this.cluster?.getServer(serverPublicKey);
+    if (!remote) {
+      return false;
+    }
+    const local = this.registry.getServerByPublicKey(serverPublicKey);
+    return !local || remote.timestamp > local.timestamp;
+  }
+
+  /**
+   * Move servers to another coordinator
+   * Migrates a single server when serverPublicKey is given, otherwise all registered servers
+   * Returns { migrated, failed: [{ ipPort, error }] }
+   */
+  async migrateServers({ target, serverPublicKey }) {
+    if (!serverPublicKey) {
+      return this.udpServer.migrateAll(target);
+    }
+
+    const server = this.registry.getServerByPublicKey(serverPublicKey);
+    if (!server) {
+      throw new Error('Server not found');
+    }
+    await this.udpServer.sendMigrate(server.ipPort, target);
+    return { migrated: 1, failed: [] };
+  }
+
   async start() {
     await this.init();
     await this.udpServer.start();
     await this.httpsServer.start();
+    if (this.cluster) {
+      await this.cluster.start();
+    }
+    if (this.turnServer) {
+      await this.turnServer.start();
+    }
     
     console.log('Coordinator started');
     console.log(`UDP port: ${this.config.udp.port}`);
@@ -161,11 +324,20 @@ class Coordinator {
       await this.httpsServer.stop();
     }
     
+    if (this.cluster) {
+      await this.cluster.stop();
+    }
+
+    if (this.turnServer) {
+      await this.turnServer.stop();
+    }
+
     if (this.udpServer) {
       await this.udpServer.stop();
     }
     
     if (this.registry) {
+      await this.registry.persist();
       this.registry.destroy();
     }
 
@@ -199,6 +371,9 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     // Inject key paths — not stored in config file
     config.privateKeyPath = _PRIVATE_KEY_PATH;
     config.publicKeyPath = _PUBLIC_KEY_PATH;
+    if (config.persistRegistry) {
+      config.registryPath = _REGISTRY_PATH;
+    }
 
     const coordinator = new Coordinator(config);
 
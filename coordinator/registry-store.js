@@ -0,0 +1,120 @@
+/**
+ * Snapshot + journal persistence for the server registry
+ * Snapshot: <path>          { version, savedAt, servers: { serverPublicKey: entry } }
+ * Journal:  <path>.journal  one JSON record per line, applied on top of the snapshot
+ *           { op: 'put', key, server } | { op: 'remove', key }
+ *           | { op: 'counters', key, pingCounter, replayWindow } (incoming
+ *           counters, journaled on every accepted message so a restart
+ *           cannot reopen them to replays)
+ * Both files are written with 0600 permissions: entries hold session secrets.
+ * Writes run one at a time in call order; a snapshot replaces the journal.
+ */
+
+import { promises as fsPromises } from 'fs';
+
+const SNAPSHOT_VERSION = 1;
+
+export class RegistryStore {
+  constructor(filePath) {
+    this.path = filePath;
+    this.journalPath = `${filePath}.journal`;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Read the snapshot and apply the journal
+   * Returns Map: serverPublicKey -> entry (empty when nothing was saved)
+   * A truncated last journal line (crash during a write) is ignored.
+   */
+  async load() {
+    const servers = new Map();
+
+    try {
+      const snapshot = JSON.parse(await fsPromises.readFile(this.path, 'utf8'));
+      if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported registry snapshot version: ${snapshot.version}`);
+      }
+      for (const [key, server] of Object.entries(snapshot.servers || {})) {
+        servers.set(key, server);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    let journal = '';
+    try {
+      journal = await fsPromises.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const lines = journal.split('\n').filter(Boolean);
+    for (const [index, line] of lines.entries()) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        if (index === lines.length - 1) break;
+        throw new Error(`Corrupt registry journal at line ${index + 1}`);
+      }
+      if (record.op === 'put') {
+        servers.set(record.key, record.server);
+      } else if (record.op === 'remove') {
+        servers.delete(record.key);
+      } else if (record.op === 'counters' && servers.has(record.key)) {
+        const server = servers.get(record.key);
+        servers.set(record.key, { ...server, pingCounter: record.pingCounter, replayWindow: record.replayWindow });
+      }
+    }
+    return servers;
+  }
+
+  /**
+   * Append one record to the journal
+   */
+  append(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    return this._enqueue(() => fsPromises.appendFile(this.journalPath, line, { mode: 0o600 }));
+  }
+
+  /**
+   * Write a snapshot of all entries and start a new journal
+   * entries: Map or iterable of [serverPublicKey, entry]
+   * The snapshot is written to a temporary file and renamed into place, so a
+   * crash leaves either the old or the new snapshot.
+   */
+  save(entries) {
+    const data = JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      servers: Object.fromEntries(entries)
+    });
+
+    return this._enqueue(async () => {
+      const tmpPath = `${this.path}.tmp`;
+      await fsPromises.rm(tmpPath, { force: true });
+      await fsPromises.writeFile(tmpPath, data, { mode: 0o600 });
+      await fsPromises.rename(tmpPath, this.path);
+      await fsPromises.rm(this.journalPath, { force: true });
+    });
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  flush() {
+    return this.queue;
+  }
+
+  // Failed writes are logged; later writes still run
+  _enqueue(write) {
+    this.queue = this.queue.then(write).catch((error) => {
+      console.error('Error writing registry store:', error.message);
+    });
+    return this.queue;
+  }
+}
@@ -1,48 +1,310 @@
 /**
  * Memory-compact server registry with dual-index for O(1) lookups
- * Map: serverPublicKey (base64) -> { ipPort, challenge, expectedAnswer, timestamp }
+ * Map: serverPublicKey (base64) -> { ipPort, challenge, challengeKey, timestamp, version, capabilities,
+ *                                    sessionId, pingKey, pingCounter,
+ *                                    trafficSecret, previousTrafficSecret, rekeyReply,
+ *                                    sendSeq, replayWindow }
  * Index: ipPort -> serverPublicKey (base64) (for fast reverse lookup)
+ * Index: sessionId -> serverPublicKey (base64) (authenticated PINGs from a new address)
+ * ipPort keys: "203.0.113.5:3478" for IPv4, "[2001:db8::1]:3478" for IPv6
  * Note: Keys stored as base64 (without PEM headers) for memory efficiency
+ * Optional store (RegistryStore): changes are journaled and a snapshot is
+ * written every minute, so restore() can bring servers back after a restart
  */
 
+import { checkReplayWindow } from '../shared/crypto.js';
+
+// Coordinator→server sequence numbers skip ahead after a restore: messages
+// sent after the last save used numbers the server has already seen
+const RESTORED_SEQUENCE_GAP = 65536;
+
+// Registry entry <-> JSON (Buffers as hex, replay bitmap as a hex string)
+function serializeServer(server) {
+  return {
+    ...server,
+    pingKey: server.pingKey ? server.pingKey.toString('hex') : null,
+    trafficSecret: server.trafficSecret ? server.trafficSecret.toString('hex') : null,
+    previousTrafficSecret: server.previousTrafficSecret ? server.previousTrafficSecret.toString('hex') : null,
+    replayWindow: {
+      highest: server.replayWindow.highest,
+      bitmap: server.replayWindow.bitmap.toString(16)
+    }
+  };
+}
+
+function deserializeServer(data) {
+  return {
+    ...data,
+    pingKey: data.pingKey ? Buffer.from(data.pingKey, 'hex') : null,
+    trafficSecret: data.trafficSecret ? Buffer.from(data.trafficSecret, 'hex') : null,
+    previousTrafficSecret: data.previousTrafficSecret ? Buffer.from(data.previousTrafficSecret, 'hex') : null,
+    sendSeq: data.sendSeq + RESTORED_SEQUENCE_GAP,
+    replayWindow: {
+      highest: data.replayWindow.highest,
+      bitmap: BigInt(`0x${data.replayWindow.bitmap}`)
+    }
+  };
+}
+
 export class ServerRegistry {
   constructor(options = {}) {
     this.servers = new Map();
     this.ipPortIndex = new Map(); // ipPort -> serverPublicKey for O(1) lookup
+    this.sessionIndex = new Map(); // sessionId -> serverPublicKey for authenticated PINGs
     this.connectionLog = new Map(); // For rate limiting
     this.serverTimeout = options.serverTimeout || 300000; // 5 minutes
     this.maxServers = options.maxServers || 1000;
+    this.store = options.store || null;
     
-    // Start periodic cleanup
+    // Start periodic cleanup (and snapshot)
     this.cleanupInterval = setInterval(() => {
       this.cleanup();
+      this.persist();
     }, 60000).unref(); // Every minute, unref so it doesn't keep event loop alive
   }
 
+  /**
+   * Load servers from the store, skipping entries older than serverTimeout
+   * Returns the number of restored servers
+   */
+  async restore() {
+    if (!this.store) {
+      return 0;
+    }
+
+    const now = Date.now();
+    let restored = 0;
+    for (const [serverPublicKey, data] of await this.store.load()) {
+      if (now - data.timestamp > this.serverTimeout || this.isFull(serverPublicKey)) {
+        continue;
+      }
+      const server = deserializeServer(data);
+      this.servers.set(serverPublicKey, server);
+      this.ipPortIndex.set(server.ipPort, serverPublicKey);
+      if (server.sessionId) {
+        this.sessionIndex.set(server.sessionId, serverPublicKey);
+      }
+      restored++;
+    }
+
+    // Start from a snapshot without the expired entries
+    await this.persist();
+    return restored;
+  }
+
+  /**
+   * Write a snapshot of all servers to the store
+   * Keepalive timestamps are only saved here, not journaled
+   */
+  persist() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+    const entries = [...this.servers].map(([key, server]) => [key, serializeServer(server)]);
+    return this.store.save(entries);
+  }
+
+  /**
+   * Journal the current state of one server (or its removal)
+   */
+  _journal(serverPublicKey) {
+    if (!this.store) {
+      return;
+    }
+    const server = this.servers.get(serverPublicKey);
+    this.store.append(server
+      ? { op: 'put', key: serverPublicKey, server: serializeServer(server) }
+      : { op: 'remove', key: serverPublicKey });
+  }
+
+  /**
+   * Journal a server's incoming counters after an accepted message
+   * Snapshots are up to a minute old; without this, messages accepted since
+   * the last one could be replayed after a restart
+   */
+  _journalCounters(serverPublicKey, server) {
+    if (!this.store) {
+      return;
+    }
+    this.store.append({
+      op: 'counters',
+      key: serverPublicKey,
+      pingCounter: server.pingCounter,
+      replayWindow: { highest: server.replayWindow.highest, bitmap: server.replayWindow.bitmap.toString(16) }
+    });
+  }
+
+  /**
+   * Whether registering this server would exceed maxServers
+   * (re-registering a known server is always allowed)
+   */
+  isFull(serverPublicKey) {
+    return this.servers.size >= this.maxServers && !this.servers.has(serverPublicKey);
+  }
+
   /**
    * Register a server
+   * protocol: { version, capabilities } negotiated during HELLO (defaults: version 1, none)
+   * session: { sessionId, pingKey } for servers that authenticate their PINGs,
+   *          { trafficSecret } for servers with per-direction keys and sequence numbers
    */
-  register(serverPublicKey, ipPort, challenge, expectedAnswer) {
-    if (this.servers.size >= this.maxServers && !this.servers.has(serverPublicKey)) {
+  register(serverPublicKey, ipPort, challenge, challengeKey, protocol = {}, session = null) {
+    if (this.isFull(serverPublicKey)) {
       throw new Error('Maximum server limit reached');
     }
 
-    // Remove old ipPort index if re-registering with different IP
+    // Remove old indexes if re-registering with different IP or session
     const existingServer = this.servers.get(serverPublicKey);
     if (existingServer && existingServer.ipPort !== ipPort) {
       this.ipPortIndex.delete(existingServer.ipPort);
     }
+    if (existingServer?.sessionId) {
+      this.sessionIndex.delete(existingServer.sessionId);
+    }
 
     this.servers.set(serverPublicKey, {
       ipPort,
       challenge,
-      expectedAnswer,
-      timestamp: Date.now()
+      challengeKey,
+      timestamp: Date.now(),
+      version: protocol.version || 1,
+      capabilities: protocol.capabilities || 0,
+      sessionId: session?.sessionId || null,
+      pingKey: session?.pingKey || null,
+      pingCounter: 0,
+      trafficSecret: session?.trafficSecret || null,
+      previousTrafficSecret: null,
+      rekeyReply: null,
+      sendSeq: 0,
+      replayWindow: { highest: 0, bitmap: 0n }
     });
 
-    // Maintain ipPort index
+    // Maintain indexes
     this.ipPortIndex.set(ipPort, serverPublicKey);
+    if (session?.sessionId) {
+      this.sessionIndex.set(session.sessionId, serverPublicKey);
+    }
+    this._journal(serverPublicKey);
+
+    return true;
+  }
+
+  /**
+   * Get server by PING session id
+   */
+  getServerBySessionId(sessionId) {
+    const serverPublicKey = this.sessionIndex.get(sessionId);
+    if (!serverPublicKey) {
+      return null;
+    }
+
+    const server = this.servers.get(serverPublicKey);
+    if (server) {
+      return { publicKey: serverPublicKey, ...server };
+    }
+    return null;
+  }
+
+  /**
+   * Record an authenticated PING
+   * Returns false for a replayed or reordered counter; otherwise refreshes the timestamp
+   */
+  recordPing(serverPublicKey, counter) {
+    const server = this.servers.get(serverPublicKey);
+    if (!server || counter <= server.pingCounter) {
+      return false;
+    }
+    server.pingCounter = counter;
+    server.timestamp = Date.now();
+    this._journalCounters(serverPublicKey, server);
+    return true;
+  }
+
+  /**
+   * Next sequence number for a message to this server
+   */
+  nextSequence(serverPublicKey) {
+    const server = this.servers.get(serverPublicKey);
+    if (!server) {
+      throw new Error('Server not found');
+    }
+    return ++server.sendSeq;
+  }
+
+  /**
+   * Record the sequence number of a message from this server
+   * Returns false for a replayed or too old sequence number
+   */
+  recordSequence(serverPublicKey, seq) {
+    const server = this.servers.get(serverPublicKey);
+    const window = server && checkReplayWindow(server.replayWindow, seq);
+    if (!window) {
+      return false;
+    }
+    server.replayWindow = window;
+    this._journalCounters(serverPublicKey, server);
+    return true;
+  }
+
+  /**
+   * Switch a server to a new traffic secret after a rekey
+   * The secret the server still uses is kept as previousTrafficSecret until
+   * confirmRekey(); a rekey before then replaces only the unconfirmed secret.
+   * rekeyReply: { serverKey, ecdhPublicKey } (hex) to answer a repeated REKEY alike
+   */
+  rekey(serverPublicKey, trafficSecret, rekeyReply = null) {
+    const server = this.servers.get(serverPublicKey);
+    if (!server) {
+      return false;
+    }
+    if (server.previousTrafficSecret) {
+      server.trafficSecret?.fill(0);
+    } else {
+      server.previousTrafficSecret = server.trafficSecret;
+    }
+    server.trafficSecret = trafficSecret;
+    server.rekeyReply = rekeyReply;
+    this._journal(serverPublicKey);
+    return true;
+  }
+
+  /**
+   * The server uses the new traffic secret: erase the previous one
+   */
+  confirmRekey(serverPublicKey) {
+    const server = this.servers.get(serverPublicKey);
+    if (!server?.previousTrafficSecret) {
+      return false;
+    }
+    server.previousTrafficSecret.fill(0);
+    server.previousTrafficSecret = null;
+    server.rekeyReply = null;
+    this._journal(serverPublicKey);
+    return true;
+  }
+
+  /**
+   * Move a server to a new IP:port after its NAT rebinding
+   * Another server still indexed at the new address is stale and removed.
+   */
+  rebind(serverPublicKey, newIpPort) {
+    const server = this.servers.get(serverPublicKey);
+    if (!server) {
+      return false;
+    }
+    if (server.ipPort === newIpPort) {
+      return true;
+    }
 
+    const staleKey = this.ipPortIndex.get(newIpPort);
+    if (staleKey && staleKey !== serverPublicKey) {
+      this.remove(staleKey);
+    }
+
+    this.ipPortIndex.delete(server.ipPort);
+    server.ipPort = newIpPort;
+    this.ipPortIndex.set(newIpPort, serverPublicKey);
+    this._journal(serverPublicKey);
     return true;
   }
 
@@ -68,7 +330,7 @@ export class ServerRegistry {
    * Update challenge (for challenge refresh)
    * Optimized with O(1) lookup via ipPortIndex
    */
-  updateChallenge(ipPort, newChallenge, newExpectedAnswer) {
+  updateChallenge(ipPort, newChallenge, newChallengeKey) {
     const serverPublicKey = this.ipPortIndex.get(ipPort);
     if (!serverPublicKey) {
       return false;
@@ -77,8 +339,9 @@ export class ServerRegistry {
     const server = this.servers.get(serverPublicKey);
     if (server) {
       server.challenge = newChallenge;
-      server.expectedAnswer = newExpectedAnswer;
+      server.challengeKey = newChallengeKey;
       server.timestamp = Date.now();
+      this._journal(serverPublicKey);
       return true;
     }
     return false;
@@ -109,28 +372,14 @@ export class ServerRegistry {
   }
 
   /**
-   * Get expected answer for server
-   * Optimized with O(1) lookup via ipPortIndex
+   * Check that a client presents the server's current challenge
    */
-  getExpectedAnswer(ipPort) {
-    const serverPublicKey = this.ipPortIndex.get(ipPort);
-    if (!serverPublicKey) {
-      return null;
-    }
-    
-    const server = this.servers.get(serverPublicKey);
-    return server ? server.expectedAnswer : null;
-  }
-
-  /**
-   * Verify challenge answer
-   */
-  verifyChallenge(serverPublicKey, answer) {
+  verifyChallenge(serverPublicKey, challenge) {
     const server = this.servers.get(serverPublicKey);
     if (!server) {
       return false;
     }
-    return server.expectedAnswer === answer;
+    return server.challenge === challenge;
   }
 
   /**
@@ -148,7 +397,12 @@ export class ServerRegistry {
     const server = this.servers.get(serverPublicKey);
     if (server) {
       this.ipPortIndex.delete(server.ipPort);
-      return this.servers.delete(serverPublicKey);
+      if (server.sessionId) {
+        this.sessionIndex.delete(server.sessionId);
+      }
+      this.servers.delete(serverPublicKey);
+      this._journal(serverPublicKey);
+      return true;
     }
     return false;
   }
@@ -163,8 +417,7 @@ export class ServerRegistry {
       return false;
     }
     
-    this.ipPortIndex.delete(ipPort);
-    return this.servers.delete(serverPublicKey);
+    return this.remove(serverPublicKey);
   }
 
   /**
@@ -181,11 +434,7 @@ export class ServerRegistry {
     }
 
     expiredKeys.forEach(key => {
-      const server = this.servers.get(key);
-      if (server) {
-        this.ipPortIndex.delete(server.ipPort);
-      }
-      this.servers.delete(key);
+      this.remove(key);
     });
 
     if (expiredKeys.length > 0) {
@@ -240,6 +489,7 @@ export class ServerRegistry {
     }
     this.servers.clear();
     this.ipPortIndex.clear();
+    this.sessionIndex.clear();
     this.connectionLog.clear();
   }
 }
@@ -29,7 +29,7 @@ import {
   signData, 
   verifySignature, 
   generateChallenge, 
-  hashChallengeAnswer, 
+  generateChallengeKey, 
   deriveAESKey, 
   encryptAES, 
   decryptAES,
@@ -75,7 +75,7 @@ class MockServer {
     });
   }
 
-  async sendRegister(coordinatorPort, challenge, expectedAnswer) {
+  async sendRegister(coordinatorPort, challenge, challengeKey) {
     // Phase 1: Send HELLO with random tag
     const crypto = await import('crypto');
     this.serverTag = crypto.default.randomBytes(4);
@@ -173,7 +173,7 @@ class MockServer {
     const regTimestamp = Date.now();
     const regPayload = {
       challenge,
-      challengeAnswerHash: expectedAnswer
+      challengeKey: challengeKey
     };
     
     // Server signs both ECDH keys to bind them (no need to send keys back)
@@ -208,10 +208,10 @@ class MockServer {
     return this.sendBinary(Buffer.alloc(0), coordinatorPort, MESSAGE_TYPES.PING);
   }
 
-  sendHeartbeat(coordinatorPort, expectedAnswer, newChallenge, newExpectedAnswer) {
+  sendHeartbeat(coordinatorPort, challengeKey, newChallenge, newChallengeKey) {
     const payload = {
       newChallenge,
-      challengeAnswerHash: newExpectedAnswer
+      challengeKey: newChallengeKey
     };
 
     const message = {
@@ -219,10 +219,10 @@ class MockServer {
       payload
     };
 
-    return this.send(message, coordinatorPort, MESSAGE_TYPES.HEARTBEAT, true, expectedAnswer);
+    return this.send(message, coordinatorPort, MESSAGE_TYPES.HEARTBEAT, true, challengeKey);
   }
 
-  sendAnswer(coordinatorPort, expectedAnswer, sessionId, sdp, candidates) {
+  sendAnswer(coordinatorPort, challengeKey, sessionId, sdp, candidates) {
     const payload = { sdp, candidates };
     const timestamp = Date.now();
     
@@ -243,16 +243,16 @@ class MockServer {
       }, this.serverPrivateKey)
     };
 
-    return this.send(message, coordinatorPort, MESSAGE_TYPES.ANSWER, true, expectedAnswer);
+    return this.send(message, coordinatorPort, MESSAGE_TYPES.ANSWER, true, challengeKey);
   }
 
-  send(message, coordinatorPort, messageType, encrypt = false, expectedAnswer = null) {
+  send(message, coordinatorPort, messageType, encrypt = false, challengeKey = null) {
     return new Promise((resolve, reject) => {
       let payload;
       
-      if (encrypt && expectedAnswer) {
-        // Encrypt message using expectedAnswer as key
-        const key = deriveAESKey(expectedAnswer);
+      if (encrypt && challengeKey) {
+        // Encrypt message using challengeKey as key
+        const key = deriveAESKey(challengeKey);
         payload = encryptAES(message, key);
       } else {
         // Unencrypted JSON
@@ -320,14 +320,14 @@ describe('ServerRegistry', () => {
     const publicKey = 'test-key-1';
     const ipPort = '127.0.0.1:12345';
     const challenge = 'challenge1';
-    const expectedAnswer = 'answer1';
+    const challengeKey = 'key1';
 
-    registry.register(publicKey, ipPort, challenge, expectedAnswer);
+    registry.register(publicKey, ipPort, challenge, challengeKey);
 
     const server = registry.getServerByPublicKey(publicKey);
     assert.strictEqual(server.ipPort, ipPort);
     assert.strictEqual(server.challenge, challenge);
-    assert.strictEqual(server.expectedAnswer, expectedAnswer);
+    assert.strictEqual(server.challengeKey, challengeKey);
   });
 
   test('should get server by IP:port', () => {
@@ -360,23 +360,22 @@ describe('ServerRegistry', () => {
     const publicKey = 'test-key-4';
     const ipPort = '127.0.0.1:12348';
 
-    registry.register(publicKey, ipPort, 'challenge1', 'answer1');
-    registry.updateChallenge(ipPort, 'challenge2', 'answer2');
+    registry.register(publicKey, ipPort, 'challenge1', 'key1');
+    registry.updateChallenge(ipPort, 'challenge2', 'key2');
 
     const server = registry.getServerByPublicKey(publicKey);
     assert.strictEqual(server.challenge, 'challenge2');
-    assert.strictEqual(server.expectedAnswer, 'answer2');
+    assert.strictEqual(server.challengeKey, 'key2');
   });
 
   test('should verify challenge', () => {
     const publicKey = 'test-key-5';
     const ipPort = '127.0.0.1:12349';
-    const expectedAnswer = 'correct-answer';
 
-    registry.register(publicKey, ipPort, 'challenge', expectedAnswer);
+    registry.register(publicKey, ipPort, 'current-challenge', 'key');
 
-    assert.strictEqual(registry.verifyChallenge(publicKey, expectedAnswer), true);
-    assert.strictEqual(registry.verifyChallenge(publicKey, 'wrong-answer'), false);
+    assert.strictEqual(registry.verifyChallenge(publicKey, 'current-challenge'), true);
+    assert.strictEqual(registry.verifyChallenge(publicKey, 'old-challenge'), false);
   });
 
   test('should track connection attempts for rate limiting', () => {
@@ -390,6 +389,62 @@ describe('ServerRegistry', () => {
 
     assert.strictEqual(registry.isRateLimited(clientId, 3), true);
   });
+
+  test('should look up authenticated servers by session id and reject old counters', () => {
+    const publicKey = 'test-key-6';
+    registry.register(publicKey, '127.0.0.1:12350', 'challenge', 'answer', {}, {
+      sessionId: '0011223344556677',
+      pingKey: Buffer.alloc(32)
+    });
+
+    assert.strictEqual(registry.getServerBySessionId('0011223344556677').publicKey, publicKey);
+    assert.strictEqual(registry.recordPing(publicKey, 1), true);
+    assert.strictEqual(registry.recordPing(publicKey, 1), false);
+    assert.strictEqual(registry.recordPing(publicKey, 2), true);
+
+    // Re-registration replaces the session
+    registry.register(publicKey, '127.0.0.1:12350', 'challenge', 'answer');
+    assert.strictEqual(registry.getServerBySessionId('0011223344556677'), null);
+  });
+
+  test('should rebind a server to a new IP:port', () => {
+    const publicKey = 'test-key-7';
+    registry.register(publicKey, '127.0.0.1:12351', 'challenge', 'answer');
+    // Stale entry at the address the server moves to
+    registry.register('test-key-8', '127.0.0.1:12352', 'challenge', 'answer');
+
+    assert.strictEqual(registry.rebind(publicKey, '127.0.0.1:12352'), true);
+
+    assert.strictEqual(registry.getServerByIpPort('127.0.0.1:12351'), null);
+    assert.strictEqual(registry.getServerByIpPort('127.0.0.1:12352').publicKey, publicKey);
+    assert.strictEqual(registry.getServerByPublicKey('test-key-8'), undefined);
+    assert.strictEqual(registry.rebind('unknown-key', '127.0.0.1:12353'), false);
+  });
+
+  test('should keep the previous traffic secret until a rekey is confirmed', () => {
+    const publicKey = 'test-key-9';
+    const original = Buffer.alloc(32, 1);
+    registry.register(publicKey, '127.0.0.1:12354', 'challenge', 'answer', {}, { trafficSecret: original });
+
+    const first = Buffer.alloc(32, 2);
+    registry.rekey(publicKey, first, { serverKey: 'aa', ecdhPublicKey: 'bb' });
+    assert.strictEqual(registry.getServerByPublicKey(publicKey).previousTrafficSecret, original);
+
+    // A second rekey before confirmation replaces only the unconfirmed secret
+    const second = Buffer.alloc(32, 3);
+    registry.rekey(publicKey, second, { serverKey: 'cc', ecdhPublicKey: 'dd' });
+    const server = registry.getServerByPublicKey(publicKey);
+    assert.deepStrictEqual(first, Buffer.alloc(32));
+    assert.strictEqual(server.previousTrafficSecret, original);
+    assert.strictEqual(server.trafficSecret, second);
+    assert.strictEqual(server.rekeyReply.serverKey, 'cc');
+
+    assert.strictEqual(registry.confirmRekey(publicKey), true);
+    assert.deepStrictEqual(original, Buffer.alloc(32));
+    assert.strictEqual(server.previousTrafficSecret, null);
+    assert.strictEqual(server.rekeyReply, null);
+    assert.strictEqual(registry.confirmRekey(publicKey), false);
+  });
 });
 
 describe('Coordinator with Mock Server', () => {
@@ -432,14 +487,14 @@ describe('Coordinator with Mock Server', () => {
 
   test('should handle server registration', async () => {
     const challenge = generateChallenge();
-    const expectedAnswer = hashChallengeAnswer(challenge, 'password123');
+    const challengeKey = generateChallengeKey();
 
     let registered = false;
     udpServer.on('register', () => {
       registered = true;
     });
 
-    await mockServer.sendRegister(coordinatorPort, challenge, expectedAnswer);
+    await mockServer.sendRegister(coordinatorPort, challenge, challengeKey);
 
     // Wait for processing with timeout
     await withTimeout(
@@ -453,14 +508,14 @@ describe('Coordinator with Mock Server', () => {
     const server = registry.getServerByPublicKey(unwrapPublicKey(mockServer.serverPublicKey));
     assert.ok(server);
     assert.strictEqual(server.challenge, challenge);
-    assert.strictEqual(server.expectedAnswer, expectedAnswer);
+    assert.strictEqual(server.challengeKey, challengeKey);
   });
 
   test('should handle keepalive ping', async () => {
     // First register
     const challenge = generateChallenge();
-    const expectedAnswer = hashChallengeAnswer(challenge, 'password123');
-    await mockServer.sendRegister(coordinatorPort, challenge, expectedAnswer);
+    const challengeKey = generateChallengeKey();
+    await mockServer.sendRegister(coordinatorPort, challenge, challengeKey);
     await withTimeout(
       new Promise(resolve => setTimeout(resolve, 100)),
       500,
@@ -488,8 +543,8 @@ describe('Coordinator with Mock Server', () => {
   test('should handle challenge refresh heartbeat', async () => {
     // First register
     const challenge1 = generateChallenge();
-    const expectedAnswer1 = hashChallengeAnswer(challenge1, 'password123');
-    await mockServer.sendRegister(coordinatorPort, challenge1, expectedAnswer1);
+    const challengeKey1 = generateChallengeKey();
+    await mockServer.sendRegister(coordinatorPort, challenge1, challengeKey1);
     await withTimeout(
       new Promise(resolve => setTimeout(resolve, 100)),
       500,
@@ -498,14 +553,14 @@ describe('Coordinator with Mock Server', () => {
 
     // Send heartbeat with new challenge
     const challenge2 = generateChallenge();
-    const expectedAnswer2 = hashChallengeAnswer(challenge2, 'password123');
+    const challengeKey2 = generateChallengeKey();
 
     let heartbeatReceived = false;
     udpServer.on('heartbeat', () => {
       heartbeatReceived = true;
     });
 
-    await mockServer.sendHeartbeat(coordinatorPort, expectedAnswer1, challenge2, expectedAnswer2);
+    await mockServer.sendHeartbeat(coordinatorPort, challengeKey1, challenge2, challengeKey2);
     await withTimeout(
       new Promise(resolve => setTimeout(resolve, 100)),
       500,
@@ -516,14 +571,14 @@ describe('Coordinator with Mock Server', () => {
 
     const server = registry.getServerByPublicKey(unwrapPublicKey(mockServer.serverPublicKey));
     assert.strictEqual(server.challenge, challenge2);
-    assert.strictEqual(server.expectedAnswer, expectedAnswer2);
+    assert.strictEqual(server.challengeKey, challengeKey2);
   });
 
   test('should handle SDP answer', async () => {
     // First register
     const challenge = generateChallenge();
-    const expectedAnswer = hashChallengeAnswer(challenge, 'password123');
-    await mockServer.sendRegister(coordinatorPort, challenge, expectedAnswer);
+    const challengeKey = generateChallengeKey();
+    await mockServer.sendRegister(coordinatorPort, challenge, challengeKey);
     await withTimeout(
       new Promise(resolve => setTimeout(resolve, 100)),
       500,
@@ -542,7 +597,7 @@ describe('Coordinator with Mock Server', () => {
       receivedSessionId = sid;
     });
 
-    await mockServer.sendAnswer(coordinatorPort, expectedAnswer, sessionId, sdp, candidates);
+    await mockServer.sendAnswer(coordinatorPort, challengeKey, sessionId, sdp, candidates);
     await withTimeout(
       new Promise(resolve => setTimeout(resolve, 100)),
       500,
@@ -601,12 +656,12 @@ describe('Coordinator with Mock Server', () => {
     testMockServer.clearResponses();
 
     const challenge = generateChallenge();
-    const expectedAnswer = hashChallengeAnswer(challenge, 'password123');
+    const challengeKey = generateChallengeKey();
 
     // Create message with wrong signature
     const regPayload = {
       challenge,
-      challengeAnswerHash: expectedAnswer
+      challengeKey: challengeKey
     };
 
     // Create message with wrong signature (don't need to send ECDH keys)
@@ -638,8 +693,8 @@ describe('Coordinator with Mock Server', () => {
   test('should reject tampered heartbeat (AES-GCM authentication)', async () => {
     // First register
     const challenge1 = generateChallenge();
-    const expectedAnswer1 = hashChallengeAnswer(challenge1, 'password123');
-    await mockServer.sendRegister(coordinatorPort, challenge1, expectedAnswer1);
+    const challengeKey1 = generateChallengeKey();
+    await mockServer.sendRegister(coordinatorPort, challenge1, challengeKey1);
     await withTimeout(
       new Promise(resolve => setTimeout(resolve, 100)),
       500,
@@ -647,11 +702,11 @@ describe('Coordinator with Mock Server', () => {
     );
 
     const challenge2 = generateChallenge();
-    const expectedAnswer2 = hashChallengeAnswer(challenge2, 'password123');
+    const challengeKey2 = generateChallengeKey();
 
     const payload = {
       newChallenge: challenge2,
-      challengeAnswerHash: expectedAnswer2
+      challengeKey: challengeKey2
     };
 
     const message = {
@@ -660,7 +715,7 @@ describe('Coordinator with Mock Server', () => {
     };
 
     // Encrypt and then tamper with the ciphertext
-    const key = deriveAESKey(expectedAnswer1);
+    const key = deriveAESKey(challengeKey1);
     const encrypted = encryptAES(message, key);
     
     // Tamper with the encrypted data (flip a bit in the ciphertext)
@@ -724,7 +779,6 @@ describe('End-to-end Registration with Real UDPClient', () => {
   test('should successfully register server with signature verification', async () => {
     // Generate server keys
     const serverKeys = generateSigningKeyPair();
-    serverKeys.password = 'test-password';
 
     // Create UDP client
     const client = new UDPClient('127.0.0.1', coordinatorPort, serverKeys, {
@@ -768,7 +822,7 @@ describe('End-to-end Registration with Real UDPClient', () => {
     const server = registry.getServerByPublicKey(serverKeys.publicKey);
     assert.ok(server, 'Server should be in registry');
     assert.ok(server.challenge, 'Server should have challenge');
-    assert.ok(server.expectedAnswer, 'Server should have expectedAnswer');
+    assert.ok(server.challengeKey, 'Server should have challengeKey');
     assert.ok(server.ipPort, 'Server should have ipPort');
 
     await client.stop();
@@ -808,7 +862,6 @@ describe('Ping and Heartbeat with Short Intervals', () => {
   test('should send ping automatically with short interval', async () => {
     // Generate server keys
     const serverKeys = generateSigningKeyPair();
-    serverKeys.password = 'test-password';
 
     // Create UDP client with SHORT keepalive interval (200ms for testing)
     const client = new UDPClient('127.0.0.1', coordinatorPort, serverKeys, {
@@ -850,7 +903,6 @@ describe('Ping and Heartbeat with Short Intervals', () => {
   test('should send heartbeat automatically with short interval', async () => {
     // Generate server keys
     const serverKeys = generateSigningKeyPair();
-    serverKeys.password = 'test-password';
 
     // Create UDP client with SHORT heartbeat interval (300ms for testing)
     const client = new UDPClient('127.0.0.1', coordinatorPort, serverKeys, {
@@ -876,7 +928,7 @@ describe('Ping and Heartbeat with Short Intervals', () => {
 
     const server = registry.getServerByPublicKey(serverKeys.publicKey);
     const initialChallenge = server.challenge;
-    const initialExpectedAnswer = server.expectedAnswer;
+    const initialChallengeKey = server.challengeKey;
 
     // Wait for at least 2 heartbeats (800ms should allow 2+ heartbeats at 300ms interval)
     await new Promise(resolve => setTimeout(resolve, 800));
@@ -886,11 +938,11 @@ describe('Ping and Heartbeat with Short Intervals', () => {
     // Verify challenge was updated on coordinator
     const updatedServer = registry.getServerByPublicKey(serverKeys.publicKey);
     assert.notStrictEqual(updatedServer.challenge, initialChallenge, 'Challenge should be updated');
-    assert.notStrictEqual(updatedServer.expectedAnswer, initialExpectedAnswer, 'Expected answer should be updated');
+    assert.notStrictEqual(updatedServer.challengeKey, initialChallengeKey, 'Challenge key should be updated');
 
     // Verify client's local challenge was also updated
     assert.notStrictEqual(client.challenge, initialChallenge, 'Client challenge should be updated');
-    assert.notStrictEqual(client.expectedAnswer, initialExpectedAnswer, 'Client expected answer should be updated');
+    assert.notStrictEqual(client.challengeKey, initialChallengeKey, 'Client challenge key should be updated');
 
     await client.stop();
   });
@@ -898,7 +950,6 @@ describe('Ping and Heartbeat with Short Intervals', () => {
   test('should handle both ping and heartbeat concurrently', async () => {
     // Generate server keys
     const serverKeys = generateSigningKeyPair();
-    serverKeys.password = 'test-password';
 
     // Create UDP client with SHORT intervals for both
     const client = new UDPClient('127.0.0.1', coordinatorPort, serverKeys, {
@@ -940,7 +991,6 @@ describe('Ping and Heartbeat with Short Intervals', () => {
   test('should continue pings after heartbeat updates challenge', async () => {
     // Generate server keys
     const serverKeys = generateSigningKeyPair();
-    serverKeys.password = 'test-password';
 
     // Create UDP client with SHORT intervals
     const client = new UDPClient('127.0.0.1', coordinatorPort, serverKeys, {
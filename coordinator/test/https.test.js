@@ -4,9 +4,9 @@ import http from 'http';
 import https from 'https';
 import { HTTPSServer } from '../https.js';
 import { ServerRegistry } from '../registry.js';
-import { UDPServer } from '../../shared/protocol.js';
+import { UDPServer, CAPABILITIES } from '../../shared/protocol.js';
 import { generateSigningKeyPair } from '../../shared/keys.js';
-import { generateChallenge, hashChallengeAnswer } from '../../shared/crypto.js';
+import { generateChallenge, generateChallengeKey } from '../../shared/crypto.js';
 import { generateSelfSignedCertificate, isOpenSSLAvailable } from '../../shared/tls.js';
 
 function withConsoleErrorCapture(fn) {
@@ -35,7 +35,7 @@ function withConsoleErrorCapture(fn) {
 /**
  * Helper to make HTTP/HTTPS requests
  */
-async function makeRequest(method, path, body = null, port = 8443, useTLS = false) {
+async function makeRequest(method, path, body = null, port = 8443, useTLS = false, headers = {}) {
   return new Promise((resolve, reject) => {
     const protocol = useTLS ? https : http;
     const options = {
@@ -44,7 +44,8 @@ async function makeRequest(method, path, body = null, port = 8443, useTLS = fals
       path,
       method,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...headers
       },
       rejectUnauthorized: false // Accept self-signed certs for testing
     };
@@ -96,6 +97,28 @@ async function makeRequestText(method, path, port = 8443, useTLS = false) {
   });
 }
 
+/**
+ * Read a Server-Sent Events stream until the server closes it
+ */
+async function readEvents(path, port) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ hostname: 'localhost', port, path }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        const events = data.split('\n\n')
+          .filter(block => block.startsWith('event: '))
+          .map((block) => {
+            const [eventLine, dataLine] = block.split('\n');
+            return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+          });
+        resolve({ status: res.statusCode, headers: res.headers, events });
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
 describe('HTTPS Server', () => {
   let registry;
   let coordinatorKeys;
@@ -116,7 +139,7 @@ describe('HTTPS Server', () => {
       host: 'localhost',
       relayOffer,
       getServerByPublicKey: (publicKey) => registry.getServerByPublicKey(publicKey),
-      verifyChallenge: (publicKey, answer) => registry.verifyChallenge(publicKey, answer)
+      verifyChallenge: (publicKey, challenge) => registry.verifyChallenge(publicKey, challenge)
     });
     
     await httpsServer.start();
@@ -141,11 +164,10 @@ describe('HTTPS Server', () => {
     test('should return known servers with their info', async () => {
       // Register a test server
       const challenge = generateChallenge();
-      const password = 'test-password';
-      const expectedAnswer = hashChallengeAnswer(challenge, password);
+      const challengeKey = generateChallengeKey();
       const serverKey = 'test-server-key';
       
-      registry.register(serverKey, '127.0.0.1:12345', challenge, expectedAnswer);
+      registry.register(serverKey, '127.0.0.1:12345', challenge, challengeKey);
       
       const response = await makeRequest('POST', '/api/servers', {
         serverPublicKeys: [serverKey]
@@ -172,18 +194,17 @@ describe('HTTPS Server', () => {
   });
 
   describe('POST /api/connect', () => {
-    test('should initiate connection with valid challenge answer', async () => {
+    test('should initiate connection with current challenge', async () => {
       // Register a test server
       const challenge = generateChallenge();
-      const password = 'test-password';
-      const expectedAnswer = hashChallengeAnswer(challenge, password);
+      const challengeKey = generateChallengeKey();
       const serverKey = 'test-server-connect';
       
-      registry.register(serverKey, '127.0.0.1:12346', challenge, expectedAnswer);
+      registry.register(serverKey, '127.0.0.1:12346', challenge, challengeKey);
       
       const response = await makeRequest('POST', '/api/connect', {
         serverPublicKey: serverKey,
-        challengeAnswer: expectedAnswer,
+        challenge,
         payload: {
           sdp: { type: 'offer', sdp: 'test-sdp' },
           candidates: [{ candidate: 'test-candidate' }]
@@ -197,17 +218,16 @@ describe('HTTPS Server', () => {
       assert.ok(response.data.message);
     });
 
-    test('should reject with invalid challenge answer', async () => {
+    test('should reject a stale challenge', async () => {
       const challenge = generateChallenge();
-      const password = 'correct-password';
-      const expectedAnswer = hashChallengeAnswer(challenge, password);
+      const challengeKey = generateChallengeKey();
       const serverKey = 'test-server-invalid';
       
-      registry.register(serverKey, '127.0.0.1:12347', challenge, expectedAnswer);
+      registry.register(serverKey, '127.0.0.1:12347', challenge, challengeKey);
       
       const response = await makeRequest('POST', '/api/connect', {
         serverPublicKey: serverKey,
-        challengeAnswer: 'wrong-answer',
+        challenge: generateChallenge(),
         payload: {
           sdp: { type: 'offer', sdp: 'test-sdp' },
           candidates: []
@@ -222,7 +242,7 @@ describe('HTTPS Server', () => {
     test('should reject with unknown server', async () => {
       const response = await makeRequest('POST', '/api/connect', {
         serverPublicKey: 'unknown-server',
-        challengeAnswer: 'some-answer',
+        challenge: generateChallenge(),
         payload: {
           sdp: { type: 'offer', sdp: 'test-sdp' },
           candidates: []
@@ -245,15 +265,14 @@ describe('HTTPS Server', () => {
 
     test('should reject with expired timestamp', async () => {
       const challenge = generateChallenge();
-      const password = 'test-password';
-      const expectedAnswer = hashChallengeAnswer(challenge, password);
+      const challengeKey = generateChallengeKey();
       const serverKey = 'test-server-expired';
       
-      registry.register(serverKey, '127.0.0.1:12348', challenge, expectedAnswer);
+      registry.register(serverKey, '127.0.0.1:12348', challenge, challengeKey);
       
       const response = await makeRequest('POST', '/api/connect', {
         serverPublicKey: serverKey,
-        challengeAnswer: expectedAnswer,
+        challenge,
         payload: {
           sdp: { type: 'offer', sdp: 'test-sdp' },
           candidates: []
@@ -270,15 +289,14 @@ describe('HTTPS Server', () => {
     test('should return waiting status when no answer available', async () => {
       // First create a connection
       const challenge = generateChallenge();
-      const password = 'test-password';
-      const expectedAnswer = hashChallengeAnswer(challenge, password);
+      const challengeKey = generateChallengeKey();
       const serverKey = 'test-server-poll-waiting';
       
-      registry.register(serverKey, '127.0.0.1:12349', challenge, expectedAnswer);
+      registry.register(serverKey, '127.0.0.1:12349', challenge, challengeKey);
       
       const connectResponse = await makeRequest('POST', '/api/connect', {
         serverPublicKey: serverKey,
-        challengeAnswer: expectedAnswer,
+        challenge,
         payload: {
           sdp: { type: 'offer', sdp: 'test-sdp' },
           candidates: []
@@ -302,15 +320,14 @@ describe('HTTPS Server', () => {
     test('should return answer when available', async () => {
       // First create a connection
       const challenge = generateChallenge();
-      const password = 'test-password';
-      const expectedAnswer = hashChallengeAnswer(challenge, password);
+      const challengeKey = generateChallengeKey();
       const serverKey = 'test-server-poll-answer';
       
-      registry.register(serverKey, '127.0.0.1:12350', challenge, expectedAnswer);
+      registry.register(serverKey, '127.0.0.1:12350', challenge, challengeKey);
       
       const connectResponse = await makeRequest('POST', '/api/connect', {
         serverPublicKey: serverKey,
-        challengeAnswer: expectedAnswer,
+        challenge,
         payload: {
           sdp: { type: 'offer', sdp: 'test-sdp' },
           candidates: []
@@ -415,7 +432,7 @@ describe('HTTPS Server', () => {
         host: 'localhost',
         relayOffer,
         getServerByPublicKey: (publicKey) => testRegistry.getServerByPublicKey(publicKey),
-        verifyChallenge: (publicKey, answer) => testRegistry.verifyChallenge(publicKey, answer),
+        verifyChallenge: (publicKey, challenge) => testRegistry.verifyChallenge(publicKey, challenge),
         sessionTimeout: 100 // 100ms timeout
       });
       
@@ -423,15 +440,14 @@ describe('HTTPS Server', () => {
       
       // Create a session
       const challenge = generateChallenge();
-      const password = 'test-password';
-      const expectedAnswer = hashChallengeAnswer(challenge, password);
+      const challengeKey = generateChallengeKey();
       const serverKey = 'test-server-cleanup';
       
-      testRegistry.register(serverKey, '127.0.0.1:12351', challenge, expectedAnswer);
+      testRegistry.register(serverKey, '127.0.0.1:12351', challenge, challengeKey);
       
       const connectResponse = await makeRequest('POST', '/api/connect', {
         serverPublicKey: serverKey,
-        challengeAnswer: expectedAnswer,
+        challenge,
         payload: {
           sdp: { type: 'offer', sdp: 'test-sdp' },
           candidates: []
@@ -458,6 +474,340 @@ describe('HTTPS Server', () => {
     });
   });
 
+  describe('POST /api/admin/migrate', () => {
+    const adminToken = 'test-admin-token';
+    const adminPort = 8446;
+    const target = { host: 'coord2.example.com', port: 3478, publicKey: 'coord2-public-key' };
+    let adminServer;
+    let migrateRequests;
+
+    before(async () => {
+      migrateRequests = [];
+      adminServer = new HTTPSServer({
+        port: adminPort,
+        host: 'localhost',
+        relayOffer,
+        getServerByPublicKey: (publicKey) => registry.getServerByPublicKey(publicKey),
+        verifyChallenge: (publicKey, challenge) => registry.verifyChallenge(publicKey, challenge),
+        adminToken,
+        migrateServers: async (request) => {
+          migrateRequests.push(request);
+          if (request.serverPublicKey === 'unknown') {
+            throw new Error('Server not found');
+          }
+          return { migrated: request.serverPublicKey ? 1 : 3, failed: [] };
+        }
+      });
+      await adminServer.start();
+    });
+
+    after(async () => {
+      await adminServer.stop();
+    });
+
+    test('should migrate all servers with a valid token', async () => {
+      const response = await makeRequest('POST', '/api/admin/migrate', target, adminPort, false, {
+        Authorization: `Bearer ${adminToken}`
+      });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.data.success, true);
+      assert.strictEqual(response.data.migrated, 3);
+      assert.deepStrictEqual(response.data.failed, []);
+      assert.deepStrictEqual(migrateRequests.at(-1), { target, serverPublicKey: undefined });
+    });
+
+    test('should migrate a single server', async () => {
+      const response = await makeRequest('POST', '/api/admin/migrate', {
+        ...target,
+        serverPublicKey: 'server-key'
+      }, adminPort, false, { Authorization: `Bearer ${adminToken}` });
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.data.migrated, 1);
+      assert.strictEqual(migrateRequests.at(-1).serverPublicKey, 'server-key');
+    });
+
+    test('should return 404 for an unknown server', async () => {
+      const { result: response } = await withConsoleErrorCapture(() => makeRequest('POST', '/api/admin/migrate', {
+        ...target,
+        serverPublicKey: 'unknown'
+      }, adminPort, false, { Authorization: `Bearer ${adminToken}` }));
+
+      assert.strictEqual(response.status, 404);
+    });
+
+    test('should reject missing or wrong token', async () => {
+      const count = migrateRequests.length;
+
+      const missing = await makeRequest('POST', '/api/admin/migrate', target, adminPort);
+      assert.strictEqual(missing.status, 401);
+
+      const wrong = await makeRequest('POST', '/api/admin/migrate', target, adminPort, false, {
+        Authorization: 'Bearer wrong-token'
+      });
+      assert.strictEqual(wrong.status, 401);
+
+      assert.strictEqual(migrateRequests.length, count, 'Unauthorized requests must not migrate');
+    });
+
+    test('should reject incomplete target', async () => {
+      const response = await makeRequest('POST', '/api/admin/migrate', {
+        host: target.host
+      }, adminPort, false, { Authorization: `Bearer ${adminToken}` });
+
+      assert.strictEqual(response.status, 400);
+    });
+
+    test('should not expose admin API without a token', async () => {
+      const response = await makeRequest('POST', '/api/admin/migrate', target, testPort, false, {
+        Authorization: 'Bearer anything'
+      });
+
+      assert.strictEqual(response.status, 404);
+    });
+  });
+
+  describe('Trickle ICE', () => {
+    const tricklePort = 8447;
+    let trickleServer;
+    let relayedCandidates;
+
+    const registerServer = (serverKey, ipPort, capabilities) => {
+      const challenge = generateChallenge();
+      const challengeKey = generateChallengeKey();
+      registry.register(serverKey, ipPort, challenge, challengeKey, { version: 1, capabilities });
+      return challenge;
+    };
+
+    const connect = async (serverKey, challenge, trickle = true) => {
+      const response = await makeRequest('POST', '/api/connect', {
+        serverPublicKey: serverKey,
+        challenge,
+        payload: { sdp: { type: 'offer', sdp: 'test-sdp' }, candidates: [], trickle },
+        timestamp: Date.now()
+      }, tricklePort);
+      assert.strictEqual(response.status, 200);
+      return response.data;
+    };
+
+    before(async () => {
+      relayedCandidates = [];
+      trickleServer = new HTTPSServer({
+        port: tricklePort,
+        host: 'localhost',
+        relayOffer,
+        getServerByPublicKey: (publicKey) => registry.getServerByPublicKey(publicKey),
+        verifyChallenge: (publicKey, challenge) => registry.verifyChallenge(publicKey, challenge),
+        relayCandidates: async (request) => {
+          relayedCandidates.push(request);
+        }
+      });
+      await trickleServer.start();
+    });
+
+    after(async () => {
+      await trickleServer.stop();
+    });
+
+    test('should advertise trickle ICE per server', async () => {
+      registerServer('trickle-server', '127.0.0.1:13001', CAPABILITIES.TRICKLE_ICE);
+      registerServer('legacy-server', '127.0.0.1:13002', 0);
+
+      const response = await makeRequest('POST', '/api/servers', {
+        serverPublicKeys: ['trickle-server', 'legacy-server']
+      }, tricklePort);
+
+      assert.strictEqual(response.status, 200);
+      const byKey = Object.fromEntries(response.data.servers.map(s => [s.publicKeyHash, s]));
+      assert.strictEqual(byKey['trickle-server'].trickleIce, true);
+      assert.strictEqual(byKey['legacy-server'].trickleIce, false);
+    });
+
+    test('should relay client candidates for a trickle session', async () => {
+      const challenge = registerServer('trickle-relay', '127.0.0.1:13003', CAPABILITIES.TRICKLE_ICE);
+      const { sessionId, trickle } = await connect('trickle-relay', challenge);
+      assert.strictEqual(trickle, true);
+
+      const candidates = [{ candidate: 'candidate:1 1 udp 1 10.0.0.1 5000 typ host' }];
+      const response = await makeRequest('POST', '/api/candidates', {
+        sessionId,
+        candidates,
+        complete: true
+      }, tricklePort);
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.data.success, true);
+      assert.deepStrictEqual(relayedCandidates.at(-1), {
+        ipPort: '127.0.0.1:13003',
+        sessionId,
+        candidates,
+        complete: true,
+        serverPublicKey: 'trickle-relay'
+      });
+    });
+
+    test('should decline trickle for servers without the capability', async () => {
+      const challenge = registerServer('legacy-connect', '127.0.0.1:13004', 0);
+      const { sessionId, trickle } = await connect('legacy-connect', challenge);
+      assert.strictEqual(trickle, false);
+
+      const response = await makeRequest('POST', '/api/candidates', {
+        sessionId,
+        candidates: [{ candidate: 'c' }]
+      }, tricklePort);
+      assert.strictEqual(response.status, 409);
+    });
+
+    test('should reject invalid candidate requests', async () => {
+      let response = await makeRequest('POST', '/api/candidates', { sessionId: 'x' }, tricklePort);
+      assert.strictEqual(response.status, 400);
+
+      response = await makeRequest('POST', '/api/candidates', {
+        sessionId: 'no-such-session',
+        candidates: []
+      }, tricklePort);
+      assert.strictEqual(response.status, 404);
+
+      const challenge = registerServer('trickle-limit', '127.0.0.1:13005', CAPABILITIES.TRICKLE_ICE);
+      const { sessionId } = await connect('trickle-limit', challenge);
+      response = await makeRequest('POST', '/api/candidates', {
+        sessionId,
+        candidates: Array.from({ length: 65 }, (_, i) => ({ candidate: `c${i}` }))
+      }, tricklePort);
+      assert.strictEqual(response.status, 413);
+    });
+
+    test('should deliver server candidates through poll and keep the session', async () => {
+      const challenge = registerServer('trickle-poll', '127.0.0.1:13006', CAPABILITIES.TRICKLE_ICE);
+      const { sessionId } = await connect('trickle-poll', challenge);
+
+      // Only the server that owns the session may add candidates
+      assert.strictEqual(trickleServer.storeServerCandidates(sessionId, 'trickle-relay', [{ candidate: 'x' }]), false);
+      assert.strictEqual(trickleServer.storeServerCandidates(sessionId, 'trickle-poll', [{ candidate: 's1' }]), true);
+
+      let response = await makeRequest('POST', '/api/poll', { sessionId, lastUpdate: Date.now() }, tricklePort);
+      assert.strictEqual(response.data.waiting, true);
+      assert.deepStrictEqual(response.data.candidates, [{ candidate: 's1' }]);
+      assert.strictEqual(response.data.candidatesComplete, false);
+
+      trickleServer.storeServerAnswer(sessionId, 'trickle-poll', { sdp: 'answer' }, 'signature', 'ed448', Date.now());
+      trickleServer.storeServerCandidates(sessionId, 'trickle-poll', [{ candidate: 's2' }], true);
+
+      response = await makeRequest('POST', '/api/poll', {
+        sessionId,
+        lastUpdate: Date.now(),
+        candidateIndex: 1
+      }, tricklePort);
+      assert.strictEqual(response.data.success, true);
+      assert.deepStrictEqual(response.data.candidates, [{ candidate: 's2' }]);
+      assert.strictEqual(response.data.candidatesComplete, true);
+      assert.ok(trickleServer.sessions.has(sessionId), 'Trickle session should outlive the answer');
+    });
+
+    test('should hold a poll until the session changes', async () => {
+      const challenge = registerServer('long-poll', '127.0.0.1:13007', CAPABILITIES.TRICKLE_ICE);
+      const { sessionId } = await connect('long-poll', challenge);
+
+      // Nothing new: returns when the wait runs out
+      let started = Date.now();
+      let response = await makeRequest('POST', '/api/poll', { sessionId, wait: 200 }, tricklePort);
+      assert.strictEqual(response.data.waiting, true);
+      assert.ok(Date.now() - started >= 190, 'poll should be held for the wait');
+
+      // The answer wakes a held poll right away
+      started = Date.now();
+      setTimeout(() => {
+        trickleServer.storeServerAnswer(sessionId, 'long-poll', { sdp: 'answer' }, 'signature', 'ed448', Date.now());
+      }, 50);
+      response = await makeRequest('POST', '/api/poll', { sessionId, wait: 10000 }, tricklePort);
+      assert.strictEqual(response.data.success, true);
+      assert.ok(Date.now() - started < 5000, 'answer should end the wait');
+
+      // With the answer seen, only new candidates end the wait
+      setTimeout(() => {
+        trickleServer.storeServerCandidates(sessionId, 'long-poll', [{ candidate: 's1' }]);
+      }, 50);
+      response = await makeRequest('POST', '/api/poll', { sessionId, wait: 10000, answerReceived: true }, tricklePort);
+      assert.deepStrictEqual(response.data.candidates, [{ candidate: 's1' }]);
+      assert.strictEqual(trickleServer.sessionListeners.size, 0);
+    });
+
+    test('should stream session events', async () => {
+      const challenge = registerServer('event-stream', '127.0.0.1:13008', CAPABILITIES.TRICKLE_ICE);
+      const { sessionId } = await connect('event-stream', challenge);
+      trickleServer.storeServerCandidates(sessionId, 'event-stream', [{ candidate: 's1' }]);
+
+      const stream = readEvents(`/api/events?sessionId=${sessionId}`, tricklePort);
+      setTimeout(() => {
+        trickleServer.storeServerAnswer(sessionId, 'event-stream', { sdp: 'answer' }, 'signature', 'ed448', Date.now());
+        trickleServer.storeServerCandidates(sessionId, 'event-stream', [{ candidate: 's2' }], true);
+      }, 50);
+      const { status, headers, events } = await stream;
+
+      assert.strictEqual(status, 200);
+      assert.strictEqual(headers['content-type'], 'text/event-stream');
+      assert.deepStrictEqual(events.map(e => e.event), ['candidates', 'answer', 'candidates', 'end']);
+      assert.deepStrictEqual(events[0].data, { candidates: [{ candidate: 's1' }], candidatesComplete: false });
+      assert.strictEqual(events[1].data.sessionId, sessionId);
+      assert.deepStrictEqual(events[1].data.payload, { sdp: 'answer' });
+      assert.deepStrictEqual(events[2].data, { candidates: [{ candidate: 's2' }], candidatesComplete: true });
+      assert.deepStrictEqual(events[3].data, { reason: 'done' });
+
+      const missing = await makeRequest('GET', '/api/events?sessionId=no-such-session', null, tricklePort);
+      assert.strictEqual(missing.status, 404);
+    });
+  });
+
+  describe('ICE servers', () => {
+    test('should hand ICE servers to the client and the server', async () => {
+      const iceServers = [{ urls: 'turn:coordinator.example.com:3480?transport=udp', username: '1:abcd', credential: 'secret' }];
+      const relayed = [];
+      const iceServer = new HTTPSServer({
+        port: 8448,
+        host: 'localhost',
+        relayOffer: async (request) => {
+          relayed.push(request);
+        },
+        getServerByPublicKey: (publicKey) => registry.getServerByPublicKey(publicKey),
+        verifyChallenge: (publicKey, challenge) => registry.verifyChallenge(publicKey, challenge),
+        getIceServers: (publicKey) => (publicKey === 'turn-server' ? iceServers : [])
+      });
+      await iceServer.start();
+
+      try {
+        const challenge = generateChallenge();
+        const challengeKey = generateChallengeKey();
+        registry.register('turn-server', '127.0.0.1:13010', challenge, challengeKey);
+        registry.register('plain-server', '127.0.0.1:13011', challenge, challengeKey);
+
+        // Known before the client creates its peer connection
+        const listed = await makeRequest('POST', '/api/servers', {
+          serverPublicKeys: ['turn-server', 'plain-server']
+        }, 8448);
+        assert.strictEqual(listed.status, 200);
+        assert.deepStrictEqual(listed.data.servers[0].iceServers, iceServers);
+        assert.strictEqual(listed.data.servers[1].iceServers, undefined);
+
+        // The client cannot choose the address the server throttles it by
+        const payload = { sdp: { type: 'offer', sdp: 'test-sdp' }, candidates: [] };
+        const response = await makeRequest('POST', '/api/connect', {
+          serverPublicKey: 'turn-server',
+          challenge,
+          payload: { ...payload, clientAddress: '198.51.100.1' },
+          timestamp: Date.now()
+        }, 8448);
+
+        assert.strictEqual(response.status, 200);
+        const { clientAddress } = relayed[0].payload;
+        assert.ok(['127.0.0.1', '::1'].includes(clientAddress), clientAddress);
+        assert.deepStrictEqual(relayed[0].payload, { ...payload, clientAddress, iceServers });
+      } finally {
+        await iceServer.stop();
+      }
+    });
+  });
+
   describe('Error handling', () => {
     test('should return 404 for unknown routes', async (t) => {
       const response = await makeRequest('GET', '/api/unknown', null, testPort);
@@ -543,7 +893,7 @@ describe('HTTPS Server', () => {
         key,
         relayOffer,
         getServerByPublicKey: (publicKey) => testRegistry.getServerByPublicKey(publicKey),
-        verifyChallenge: (publicKey, answer) => testRegistry.verifyChallenge(publicKey, answer)
+        verifyChallenge: (publicKey, challenge) => testRegistry.verifyChallenge(publicKey, challenge)
       });
       
       await testHttpsServer.start();
@@ -576,7 +926,7 @@ describe('HTTPS Server', () => {
         key,
         relayOffer,
         getServerByPublicKey: (publicKey) => testRegistry.getServerByPublicKey(publicKey),
-        verifyChallenge: (publicKey, answer) => testRegistry.verifyChallenge(publicKey, answer)
+        verifyChallenge: (publicKey, challenge) => testRegistry.verifyChallenge(publicKey, challenge)
       });
       
       // Verify it detects TLS mode
@@ -602,7 +952,7 @@ describe('HTTPS Server', () => {
         host: 'localhost',
         relayOffer,
         getServerByPublicKey: (publicKey) => testRegistry.getServerByPublicKey(publicKey),
-        verifyChallenge: (publicKey, answer) => testRegistry.verifyChallenge(publicKey, answer)
+        verifyChallenge: (publicKey, challenge) => testRegistry.verifyChallenge(publicKey, challenge)
         // No cert or key provided
       });
       
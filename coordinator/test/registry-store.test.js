@@ -0,0 +1,152 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { promises as fsPromises } from 'fs';
+import os from 'os';
+import path from 'path';
+import { RegistryStore } from '../registry-store.js';
+import { ServerRegistry } from '../registry.js';
+
+describe('RegistryStore', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'homechannel-registry-'));
+  });
+
+  after(async () => {
+    await fsPromises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should apply the journal on top of the snapshot', async () => {
+    const filePath = path.join(dir, 'journal.json');
+    const store = new RegistryStore(filePath);
+
+    await store.save([['a', { ipPort: '1.2.3.4:1' }], ['b', { ipPort: '1.2.3.4:2' }]]);
+    store.append({ op: 'put', key: 'c', server: { ipPort: '1.2.3.4:3' } });
+    store.append({ op: 'remove', key: 'a' });
+    await store.flush();
+
+    const servers = await new RegistryStore(filePath).load();
+    assert.deepStrictEqual([...servers.keys()], ['b', 'c']);
+
+    // A snapshot replaces the journal
+    await store.save(servers);
+    await assert.rejects(fsPromises.access(`${filePath}.journal`), { code: 'ENOENT' });
+  });
+
+  test('should write files readable only by the owner', async () => {
+    const filePath = path.join(dir, 'modes.json');
+    const store = new RegistryStore(filePath);
+    await store.save([]);
+    await store.append({ op: 'remove', key: 'a' });
+
+    assert.strictEqual((await fsPromises.stat(filePath)).mode & 0o777, 0o600);
+    assert.strictEqual((await fsPromises.stat(`${filePath}.journal`)).mode & 0o777, 0o600);
+  });
+
+  test('should ignore a truncated last journal record', async () => {
+    const filePath = path.join(dir, 'truncated.json');
+    await fsPromises.writeFile(`${filePath}.journal`,
+      '{"op":"put","key":"a","server":{"ipPort":"1.2.3.4:1"}}\n{"op":"put","key":"b","ser');
+
+    const servers = await new RegistryStore(filePath).load();
+    assert.deepStrictEqual([...servers.keys()], ['a']);
+  });
+
+  test('should start empty without files', async () => {
+    const servers = await new RegistryStore(path.join(dir, 'missing.json')).load();
+    assert.strictEqual(servers.size, 0);
+  });
+});
+
+describe('ServerRegistry persistence', () => {
+  let dir;
+  const registries = [];
+
+  const createRegistry = (filePath, options = {}) => {
+    const registry = new ServerRegistry({ store: new RegistryStore(filePath), ...options });
+    registries.push(registry);
+    return registry;
+  };
+
+  before(async () => {
+    dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'homechannel-registry-'));
+  });
+
+  after(async () => {
+    registries.forEach(registry => registry.destroy());
+    await fsPromises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should restore sessions, keys and challenges', async () => {
+    const filePath = path.join(dir, 'restore.json');
+    const registry = createRegistry(filePath);
+    registry.register('server-a', '1.2.3.4:5000', 'challenge-1', 'key-1', { version: 1, capabilities: 0x1F }, {
+      sessionId: 'abcdef0123456789',
+      pingKey: Buffer.alloc(32, 1),
+      trafficSecret: Buffer.alloc(32, 2)
+    });
+    registry.register('server-b', '1.2.3.4:5001', 'challenge-2', 'key-2');
+    registry.recordSequence('server-a', 70);
+    registry.nextSequence('server-a');
+    await registry.persist();
+
+    // Changes after the snapshot are journaled
+    registry.updateChallenge('1.2.3.4:5000', 'challenge-3', 'key-3');
+    registry.rebind('server-a', '5.6.7.8:6000');
+    registry.remove('server-b');
+    await registry.store.flush();
+
+    const restored = createRegistry(filePath);
+    assert.strictEqual(await restored.restore(), 1);
+
+    const server = restored.getServerByIpPort('5.6.7.8:6000');
+    assert.strictEqual(server.publicKey, 'server-a');
+    assert.strictEqual(server.challengeKey, 'key-3');
+    assert.strictEqual(server.capabilities, 0x1F);
+    assert.deepStrictEqual(server.pingKey, Buffer.alloc(32, 1));
+    assert.deepStrictEqual(server.trafficSecret, Buffer.alloc(32, 2));
+    assert.deepStrictEqual(server.replayWindow, { highest: 70, bitmap: 1n });
+    assert.ok(server.sendSeq > 1, 'sequence numbers skip ahead');
+    assert.strictEqual(restored.getServerBySessionId('abcdef0123456789').publicKey, 'server-a');
+    assert.strictEqual(restored.getServerByIpPort('1.2.3.4:5001'), null);
+  });
+
+  test('should not accept messages from before a restart again', async () => {
+    const filePath = path.join(dir, 'replay.json');
+    const registry = createRegistry(filePath);
+    registry.register('server-a', '1.2.3.4:5000', 'challenge-1', 'key-1', { version: 1, capabilities: 0x1F }, {
+      sessionId: '0123456789abcdef',
+      pingKey: Buffer.alloc(32, 1),
+      trafficSecret: Buffer.alloc(32, 2)
+    });
+    registry.recordPing('server-a', 1);
+    await registry.persist();
+
+    // Accepted after the last snapshot, then captured and replayed after the restart
+    assert.strictEqual(registry.recordPing('server-a', 2), true);
+    assert.strictEqual(registry.recordSequence('server-a', 3), true);
+    await registry.store.flush();
+
+    const restored = createRegistry(filePath);
+    assert.strictEqual(await restored.restore(), 1);
+    assert.strictEqual(restored.recordPing('server-a', 2), false);
+    assert.strictEqual(restored.recordSequence('server-a', 3), false);
+    assert.strictEqual(restored.recordPing('server-a', 3), true);
+    assert.strictEqual(restored.recordSequence('server-a', 4), true);
+  });
+
+  test('should expire entries older than serverTimeout', async () => {
+    const filePath = path.join(dir, 'expire.json');
+    const registry = createRegistry(filePath);
+    registry.register('server-a', '1.2.3.4:5000', 'challenge-1', 'key-1');
+    registry.register('server-b', '1.2.3.4:5001', 'challenge-2', 'key-2');
+    registry.servers.get('server-a').timestamp = Date.now() - 10000;
+    await registry.persist();
+
+    const restored = createRegistry(filePath, { serverTimeout: 5000 });
+    assert.strictEqual(await restored.restore(), 1);
+    assert.strictEqual(restored.getServerByPublicKey('server-a'), undefined);
+    assert.ok(restored.getServerByPublicKey('server-b'));
+  });
+});
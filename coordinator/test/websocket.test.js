@@ -0,0 +1,333 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import http from 'http';
+import net from 'net';
+import { OPCODES, acceptKey, encodeFrame, parseFrame, upgradeToWebSocket } from '../websocket.js';
+import { HTTPSServer } from '../https.js';
+import { ServerRegistry } from '../registry.js';
+import { CAPABILITIES } from '../../shared/protocol.js';
+import { generateChallenge, generateChallengeKey } from '../../shared/crypto.js';
+
+/**
+ * Raw WebSocket client: masked frames out, parsed frames in
+ */
+async function openClient(port, path = '/', headers = {}) {
+  const socket = net.connect(port, '127.0.0.1');
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('error', reject);
+  });
+
+  const key = crypto.randomBytes(16).toString('base64');
+  const requestHeaders = {
+    Host: `127.0.0.1:${port}`,
+    Upgrade: 'websocket',
+    Connection: 'Upgrade',
+    'Sec-WebSocket-Key': key,
+    'Sec-WebSocket-Version': '13',
+    ...headers
+  };
+  socket.write(`GET ${path} HTTP/1.1\r\n` +
+    Object.entries(requestHeaders).map(([name, value]) => `${name}: ${value}`).join('\r\n') + '\r\n\r\n');
+
+  let buffer = Buffer.alloc(0);
+  const response = await new Promise((resolve) => {
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      const end = buffer.indexOf('\r\n\r\n');
+      if (end !== -1) {
+        socket.off('data', onData);
+        const head = buffer.subarray(0, end).toString();
+        buffer = buffer.subarray(end + 4);
+        resolve(head);
+      }
+    };
+    socket.on('data', onData);
+  });
+
+  const frames = [];
+  const waiters = [];
+  let closed = false;
+  const drain = () => {
+    let frame;
+    while ((frame = parseFrame(buffer))) {
+      buffer = buffer.subarray(frame.size);
+      frames.push(frame);
+    }
+    while (waiters.length > 0 && (frames.length > 0 || closed)) {
+      waiters.shift()(frames.shift() || null);
+    }
+  };
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    drain();
+  });
+  socket.on('close', () => {
+    closed = true;
+    drain();
+  });
+  drain();
+
+  return {
+    socket,
+    key,
+    status: Number(response.split(' ')[1]),
+    headers: response,
+    sendFrame: (opcode, payload, fin = true) => {
+      socket.write(encodeFrame(opcode, payload, { fin, mask: crypto.randomBytes(4) }));
+    },
+    nextFrame: () => new Promise((resolve) => {
+      waiters.push(resolve);
+      drain();
+    }),
+    close: () => new Promise((resolve) => {
+      if (closed) {
+        resolve();
+        return;
+      }
+      socket.once('close', resolve);
+      socket.destroy();
+    })
+  };
+}
+
+describe('WebSocket', () => {
+  let server;
+  let port;
+  const closes = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => res.end());
+    server.on('upgrade', (req, socket, head) => {
+      const ws = upgradeToWebSocket(req, socket, head, { maxMessageSize: 100000 });
+      if (!ws) {
+        return;
+      }
+      ws.on('message', (message) => ws.send(message));
+      ws.on('close', (info) => closes.push(info));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should compute the RFC 6455 accept key', () => {
+    assert.strictEqual(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  });
+
+  test('should encode and parse every payload length form', () => {
+    for (const length of [0, 125, 126, 65535, 65536]) {
+      const payload = crypto.randomBytes(length);
+      const mask = crypto.randomBytes(4);
+      const frame = parseFrame(encodeFrame(OPCODES.BINARY, payload, { mask }));
+      assert.strictEqual(frame.opcode, OPCODES.BINARY);
+      assert.strictEqual(frame.masked, true);
+      assert.ok(frame.payload.equals(payload), `payload of ${length} bytes`);
+    }
+    const partial = encodeFrame(OPCODES.TEXT, 'hello').subarray(0, 4);
+    assert.strictEqual(parseFrame(partial), null);
+  });
+
+  test('should echo text, fragmented and large messages and answer pings', async () => {
+    const client = await openClient(port);
+    assert.strictEqual(client.status, 101);
+    assert.ok(client.headers.includes(`Sec-WebSocket-Accept: ${acceptKey(client.key)}`));
+
+    client.sendFrame(OPCODES.TEXT, 'hello');
+    let frame = await client.nextFrame();
+    assert.strictEqual(frame.opcode, OPCODES.TEXT);
+    assert.strictEqual(frame.masked, false);
+    assert.strictEqual(frame.payload.toString(), 'hello');
+
+    // A ping between fragments is answered at once
+    client.sendFrame(OPCODES.TEXT, 'frag', false);
+    client.sendFrame(OPCODES.PING, 'p');
+    client.sendFrame(OPCODES.CONTINUATION, 'mented');
+    frame = await client.nextFrame();
+    assert.strictEqual(frame.opcode, OPCODES.PONG);
+    assert.strictEqual(frame.payload.toString(), 'p');
+    frame = await client.nextFrame();
+    assert.strictEqual(frame.payload.toString(), 'fragmented');
+
+    const large = crypto.randomBytes(70000);
+    client.sendFrame(OPCODES.BINARY, large);
+    frame = await client.nextFrame();
+    assert.strictEqual(frame.opcode, OPCODES.BINARY);
+    assert.ok(frame.payload.equals(large));
+
+    // Closing handshake: the server echoes the code and ends the connection
+    const closePayload = Buffer.alloc(2);
+    closePayload.writeUInt16BE(1000);
+    client.sendFrame(OPCODES.CLOSE, closePayload);
+    frame = await client.nextFrame();
+    assert.strictEqual(frame.opcode, OPCODES.CLOSE);
+    assert.strictEqual(frame.payload.readUInt16BE(0), 1000);
+    assert.strictEqual(await client.nextFrame(), null);
+    while (closes.length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(closes[0].code, 1000);
+  });
+
+  test('should close on protocol errors', async () => {
+    const expectClose = async (send, code) => {
+      const client = await openClient(port);
+      send(client);
+      const frame = await client.nextFrame();
+      assert.strictEqual(frame.opcode, OPCODES.CLOSE);
+      assert.strictEqual(frame.payload.readUInt16BE(0), code);
+      await client.close();
+    };
+
+    // Unmasked client frame
+    await expectClose(client => client.socket.write(encodeFrame(OPCODES.TEXT, 'x')), 1002);
+    // Continuation without a first fragment
+    await expectClose(client => client.sendFrame(OPCODES.CONTINUATION, 'x'), 1002);
+    // Over maxMessageSize
+    await expectClose(client => client.sendFrame(OPCODES.BINARY, Buffer.alloc(100001)), 1009);
+    // Text that is not UTF-8
+    await expectClose(client => client.sendFrame(OPCODES.TEXT, Buffer.from([0xff, 0xfe])), 1007);
+  });
+
+  test('should reject invalid handshakes', async () => {
+    let client = await openClient(port, '/', { 'Sec-WebSocket-Version': '8' });
+    assert.strictEqual(client.status, 426);
+    await client.close();
+
+    client = await openClient(port, '/', { 'Sec-WebSocket-Key': 'short' });
+    assert.strictEqual(client.status, 400);
+    await client.close();
+  });
+});
+
+describe('WebSocket signaling', () => {
+  const wsPort = 8450;
+  let registry;
+  let httpsServer;
+  let relayed;
+
+  /**
+   * Client that sends { id, method, params } requests and collects pushed events
+   */
+  async function openSignalingClient() {
+    const client = await openClient(wsPort, '/api/ws');
+    let nextId = 1;
+    const messages = [];
+    const waiters = [];
+    (async () => {
+      let frame;
+      while ((frame = await client.nextFrame()) && frame.opcode === OPCODES.TEXT) {
+        messages.push(JSON.parse(frame.payload.toString()));
+        waiters.splice(0).forEach(wake => wake());
+      }
+    })();
+    const waitFor = async (predicate) => {
+      for (;;) {
+        const index = messages.findIndex(predicate);
+        if (index !== -1) {
+          return messages.splice(index, 1)[0];
+        }
+        await new Promise(resolve => waiters.push(resolve));
+      }
+    };
+    return {
+      client,
+      request: (method, params) => {
+        const id = nextId++;
+        client.sendFrame(OPCODES.TEXT, JSON.stringify({ id, method, params }));
+        return waitFor(message => message.id === id);
+      },
+      nextEvent: () => waitFor(message => message.type === 'event')
+    };
+  }
+
+  before(async () => {
+    registry = new ServerRegistry();
+    relayed = [];
+    httpsServer = new HTTPSServer({
+      port: wsPort,
+      host: 'localhost',
+      relayOffer: async (request) => {
+        relayed.push(request);
+      },
+      relayCandidates: async (request) => {
+        relayed.push(request);
+      },
+      getServerByPublicKey: (publicKey) => registry.getServerByPublicKey(publicKey),
+      verifyChallenge: (publicKey, challenge) => registry.verifyChallenge(publicKey, challenge)
+    });
+    await httpsServer.start();
+  });
+
+  after(async () => {
+    await httpsServer.stop();
+    registry.destroy();
+  });
+
+  test('should carry server info, connect, candidates and pushed answers', async () => {
+    const challenge = generateChallenge();
+    const challengeKey = generateChallengeKey();
+    registry.register('ws-server', '127.0.0.1:13020', challenge, challengeKey, { version: 1, capabilities: CAPABILITIES.TRICKLE_ICE });
+
+    const { client, request, nextEvent } = await openSignalingClient();
+    assert.strictEqual(client.status, 101);
+
+    const servers = await request('servers', { serverPublicKeys: ['ws-server'] });
+    assert.strictEqual(servers.result.servers[0].challenge, challenge);
+    assert.strictEqual(servers.result.servers[0].trickleIce, true);
+
+    const rejected = await request('connect', {
+      serverPublicKey: 'ws-server',
+      challenge: generateChallenge(),
+      payload: { sdp: { type: 'offer', sdp: 'sdp' }, candidates: [] },
+      timestamp: Date.now()
+    });
+    assert.deepStrictEqual(rejected, { id: 2, error: 'Invalid challenge', status: 403 });
+
+    const connected = await request('connect', {
+      serverPublicKey: 'ws-server',
+      challenge,
+      payload: { sdp: { type: 'offer', sdp: 'sdp' }, candidates: [], trickle: true },
+      timestamp: Date.now()
+    });
+    const { sessionId, trickle } = connected.result;
+    assert.strictEqual(trickle, true);
+    assert.strictEqual(relayed.at(-1).sessionId, sessionId);
+
+    const sent = await request('candidates', { sessionId, candidates: [{ candidate: 'c1' }], complete: true });
+    assert.deepStrictEqual(sent.result, { success: true });
+    assert.deepStrictEqual(relayed.at(-1).candidates, [{ candidate: 'c1' }]);
+
+    const subscribed = await request('subscribe', { sessionId });
+    assert.deepStrictEqual(subscribed.result, { subscribed: true });
+
+    httpsServer.storeServerAnswer(sessionId, 'ws-server', { sdp: 'answer' }, 'signature', 'ed448', Date.now());
+    httpsServer.storeServerCandidates(sessionId, 'ws-server', [{ candidate: 's1' }], true);
+
+    let event = await nextEvent();
+    assert.strictEqual(event.sessionId, sessionId);
+    assert.strictEqual(event.event, 'answer');
+    assert.deepStrictEqual(event.data.payload, { sdp: 'answer' });
+    event = await nextEvent();
+    assert.deepStrictEqual(event.data, { candidates: [{ candidate: 's1' }], candidatesComplete: true });
+    event = await nextEvent();
+    assert.deepStrictEqual({ event: event.event, data: event.data }, { event: 'end', data: { reason: 'done' } });
+
+    const unknown = await request('poll', {});
+    assert.strictEqual(unknown.status, 400);
+    assert.match(unknown.error, /Unknown method/);
+
+    await client.close();
+    assert.strictEqual(httpsServer.sessionListeners.size, 0);
+  });
+
+  test('should only upgrade /api/ws', async () => {
+    const client = await openClient(wsPort, '/api/other');
+    assert.strictEqual(client.status, 404);
+    await client.close();
+  });
+});
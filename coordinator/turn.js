@@ -0,0 +1,686 @@
+/**
+ * Minimal TURN relay (RFC 5766) for peers behind symmetric NAT
+ *
+ * UDP only: Allocate, Refresh, CreatePermission, ChannelBind, Send/Data
+ * indications and ChannelData. Binding Requests are answered too.
+ *
+ * Credentials follow the TURN REST API convention and need no state:
+ *   username = "<expiry, unix seconds>:<server id>"
+ *   password = base64(HMAC-SHA1(secret, username))
+ * The coordinator issues them per connection (issueCredentials). The server
+ * id ties every allocation to one home server, for its allocation and
+ * bandwidth caps.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import os from 'os';
+import { bindUDPSocket, formatIpPort, normalizeAddress, toSocketAddress } from '../shared/protocol.js';
+import {
+  STUN_TYPES,
+  STUN_ATTRIBUTES,
+  isStunMessage,
+  parseStunMessage,
+  encodeStunMessage,
+  getStunAttribute,
+  stunSuccessType,
+  stunErrorType,
+  encodeErrorCode,
+  encodeXorAddress,
+  decodeXorAddress,
+  verifyMessageIntegrity,
+  deriveLongTermKey,
+  buildBindingResponse
+} from '../shared/stun.js';
+
+const TRANSPORT_UDP = 17;
+const PERMISSION_LIFETIME_MS = 300000;
+const CHANNEL_LIFETIME_MS = 600000;
+const MIN_CHANNEL = 0x4000;
+const MAX_CHANNEL = 0x7FFF;
+
+// Peers the relay never sends to: the coordinator's own host and internal
+// networks (loopback, RFC 1918, CGNAT, link-local, ULA, unspecified, multicast)
+const FORBIDDEN_PEER_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// Comprehension-required attributes the relay understands
+const KNOWN_REQUIRED_ATTRIBUTES = new Set([
+  STUN_ATTRIBUTES.USERNAME,
+  STUN_ATTRIBUTES.MESSAGE_INTEGRITY,
+  STUN_ATTRIBUTES.REALM,
+  STUN_ATTRIBUTES.NONCE,
+  STUN_ATTRIBUTES.CHANNEL_NUMBER,
+  STUN_ATTRIBUTES.LIFETIME,
+  STUN_ATTRIBUTES.XOR_PEER_ADDRESS,
+  STUN_ATTRIBUTES.DATA,
+  STUN_ATTRIBUTES.REQUESTED_TRANSPORT,
+  STUN_ATTRIBUTES.DONT_FRAGMENT
+]);
+
+/**
+ * Thrown while handling a request; answered with a STUN error response
+ */
+class TurnError extends Error {
+  constructor(code, reason) {
+    super(reason);
+    this.code = code;
+  }
+}
+
+/**
+ * Short id for a server public key, used in TURN usernames
+ */
+export function turnServerId(serverPublicKey) {
+  return crypto.createHash('sha256').update(serverPublicKey).digest('hex').substring(0, 16);
+}
+
+export class TurnServer {
+  /**
+   * options: { secret, port, host, externalAddress, publicHost, relayHost, realm,
+   *            credentialTtlMs, defaultLifetime, maxLifetime, maxAllocations,
+   *            maxAllocationsPerServer, bandwidthBytesPerSec, reservedPorts,
+   *            allowedPeers, verbosity }
+   */
+  constructor(options = {}) {
+    if (typeof options.secret !== 'string' || options.secret.length < 16) {
+      throw new Error('TURN secret must be at least 16 characters');
+    }
+    this.secret = options.secret;
+    this.port = options.port !== undefined ? options.port : 3480;
+    this.host = options.host;
+    // Address peers send to, reported in XOR-RELAYED-ADDRESS
+    this.externalAddress = options.externalAddress || this.host;
+    if (!net.isIP(this.externalAddress || '') || this.externalAddress === '::' || this.externalAddress === '0.0.0.0') {
+      throw new Error('TURN needs externalAddress: the public IP address of the relay');
+    }
+    // Host name clients and servers use in turn: URLs
+    this.publicHost = options.publicHost || this.externalAddress;
+    this.relayHost = options.relayHost || this.host;
+    this.realm = options.realm || 'homechannel';
+    this.credentialTtlMs = options.credentialTtlMs || 600000;
+    this.defaultLifetime = options.defaultLifetime || 600;  // seconds
+    this.maxLifetime = options.maxLifetime || 3600;         // seconds
+    this.maxAllocations = options.maxAllocations || 100;
+    this.maxAllocationsPerServer = options.maxAllocationsPerServer || 4;
+    // Relayed bytes per second for each home server, both directions (0 = unlimited)
+    this.bandwidthBytesPerSec = options.bandwidthBytesPerSec !== undefined ? options.bandwidthBytesPerSec : 1000000;
+    this.verbosity = options.verbosity !== undefined ? options.verbosity : 1;
+
+    // Internal ranges peers may not be in, unless listed in allowedPeers (CIDRs)
+    this.forbiddenPeers = new net.BlockList();
+    for (const [address, prefix, type] of FORBIDDEN_PEER_RANGES) {
+      this.forbiddenPeers.addSubnet(address, prefix, type);
+    }
+    this.allowedPeers = new net.BlockList();
+    for (const cidr of options.allowedPeers || []) {
+      const [address, prefix] = cidr.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      this.allowedPeers.addSubnet(address, prefix !== undefined ? Number(prefix) : (type === 'ipv6' ? 128 : 32), type);
+    }
+    // The coordinator's own UDP ports (registration, cluster), never a peer on this host
+    this.reservedPorts = new Set(options.reservedPorts || []);
+    this.localAddresses = new Set([this.externalAddress, this.host, this.relayHost].filter(Boolean));
+
+    this.socket = null;
+    this.family = null;
+    this.cleanupInterval = null;
+    // Stateless nonces: "<issued ms>:<HMAC>" under a per-process key
+    this.nonceKey = crypto.randomBytes(32);
+    this.nonceTtlMs = options.nonceTtlMs || 600000;
+
+    // client ipPort → allocation
+    this.allocations = new Map();
+    // client ipPort → { transactionId, username, serverId, ready } while the relay socket binds
+    this.pendingAllocations = new Map();
+    // server id → { tokens, last }
+    this.buckets = new Map();
+  }
+
+  async start() {
+    const { socket, family } = await bindUDPSocket(this.port, this.host);
+    this.socket = socket;
+    this.family = family;
+    for (const { address } of Object.values(os.networkInterfaces()).flat()) {
+      this.localAddresses.add(normalizeAddress(address));
+    }
+
+    this.socket.on('error', (err) => {
+      console.error('TURN socket error:', err);
+    });
+    this.socket.on('message', (msg, rinfo) => {
+      this.handleMessage(msg, rinfo);
+    });
+
+    this.cleanupInterval = setInterval(() => this.cleanup(), 30000).unref();
+
+    if (this.verbosity >= 1) {
+      const address = this.socket.address();
+      console.log(`TURN relay listening on ${formatIpPort(address.address, address.port)}, relaying as ${this.externalAddress}`);
+    }
+  }
+
+  async stop() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+    for (const ipPort of [...this.allocations.keys()]) {
+      this.deleteAllocation(ipPort);
+    }
+    if (this.socket) {
+      await new Promise(resolve => this.socket.close(resolve));
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Short-lived credentials for connections to one server
+   * Returns an RTCIceServer entry: { urls, username, credential }
+   */
+  issueCredentials(serverPublicKey) {
+    const expiry = Math.floor((Date.now() + this.credentialTtlMs) / 1000);
+    const username = `${expiry}:${turnServerId(serverPublicKey)}`;
+    const host = net.isIPv6(this.publicHost) ? `[${this.publicHost}]` : this.publicHost;
+    const port = this.socket ? this.socket.address().port : this.port;
+    return {
+      urls: `turn:${host}:${port}?transport=udp`,
+      username,
+      credential: this._password(username)
+    };
+  }
+
+  handleMessage(msg, rinfo) {
+    const ipPort = formatIpPort(rinfo.address, rinfo.port);
+
+    // ChannelData: [channel(2)][length(2)][data]; channels are 0x4000-0x7FFF
+    if (msg.length >= 4 && msg[0] >= 0x40 && msg[0] <= 0x7F) {
+      this.handleChannelData(msg, ipPort);
+      return;
+    }
+    if (!isStunMessage(msg)) {
+      return;
+    }
+
+    let message;
+    try {
+      message = parseStunMessage(msg);
+    } catch (error) {
+      if (this.verbosity >= 2) console.warn(`Dropped STUN message from ${ipPort}: ${error.message}`);
+      return;
+    }
+
+    if (message.type === STUN_TYPES.BINDING_REQUEST) {
+      const response = buildBindingResponse(msg, normalizeAddress(rinfo.address), rinfo.port);
+      this._sendToClient(response, rinfo);
+      return;
+    }
+    if (message.type === STUN_TYPES.SEND_INDICATION) {
+      this.handleSendIndication(message, ipPort);
+      return;
+    }
+
+    const handlers = {
+      [STUN_TYPES.ALLOCATE_REQUEST]: (auth) => this.handleAllocate(message, ipPort, rinfo, auth),
+      [STUN_TYPES.REFRESH_REQUEST]: (auth) => this.handleRefresh(message, ipPort, auth),
+      [STUN_TYPES.CREATE_PERMISSION_REQUEST]: (auth) => this.handleCreatePermission(message, ipPort, auth),
+      [STUN_TYPES.CHANNEL_BIND_REQUEST]: (auth) => this.handleChannelBind(message, ipPort, auth)
+    };
+    const handler = handlers[message.type];
+    if (!handler) {
+      return;
+    }
+
+    let auth = null;
+    Promise.resolve()
+      .then(() => {
+        const unknown = message.attributes
+          .map(({ type }) => type)
+          .filter(type => type < 0x8000 && !KNOWN_REQUIRED_ATTRIBUTES.has(type));
+        if (unknown.length > 0) {
+          const list = Buffer.alloc(unknown.length * 2);
+          unknown.forEach((type, i) => list.writeUInt16BE(type, i * 2));
+          return [
+            { type: STUN_ATTRIBUTES.ERROR_CODE, value: encodeErrorCode(420, 'Unknown Attribute') },
+            { type: STUN_ATTRIBUTES.UNKNOWN_ATTRIBUTES, value: list }
+          ];
+        }
+        auth = this.authenticate(msg, message);
+        if (auth.error) {
+          return auth.error;
+        }
+        return handler(auth);
+      })
+      .then((result) => {
+        // Handlers return success attributes; challenges and TurnErrors return error attributes
+        const isError = result.some(({ type }) => type === STUN_ATTRIBUTES.ERROR_CODE);
+        const type = isError ? stunErrorType(message.type) : stunSuccessType(message.type);
+        this._sendToClient(encodeStunMessage(type, message.transactionId, result, auth?.key), rinfo);
+      })
+      .catch((error) => {
+        const code = error instanceof TurnError ? error.code : 500;
+        if (!(error instanceof TurnError)) {
+          console.error('Error handling TURN request:', error.message);
+        }
+        const attributes = [{ type: STUN_ATTRIBUTES.ERROR_CODE, value: encodeErrorCode(code, error.message) }];
+        this._sendToClient(encodeStunMessage(stunErrorType(message.type), message.transactionId, attributes, auth?.key), rinfo);
+      });
+  }
+
+  /**
+   * Check long-term credentials (RFC 5389 10.2)
+   * Returns { username, serverId, key } or { error: attributes } for a challenge
+   */
+  authenticate(msg, message) {
+    const challenge = (code, reason) => ({
+      error: [
+        { type: STUN_ATTRIBUTES.ERROR_CODE, value: encodeErrorCode(code, reason) },
+        { type: STUN_ATTRIBUTES.REALM, value: Buffer.from(this.realm) },
+        { type: STUN_ATTRIBUTES.NONCE, value: Buffer.from(this._nonce()) }
+      ]
+    });
+
+    if (!getStunAttribute(message, STUN_ATTRIBUTES.MESSAGE_INTEGRITY)) {
+      return challenge(401, 'Unauthorized');
+    }
+    const username = getStunAttribute(message, STUN_ATTRIBUTES.USERNAME)?.toString();
+    const realm = getStunAttribute(message, STUN_ATTRIBUTES.REALM)?.toString();
+    const nonce = getStunAttribute(message, STUN_ATTRIBUTES.NONCE)?.toString();
+    if (!username || !realm || !nonce) {
+      return { error: [{ type: STUN_ATTRIBUTES.ERROR_CODE, value: encodeErrorCode(400, 'Bad Request') }] };
+    }
+    if (!this._checkNonce(nonce)) {
+      return challenge(438, 'Stale Nonce');
+    }
+
+    const [expiry, serverId] = username.split(':');
+    if (realm !== this.realm || !serverId || !(Number(expiry) * 1000 > Date.now())) {
+      return challenge(401, 'Unauthorized');
+    }
+    const key = deriveLongTermKey(username, realm, this._password(username));
+    if (!verifyMessageIntegrity(msg, message, key)) {
+      return challenge(401, 'Unauthorized');
+    }
+    return { username, serverId, key };
+  }
+
+  async handleAllocate(message, ipPort, rinfo, { username, serverId, key }) {
+    // Retransmitted Allocate: answer again with the existing allocation, or
+    // once the one still binding its relay socket is ready
+    const existing = this.allocations.get(ipPort) || this.pendingAllocations.get(ipPort);
+    if (existing) {
+      if (existing.transactionId.equals(message.transactionId) && existing.username === username) {
+        return this._allocateResponse(existing.ready ? await existing.ready : existing, message);
+      }
+      throw new TurnError(437, 'Allocation Mismatch');
+    }
+
+    const transport = getStunAttribute(message, STUN_ATTRIBUTES.REQUESTED_TRANSPORT);
+    if (!transport) {
+      throw new TurnError(400, 'Bad Request');
+    }
+    if (transport[0] !== TRANSPORT_UDP) {
+      throw new TurnError(442, 'Unsupported Transport Protocol');
+    }
+    if (this.allocations.size + this.pendingAllocations.size >= this.maxAllocations) {
+      throw new TurnError(508, 'Insufficient Capacity');
+    }
+    const perServer = [...this.allocations.values(), ...this.pendingAllocations.values()]
+      .filter(allocation => allocation.serverId === serverId).length;
+    if (perServer >= this.maxAllocationsPerServer) {
+      throw new TurnError(486, 'Allocation Quota Reached');
+    }
+
+    // The slot is taken before the relay socket is bound, so concurrent
+    // Allocates see it in the checks above
+    const reservation = { transactionId: message.transactionId, username, serverId, ready: null };
+    this.pendingAllocations.set(ipPort, reservation);
+    reservation.ready = this._createAllocation(message, ipPort, rinfo, { username, serverId, key })
+      .finally(() => this.pendingAllocations.delete(ipPort));
+    return this._allocateResponse(await reservation.ready, message);
+  }
+
+  async _createAllocation(message, ipPort, rinfo, { username, serverId, key }) {
+    const { socket, family } = await bindUDPSocket(0, this.relayHost);
+    if (!this.socket) {
+      socket.close();
+      throw new TurnError(508, 'Insufficient Capacity');
+    }
+    const allocation = {
+      clientAddress: normalizeAddress(rinfo.address),
+      clientPort: rinfo.port,
+      transactionId: message.transactionId,
+      username,
+      serverId,
+      key,
+      socket,
+      family,
+      expires: Date.now() + this._lifetime(message) * 1000,
+      permissions: new Map(),  // peer address → expiry
+      channels: new Map(),     // channel number → { address, port, expires }
+      peerChannels: new Map()  // peer ipPort → channel number
+    };
+    socket.on('error', (err) => {
+      console.error(`TURN relay socket error for ${ipPort}:`, err.message);
+    });
+    socket.on('message', (data, peer) => {
+      this.handlePeerData(allocation, data, peer);
+    });
+    this.allocations.set(ipPort, allocation);
+
+    if (this.verbosity >= 1) {
+      console.log(`TURN allocation for server ${serverId} at ${ipPort} (relay port ${socket.address().port})`);
+    }
+    return allocation;
+  }
+
+  handleRefresh(message, ipPort, auth) {
+    const allocation = this._allocationFor(ipPort, auth);
+    const lifetime = this._lifetime(message);
+    if (lifetime === 0) {
+      this.deleteAllocation(ipPort);
+    } else {
+      allocation.expires = Date.now() + lifetime * 1000;
+    }
+    return [{ type: STUN_ATTRIBUTES.LIFETIME, value: this._uint32(lifetime) }];
+  }
+
+  handleCreatePermission(message, ipPort, auth) {
+    const allocation = this._allocationFor(ipPort, auth);
+    const peers = message.attributes.filter(({ type }) => type === STUN_ATTRIBUTES.XOR_PEER_ADDRESS);
+    if (peers.length === 0) {
+      throw new TurnError(400, 'Bad Request');
+    }
+    const addresses = peers.map(({ value }) => this._peerAddress(value, message).address);
+    for (const address of addresses) {
+      allocation.permissions.set(address, Date.now() + PERMISSION_LIFETIME_MS);
+    }
+    return [];
+  }
+
+  handleChannelBind(message, ipPort, auth) {
+    const allocation = this._allocationFor(ipPort, auth);
+    const channelValue = getStunAttribute(message, STUN_ATTRIBUTES.CHANNEL_NUMBER);
+    const peerValue = getStunAttribute(message, STUN_ATTRIBUTES.XOR_PEER_ADDRESS);
+    if (!channelValue || channelValue.length < 2 || !peerValue) {
+      throw new TurnError(400, 'Bad Request');
+    }
+    const channel = channelValue.readUInt16BE(0);
+    if (channel < MIN_CHANNEL || channel > MAX_CHANNEL) {
+      throw new TurnError(400, 'Bad Request');
+    }
+
+    const { address, port } = this._peerAddress(peerValue, message);
+    const peerKey = formatIpPort(address, port);
+    const bound = allocation.channels.get(channel);
+    const boundChannel = allocation.peerChannels.get(peerKey);
+    if ((bound && formatIpPort(bound.address, bound.port) !== peerKey) ||
+        (boundChannel !== undefined && boundChannel !== channel)) {
+      throw new TurnError(400, 'Bad Request');
+    }
+
+    const now = Date.now();
+    allocation.channels.set(channel, { address, port, expires: now + CHANNEL_LIFETIME_MS });
+    allocation.peerChannels.set(peerKey, channel);
+    allocation.permissions.set(address, now + PERMISSION_LIFETIME_MS);
+    return [];
+  }
+
+  /**
+   * Send indication: relay DATA to XOR-PEER-ADDRESS (needs a permission)
+   */
+  handleSendIndication(message, ipPort) {
+    const allocation = this.allocations.get(ipPort);
+    const peerValue = getStunAttribute(message, STUN_ATTRIBUTES.XOR_PEER_ADDRESS);
+    const data = getStunAttribute(message, STUN_ATTRIBUTES.DATA);
+    if (!allocation || !peerValue || !data) {
+      return;
+    }
+    let peer;
+    try {
+      peer = decodeXorAddress(peerValue, message.transactionId);
+    } catch {
+      return;
+    }
+    this._relayToPeer(allocation, peer.address, peer.port, data);
+  }
+
+  handleChannelData(msg, ipPort) {
+    const allocation = this.allocations.get(ipPort);
+    if (!allocation) {
+      return;
+    }
+    const channel = allocation.channels.get(msg.readUInt16BE(0));
+    const length = msg.readUInt16BE(2);
+    if (!channel || msg.length < 4 + length) {
+      return;
+    }
+    this._relayToPeer(allocation, channel.address, channel.port, msg.subarray(4, 4 + length));
+  }
+
+  /**
+   * Data from a peer on a relay socket: ChannelData when a channel is bound,
+   * a Data indication otherwise. Dropped without a permission for the peer.
+   */
+  handlePeerData(allocation, data, peer) {
+    const address = normalizeAddress(peer.address);
+    if (!this._hasPermission(allocation, address) || !this._consume(allocation.serverId, data.length)) {
+      return;
+    }
+
+    const channel = allocation.peerChannels.get(formatIpPort(address, peer.port));
+    let message;
+    if (channel !== undefined) {
+      message = Buffer.alloc(4 + data.length);
+      message.writeUInt16BE(channel, 0);
+      message.writeUInt16BE(data.length, 2);
+      data.copy(message, 4);
+    } else {
+      const transactionId = crypto.randomBytes(12);
+      message = encodeStunMessage(STUN_TYPES.DATA_INDICATION, transactionId, [
+        { type: STUN_ATTRIBUTES.XOR_PEER_ADDRESS, value: encodeXorAddress(address, peer.port, transactionId) },
+        { type: STUN_ATTRIBUTES.DATA, value: data }
+      ]);
+    }
+    this._sendToClient(message, { address: allocation.clientAddress, port: allocation.clientPort });
+  }
+
+  deleteAllocation(ipPort) {
+    const allocation = this.allocations.get(ipPort);
+    if (!allocation) {
+      return;
+    }
+    this.allocations.delete(ipPort);
+    allocation.socket.removeAllListeners('message');
+    allocation.socket.close();
+    if (this.verbosity >= 1) {
+      console.log(`TURN allocation for server ${allocation.serverId} at ${ipPort} released`);
+    }
+  }
+
+  /**
+   * Drop expired allocations, permissions, channels and idle buckets
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [ipPort, allocation] of this.allocations) {
+      if (allocation.expires <= now) {
+        this.deleteAllocation(ipPort);
+        continue;
+      }
+      for (const [address, expires] of allocation.permissions) {
+        if (expires <= now) allocation.permissions.delete(address);
+      }
+      for (const [channel, bound] of allocation.channels) {
+        if (bound.expires <= now) {
+          allocation.channels.delete(channel);
+          allocation.peerChannels.delete(formatIpPort(bound.address, bound.port));
+        }
+      }
+    }
+    for (const [serverId, bucket] of this.buckets) {
+      if (now - bucket.last > 60000) this.buckets.delete(serverId);
+    }
+  }
+
+  _allocateResponse(allocation, message) {
+    const lifetime = Math.max(0, Math.round((allocation.expires - Date.now()) / 1000));
+    return [
+      {
+        type: STUN_ATTRIBUTES.XOR_RELAYED_ADDRESS,
+        value: encodeXorAddress(this.externalAddress, allocation.socket.address().port, message.transactionId)
+      },
+      { type: STUN_ATTRIBUTES.LIFETIME, value: this._uint32(lifetime) },
+      {
+        type: STUN_ATTRIBUTES.XOR_MAPPED_ADDRESS,
+        value: encodeXorAddress(allocation.clientAddress, allocation.clientPort, message.transactionId)
+      }
+    ];
+  }
+
+  _allocationFor(ipPort, auth) {
+    const allocation = this.allocations.get(ipPort);
+    if (!allocation) {
+      throw new TurnError(437, 'Allocation Mismatch');
+    }
+    if (allocation.username !== auth.username) {
+      throw new TurnError(441, 'Wrong Credentials');
+    }
+    return allocation;
+  }
+
+  /**
+   * XOR-PEER-ADDRESS of a request; 403 for peers the relay may not reach
+   */
+  _peerAddress(value, message) {
+    let peer;
+    try {
+      peer = decodeXorAddress(value, message.transactionId);
+    } catch {
+      throw new TurnError(400, 'Bad Request');
+    }
+    if (this.isForbiddenPeer(peer.address, peer.port)) {
+      throw new TurnError(403, 'Forbidden');
+    }
+    return peer;
+  }
+
+  /**
+   * Whether relaying to a peer would reach an internal network or one of the
+   * coordinator's own ports (CVE-2020-26262)
+   */
+  isForbiddenPeer(address, port) {
+    const normalized = normalizeAddress(address);
+    if (!net.isIP(normalized)) {
+      return true;
+    }
+    const type = net.isIPv6(normalized) ? 'ipv6' : 'ipv4';
+    if (this._isOwnPort(port) && this._isOwnAddress(normalized, type)) {
+      return true;
+    }
+    return this.forbiddenPeers.check(normalized, type) && !this.allowedPeers.check(normalized, type);
+  }
+
+  _isOwnPort(port) {
+    return this.reservedPorts.has(port) || port === this.port || (this.socket !== null && port === this.socket.address().port);
+  }
+
+  _isOwnAddress(address, type) {
+    return this.forbiddenPeers.check(address, type) || this.localAddresses.has(address);
+  }
+
+  _hasPermission(allocation, address) {
+    const expires = allocation.permissions.get(address);
+    return expires !== undefined && expires > Date.now();
+  }
+
+  _relayToPeer(allocation, address, port, data) {
+    if (!this._hasPermission(allocation, address) || this.isForbiddenPeer(address, port) ||
+        !this._consume(allocation.serverId, data.length)) {
+      return;
+    }
+    allocation.socket.send(data, port, toSocketAddress(address, allocation.family), (err) => {
+      if (err && this.verbosity >= 2) {
+        console.error(`TURN relay send to ${formatIpPort(address, port)} failed:`, err.message);
+      }
+    });
+  }
+
+  /**
+   * Token bucket per server: up to one second of bandwidthBytesPerSec in a burst
+   */
+  _consume(serverId, bytes) {
+    if (!this.bandwidthBytesPerSec) {
+      return true;
+    }
+    const now = Date.now();
+    const bucket = this.buckets.get(serverId) || { tokens: this.bandwidthBytesPerSec, last: now };
+    bucket.tokens = Math.min(this.bandwidthBytesPerSec, bucket.tokens + (now - bucket.last) * this.bandwidthBytesPerSec / 1000);
+    bucket.last = now;
+    this.buckets.set(serverId, bucket);
+    if (bucket.tokens < bytes) {
+      return false;
+    }
+    bucket.tokens -= bytes;
+    return true;
+  }
+
+  _lifetime(message) {
+    const requested = getStunAttribute(message, STUN_ATTRIBUTES.LIFETIME);
+    if (!requested || requested.length < 4) {
+      return this.defaultLifetime;
+    }
+    const seconds = requested.readUInt32BE(0);
+    return seconds === 0 ? 0 : Math.min(Math.max(seconds, this.defaultLifetime), this.maxLifetime);
+  }
+
+  _password(username) {
+    return crypto.createHmac('sha1', this.secret).update(username).digest('base64');
+  }
+
+  _nonce() {
+    const issued = Date.now().toString(16);
+    const tag = crypto.createHmac('sha256', this.nonceKey).update(issued).digest('hex').substring(0, 16);
+    return `${issued}:${tag}`;
+  }
+
+  _checkNonce(nonce) {
+    const [issued, tag] = nonce.split(':');
+    if (!issued || !tag || Date.now() - parseInt(issued, 16) > this.nonceTtlMs) {
+      return false;
+    }
+    const expected = crypto.createHmac('sha256', this.nonceKey).update(issued).digest('hex').substring(0, 16);
+    return tag.length === expected.length && crypto.timingSafeEqual(Buffer.from(tag), Buffer.from(expected));
+  }
+
+  _uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value, 0);
+    return buffer;
+  }
+
+  _sendToClient(message, { address, port }) {
+    if (!this.socket) {
+      return;
+    }
+    this.socket.send(message, port, toSocketAddress(address, this.family), (err) => {
+      if (err && this.verbosity >= 2) {
+        console.error(`TURN send to ${formatIpPort(address, port)} failed:`, err.message);
+      }
+    });
+  }
+}
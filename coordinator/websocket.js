@@ -0,0 +1,368 @@
+/**
+ * Minimal WebSocket server side (RFC 6455) on Node's http 'upgrade' event
+ *
+ * Text and binary messages, fragmentation, ping/pong and the closing
+ * handshake. No extensions or subprotocols. Client frames must be masked.
+ */
+
+import crypto from 'crypto';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CLOSE_TIMEOUT_MS = 1000;
+
+export const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+/**
+ * Protocol violation; `code` is the close code to send
+ */
+class WebSocketError extends Error {
+  constructor(code, reason) {
+    super(reason);
+    this.code = code;
+  }
+}
+
+/**
+ * Sec-WebSocket-Accept value for a Sec-WebSocket-Key
+ */
+export function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+}
+
+/**
+ * Encode one frame; client frames pass a 4-byte mask
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0), { fin = true, mask = null } = {}) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = data.length;
+  } else if (data.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+
+  if (!mask) {
+    return Buffer.concat([header, data]);
+  }
+  header[1] |= 0x80;
+  const masked = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i++) {
+    masked[i] = data[i] ^ mask[i & 3];
+  }
+  return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Parse one frame from the start of buffer
+ * Returns { fin, opcode, masked, payload, size } or null until the frame is complete
+ */
+export function parseFrame(buffer, maxPayload = Infinity) {
+  if (buffer.length < 2) {
+    return null;
+  }
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0F;
+  const masked = (buffer[1] & 0x80) !== 0;
+  if (buffer[0] & 0x70) {
+    throw new WebSocketError(1002, 'Reserved bits set');
+  }
+
+  let length = buffer[1] & 0x7F;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+    const longLength = buffer.readBigUInt64BE(2);
+    if (longLength > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new WebSocketError(1009, 'Message too big');
+    }
+    length = Number(longLength);
+    offset = 10;
+  }
+  if (length > maxPayload) {
+    throw new WebSocketError(1009, 'Message too big');
+  }
+
+  const maskOffset = offset;
+  if (masked) {
+    offset += 4;
+  }
+  if (buffer.length < offset + length) {
+    return null;
+  }
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i & 3)];
+    }
+  }
+  return { fin, opcode, masked, payload, size: offset + length };
+}
+
+/**
+ * Complete the opening handshake for an 'upgrade' request
+ * Returns a WebSocket, or null after answering the request with an error
+ */
+export function upgradeToWebSocket(req, socket, head, options = {}) {
+  const key = req.headers['sec-websocket-key'];
+  const isUpgrade = req.method === 'GET' &&
+    (req.headers.upgrade || '').toLowerCase() === 'websocket' &&
+    typeof key === 'string' && Buffer.from(key, 'base64').length === 16;
+  if (!isUpgrade) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+  if (req.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 426 Upgrade Required\r\nSec-WebSocket-Version: 13\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`
+  );
+  return new WebSocket(socket, head, options);
+}
+
+/**
+ * Server side of an upgraded connection
+ * Events: 'message' (string for text, Buffer for binary), 'close' ({ code, reason })
+ */
+export class WebSocket {
+  /**
+   * options: { maxMessageSize, pingIntervalMs }
+   */
+  constructor(socket, head = null, options = {}) {
+    this.socket = socket;
+    this.maxMessageSize = options.maxMessageSize || 100000;
+    this.pingIntervalMs = options.pingIntervalMs || 30000;
+    this.state = 'open'; // open, closing, closed
+    this.handlers = new Map();
+    this.buffer = head && head.length > 0 ? Buffer.from(head) : Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentOpcode = null;
+    this.fragmentSize = 0;
+    this.closeCode = 1005;
+    this.closeReason = '';
+    this.closeTimer = null;
+
+    // Peers that miss a whole ping interval are dropped
+    this.alive = true;
+    this.pingTimer = setInterval(() => this.heartbeat(), this.pingIntervalMs).unref();
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.handleData(chunk));
+    // http server sockets allow half-open connections; finish ours when the peer does
+    socket.on('end', () => socket.end());
+    socket.on('close', () => this.handleClose());
+    socket.on('error', () => socket.destroy());
+
+    // Bytes that arrived with the upgrade request, once handlers are attached
+    if (this.buffer.length > 0) {
+      queueMicrotask(() => this.handleData(Buffer.alloc(0)));
+    }
+  }
+
+  /**
+   * Register event handler
+   */
+  on(event, handler) {
+    this.handlers.set(event, handler);
+  }
+
+  /**
+   * Send a text (string) or binary (Buffer) message; false once closing
+   */
+  send(data) {
+    if (this.state !== 'open') {
+      return false;
+    }
+    const opcode = typeof data === 'string' ? OPCODES.TEXT : OPCODES.BINARY;
+    this.socket.write(encodeFrame(opcode, data));
+    return true;
+  }
+
+  /**
+   * Start the closing handshake; the socket is dropped if the peer does not answer
+   */
+  close(code = 1000, reason = '') {
+    if (this.state !== 'open') {
+      return;
+    }
+    this.state = 'closing';
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.write(encodeFrame(OPCODES.CLOSE, payload));
+    this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT_MS).unref();
+  }
+
+  heartbeat() {
+    if (!this.alive) {
+      this.socket.destroy();
+      return;
+    }
+    this.alive = false;
+    if (this.state === 'open') {
+      this.socket.write(encodeFrame(OPCODES.PING));
+    }
+  }
+
+  handleData(chunk) {
+    if (this.state === 'closed') {
+      return;
+    }
+    this.alive = true;
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    try {
+      while (this.state !== 'closed') {
+        const frame = parseFrame(this.buffer, this.maxMessageSize);
+        if (!frame) {
+          return;
+        }
+        this.buffer = this.buffer.subarray(frame.size);
+        if (!frame.masked) {
+          throw new WebSocketError(1002, 'Client frames must be masked');
+        }
+        this.handleFrame(frame);
+      }
+    } catch (err) {
+      this.fail(err.code || 1002, err.message);
+    }
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    if (opcode >= 0x8) {
+      if (!fin || payload.length > 125) {
+        throw new WebSocketError(1002, 'Invalid control frame');
+      }
+      this.handleControl(opcode, payload);
+      return;
+    }
+
+    if (opcode === OPCODES.CONTINUATION) {
+      if (this.fragmentOpcode === null) {
+        throw new WebSocketError(1002, 'Unexpected continuation frame');
+      }
+    } else if (opcode === OPCODES.TEXT || opcode === OPCODES.BINARY) {
+      if (this.fragmentOpcode !== null) {
+        throw new WebSocketError(1002, 'Expected continuation frame');
+      }
+      this.fragmentOpcode = opcode;
+    } else {
+      throw new WebSocketError(1002, `Unknown opcode ${opcode}`);
+    }
+
+    this.fragmentSize += payload.length;
+    if (this.fragmentSize > this.maxMessageSize) {
+      throw new WebSocketError(1009, 'Message too big');
+    }
+    this.fragments.push(payload);
+    if (!fin) {
+      return;
+    }
+
+    const message = Buffer.concat(this.fragments);
+    const messageOpcode = this.fragmentOpcode;
+    this.fragments = [];
+    this.fragmentOpcode = null;
+    this.fragmentSize = 0;
+
+    if (this.state !== 'open') {
+      return;
+    }
+    if (messageOpcode === OPCODES.TEXT) {
+      let text;
+      try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(message);
+      } catch (err) {
+        throw new WebSocketError(1007, 'Invalid UTF-8');
+      }
+      this._emit('message', text);
+    } else {
+      this._emit('message', message);
+    }
+  }
+
+  handleControl(opcode, payload) {
+    if (opcode === OPCODES.PING) {
+      if (this.state === 'open') {
+        this.socket.write(encodeFrame(OPCODES.PONG, payload));
+      }
+    } else if (opcode === OPCODES.CLOSE) {
+      if (payload.length >= 2) {
+        this.closeCode = payload.readUInt16BE(0);
+        this.closeReason = payload.subarray(2).toString();
+      }
+      if (this.state === 'open') {
+        // Echo the peer's code, then close our side
+        this.state = 'closing';
+        this.socket.write(encodeFrame(OPCODES.CLOSE, payload.subarray(0, 2)));
+      }
+      // Nothing may follow a close frame
+      this.buffer = Buffer.alloc(0);
+      this.socket.end();
+    } else if (opcode !== OPCODES.PONG) {
+      throw new WebSocketError(1002, `Unknown opcode ${opcode}`);
+    }
+  }
+
+  /**
+   * Close after a protocol error without waiting for the peer
+   */
+  fail(code, reason) {
+    this.closeCode = code;
+    this.closeReason = reason;
+    this.close(code, reason);
+    this.state = 'closing';
+    this.socket.end();
+  }
+
+  handleClose() {
+    if (this.state === 'closed') {
+      return;
+    }
+    this.state = 'closed';
+    clearInterval(this.pingTimer);
+    clearTimeout(this.closeTimer);
+    this._emit('close', { code: this.closeCode, reason: this.closeReason });
+  }
+
+  _emit(event, data) {
+    const handler = this.handlers.get(event);
+    if (!handler) {
+      return;
+    }
+    try {
+      handler(data);
+    } catch (err) {
+      console.error(`Error in WebSocket ${event} handler:`, err);
+    }
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Failed login tracking across connections, with exponential backoff
+ *
+ * Failures are counted per key (a username or a client address). The first
+ * `freeAttempts` failures cost nothing; each further one doubles the wait
+ * before the next attempt, from `baseDelayMs` up to `maxDelayMs`. A success
+ * clears the keys, and keys without failures for `resetAfterMs` are forgotten.
+ */
+export class AuthThrottle {
+  constructor(options = {}) {
+    this.freeAttempts = options.freeAttempts ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 15 * 60000;
+    this.resetAfterMs = options.resetAfterMs ?? 60 * 60000;
+    this.failures = new Map(); // key -> { count, last, blockedUntil }
+  }
+
+  /**
+   * Milliseconds until any of the keys may try again (0 = now)
+   */
+  retryAfter(keys, now = Date.now()) {
+    this.prune(now);
+    return Math.max(0, ...keys.map(key => (this.failures.get(key)?.blockedUntil ?? 0) - now));
+  }
+
+  recordFailure(keys, now = Date.now()) {
+    for (const key of keys) {
+      const entry = this.failures.get(key) || { count: 0, last: now, blockedUntil: 0 };
+      entry.count++;
+      entry.last = now;
+      if (entry.count > this.freeAttempts) {
+        const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (entry.count - this.freeAttempts - 1));
+        entry.blockedUntil = now + delay;
+      }
+      this.failures.set(key, entry);
+    }
+  }
+
+  recordSuccess(keys) {
+    for (const key of keys) {
+      this.failures.delete(key);
+    }
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.failures) {
+      if (now - entry.last > this.resetAfterMs && entry.blockedUntil <= now) {
+        this.failures.delete(key);
+      }
+    }
+  }
+}
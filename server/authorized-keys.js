@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { promises as fsPromises } from 'fs';
+
+/**
+ * Client public keys allowed to connect, in an authorized_keys-style file
+ *
+ * One key per line: `[user=<name>] ed25519 <base64 raw public key> [comment]`.
+ * Blank lines and lines starting with # are ignored. Without `user=` the key
+ * belongs to the account '' (single-password servers).
+ */
+
+const KEY_PROOF_LABEL = 'homechannel auth:key';
+
+/**
+ * Parse authorized_keys text
+ * @param {string} text - File contents
+ * @returns {{ keys: Map<string, { username: string, comment: string }>, errors: string[] }}
+ */
+export function parseAuthorizedKeys(text) {
+  const keys = new Map();
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+    const fields = line.split(/\s+/);
+    let username = '';
+    if (fields[0].startsWith('user=')) {
+      username = fields.shift().slice('user='.length);
+    }
+    const [type, key, ...comment] = fields;
+    if (type !== 'ed25519' || !key || Buffer.from(key, 'base64').length !== 32) {
+      errors.push(`line ${index + 1}: expected "ed25519 <base64 key>"`);
+      return;
+    }
+    keys.set(Buffer.from(key, 'base64').toString('base64'), { username, comment: comment.join(' ') });
+  });
+
+  return { keys, errors };
+}
+
+/**
+ * Read an authorized_keys file; a missing file means no keys
+ * @param {string} filePath
+ * @returns {Promise<Map<string, { username: string, comment: string }>>}
+ */
+export async function loadAuthorizedKeys(filePath) {
+  let text;
+  try {
+    text = await fsPromises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return new Map();
+    }
+    throw error;
+  }
+  const { keys, errors } = parseAuthorizedKeys(text);
+  for (const error of errors) {
+    console.warn(`${filePath} ${error}`);
+  }
+  return keys;
+}
+
+/**
+ * DTLS fingerprint of an SDP, as 'sha-256 AB:CD:...'; null if there is none
+ */
+export function sdpFingerprint(sdp) {
+  const match = typeof sdp === 'string' && sdp.match(/^a=fingerprint:(\S+) ([0-9A-Fa-f:]+)\s*$/m);
+  return match ? `${match[1].toLowerCase()} ${match[2].toUpperCase()}` : null;
+}
+
+/**
+ * Text the client signs: the server's nonce bound to both DTLS fingerprints,
+ * so a proof cannot be replayed on another connection
+ */
+export function keyProofMessage(nonce, clientFingerprint, serverFingerprint) {
+  return `${KEY_PROOF_LABEL}\n${nonce}\n${clientFingerprint}\n${serverFingerprint}`;
+}
+
+/**
+ * Check an Ed25519 signature (hex) by a raw public key (base64)
+ */
+export function verifyKeyProof(publicKey, signature, message) {
+  if (typeof publicKey !== 'string' || typeof signature !== 'string' || !/^[0-9a-f]{128}$/.test(signature)) {
+    return false;
+  }
+  try {
+    const key = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey, 'base64').toString('base64url') },
+      format: 'jwk'
+    });
+    return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature, 'hex'));
+  } catch (error) {
+    return false;
+  }
+}
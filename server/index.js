@@ -1,11 +1,17 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import { promises as fsPromises } from 'fs';
 import path from 'path';
-import { UDPClient } from '../shared/protocol.js';
+import { UDPClient, CAPABILITIES } from '../shared/protocol.js';
 import { createWebRTCPeer, displayWebRTCStatus } from './webrtc.js';
 import { loadKeys, generateSigningKeyPair, saveKeys, normalizeSignatureAlgorithm } from '../shared/keys.js';
 import { normalizeKeyAgreementCurve } from '../shared/crypto.js';
 import { ServiceRouter } from './services/index.js';
+import { SRPServerSession } from '../shared/srp.js';
+import { UserDirectory } from './users.js';
+import { loadAuthorizedKeys, sdpFingerprint, keyProofMessage } from './authorized-keys.js';
+import { TotpStore, otpauthUri } from './totp.js';
+import { AuthThrottle } from './auth-throttle.js';
 
 // Config and key paths — always under ~/.config/homechannel/
 const _CONFIG_DIR = path.join(process.env.HOME || process.env.USERPROFILE || '/root', '.config', 'homechannel');
@@ -13,6 +19,8 @@ const _CONFIG_PATH = path.join(_CONFIG_DIR, 'server.json');
 const _PRIVATE_KEY_PATH = path.join(_CONFIG_DIR, 'server.key');
 const _PUBLIC_KEY_PATH = path.join(_CONFIG_DIR, 'server.pub');
 const _FAILOVER_PATH = path.join(_CONFIG_DIR, 'failover-coordinator.json');
+const _AUTHORIZED_KEYS_PATH = path.join(_CONFIG_DIR, 'authorized_keys');
+const _TOTP_PATH = path.join(_CONFIG_DIR, 'totp.json');
 
 const _DEFAULT_SERVER_CONFIG = {
   coordinator: {
@@ -25,10 +33,67 @@ const _DEFAULT_SERVER_CONFIG = {
   },
   password: 'change-me',
   // udpLocalPort: 0 (uncomment and set to a fixed port to keep NAT mapping stable)
+  // coordinator may also be an array to register with several coordinators at once
+  // failover: { afterReconnects: 3, failback: 'auto' } (see README: Coordinator Failover)
   apps: [],
   services: {}
 };
 
+// Failover to the saved failover coordinator after this many consecutive reconnects;
+// failback 'auto' returns to the primary once it answers again, 'never' stays put
+const _DEFAULT_FAILOVER_POLICY = {
+  afterReconnects: 3,
+  failback: 'auto'
+};
+const _FAILBACK_POLICIES = ['auto', 'never'];
+
+// ICE servers the coordinator may add to an offer (e.g. TURN credentials)
+const _MAX_OFFER_ICE_SERVERS = 4;
+const _ICE_URL_PATTERN = /^(stun|stuns|turn|turns):/;
+
+/**
+ * Keep well-formed RTCIceServer entries from an offer
+ */
+function _offerIceServers(iceServers) {
+  if (!Array.isArray(iceServers)) {
+    return [];
+  }
+  return iceServers
+    .filter(server => {
+      const urls = Array.isArray(server?.urls) ? server.urls : [server?.urls];
+      return urls.length > 0 &&
+        urls.every(url => typeof url === 'string' && _ICE_URL_PATTERN.test(url)) &&
+        (server.username === undefined || typeof server.username === 'string') &&
+        (server.credential === undefined || typeof server.credential === 'string');
+    })
+    .slice(0, _MAX_OFFER_ICE_SERVERS)
+    .map(({ urls, username, credential }) => ({ urls, username, credential }));
+}
+
+// 'reconnecting' only fires once HELLO retries are exhausted, so keep retries
+// short while a failover is possible; otherwise retry HELLO (almost) forever
+const _FAILOVER_HELLO_RETRIES = 5;
+const _DEFAULT_HELLO_RETRIES = 10000;
+
+// Trickled ICE candidates that arrive before their offer is applied (UDP may reorder)
+// are held per session, bounded in count and lifetime
+const _MAX_PENDING_CANDIDATES = 64;
+const _PENDING_CANDIDATES_TTL_MS = 60000;
+
+// Each offer costs an SRP exchange and a peer connection before the client has
+// proved anything: connections still unauthenticated are capped and closed
+// after a while, and failed proofs back off per username and client address
+const _MAX_UNAUTHENTICATED_PEERS = 8;
+const _AUTH_TIMEOUT_MS = 30000;
+
+function coordinatorLabel({ host, port }) {
+  return `${host}:${port}`;
+}
+
+function isSameCoordinator(a, b) {
+  return !!a && !!b && a.host === b.host && a.port === b.port;
+}
+
 /**
  * HomeChannel Server
  * Runs on home network, connects to coordinator via UDP
@@ -38,10 +103,19 @@ class Server {
   constructor(config) {
     this.config = config;
     this.serverKeys = null;
-    this.udpClient = null;
+    // One link per coordinator:
+    // { coordinator, active, localPort, udpClient, pendingClient, failbackClient, reconnects, failures, registeredAt }
+    // link.coordinator is the config entry itself, so migrations update the config in place;
+    // link.active is the coordinator in use (link.coordinator, or the failover coordinator)
+    this.coordinatorLinks = [];
     this.peers = new Map(); // clientId -> WebRTCPeer
+    this.remoteCandidates = new Map(); // sessionId -> ICE candidates waiting for the offer
     this.failoverCoordinator = null; // Store failover coordinator info
+    this.failoverPolicy = null;
     this.serviceRouter = null; // Service router for datachannel messages
+    this.users = null; // Accounts and SRP verifiers clients authenticate against
+    this.totp = null; // TOTP secrets of users who enrolled a second factor
+    this.authThrottle = new AuthThrottle(); // Failed password proofs across connections
   }
 
   async init() {
@@ -90,8 +164,14 @@ class Server {
       throw error;
     }
 
-    // Add password to keys object for UDP client
-    this.serverKeys.password = this.config.password || 'default';
+    // Passwords stay on this machine: clients prove them with SRP, coordinators never see them
+    this.users = new UserDirectory(this.config);
+    this.totp = await TotpStore.load(this.config._totpPath || _TOTP_PATH);
+
+    this.failoverPolicy = { ..._DEFAULT_FAILOVER_POLICY, ...(this.config.failover || {}) };
+    if (!_FAILBACK_POLICIES.includes(this.failoverPolicy.failback)) {
+      throw new Error(`Invalid failover.failback policy: ${this.failoverPolicy.failback}`);
+    }
 
     // Load failover coordinator if it exists
     await this.loadFailoverCoordinator();
@@ -111,36 +191,280 @@ class Server {
       }
     }
 
-    // Initialize UDP client
-    this.udpClient = new UDPClient(
-      this.config.coordinator.host,
-      this.config.coordinator.port,
+    // Initialize one UDP client per coordinator, each with its own registration and keepalive
+    const coordinators = Array.isArray(this.config.coordinator)
+      ? this.config.coordinator
+      : [this.config.coordinator];
+
+    this.coordinatorLinks = coordinators.map((coordinator, index) => {
+      // A fixed local port cannot be shared between sockets: coordinator N uses udpLocalPort + N
+      const localPort = coordinator.localPort ||
+        (this.config.udpLocalPort ? this.config.udpLocalPort + index : 0);
+      const link = {
+        coordinator,
+        active: coordinator,
+        localPort,
+        udpClient: null,
+        pendingClient: null,
+        failbackClient: null,
+        reconnects: 0,
+        failures: 0,
+        registeredAt: null,
+        // Public address reported by the coordinator, and how often it changed (NAT mapping stability)
+        publicAddress: null,
+        publicAddressSince: null,
+        publicAddressChanges: 0
+      };
+
+      // Resume on the failover coordinator if it was in use when the server stopped
+      if (this.failoverCoordinator?.activeFor === coordinatorLabel(coordinator)) {
+        link.active = this.getFailoverTarget();
+        console.log(`Resuming on failover coordinator ${coordinatorLabel(link.active)} instead of ${coordinatorLabel(coordinator)}`);
+        if (this.failoverPolicy.failback === 'auto') {
+          link.failbackClient = this.createUDPClient(coordinator, link);
+        }
+      }
+
+      link.udpClient = this.createUDPClient(link.active, link, { localPort });
+      return link;
+    });
+
+    console.log(`Server initialized (${this.coordinatorLinks.length} coordinator${this.coordinatorLinks.length === 1 ? '' : 's'})`);
+  }
+
+  /**
+   * Create a UDP client for one coordinator and wire its events to the link
+   */
+  createUDPClient(coordinator, link, options = {}) {
+    const udpClient = new UDPClient(
+      coordinator.host,
+      coordinator.port,
       this.serverKeys,
       {
-        coordinatorPublicKey: this.config.coordinator.publicKey || null,
-        keyAgreementCurve,
-        helloMaxRetries: 10000,
-        signatureAlgorithm,
-        localPort: this.config.udpLocalPort || 0,
+        coordinatorPublicKey: coordinator.publicKey || null,
+        keyAgreementCurve: this.keyAgreementCurve,
+        helloMaxRetries: this.canFailover() ? _FAILOVER_HELLO_RETRIES : _DEFAULT_HELLO_RETRIES,
+        signatureAlgorithm: this.signatureAlgorithm,
+        localPort: options.localPort || 0,
+        addressFamily: coordinator.addressFamily,
+        preferredFamily: coordinator.preferredFamily,
       }
     );
 
-    // Register event handlers
-    this.udpClient.on('registered', () => {
-      console.log('Server registered with coordinator');
+    const label = coordinatorLabel(coordinator);
+
+    udpClient.on('registered', async () => {
+      // A migration target or a returning primary becomes the link's client once it registers
+      if (link.pendingClient === udpClient) {
+        await this.completeMigration(link, udpClient, coordinator);
+      } else if (link.failbackClient === udpClient) {
+        await this.completeFailback(link);
+      }
+      if (link.udpClient !== udpClient) return;
+      link.failures = 0;
+      link.registeredAt = Date.now();
+      console.log(`Server registered with coordinator ${label}${this.formatHealthSummary()}`);
+    });
+
+    udpClient.on('disconnected', () => {
+      if (link.udpClient !== udpClient) return;
+      console.warn(`Lost coordinator ${label}${this.formatHealthSummary()}`);
     });
 
-    this.udpClient.on('migrate', (newCoordinator) => {
-      this.handleMigration(newCoordinator);
+    udpClient.on('reconnecting', () => {
+      if (link.udpClient !== udpClient) return;
+      link.reconnects++;
+      link.failures++;
+      const { afterReconnects } = this.failoverPolicy;
+      if (afterReconnects > 0 && link.failures >= afterReconnects) {
+        this.handleCoordinatorFailure(link).catch(err => {
+          console.error('Error during coordinator failover:', err.message);
+        });
+      }
     });
 
-    this.udpClient.on('offer', ({ sessionId, payload }) => {
-      this.handleOffer(sessionId, payload).catch(err => {
+    udpClient.on('publicAddress', ({ address }) => {
+      if (link.udpClient !== udpClient || address === link.publicAddress) return;
+      if (link.publicAddress) {
+        link.publicAddressChanges++;
+        console.warn(`Public address seen by coordinator ${label} changed from ${link.publicAddress} to ${address}`);
+      }
+      link.publicAddress = address;
+      link.publicAddressSince = Date.now();
+    });
+
+    udpClient.on('migrate', (newCoordinator) => {
+      this.handleMigration(newCoordinator, link);
+    });
+
+    // Answer through the coordinator that relayed the offer
+    udpClient.on('offer', ({ sessionId, payload }) => {
+      this.handleOffer(sessionId, payload, udpClient).catch(err => {
         console.error('Error handling WebRTC offer:', err.message);
       });
     });
 
-    console.log('Server initialized');
+    udpClient.on('candidates', ({ sessionId, candidates }) => {
+      this.handleRemoteCandidates(sessionId, candidates).catch(err => {
+        console.error('Error adding trickled ICE candidates:', err.message);
+      });
+    });
+
+    return udpClient;
+  }
+
+  /**
+   * Per-coordinator health
+   * host/port are the coordinator in use; failover is true while on the failover coordinator
+   * publicAddress is this server's ip:port as seen by the coordinator; publicAddressChanges
+   * counts mapping changes since start and publicAddressSince is when the current one was first seen
+   * @returns {Array<{host, port, state, registered, lastSeen, registeredAt, reconnects, failover,
+   *   publicAddress, publicAddressSince, publicAddressChanges}>}
+   */
+  getCoordinatorHealth() {
+    return this.coordinatorLinks.map(({
+      coordinator, active, udpClient, reconnects, registeredAt,
+      publicAddress, publicAddressSince, publicAddressChanges
+    }) => ({
+      host: active.host,
+      port: active.port,
+      state: udpClient.state,
+      registered: udpClient.registered,
+      lastSeen: udpClient.lastReceivedMs,
+      registeredAt,
+      reconnects,
+      failover: active !== coordinator,
+      lastError: udpClient.lastError?.name || null,
+      publicAddress,
+      publicAddressSince,
+      publicAddressChanges
+    }));
+  }
+
+  /**
+   * Short health suffix for log lines, only shown with several coordinators
+   */
+  formatHealthSummary() {
+    if (this.coordinatorLinks.length < 2) {
+      return '';
+    }
+    const healthy = this.coordinatorLinks.filter(link => link.udpClient.registered).length;
+    return ` (${healthy}/${this.coordinatorLinks.length} coordinators registered)`;
+  }
+
+  /**
+   * Whether a link can fail over: enabled by policy and a failover coordinator is known
+   */
+  canFailover() {
+    return this.failoverPolicy?.afterReconnects > 0 && !!this.failoverCoordinator;
+  }
+
+  /**
+   * Failover coordinator as a link target
+   */
+  getFailoverTarget() {
+    const { host, port, publicKey } = this.failoverCoordinator;
+    return { host, port, publicKey };
+  }
+
+  /**
+   * Switch a link away from a coordinator that keeps failing
+   * Primary -> saved failover coordinator; failover coordinator -> back to primary
+   */
+  async handleCoordinatorFailure(link) {
+    const attempts = link.failures;
+
+    if (link.active !== link.coordinator) {
+      await this.switchCoordinator(link, link.coordinator,
+        `failover coordinator unreachable after ${attempts} reconnect attempts`);
+      return;
+    }
+
+    if (!this.failoverCoordinator) return;
+
+    const target = this.getFailoverTarget();
+    // Nothing to gain when the failover coordinator is this link's primary or already in use by another link
+    if (this.coordinatorLinks.some(other => isSameCoordinator(other.active, target))) {
+      return;
+    }
+
+    await this.switchCoordinator(link, target,
+      `primary coordinator unreachable after ${attempts} reconnect attempts`);
+  }
+
+  /**
+   * Move a link to another coordinator right away
+   * Unlike migration the current coordinator is unreachable, so there is nothing to wait for
+   */
+  async switchCoordinator(link, target, reason) {
+    console.log(`Switching coordinator ${coordinatorLabel(link.active)} -> ${coordinatorLabel(target)}: ${reason}`);
+
+    // Point the link at the new client first so the old client's events are ignored
+    const oldClient = link.udpClient;
+    link.udpClient = this.createUDPClient(target, link, { localPort: link.localPort });
+    link.active = target;
+    link.failures = 0;
+    link.registeredAt = null;
+
+    // Release the link's local port before the new client binds it
+    await oldClient.stop().catch(err => {
+      console.error('Error stopping UDP client:', err.message);
+    });
+    await this.stopFailbackClient(link);
+    await this.saveActiveCoordinator(link);
+
+    await link.udpClient.start();
+
+    // Keep probing the primary so we can fail back once it answers again
+    if (link.active !== link.coordinator && this.failoverPolicy.failback === 'auto') {
+      link.failbackClient = this.createUDPClient(link.coordinator, link);
+      await link.failbackClient.start().catch(err => {
+        console.error(`Failed to probe primary coordinator ${coordinatorLabel(link.coordinator)}:`, err.message);
+      });
+    }
+  }
+
+  /**
+   * Switch a link back to its primary after the failback probe registered
+   */
+  async completeFailback(link) {
+    const probe = link.failbackClient;
+    const oldClient = link.udpClient;
+
+    console.log(`Primary coordinator ${coordinatorLabel(link.coordinator)} is back, failing back from ${coordinatorLabel(link.active)}`);
+
+    link.failbackClient = null;
+    link.udpClient = probe;
+    link.active = link.coordinator;
+    link.failures = 0;
+
+    await oldClient.stop().catch(err => {
+      console.error('Error stopping UDP client:', err.message);
+    });
+    await this.saveActiveCoordinator(link);
+  }
+
+  /**
+   * Stop a link's failback probe, if any
+   */
+  async stopFailbackClient(link) {
+    if (link.failbackClient) {
+      const probe = link.failbackClient;
+      link.failbackClient = null;
+      await probe.stop().catch(() => {});
+    }
+  }
+
+  /**
+   * Persist whether the failover coordinator is in use, so a restart resumes on it
+   * Stored as failoverCoordinator.activeFor: the primary it replaces, or null
+   */
+  async saveActiveCoordinator(link) {
+    if (!this.failoverCoordinator) return;
+    this.failoverCoordinator.activeFor = link.active !== link.coordinator
+      ? coordinatorLabel(link.coordinator)
+      : null;
+    await this.saveFailoverCoordinator();
   }
 
   /**
@@ -185,24 +509,82 @@ class Server {
 
   async start() {
     await this.init();
-    await this.udpClient.start();
+
+    // Coordinators are independent: one failing to start must not block the others
+    const results = await Promise.allSettled(
+      this.coordinatorLinks.map(link => link.udpClient.start())
+    );
+    // Failback probes for links resumed on the failover coordinator
+    for (const link of this.coordinatorLinks) {
+      if (link.failbackClient) {
+        await link.failbackClient.start().catch(err => {
+          console.error(`Failed to probe primary coordinator ${coordinatorLabel(link.coordinator)}:`, err.message);
+        });
+      }
+    }
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        const { host, port } = this.coordinatorLinks[index].coordinator;
+        console.error(`Failed to start UDP client for ${host}:${port}:`, result.reason?.message || result.reason);
+      }
+    });
+    if (results.every(result => result.status === 'rejected')) {
+      throw new Error('Could not start a UDP client for any coordinator');
+    }
     
     console.log('Server started');
-    console.log(`Coordinator: ${this.config.coordinator.host}:${this.config.coordinator.port}`);
+    for (const { coordinator, active } of this.coordinatorLinks) {
+      console.log(`Coordinator: ${coordinatorLabel(active)}${active !== coordinator ? ` (failover for ${coordinatorLabel(coordinator)})` : ''}`);
+    }
   }
 
   /**
    * Handle incoming offer from client (via coordinator)
+   * The answer is sent back through udpClient, the coordinator that relayed the offer
    */
-  async handleOffer(sessionId, offerPayload) {
+  async handleOffer(sessionId, offerPayload, udpClient = this.coordinatorLinks[0]?.udpClient) {
+    // Trickle when the client asked for it and this coordinator can carry CANDIDATES
+    const trickle = offerPayload.trickle === true && udpClient.hasCapability(CAPABILITIES.TRICKLE_ICE);
+
     try {
+      const username = typeof offerPayload.pake?.username === 'string' ? offerPayload.pake.username : '';
+
+      // Refuse before any SRP or WebRTC work while guessing is throttled or too many clients are pending
+      const throttleKeys = [`user:${username}`];
+      if (typeof offerPayload.clientAddress === 'string') {
+        throttleKeys.push(`source:${offerPayload.clientAddress}`);
+      }
+      const retryAfterMs = this.authThrottle.retryAfter(throttleKeys);
+      if (retryAfterMs > 0) {
+        await udpClient.sendAnswer({ sessionId, error: 'Too many failed attempts', retryAfterMs });
+        return;
+      }
+      if (this.countUnauthenticatedPeers(sessionId) >= _MAX_UNAUTHENTICATED_PEERS) {
+        await udpClient.sendAnswer({ sessionId, error: 'Too many pending connections', retryAfterMs: _AUTH_TIMEOUT_MS });
+        return;
+      }
+
+      // Answer the client's SRP value; it proves the password on apps-control before anything is served
+      const account = this.users.find(username);
+      const pakeSession = new SRPServerSession(account.verifier, offerPayload.pake?.A);
+      const pake = { salt: pakeSession.salt, B: pakeSession.serverPublic };
+
+      // Client keys are read on every offer, so edits to authorized_keys apply without a restart
+      const keyAuth = await this.createKeyAuth();
+
+      // Hold trickled candidates until the remote description is set
+      if (!this.remoteCandidates.has(sessionId)) {
+        this.remoteCandidates.set(sessionId, []);
+      }
+
       // Create or reuse peer connection
       if (!this.peers.has(sessionId)) {
         const libraryName = this.config.webrtc?.library || 'werift';
         const peer = await createWebRTCPeer(libraryName, {
           serviceRouter: this.serviceRouter,
           config: {
-            iceServers: this.config.webrtc?.iceServers || []
+            // The coordinator's relay credentials are only valid for this session
+            iceServers: [...(this.config.webrtc?.iceServers || []), ..._offerIceServers(offerPayload.iceServers)]
           }
         });
         
@@ -214,42 +596,176 @@ class Server {
       }
 
       const peer = this.peers.get(sessionId);
+      peer.session = {
+        pake: pakeSession,
+        keyAuth,
+        authenticated: false,
+        username,
+        apps: account.apps,
+        totp: this.totp,
+        totpVerified: false,
+        throttle: this.authThrottle,
+        throttleKeys
+      };
+
+      // Clients that never authenticate do not hold a peer connection for long
+      const session = peer.session;
+      setTimeout(() => {
+        if (!session.authenticated && this.peers.get(sessionId)?.session === session) {
+          this.closePeer(sessionId);
+        }
+      }, _AUTH_TIMEOUT_MS).unref();
 
       // Set remote description (offer)
       await peer.handleOffer(offerPayload.sdp || offerPayload);
 
-      // Add ICE candidates from the offer
-      if (offerPayload.candidates) {
-        for (const candidate of offerPayload.candidates) {
-          await peer.addICECandidate(candidate).catch(() => {});
-        }
+      // Add ICE candidates from the offer, then any trickled in meanwhile
+      const trickled = this.remoteCandidates.get(sessionId) || [];
+      this.remoteCandidates.delete(sessionId);
+      for (const candidate of [...(offerPayload.candidates || []), ...trickled]) {
+        await peer.addICECandidate(candidate).catch(() => {});
       }
 
       // Create answer and set local description
       const answerSdp = await peer.createAnswer();
 
-      // Wait for ICE gathering to complete
-      await peer.waitForIceGathering(10000);
-
-      const answer = {
-        sessionId,
-        sdp: answerSdp,
-        candidates: peer.getICECandidates()
-      };
+      // The key proof covers both DTLS fingerprints; without them only the password is accepted
+      if (keyAuth) {
+        const clientFingerprint = sdpFingerprint(offerPayload.sdp?.sdp);
+        const serverFingerprint = sdpFingerprint(answerSdp?.sdp || answerSdp);
+        if (clientFingerprint && serverFingerprint) {
+          keyAuth.message = keyProofMessage(keyAuth.nonce, clientFingerprint, serverFingerprint);
+        } else {
+          peer.session.keyAuth = null;
+        }
+      }
+      const keyAuthAnswer = peer.session.keyAuth ? { nonce: keyAuth.nonce } : null;
+
+      let answer;
+      if (trickle) {
+        // Answer right away with what has been gathered; later candidates follow as CANDIDATES
+        answer = {
+          sessionId,
+          sdp: answerSdp,
+          candidates: [...peer.getICECandidates()],
+          pake,
+          keyAuth: keyAuthAnswer
+        };
+        peer.on('icecandidate', (candidate) => {
+          udpClient.sendCandidates(sessionId, [candidate]).catch(err => {
+            console.error('Error sending ICE candidate:', err.message);
+          });
+        });
+      } else {
+        // Wait for ICE gathering to complete
+        await peer.waitForIceGathering(10000);
+
+        answer = {
+          sessionId,
+          sdp: answerSdp,
+          candidates: peer.getICECandidates(),
+          pake,
+          keyAuth: keyAuthAnswer
+        };
+      }
 
       // Send answer back to coordinator
-      await this.udpClient.sendAnswer(answer);
+      await udpClient.sendAnswer(answer);
+
+      if (trickle) {
+        // Tell the client gathering is done so it stops polling for candidates
+        peer.waitForIceGathering(10000)
+          .then(() => udpClient.sendCandidates(sessionId, [], true))
+          .catch(err => {
+            console.error('Error sending end of ICE candidates:', err.message);
+          });
+      }
     } catch (error) {
+      this.remoteCandidates.delete(sessionId);
       console.error('Error handling offer:', error);
       throw error;
     }
   }
 
+  /**
+   * Peer connections whose client has not authenticated yet (not counting sessionId)
+   */
+  countUnauthenticatedPeers(exceptSessionId = null) {
+    let count = 0;
+    for (const [sessionId, peer] of this.peers) {
+      if (sessionId !== exceptSessionId && peer.session && !peer.session.authenticated && !peer.session.rejected) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Close and forget a client's peer connection
+   */
+  closePeer(sessionId) {
+    const peer = this.peers.get(sessionId);
+    if (peer) {
+      this.peers.delete(sessionId);
+      peer.close();
+    }
+    this.remoteCandidates.delete(sessionId);
+  }
+
+  /**
+   * Key authentication state for one offer: a fresh nonce and the authorized
+   * keys of existing accounts; null when no client key may connect
+   */
+  async createKeyAuth() {
+    const authorizedKeys = await loadAuthorizedKeys(this.config._authorizedKeysPath || _AUTHORIZED_KEYS_PATH);
+    const keys = new Map();
+    for (const [publicKey, { username }] of authorizedKeys) {
+      if (this.users.has(username)) {
+        keys.set(publicKey, { username, apps: this.users.find(username).apps });
+      }
+    }
+    if (keys.size === 0) {
+      return null;
+    }
+    return { nonce: crypto.randomBytes(32).toString('hex'), keys, message: null };
+  }
+
+  /**
+   * Add ICE candidates trickled by the client
+   * Candidates that arrive before the offer has been applied are held for handleOffer()
+   */
+  async handleRemoteCandidates(sessionId, candidates) {
+    const peer = this.peers.get(sessionId);
+    let pending = this.remoteCandidates.get(sessionId);
+
+    if (!pending && peer) {
+      for (const candidate of candidates) {
+        await peer.addICECandidate(candidate).catch(() => {});
+      }
+      return;
+    }
+
+    if (!pending) {
+      pending = [];
+      this.remoteCandidates.set(sessionId, pending);
+      // Drop candidates for offers that never arrive
+      setTimeout(() => {
+        if (this.remoteCandidates.get(sessionId) === pending) {
+          this.remoteCandidates.delete(sessionId);
+        }
+      }, _PENDING_CANDIDATES_TTL_MS).unref();
+    }
+
+    const room = _MAX_PENDING_CANDIDATES - pending.length;
+    pending.push(...candidates.slice(0, Math.max(0, room)));
+  }
+
   /**
    * Handle coordinator migration request
    * Save failover coordinator and attempt registration
+   * Only the link whose coordinator sent MIGRATE is moved; other coordinators are untouched
    */
-  async handleMigration(newCoordinator) {
+  async handleMigration(newCoordinator, link = this.coordinatorLinks[0]) {
     try {
       console.log(`Migration requested to ${newCoordinator.host}:${newCoordinator.port}`);
       
@@ -265,46 +781,23 @@ class Server {
       await this.saveFailoverCoordinator();
       
       console.log('Failover coordinator saved for future use');
+
+      // Abandon an earlier migration attempt that never registered
+      if (link.pendingClient) {
+        await link.pendingClient.stop().catch(() => {});
+      }
       
-      // Create new UDP client for migration target
-      const newUdpClient = new UDPClient(
-        newCoordinator.host,
-        newCoordinator.port,
-        this.serverKeys,
-        {
-          coordinatorPublicKey: newCoordinator.publicKey
-        }
-      );
-      
-      // Register event handlers for new client
-      newUdpClient.on('registered', async () => {
-        console.log('Successfully registered with new coordinator');
-        
-        // Stop and dispose old client
-        const oldClient = this.udpClient;
-        
-        // Switch to new client immediately
-        this.udpClient = newUdpClient;
-        
-        // Stop old client after switching
-        if (oldClient && oldClient !== newUdpClient) {
-          try {
-            await oldClient.stop();
-            console.log('Old UDP client stopped and disposed');
-          } catch (err) {
-            console.error('Error stopping old UDP client:', err);
-          }
-        }
-        
-        // Update config for persistence
-        this.config.coordinator.host = newCoordinator.host;
-        this.config.coordinator.port = newCoordinator.port;
-        this.config.coordinator.publicKey = newCoordinator.publicKey;
-      });
+      // Create new UDP client for migration target; completeMigration() switches over on registration
+      const target = {
+        host: newCoordinator.host,
+        port: newCoordinator.port,
+        publicKey: newCoordinator.publicKey
+      };
+      link.pendingClient = this.createUDPClient(target, link);
       
       // Attempt registration with new coordinator
       console.log('Attempting registration with new coordinator...');
-      await newUdpClient.start();
+      await link.pendingClient.start();
       
     } catch (error) {
       console.error('Error during migration:', error);
@@ -313,6 +806,39 @@ class Server {
     }
   }
 
+  /**
+   * Switch a coordinator link to its migration target after it registered
+   */
+  async completeMigration(link, newUdpClient, target) {
+    console.log('Successfully registered with new coordinator');
+
+    // Switch to new client immediately
+    const oldClient = link.udpClient;
+    link.udpClient = newUdpClient;
+    link.pendingClient = null;
+    link.reconnects = 0;
+    link.failures = 0;
+
+    // Update config for persistence (link.coordinator is the config entry)
+    link.coordinator.host = target.host;
+    link.coordinator.port = target.port;
+    link.coordinator.publicKey = target.publicKey;
+
+    // The migration target is the new primary, even if the link was on failover
+    link.active = link.coordinator;
+    await this.stopFailbackClient(link);
+
+    // Stop old client after switching
+    if (oldClient && oldClient !== newUdpClient) {
+      try {
+        await oldClient.stop();
+        console.log('Old UDP client stopped and disposed');
+      } catch (err) {
+        console.error('Error stopping old UDP client:', err);
+      }
+    }
+  }
+
   async stop() {
     console.log('Stopping server...');
     
@@ -321,10 +847,16 @@ class Server {
       peer.close();
     }
     this.peers.clear();
-
-    // Stop UDP client
-    if (this.udpClient) {
-      await this.udpClient.stop();
+    this.remoteCandidates.clear();
+
+    // Stop UDP clients, including migrations still in progress
+    for (const link of this.coordinatorLinks) {
+      await link.udpClient.stop();
+      if (link.pendingClient) {
+        await link.pendingClient.stop();
+        link.pendingClient = null;
+      }
+      await this.stopFailbackClient(link);
     }
 
     console.log('Server stopped');
@@ -358,6 +890,27 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     config.privateKeyPath = _PRIVATE_KEY_PATH;
     config.publicKeyPath = _PUBLIC_KEY_PATH;
     config._failoverPath = _FAILOVER_PATH;
+    config._authorizedKeysPath = _AUTHORIZED_KEYS_PATH;
+    config._totpPath = _TOTP_PATH;
+
+    // enroll-totp [username]: create a TOTP secret and print it for an authenticator app
+    if (process.argv[2] === 'enroll-totp') {
+      const username = process.argv[3] || '';
+      try {
+        if (config.users ? !Object.hasOwn(config.users, username) : username !== '') {
+          throw new Error(config.users ? `Unknown user "${username}"` : 'This server has no users section; enroll without a username');
+        }
+        const secret = await TotpStore.enroll(config._totpPath, username);
+        console.log(`TOTP secret saved to ${config._totpPath}`);
+        console.log('Add it to an authenticator app (or show this URI as a QR code):');
+        console.log(otpauthUri(secret, username));
+        console.log('Restart the server to require codes.');
+        process.exit(0);
+      } catch (error) {
+        console.error('TOTP enrollment failed:', error.message);
+        process.exit(1);
+      }
+    }
 
     const server = new Server(config);
 
@@ -1,5 +1,6 @@
 import { FileService } from '../node_modules/files/index.js';
 import { loadApps, getAppList } from '../loader.js';
+import { verifyKeyProof } from '../authorized-keys.js';
 
 /**
  * Service Router for HomeChannel Server
@@ -38,17 +39,49 @@ export class ServiceRouter {
 
   /**
    * Handle apps-control channel messages
+   * Until the client has authenticated only auth:key and auth:pake are answered,
+   * then only auth:totp while the user still owes a TOTP code
    * @param {object} message - Parsed JSON message
+   * @param {object} session - Client session of the connection
+   *   ({ pake, keyAuth, authenticated, username, apps, totp, totpVerified, throttle, throttleKeys })
    * @returns {object} Response
    */
-  async handleControlMessage(message) {
+  async handleControlMessage(message, session = null) {
     const { type, requestId } = message;
 
+    if (type === 'auth:pake') {
+      return this.handlePakeProof(message, session);
+    }
+
+    if (type === 'auth:key') {
+      return this.handleKeyProof(message, session);
+    }
+
+    if (!session?.authenticated) {
+      return {
+        type: 'error',
+        requestId: requestId || null,
+        error: 'Not authenticated'
+      };
+    }
+
+    if (type === 'auth:totp') {
+      return this.handleTotpCode(message, session);
+    }
+
+    if (this.needsTotp(session)) {
+      return {
+        type: 'error',
+        requestId: requestId || null,
+        error: 'TOTP code required'
+      };
+    }
+
     if (type === 'apps:list') {
       return {
         type: 'apps:list:response',
         requestId: requestId || null,
-        apps: getAppList(this.apps)
+        apps: getAppList(this.apps).filter(app => this.canUseApp(app.name, session))
       };
     }
 
@@ -59,6 +92,116 @@ export class ServiceRouter {
     };
   }
 
+  /**
+   * Check the client's SRP proof (M1) and answer with the server's (M2)
+   * One proof per connection: a wrong one marks the session rejected and counts
+   * against the username and client address in session.throttle
+   * @param {object} message - { type: 'auth:pake', requestId, proof }
+   * @param {object} session - Client session of the connection
+   * @returns {object} Response
+   */
+  handlePakeProof(message, session) {
+    const requestId = message.requestId || null;
+    const pake = session?.pake;
+    if (!pake || session.authenticated) {
+      return { type: 'error', requestId, error: 'Unexpected auth:pake message' };
+    }
+
+    session.pake = null;
+    const proof = pake.verifyClientProof(message.proof);
+    if (!proof) {
+      session.rejected = true;
+      session.throttle?.recordFailure(session.throttleKeys);
+      return { type: 'error', requestId, error: 'Authentication failed' };
+    }
+
+    session.authenticated = true;
+    session.keyAuth = null;
+    session.throttle?.recordSuccess(session.throttleKeys);
+    return { type: 'auth:pake:response', requestId, proof, totpRequired: this.needsTotp(session) };
+  }
+
+  /**
+   * Check a client key's signature over the session nonce and DTLS fingerprints
+   * One attempt per connection; on failure the client may still use its password
+   * @param {object} message - { type: 'auth:key', requestId, publicKey, signature }
+   * @param {object} session - Client session of the connection
+   * @returns {object} Response
+   */
+  handleKeyProof(message, session) {
+    const requestId = message.requestId || null;
+    const keyAuth = session?.keyAuth;
+    if (!keyAuth?.message || session.authenticated) {
+      return { type: 'error', requestId, error: 'Unexpected auth:key message' };
+    }
+
+    session.keyAuth = null;
+    const entry = keyAuth.keys.get(message.publicKey);
+    if (!entry || !verifyKeyProof(message.publicKey, message.signature, keyAuth.message)) {
+      return { type: 'error', requestId, error: 'Key not authorized' };
+    }
+
+    session.authenticated = true;
+    session.pake = null;
+    session.username = entry.username;
+    session.apps = entry.apps;
+    return {
+      type: 'auth:key:response',
+      requestId,
+      username: entry.username,
+      totpRequired: this.needsTotp(session)
+    };
+  }
+
+  /**
+   * Whether the session's user has enrolled TOTP and not yet presented a code
+   * @param {object} session - Client session of the connection
+   * @returns {boolean}
+   */
+  needsTotp(session) {
+    return Boolean(session?.totp?.has(session.username)) && !session.totpVerified;
+  }
+
+  /**
+   * Check a TOTP code after the first factor
+   * The connection is closed once wrong codes lock the user out in the TotpStore
+   * @param {object} message - { type: 'auth:totp', requestId, code }
+   * @param {object} session - Client session of the connection
+   * @returns {object} Response
+   */
+  handleTotpCode(message, session) {
+    const requestId = message.requestId || null;
+    if (!this.needsTotp(session)) {
+      return { type: 'error', requestId, error: 'Unexpected auth:totp message' };
+    }
+
+    if (!session.totp.verify(session.username, message.code)) {
+      const retryAfterMs = session.totp.retryAfter(session.username);
+      if (retryAfterMs > 0) {
+        session.rejected = true;
+        return { type: 'error', requestId, error: 'Too many wrong TOTP codes', retryAfterMs };
+      }
+      return { type: 'error', requestId, error: 'Invalid TOTP code' };
+    }
+
+    session.totpVerified = true;
+    return { type: 'auth:totp:response', requestId };
+  }
+
+  /**
+   * Whether an authenticated session may open an app's channel
+   * Sessions without an apps list (single-password servers) may use every app
+   * @param {string} appName - Name of the app (channel label)
+   * @param {object} session - Client session of the connection
+   * @returns {boolean}
+   */
+  canUseApp(appName, session) {
+    if (!this.apps.has(appName) || !session?.authenticated || this.needsTotp(session)) {
+      return false;
+    }
+    return !session.apps || session.apps.includes(appName);
+  }
+
   /**
    * Handle per-app channel message
    * Routes to the app's handleMessage if available
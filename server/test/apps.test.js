@@ -5,6 +5,11 @@ import path from 'path';
 import os from 'os';
 import { loadApp, loadApps, validateManifest, getAppList } from '../loader.js';
 import { ServiceRouter } from '../services/index.js';
+import crypto from 'crypto';
+import { createVerifier, SRPServerSession, SRPClientSession } from '../../shared/srp.js';
+import { keyProofMessage } from '../authorized-keys.js';
+import { TotpStore, totpCode, totpCounter, generateTotpSecret } from '../totp.js';
+import { AuthThrottle } from '../auth-throttle.js';
 
 describe('App Loader', () => {
   describe('validateManifest', () => {
@@ -117,7 +122,7 @@ describe('ServiceRouter Apps', () => {
       const response = await router.handleControlMessage({
         type: 'apps:list',
         requestId: 'ctrl-1'
-      });
+      }, { authenticated: true });
       assert.strictEqual(response.type, 'apps:list:response');
       assert.strictEqual(response.requestId, 'ctrl-1');
       assert.ok(Array.isArray(response.apps));
@@ -129,12 +134,152 @@ describe('ServiceRouter Apps', () => {
       const response = await router.handleControlMessage({
         type: 'unknown',
         requestId: 'ctrl-2'
-      });
+      }, { authenticated: true });
       assert.ok(response.error);
       assert.ok(response.error.includes('Unknown'));
     });
   });
 
+  describe('Password authentication', () => {
+    const verifier = createVerifier('', 'secret');
+
+    const startSession = (password) => {
+      const client = new SRPClientSession('', password);
+      const server = new SRPServerSession(verifier, client.clientPublic);
+      const proof = client.computeProof(server.salt, server.serverPublic);
+      return { client, proof, session: { pake: server, authenticated: false } };
+    };
+
+    it('should refuse control messages before authentication', async () => {
+      const response = await router.handleControlMessage({ type: 'apps:list', requestId: 'pake-1' });
+      assert.strictEqual(response.error, 'Not authenticated');
+    });
+
+    it('should authenticate with the right password', async () => {
+      const { client, proof, session } = startSession('secret');
+      const response = await router.handleControlMessage(
+        { type: 'auth:pake', requestId: 'pake-2', proof }, session);
+      assert.strictEqual(response.type, 'auth:pake:response');
+      assert.strictEqual(session.authenticated, true);
+      assert.ok(client.verifyServerProof(response.proof));
+
+      const list = await router.handleControlMessage({ type: 'apps:list', requestId: 'pake-3' }, session);
+      assert.strictEqual(list.type, 'apps:list:response');
+
+      // A session proves its password once
+      const again = await router.handleControlMessage(
+        { type: 'auth:pake', requestId: 'pake-4', proof }, session);
+      assert.strictEqual(again.error, 'Unexpected auth:pake message');
+    });
+
+    it('should list and open only the apps of the user', async () => {
+      const restricted = { authenticated: true, username: 'kid', apps: [] };
+      const list = await router.handleControlMessage({ type: 'apps:list', requestId: 'pake-6' }, restricted);
+      assert.deepStrictEqual(list.apps, []);
+      assert.strictEqual(router.canUseApp('files', restricted), false);
+
+      const allowed = { authenticated: true, username: 'parent', apps: ['files'] };
+      assert.strictEqual(router.canUseApp('files', allowed), true);
+      assert.strictEqual(router.canUseApp('files', { ...allowed, authenticated: false }), false);
+      assert.strictEqual(router.canUseApp('files', { authenticated: true, apps: null }), true);
+      assert.strictEqual(router.canUseApp('missing', { authenticated: true, apps: null }), false);
+    });
+
+    it('should authenticate an authorized client key', async () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+      const rawKey = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('base64');
+      const message = keyProofMessage('nonce', 'sha-256 AA', 'sha-256 BB');
+      const signature = crypto.sign(null, Buffer.from(message), privateKey).toString('hex');
+      const startKeySession = () => ({
+        pake: {},
+        keyAuth: { nonce: 'nonce', message, keys: new Map([[rawKey, { username: 'kid', apps: [] }]]) },
+        authenticated: false
+      });
+
+      const session = startKeySession();
+      const response = await router.handleControlMessage(
+        { type: 'auth:key', requestId: 'key-1', publicKey: rawKey, signature }, session);
+      assert.deepStrictEqual(response, { type: 'auth:key:response', requestId: 'key-1', username: 'kid', totpRequired: false });
+      assert.strictEqual(session.authenticated, true);
+      assert.deepStrictEqual(session.apps, []);
+      assert.strictEqual(session.pake, null);
+
+      // Unknown key or bad signature: refused, but the password may still follow
+      const other = startKeySession();
+      const refused = await router.handleControlMessage(
+        { type: 'auth:key', requestId: 'key-2', publicKey: rawKey, signature: '00'.repeat(64) }, other);
+      assert.strictEqual(refused.error, 'Key not authorized');
+      assert.strictEqual(other.authenticated, false);
+      assert.strictEqual(other.rejected, undefined);
+      assert.ok(other.pake);
+
+      // One attempt per connection
+      const again = await router.handleControlMessage(
+        { type: 'auth:key', requestId: 'key-3', publicKey: rawKey, signature }, other);
+      assert.strictEqual(again.error, 'Unexpected auth:key message');
+    });
+
+    it('should require a TOTP code from enrolled users', async () => {
+      const secret = generateTotpSecret();
+      const { client, proof, session } = startSession('secret');
+      Object.assign(session, { username: '', apps: null, totp: new TotpStore({ '': secret }), totpVerified: false });
+
+      const auth = await router.handleControlMessage({ type: 'auth:pake', requestId: 'totp-1', proof }, session);
+      assert.ok(client.verifyServerProof(auth.proof));
+      assert.strictEqual(auth.totpRequired, true);
+
+      const list = await router.handleControlMessage({ type: 'apps:list', requestId: 'totp-2' }, session);
+      assert.strictEqual(list.error, 'TOTP code required');
+      assert.strictEqual(router.canUseApp('files', session), false);
+
+      const code = totpCode(secret, totpCounter());
+      const wrongCode = String((Number(code) + 500000) % 1000000).padStart(6, '0');
+      const wrong = await router.handleControlMessage({ type: 'auth:totp', requestId: 'totp-3', code: wrongCode }, session);
+      assert.strictEqual(wrong.error, 'Invalid TOTP code');
+
+      const verified = await router.handleControlMessage({ type: 'auth:totp', requestId: 'totp-4', code }, session);
+      assert.deepStrictEqual(verified, { type: 'auth:totp:response', requestId: 'totp-4' });
+      assert.strictEqual(router.canUseApp('files', session), true);
+      const after = await router.handleControlMessage({ type: 'apps:list', requestId: 'totp-5' }, session);
+      assert.strictEqual(after.type, 'apps:list:response');
+    });
+
+    it('should close the connection after too many wrong TOTP codes', async () => {
+      const session = { authenticated: true, username: '', apps: null, totp: new TotpStore({ '': generateTotpSecret() }) };
+      const early = await router.handleControlMessage({ type: 'auth:totp', requestId: 'totp-6', code: '1' }, {});
+      assert.strictEqual(early.error, 'Not authenticated');
+      for (let attempt = 0; attempt < 4; attempt++) {
+        await router.handleControlMessage({ type: 'auth:totp', requestId: 'totp-7', code: 'abcdef' }, session);
+      }
+      assert.strictEqual(session.rejected, undefined);
+
+      // The count lives in the store, so a new connection continues it
+      const next = { ...session };
+      const locked = await router.handleControlMessage({ type: 'auth:totp', requestId: 'totp-8', code: 'abcdef' }, next);
+      assert.strictEqual(locked.error, 'Too many wrong TOTP codes');
+      assert.strictEqual(locked.retryAfterMs, 30000);
+      assert.strictEqual(next.rejected, true);
+    });
+
+    it('should reject a wrong password', async () => {
+      const throttle = new AuthThrottle({ freeAttempts: 0 });
+      const { proof, session } = startSession('guess');
+      Object.assign(session, { throttle, throttleKeys: ['user:', 'source:203.0.113.5'] });
+      const response = await router.handleControlMessage(
+        { type: 'auth:pake', requestId: 'pake-5', proof }, session);
+      assert.strictEqual(response.error, 'Authentication failed');
+      assert.strictEqual(session.authenticated, false);
+      assert.strictEqual(session.rejected, true);
+      assert.ok(throttle.retryAfter(['source:203.0.113.5']) > 0, 'failures count across connections');
+
+      // The right password clears the username and address
+      const ok = startSession('secret');
+      Object.assign(ok.session, { throttle, throttleKeys: session.throttleKeys });
+      await router.handleControlMessage({ type: 'auth:pake', requestId: 'pake-6', proof: ok.proof }, ok.session);
+      assert.strictEqual(throttle.retryAfter(session.throttleKeys), 0);
+    });
+  });
+
   describe('App channel messages', () => {
     let testDir;
 
@@ -222,7 +367,7 @@ describe('App Bundle Delivery', () => {
     const response = await router.handleControlMessage({
       type: 'apps:list',
       requestId: 'bd-1'
-    });
+    }, { authenticated: true });
     const app = response.apps[0];
     assert.strictEqual(app.name, 'files');
     assert.strictEqual(app.format, 'es-module');
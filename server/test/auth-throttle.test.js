@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { AuthThrottle } from '../auth-throttle.js';
+import { UserDirectory } from '../users.js';
+import { Server } from '../index.js';
+
+describe('AuthThrottle', () => {
+  it('should back off after the free attempts, doubling up to the cap', () => {
+    const throttle = new AuthThrottle({ freeAttempts: 2, baseDelayMs: 1000, maxDelayMs: 4000 });
+    const keys = ['user:alice', 'source:203.0.113.5'];
+
+    throttle.recordFailure(keys, 0);
+    throttle.recordFailure(keys, 0);
+    assert.strictEqual(throttle.retryAfter(keys, 0), 0);
+
+    const delays = [];
+    for (let i = 0; i < 4; i++) {
+      throttle.recordFailure(keys, 0);
+      delays.push(throttle.retryAfter(keys, 0));
+    }
+    assert.deepStrictEqual(delays, [1000, 2000, 4000, 4000]);
+    assert.strictEqual(throttle.retryAfter(keys, 4000), 0);
+
+    // Either key alone is enough to hold a client back
+    assert.strictEqual(throttle.retryAfter(['user:alice', 'source:198.51.100.7'], 0), 4000);
+    assert.strictEqual(throttle.retryAfter(['user:bob', 'source:203.0.113.5'], 0), 4000);
+  });
+
+  it('should clear keys on success and forget idle ones', () => {
+    const throttle = new AuthThrottle({ freeAttempts: 0, resetAfterMs: 10000 });
+    throttle.recordFailure(['user:alice'], 0);
+    throttle.recordSuccess(['user:alice']);
+    assert.strictEqual(throttle.retryAfter(['user:alice'], 0), 0);
+
+    throttle.recordFailure(['user:bob'], 0);
+    throttle.prune(20000);
+    assert.strictEqual(throttle.failures.size, 0);
+  });
+});
+
+describe('Server offer throttling', () => {
+  const createServer = () => {
+    const server = new Server({ password: 'secret' });
+    server.users = new UserDirectory({ password: 'secret' });
+    const answers = [];
+    const udpClient = {
+      hasCapability: () => false,
+      sendAnswer: async (answer) => answers.push(answer)
+    };
+    return { server, answers, udpClient };
+  };
+
+  it('should refuse offers while the username or address is backing off', async () => {
+    const { server, answers, udpClient } = createServer();
+    for (let i = 0; i < 4; i++) {
+      server.authThrottle.recordFailure(['source:203.0.113.5']);
+    }
+
+    await server.handleOffer('s1', { sdp: { type: 'offer', sdp: 'v=0' }, pake: { A: '02' }, clientAddress: '203.0.113.5' }, udpClient);
+    assert.strictEqual(answers.length, 1);
+    assert.strictEqual(answers[0].error, 'Too many failed attempts');
+    assert.ok(answers[0].retryAfterMs > 0);
+    assert.strictEqual(answers[0].sdp, undefined);
+    assert.strictEqual(server.peers.size, 0);
+  });
+
+  it('should refuse offers while too many clients have not authenticated', async () => {
+    const { server, answers, udpClient } = createServer();
+    for (let i = 0; i < 8; i++) {
+      server.peers.set(`pending-${i}`, { session: { authenticated: false }, close() {} });
+    }
+    server.peers.set('done', { session: { authenticated: true }, close() {} });
+
+    await server.handleOffer('s2', { sdp: { type: 'offer', sdp: 'v=0' }, pake: { A: '02' } }, udpClient);
+    assert.strictEqual(answers[0].error, 'Too many pending connections');
+
+    server.closePeer('pending-0');
+    assert.strictEqual(server.countUnauthenticatedPeers(), 7);
+  });
+});
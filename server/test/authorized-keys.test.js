@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  parseAuthorizedKeys,
+  loadAuthorizedKeys,
+  sdpFingerprint,
+  keyProofMessage,
+  verifyKeyProof
+} from '../authorized-keys.js';
+
+/**
+ * Ed25519 key pair with the public key as base64 raw bytes
+ */
+function createClientKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('base64');
+  return { publicKey: raw, privateKey };
+}
+
+describe('authorized_keys', () => {
+  it('should parse keys, users and comments', () => {
+    const alice = createClientKey();
+    const shared = createClientKey();
+    const { keys, errors } = parseAuthorizedKeys([
+      '# family devices',
+      '',
+      `user=alice ed25519 ${alice.publicKey} alice laptop`,
+      `ed25519 ${shared.publicKey}`,
+      'ed25519 not-a-key',
+      `rsa ${shared.publicKey}`
+    ].join('\n'));
+
+    assert.deepStrictEqual(keys.get(alice.publicKey), { username: 'alice', comment: 'alice laptop' });
+    assert.deepStrictEqual(keys.get(shared.publicKey), { username: '', comment: '' });
+    assert.strictEqual(keys.size, 2);
+    assert.deepStrictEqual(errors.map(error => error.split(':')[0]), ['line 5', 'line 6']);
+  });
+
+  it('should treat a missing file as no keys', async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'hc-keys-'));
+    try {
+      assert.strictEqual((await loadAuthorizedKeys(path.join(dir, 'authorized_keys'))).size, 0);
+      const key = createClientKey();
+      await fsPromises.writeFile(path.join(dir, 'authorized_keys'), `ed25519 ${key.publicKey} phone\n`);
+      assert.ok((await loadAuthorizedKeys(path.join(dir, 'authorized_keys'))).has(key.publicKey));
+    } finally {
+      await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should read the DTLS fingerprint from an SDP', () => {
+    const sdp = 'v=0\r\na=fingerprint:SHA-256 ab:cd:EF\r\nm=application 9 UDP/DTLS/SCTP webrtc-datachannel\r\n';
+    assert.strictEqual(sdpFingerprint(sdp), 'sha-256 AB:CD:EF');
+    assert.strictEqual(sdpFingerprint('v=0\r\n'), null);
+    assert.strictEqual(sdpFingerprint(undefined), null);
+  });
+
+  it('should verify proofs bound to nonce and fingerprints', () => {
+    const key = createClientKey();
+    const message = keyProofMessage('nonce', 'sha-256 AA', 'sha-256 BB');
+    const signature = crypto.sign(null, Buffer.from(message), key.privateKey).toString('hex');
+
+    assert.strictEqual(verifyKeyProof(key.publicKey, signature, message), true);
+    assert.strictEqual(verifyKeyProof(key.publicKey, signature, keyProofMessage('nonce', 'sha-256 AA', 'sha-256 CC')), false);
+    assert.strictEqual(verifyKeyProof(createClientKey().publicKey, signature, message), false);
+    assert.strictEqual(verifyKeyProof(key.publicKey, 'zz', message), false);
+    assert.strictEqual(verifyKeyProof('short', signature, message), false);
+  });
+});
@@ -12,7 +12,6 @@ import dgram from 'dgram';
 import { UDPClient } from '../../shared/protocol.js';
 import { loadKeys, generateSigningKeyPair } from '../../shared/keys.js';
 import path from 'path';
-import { promises as fsPromises } from 'fs';
 
 const CONFIG_DIR = path.join(process.env.HOME || '/root', '.config', 'homechannel');
 const PRIVATE_KEY_PATH = path.join(CONFIG_DIR, 'server.key');
@@ -47,12 +46,6 @@ describe('Live reconnect against hosted coordinator', () => {
 
   before(async () => {
     serverKeys = await loadOrGenerateKeys();
-    try {
-      const raw = await fsPromises.readFile(path.join(CONFIG_DIR, 'server.json'), 'utf8');
-      serverKeys.password = JSON.parse(raw).password || 'change-me';
-    } catch {
-      serverKeys.password = 'change-me';
-    }
     coordinatorReachable = await canReachCoordinator();
     if (!coordinatorReachable) {
       console.log('  [SKIP] Cannot reach coordinator via UDP — skipping live tests');
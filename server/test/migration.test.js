@@ -4,7 +4,7 @@ import { UDPClient } from '../../shared/protocol.js';
 import { UDPServer } from '../../shared/protocol.js';
 import { ServerRegistry } from '../../coordinator/registry.js';
 import { generateSigningKeyPair } from '../../shared/keys.js';
-import { encryptAES, deriveAESKey } from '../../shared/crypto.js';
+import { encryptAESBytes, encodeMigrate, deriveAESKey } from '../../shared/crypto.js';
 import { buildUDPMessage, MESSAGE_TYPES } from '../../shared/protocol.js';
 
 /**
@@ -39,7 +39,6 @@ describe('Coordinator Migration', () => {
     // Generate keys
     coordinatorKeys = generateSigningKeyPair();
     serverKeys = generateSigningKeyPair();
-    serverKeys.password = 'test-password';
 
     // Setup registry
     registry = new ServerRegistry();
@@ -123,8 +122,8 @@ describe('Coordinator Migration', () => {
       }
     };
 
-    // Encrypt with current AES key
-    const encryptedPayload = encryptAES(migratePayload, udpClient.aesKey);
+    // Encrypt with the current coordinator→server key, as the first numbered message (TLV body)
+    const encryptedPayload = encryptAESBytes(encodeMigrate({ ...migratePayload, seq: 1 }), udpClient.keys.receive);
     const message = buildUDPMessage(MESSAGE_TYPES.MIGRATE, encryptedPayload);
 
     // Send MIGRATE message to client
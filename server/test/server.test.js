@@ -243,7 +243,7 @@ class MockCoordinator {
       this.registeredServers.set(data.serverPublicKey, {
         ipPort,
         challenge: data.payload.challenge,
-        expectedAnswer: data.payload.challengeAnswerHash,
+        challengeKey: data.payload.challengeKey,
         timestamp: Date.now()
       });
 
@@ -275,7 +275,7 @@ class MockCoordinator {
       }
 
       // Decrypt heartbeat
-      const key = deriveAESKey(server.expectedAnswer);
+      const key = deriveAESKey(server.challengeKey);
       const message = decryptAES(payload, key);
 
       console.log('Received heartbeat');
@@ -283,7 +283,7 @@ class MockCoordinator {
       // Update challenge
       if (message.payload) {
         server.challenge = message.payload.newChallenge;
-        server.expectedAnswer = message.payload.challengeAnswerHash;
+        server.challengeKey = message.payload.challengeKey;
       }
     } catch (error) {
       console.error('Error handling heartbeat:', error.message);
@@ -307,7 +307,6 @@ describe('Server UDP Module', () => {
     coordinator = new MockCoordinator(0); // Use any available port
     await coordinator.start();
     serverKeys = generateSigningKeyPair();
-    serverKeys.password = 'test-password';
   });
 
   after(async () => {
@@ -344,8 +343,8 @@ describe('Server UDP Module', () => {
     assert.strictEqual(client.state, 'registered');
     assert.strictEqual(client.registered, true);
     assert.ok(client.challenge);
-    assert.ok(client.expectedAnswer);
-    assert.ok(client.aesKey);
+    assert.ok(client.challengeKey);
+    assert.ok(client.keys);
 
     await client.stop();
   });
@@ -513,6 +512,36 @@ describe('Server UDP Module', () => {
     await client.stop();
   });
 
+  test('UDPClient should wait for the retry-after of a coded ERROR', async () => {
+    const client = new UDPClient('127.0.0.1', coordinator.socket.address().port, serverKeys, {
+      coordinatorPublicKey: coordinator.coordinatorKeys.publicKey,
+      reconnectDelayMs: 100,
+      verbosity: 0
+    });
+
+    const delays = [];
+    const errors = [];
+    client.on('reconnecting', ({ delay }) => { delays.push(delay); });
+    client.on('coordinatorError', (error) => { errors.push(error.name); });
+
+    await client.start();
+    await withTimeout(
+      new Promise(resolve => client.on('registered', resolve)),
+      2000,
+      'Initial registration timed out'
+    );
+
+    const { ERROR_CODES, encodeError } = await import('../../shared/protocol.js');
+    const rinfo = { address: '127.0.0.1', port: coordinator.socket.address().port };
+    client.handleMessage(buildUDPMessage(MESSAGE_TYPES.ERROR, encodeError(ERROR_CODES.RATE_LIMITED, 30000)), rinfo);
+
+    assert.deepStrictEqual(errors, ['rate-limited']);
+    assert.deepStrictEqual(delays, [30000]);
+    assert.strictEqual(client.state, 'disconnected');
+
+    await client.stop();
+  });
+
 });
 
 /**
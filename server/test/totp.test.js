@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  base32Encode,
+  base32Decode,
+  totpCode,
+  totpCounter,
+  otpauthUri,
+  TotpStore
+} from '../totp.js';
+
+// RFC 6238 Appendix B secret for HMAC-SHA1
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('should round-trip base32', () => {
+    assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.strictEqual(base32Decode(RFC_SECRET.toLowerCase()).toString(), '12345678901234567890');
+    assert.throws(() => base32Decode('not base32!'), /Invalid base32/);
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    const vectors = [[59, '287082'], [1111111109, '081804'], [1234567890, '005924'], [2000000000, '279037']];
+    for (const [seconds, code] of vectors) {
+      assert.strictEqual(totpCode(RFC_SECRET, totpCounter(seconds * 1000)), code, `T = ${seconds}`);
+    }
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = new URL(otpauthUri(RFC_SECRET, 'alice'));
+    assert.strictEqual(uri.protocol, 'otpauth:');
+    assert.strictEqual(uri.host, 'totp');
+    assert.strictEqual(decodeURIComponent(uri.pathname), '/HomeChannel:alice');
+    assert.strictEqual(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.strictEqual(uri.searchParams.get('digits'), '6');
+  });
+
+  it('should accept codes within one step, once each', () => {
+    const store = new TotpStore({ alice: RFC_SECRET });
+    const now = 1111111109 * 1000;
+    const counter = totpCounter(now);
+
+    assert.strictEqual(store.has('alice'), true);
+    assert.strictEqual(store.has('bob'), false);
+    assert.strictEqual(store.verify('alice', totpCode(RFC_SECRET, counter - 2), now), false);
+    assert.strictEqual(store.verify('alice', totpCode(RFC_SECRET, counter - 1), now), true);
+    assert.strictEqual(store.verify('alice', totpCode(RFC_SECRET, counter - 1), now), false);
+    assert.strictEqual(store.verify('alice', totpCode(RFC_SECRET, counter), now), true);
+    assert.strictEqual(store.verify('alice', totpCode(RFC_SECRET, counter), now), false);
+    assert.strictEqual(store.verify('bob', totpCode(RFC_SECRET, counter + 1), now), false);
+    assert.strictEqual(store.verify('alice', '12345', now), false);
+  });
+
+  it('should lock a user out after wrong codes, whichever connection sends them', () => {
+    const store = new TotpStore({ alice: RFC_SECRET, bob: RFC_SECRET });
+    const now = 1111111109 * 1000;
+    const code = totpCode(RFC_SECRET, totpCounter(now));
+    const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      assert.strictEqual(store.verify('alice', wrong, now), false);
+    }
+    assert.strictEqual(store.retryAfter('alice', now), 0);
+    assert.strictEqual(store.verify('alice', wrong, now), false);
+    assert.strictEqual(store.retryAfter('alice', now), 30000);
+
+    // Locked out: even the right code is refused, and other users are unaffected
+    assert.strictEqual(store.verify('alice', code, now + 1000), false);
+    assert.strictEqual(store.verify('bob', code, now), true);
+
+    // After the lockout one more wrong code doubles it; the right code clears it
+    assert.strictEqual(store.verify('alice', wrong, now + 30000), false);
+    assert.strictEqual(store.retryAfter('alice', now + 30000), 60000);
+    const later = now + 90000;
+    assert.strictEqual(store.verify('alice', totpCode(RFC_SECRET, totpCounter(later)), later), true);
+    assert.strictEqual(store.retryAfter('alice', later), 0);
+  });
+
+  it('should enroll users into totp.json', async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'hc-totp-'));
+    const filePath = path.join(dir, 'totp.json');
+    try {
+      assert.strictEqual((await TotpStore.load(filePath)).has(''), false);
+      const secret = await TotpStore.enroll(filePath, '');
+      await TotpStore.enroll(filePath, 'alice');
+
+      const store = await TotpStore.load(filePath);
+      assert.strictEqual(store.secrets.get(''), secret);
+      assert.ok(store.has('alice'));
+      assert.strictEqual((await fsPromises.stat(filePath)).mode & 0o777, 0o600);
+    } finally {
+      await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
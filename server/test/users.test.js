@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { UserDirectory } from '../users.js';
+import { SRPClientSession, SRPServerSession } from '../../shared/srp.js';
+
+/**
+ * Run one SRP exchange against an account; true if the server accepts the proof
+ */
+function login(account, username, password) {
+  const client = new SRPClientSession(username, password);
+  const server = new SRPServerSession(account.verifier, client.clientPublic);
+  return server.verifyClientProof(client.computeProof(server.salt, server.serverPublic)) !== null;
+}
+
+describe('UserDirectory', () => {
+  it('should use the single password as user "" with every app', () => {
+    const users = new UserDirectory({ password: 'secret' });
+    const account = users.find('');
+    assert.strictEqual(account.apps, null);
+    assert.strictEqual(login(account, '', 'secret'), true);
+    assert.strictEqual(login(account, '', 'wrong'), false);
+  });
+
+  it('should give each user their own password and apps', () => {
+    const users = new UserDirectory({
+      password: 'ignored',
+      users: {
+        alice: { password: 'alice-pass', apps: ['files'] },
+        bob: { password: 'bob-pass' }
+      }
+    });
+    assert.deepStrictEqual(users.find('alice').apps, ['files']);
+    assert.strictEqual(users.find('bob').apps, null);
+    assert.strictEqual(login(users.find('alice'), 'alice', 'alice-pass'), true);
+    assert.strictEqual(login(users.find('alice'), 'alice', 'bob-pass'), false);
+    assert.strictEqual(login(users.find('bob'), 'alice', 'bob-pass'), false);
+    assert.strictEqual(login(users.find(''), '', 'ignored'), false);
+  });
+
+  it('should answer unknown users with a stable decoy', () => {
+    const users = new UserDirectory({ users: { alice: { password: 'alice-pass' } } });
+    const first = users.find('mallory');
+    assert.deepStrictEqual(first.apps, []);
+    assert.strictEqual(first.verifier.salt, users.find('mallory').verifier.salt);
+    assert.notStrictEqual(first.verifier.salt, users.find('eve').verifier.salt);
+    assert.strictEqual(login(first, 'mallory', 'alice-pass'), false);
+  });
+
+  it('should reject invalid users config', () => {
+    assert.throws(() => new UserDirectory({ users: [] }), /expected an object/);
+    assert.throws(() => new UserDirectory({ users: {} }), /no users/);
+    assert.throws(() => new UserDirectory({ users: { 'a:b': { password: 'x' } } }), /Invalid username/);
+    assert.throws(() => new UserDirectory({ users: { alice: {} } }), /needs a password/);
+    assert.throws(() => new UserDirectory({ users: { alice: { password: 'x', apps: 'files' } } }), /array of app names/);
+  });
+});
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import os from 'os';
+import { promises as fsPromises } from 'fs';
+import { AuthThrottle } from './auth-throttle.js';
+
+/**
+ * Time-based one-time passwords (RFC 6238) as a second factor
+ *
+ * HMAC-SHA1, 6 digits, 30 s steps, as expected by common authenticator apps.
+ * Secrets are kept per username in totp.json ({ "<username>": "<base32>" }).
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Codes from one step before or after are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+// Wrong codes count per user across connections: the fifth locks the user out
+// for 30 s, and each further one doubles the lockout, up to an hour
+const TOTP_FREE_ATTEMPTS = 4;
+const TOTP_LOCKOUT_MS = 30000;
+const TOTP_MAX_LOCKOUT_MS = 60 * 60000;
+
+export function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret (160 bits, base32)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * HOTP code (RFC 4226) for a time step counter
+ */
+export function totpCode(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0F;
+  const binary = hmac.readUInt32BE(offset) & 0x7FFFFFFF;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Time step counter for a time in ms
+ */
+export function totpCounter(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ */
+export function otpauthUri(secret, username = '', issuer = 'HomeChannel') {
+  const label = encodeURIComponent(`${issuer}:${username || os.hostname()}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Enrolled TOTP secrets by username, with replay protection and a lockout
+ * after repeated wrong codes
+ */
+export class TotpStore {
+  constructor(secrets = {}) {
+    this.secrets = new Map(Object.entries(secrets));
+    this.lastCounters = new Map(); // username -> last accepted time step
+    this.failures = new AuthThrottle({
+      freeAttempts: TOTP_FREE_ATTEMPTS,
+      baseDelayMs: TOTP_LOCKOUT_MS,
+      maxDelayMs: TOTP_MAX_LOCKOUT_MS
+    });
+  }
+
+  /**
+   * Load totp.json; a missing file means no user is enrolled
+   */
+  static async load(filePath) {
+    try {
+      return new TotpStore(JSON.parse(await fsPromises.readFile(filePath, 'utf8')));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new TotpStore();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a secret for a user and save the store (mode 600); returns the secret
+   */
+  static async enroll(filePath, username = '') {
+    const store = await TotpStore.load(filePath);
+    const secret = generateTotpSecret();
+    store.secrets.set(username, secret);
+    await fsPromises.writeFile(filePath, JSON.stringify(Object.fromEntries(store.secrets), null, 2), { mode: 0o600 });
+    return secret;
+  }
+
+  /**
+   * Whether a user has to present a code
+   */
+  has(username) {
+    return this.secrets.has(username);
+  }
+
+  /**
+   * Milliseconds until a locked-out user may present codes again (0 = now)
+   */
+  retryAfter(username, now = Date.now()) {
+    return this.failures.retryAfter([username], now);
+  }
+
+  /**
+   * Check a code; each time step is accepted once per user
+   * While the user is locked out every code is refused; wrong codes count
+   * towards the lockout whichever connection they come from
+   */
+  verify(username, code, now = Date.now()) {
+    const secret = this.secrets.get(username);
+    if (!secret || this.retryAfter(username, now) > 0) {
+      return false;
+    }
+    if (typeof code === 'string' && /^\d{6}$/.test(code)) {
+      const current = totpCounter(now);
+      const last = this.lastCounters.get(username) ?? -1;
+      for (let counter = current - TOTP_WINDOW; counter <= current + TOTP_WINDOW; counter++) {
+        if (counter > last && crypto.timingSafeEqual(Buffer.from(totpCode(secret, counter)), Buffer.from(code))) {
+          this.lastCounters.set(username, counter);
+          this.failures.recordSuccess([username]);
+          return true;
+        }
+      }
+    }
+    this.failures.recordFailure([username], now);
+    return false;
+  }
+}
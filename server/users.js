@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import { createVerifier } from '../shared/srp.js';
+
+const MAX_USERNAME_LENGTH = 64;
+
+/**
+ * Accounts that may connect to this server, with their SRP verifiers
+ *
+ * `users` ({ name: { password, apps } }) takes precedence; without it the
+ * single `password` is the account '' with every app. `apps` omitted means
+ * every loaded app.
+ */
+export class UserDirectory {
+  constructor(config = {}) {
+    this.users = new Map();     // username -> { verifier, apps }
+    // Salts of unknown users are derived from this key, so they stay stable across attempts
+    this.decoyKey = crypto.randomBytes(32);
+
+    if (config.users !== undefined && config.users !== null) {
+      if (typeof config.users !== 'object' || Array.isArray(config.users)) {
+        throw new Error('Invalid users config: expected an object keyed by username');
+      }
+      for (const [username, account] of Object.entries(config.users)) {
+        this.users.set(username, this._createAccount(username, account));
+      }
+      if (this.users.size === 0) {
+        throw new Error('Invalid users config: no users');
+      }
+    } else {
+      this.users.set('', {
+        verifier: createVerifier('', config.password || 'default'),
+        apps: null
+      });
+    }
+  }
+
+  _createAccount(username, account) {
+    if (username.length === 0 || username.length > MAX_USERNAME_LENGTH || username.includes(':')) {
+      throw new Error(`Invalid username "${username}"`);
+    }
+    if (!account || typeof account.password !== 'string' || account.password.length === 0) {
+      throw new Error(`User "${username}" needs a password`);
+    }
+    const apps = account.apps ?? null;
+    if (apps !== null && (!Array.isArray(apps) || !apps.every(app => typeof app === 'string'))) {
+      throw new Error(`User "${username}" apps must be an array of app names`);
+    }
+    return { verifier: createVerifier(username, account.password), apps };
+  }
+
+  /**
+   * Whether an account exists
+   */
+  has(username) {
+    return this.users.has(username);
+  }
+
+  /**
+   * Account for a username as sent by a client
+   * Unknown names get a decoy verifier and no apps, so a failed login does not
+   * reveal whether the user exists
+   * @returns {{ verifier: object, apps: string[]|null }}
+   */
+  find(username) {
+    const name = typeof username === 'string' ? username : '';
+    const account = this.users.get(name);
+    if (account) {
+      return account;
+    }
+    const salt = crypto.createHmac('sha256', this.decoyKey).update(name).digest().subarray(0, 16);
+    return {
+      verifier: createVerifier(name, crypto.randomBytes(16).toString('hex'), salt),
+      apps: []
+    };
+  }
+}
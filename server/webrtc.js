@@ -10,6 +10,8 @@ import { fileURLToPath } from 'url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // Timeout for node-datachannel local description generation (ms)
 const NODE_DATACHANNEL_TIMEOUT_MS = 5000;
+// Time for the error response to reach a client that failed to authenticate
+const REJECTED_CLOSE_DELAY_MS = 500;
 
 // ── Binary channel framing ────────────────────────────────────────────────────
 // Frame format: [type:uint8][payloadLen:uint32BE][payload]
@@ -115,6 +117,8 @@ export class WebRTCPeer {
     this.handlers = new Map();
     this.options = options;
     this.serviceRouter = options.serviceRouter || null;
+    // Authentication state of the client: { pake, keyAuth, authenticated, rejected, username, apps, totp, throttle }; set per offer
+    this.session = null;
     this.localDescription = null; // Store local description for node-datachannel
     this.localDescriptionPromise = null; // Promise for waiting on local description
     this.iceGatheringComplete = false;
@@ -183,8 +187,13 @@ export class WebRTCPeer {
    */
   async _initNodeDatachannel(iceServers) {
     const { PeerConnection } = this.library;
+    // node-datachannel takes URL strings; credentials go into the URL
     const config = {
-      iceServers: iceServers.map(server => server.urls).flat()
+      iceServers: iceServers.flatMap(server => [server.urls].flat().map(url => (
+        server.username && server.credential
+          ? url.replace(/^(turns?):/, `$1:${encodeURIComponent(server.username)}:${encodeURIComponent(server.credential)}@`)
+          : url
+      )))
     };
     const pc = new PeerConnection('server', config);
     return pc;
@@ -237,6 +246,10 @@ export class WebRTCPeer {
       if (label === 'apps-control') {
         this._setupControlChannelHandlers(dc);
       } else if (this.serviceRouter && this.serviceRouter.apps.has(label)) {
+        if (!this.serviceRouter.canUseApp(label, this.session)) {
+          dc.close();
+          return;
+        }
         this._setupAppChannelHandlers(dc, label);
       } else {
         // Legacy single-channel mode
@@ -294,6 +307,10 @@ export class WebRTCPeer {
       if (label === 'apps-control') {
         this._setupControlChannelHandlersNodeDC(dc);
       } else if (this.serviceRouter && this.serviceRouter.apps.has(label)) {
+        if (!this.serviceRouter.canUseApp(label, this.session)) {
+          dc.close();
+          return;
+        }
         this._setupAppChannelHandlersNodeDC(dc, label);
       } else {
         // Legacy single-channel mode
@@ -370,8 +387,9 @@ export class WebRTCPeer {
     dc.onmessage = async (event) => {
       try {
         const message = JSON.parse(event.data);
-        const response = await this.serviceRouter.handleControlMessage(message);
+        const response = await this.serviceRouter.handleControlMessage(message, this.session);
         dc.send(JSON.stringify(response));
+        this._closeIfRejected();
       } catch (error) {
         const errorResponse = {
           type: 'error',
@@ -395,6 +413,16 @@ export class WebRTCPeer {
     };
   }
 
+  /**
+   * Drop the connection once the client failed to authenticate
+   * The close is deferred so the error response is sent first
+   */
+  _closeIfRejected() {
+    if (this.session?.rejected) {
+      setTimeout(() => this.close(), REJECTED_CLOSE_DELAY_MS);
+    }
+  }
+
   /**
    * Core framed app-channel handler, shared by W3C and node-datachannel paths.
    * sendBuf(Buffer) — sends a binary frame over the channel.
@@ -574,8 +602,9 @@ export class WebRTCPeer {
     dc.onMessage(async (msg) => {
       try {
         const message = JSON.parse(msg);
-        const response = await this.serviceRouter.handleControlMessage(message);
+        const response = await this.serviceRouter.handleControlMessage(message, this.session);
         dc.sendMessage(JSON.stringify(response));
+        this._closeIfRejected();
       } catch (error) {
         const errorResponse = {
           type: 'error',
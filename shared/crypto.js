@@ -130,38 +130,269 @@ export function generateChallenge() {
 }
 
 /**
- * Hash challenge answer
+ * Generate random 8-byte session id for authenticated PINGs (hex)
  */
-export function hashChallengeAnswer(challenge, password) {
-  const hash = crypto.createHash('sha256');
-  hash.update(challenge + password);
-  return hash.digest('hex');
+export function generateSessionId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Generate random secret for one HELLO cookie time bucket
+ */
+export function generateCookieSecret() {
+  return crypto.randomBytes(32);
+}
+
+/**
+ * Stateless HELLO cookie, sent as the coordinator tag in HELLO_ACK
+ * First 4 bytes of HMAC-SHA256(secret, bucket || version || capabilities || ipPort)
+ * Binds the tag to the source address and the negotiated protocol
+ */
+export function createHelloCookie(secret, bucket, ipPort, negotiated) {
+  const block = Buffer.alloc(9);
+  block.writeUInt32BE(bucket >>> 0, 0);
+  block.writeUInt8(negotiated.version, 4);
+  block.writeUInt32BE(negotiated.capabilities >>> 0, 5);
+  return crypto.createHmac('sha256', secret).update(block).update(ipPort).digest().subarray(0, 4);
+}
+
+/**
+ * Verify a HELLO cookie echoed in ECDH init (constant time)
+ */
+export function verifyHelloCookie(cookie, secret, bucket, ipPort, negotiated) {
+  return cookie.length === 4 &&
+    crypto.timingSafeEqual(createHelloCookie(secret, bucket, ipPort, negotiated), cookie);
+}
+
+/**
+ * Derive the key that authenticates PINGs from the registration shared secret
+ * Independent of the challenge, so it survives challenge refresh
+ */
+export function derivePingKey(sharedSecret) {
+  return crypto.createHmac('sha256', sharedSecret).update('homechannel-ping').digest();
+}
+
+// HMAC-SHA256 truncated to 16 bytes; label separates PING, PONG and PATH_RESPONSE MACs
+function pingMAC(pingKey, signed, label = '') {
+  return crypto.createHmac('sha256', pingKey).update(label).update(signed).digest().subarray(0, 16);
+}
+
+/**
+ * Encode authenticated PING payload
+ * Format: [sessionId(8)][counter(8)][mac(16)]
+ * mac = HMAC-SHA256(pingKey, sessionId || counter), truncated to 16 bytes
+ * counter must increase with every PING of a session (replay protection)
+ */
+export function encodePing(sessionId, counter, pingKey) {
+  const signed = Buffer.alloc(16);
+  Buffer.from(sessionId, 'hex').copy(signed, 0);
+  signed.writeBigUInt64BE(BigInt(counter), 8);
+  return Buffer.concat([signed, pingMAC(pingKey, signed)]);
+}
+
+/**
+ * Decode authenticated PING payload
+ * Returns: { sessionId (hex), counter, signed: Buffer, mac: Buffer }
+ */
+export function decodePing(buffer) {
+  if (buffer.length !== 32) {
+    throw new Error('PING payload must be 32 bytes');
+  }
+  return {
+    sessionId: buffer.subarray(0, 8).toString('hex'),
+    counter: Number(buffer.readBigUInt64BE(8)),
+    signed: buffer.subarray(0, 16),
+    mac: buffer.subarray(16)
+  };
+}
+
+/**
+ * Verify the MAC of a decoded PING (constant time)
+ */
+export function verifyPing(ping, pingKey) {
+  return crypto.timingSafeEqual(pingMAC(pingKey, ping.signed), ping.mac);
+}
+
+/**
+ * Encode PONG payload reporting the sender address the coordinator observed
+ * Format: [counter(8)][addressLen(1)][ipPort (utf8)][mac(16)]
+ * counter echoes the PING being answered; mac uses the PING key
+ */
+export function encodePong(counter, ipPort, pingKey) {
+  const address = Buffer.from(ipPort, 'utf8');
+  if (address.length > 255) throw new Error('Address too long');
+  const signed = Buffer.alloc(9 + address.length);
+  signed.writeBigUInt64BE(BigInt(counter), 0);
+  signed.writeUInt8(address.length, 8);
+  address.copy(signed, 9);
+  return Buffer.concat([signed, pingMAC(pingKey, signed, 'pong')]);
+}
+
+/**
+ * Decode PONG payload
+ * Returns: { counter, ipPort, signed: Buffer, mac: Buffer }
+ */
+export function decodePong(buffer) {
+  if (buffer.length < 9 + 16 || buffer.length !== 9 + buffer[8] + 16) {
+    throw new Error('Invalid PONG payload length');
+  }
+  const addressEnd = 9 + buffer[8];
+  return {
+    counter: Number(buffer.readBigUInt64BE(0)),
+    ipPort: buffer.subarray(9, addressEnd).toString('utf8'),
+    signed: buffer.subarray(0, addressEnd),
+    mac: buffer.subarray(addressEnd)
+  };
+}
+
+/**
+ * Verify the MAC of a decoded PONG (constant time)
+ */
+export function verifyPong(pong, pingKey) {
+  return crypto.timingSafeEqual(pingMAC(pingKey, pong.signed, 'pong'), pong.mac);
+}
+
+/**
+ * Random 8-byte token for a PATH_CHALLENGE
+ */
+export function generatePathToken() {
+  return crypto.randomBytes(8);
+}
+
+/**
+ * Encode PATH_RESPONSE payload echoing the coordinator's PATH_CHALLENGE token
+ * Format: [sessionId(8)][token(8)][mac(16)]
+ * mac = HMAC-SHA256(pingKey, 'path' || sessionId || token), truncated to 16 bytes
+ */
+export function encodePathResponse(sessionId, token, pingKey) {
+  const signed = Buffer.alloc(16);
+  Buffer.from(sessionId, 'hex').copy(signed, 0);
+  token.copy(signed, 8);
+  return Buffer.concat([signed, pingMAC(pingKey, signed, 'path')]);
+}
+
+/**
+ * Decode PATH_RESPONSE payload
+ * Returns: { sessionId (hex), token: Buffer, signed: Buffer, mac: Buffer }
+ */
+export function decodePathResponse(buffer) {
+  if (buffer.length !== 32) {
+    throw new Error('PATH_RESPONSE payload must be 32 bytes');
+  }
+  return {
+    sessionId: buffer.subarray(0, 8).toString('hex'),
+    token: buffer.subarray(8, 16),
+    signed: buffer.subarray(0, 16),
+    mac: buffer.subarray(16)
+  };
+}
+
+/**
+ * Verify the MAC of a decoded PATH_RESPONSE (constant time)
+ */
+export function verifyPathResponse(response, pingKey) {
+  return crypto.timingSafeEqual(pingMAC(pingKey, response.signed, 'path'), response.mac);
+}
+
+/**
+ * Generate random key sent along with each challenge (hex)
+ * Server and coordinator derive their message keys from it; it is not
+ * derived from the password, so the coordinator holds nothing to attack offline
+ */
+export function generateChallengeKey() {
+  return crypto.randomBytes(32).toString('hex');
 }
 
 /**
- * Derive AES key from expectedAnswer
+ * Derive AES key from a secret (challenge key or shared secret)
  */
-export function deriveAESKey(expectedAnswer) {
+export function deriveAESKey(secret) {
   // Use SHA-256 to derive a 256-bit key
   const hash = crypto.createHash('sha256');
-  hash.update(expectedAnswer);
+  hash.update(secret);
   return hash.digest();
 }
 
+/**
+ * HKDF key schedule for messages after registration (KEY_SCHEDULE capability)
+ * ikm: X25519/X448 shared secret, salt: current challenge key, so every
+ * challenge refresh yields new keys.
+ * Returns: { serverToCoordinator: Buffer, coordinatorToServer: Buffer } (32 bytes each)
+ */
+export function deriveTrafficKeys(sharedSecret, challengeKey) {
+  const derive = (info) => Buffer.from(crypto.hkdfSync('sha256', sharedSecret, challengeKey, info, 32));
+  return {
+    serverToCoordinator: derive('homechannel server to coordinator'),
+    coordinatorToServer: derive('homechannel coordinator to server')
+  };
+}
+
+/**
+ * Mix a fresh X25519/X448 secret into the traffic secret (REKEY capability)
+ * HKDF-SHA256 with the new secret as ikm and the old traffic secret as salt
+ */
+export function deriveRekeyedSecret(trafficSecret, ecdhSecret) {
+  return Buffer.from(crypto.hkdfSync('sha256', ecdhSecret, trafficSecret, 'homechannel rekey', 32));
+}
+
+/**
+ * Derive the AES-GCM key coordinators of one cluster share (HKDF-SHA256)
+ * secret: configured cluster secret, at least 16 characters
+ */
+export function deriveClusterKey(secret) {
+  if (typeof secret !== 'string' || secret.length < 16) {
+    throw new Error('Cluster secret must be at least 16 characters');
+  }
+  return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'homechannel cluster', 32));
+}
+
+// Sequence numbers remembered behind the highest one seen
+export const REPLAY_WINDOW_SIZE = 64;
+const REPLAY_WINDOW_MASK = (1n << BigInt(REPLAY_WINDOW_SIZE)) - 1n;
+
+/**
+ * Sliding replay window over message sequence numbers (as in IPsec/DTLS)
+ * window: { highest, bitmap }; bit i of bitmap marks highest - i as seen
+ * Returns the updated window, or null for a repeated, too old or invalid seq
+ */
+export function checkReplayWindow(window, seq) {
+  if (!Number.isSafeInteger(seq) || seq <= 0) {
+    return null;
+  }
+  if (seq > window.highest) {
+    const shift = seq - window.highest;
+    const bitmap = shift >= REPLAY_WINDOW_SIZE ? 1n : ((window.bitmap << BigInt(shift)) | 1n) & REPLAY_WINDOW_MASK;
+    return { highest: seq, bitmap };
+  }
+
+  const offset = window.highest - seq;
+  const bit = 1n << BigInt(offset);
+  if (offset >= REPLAY_WINDOW_SIZE || (window.bitmap & bit)) {
+    return null;
+  }
+  return { highest: window.highest, bitmap: window.bitmap | bit };
+}
+
 /**
  * Encrypt data with AES-GCM (returns Buffer)
  * AES-GCM provides both encryption and authentication in one operation
  * Format: [iv (12 bytes)][authTag (16 bytes)][ciphertext]
  */
 export function encryptAES(data, key) {
+  // Encrypt data (JSON serialized)
+  return encryptAESBytes(Buffer.from(JSON.stringify(data), 'utf8'), key);
+}
+
+/**
+ * Encrypt raw bytes with AES-GCM (binary message bodies)
+ * Format: [iv (12 bytes)][authTag (16 bytes)][ciphertext]
+ */
+export function encryptAESBytes(dataBuffer, key) {
   // Generate random IV (12 bytes for GCM)
   const iv = crypto.randomBytes(12);
   
   // Create cipher with GCM mode
   const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
-  
-  // Encrypt data (JSON serialized)
-  const dataBuffer = Buffer.from(JSON.stringify(data), 'utf8');
   const encrypted = Buffer.concat([cipher.update(dataBuffer), cipher.final()]);
   
   // Get authentication tag (16 bytes)
@@ -177,6 +408,20 @@ export function encryptAES(data, key) {
  * Throws error if data is tampered with or uses wrong key
  */
 export function decryptAES(encryptedBuffer, key) {
+  const decrypted = decryptAESBytes(encryptedBuffer, key);
+  try {
+    // Parse JSON
+    return JSON.parse(decrypted.toString('utf8'));
+  } catch (error) {
+    throw new Error('Decryption failed: ' + error.message);
+  }
+}
+
+/**
+ * Decrypt AES-GCM to raw bytes (binary message bodies)
+ * Throws error if data is tampered with or uses wrong key
+ */
+export function decryptAESBytes(encryptedBuffer, key) {
   try {
     // Extract IV (first 12 bytes)
     const iv = encryptedBuffer.slice(0, 12);
@@ -192,10 +437,7 @@ export function decryptAES(encryptedBuffer, key) {
     decipher.setAuthTag(authTag);
     
     // Decrypt and verify in one operation
-    const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
-    
-    // Parse JSON
-    return JSON.parse(decrypted.toString('utf8'));
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
   } catch (error) {
     throw new Error('Decryption failed: ' + error.message);
   }
@@ -238,67 +480,130 @@ export function verifyBinarySignature(data, signature, publicKey) {
   }
 }
 
+function assertVersionByte(value, name) {
+  if (!Number.isInteger(value) || value < 0 || value > 255) {
+    throw new Error(`${name} must be an integer between 0 and 255`);
+  }
+}
+
 /**
  * Encode HELLO message (Phase 1: Server → Coordinator)
  * Format: [serverTag(4)]
+ *     or: [serverTag(4)][minVersion(1)][maxVersion(1)][capabilities(4)]
  * 4-byte random tag to prevent DoS
+ * Optional negotiation block advertises the supported protocol version range
+ * and capability bitmap (uint32, big-endian); omitted by legacy servers
  */
-export function encodeHello(serverTag) {
+export function encodeHello(serverTag, negotiation = null) {
   if (!Buffer.isBuffer(serverTag) || serverTag.length !== 4) {
     throw new Error('Server tag must be a 4-byte Buffer');
   }
-  return serverTag;
+  if (!negotiation) {
+    return serverTag;
+  }
+
+  const { minVersion, maxVersion, capabilities = 0 } = negotiation;
+  assertVersionByte(minVersion, 'minVersion');
+  assertVersionByte(maxVersion, 'maxVersion');
+  if (minVersion > maxVersion) {
+    throw new Error('minVersion must not exceed maxVersion');
+  }
+
+  const block = Buffer.alloc(6);
+  block.writeUInt8(minVersion, 0);
+  block.writeUInt8(maxVersion, 1);
+  block.writeUInt32BE(capabilities >>> 0, 2);
+  return Buffer.concat([serverTag, block]);
 }
 
 /**
  * Decode HELLO message
- * Returns: { serverTag: Buffer }
+ * Returns: { serverTag: Buffer, negotiation: { minVersion, maxVersion, capabilities } | null }
+ * negotiation is null for legacy 4-byte HELLOs
  */
 export function decodeHello(buffer) {
-  if (buffer.length !== 4) {
-    throw new Error('HELLO message must be exactly 4 bytes');
+  if (buffer.length === 4) {
+    return {
+      serverTag: buffer,
+      negotiation: null
+    };
   }
+  if (buffer.length !== 10) {
+    throw new Error('HELLO message must be 4 or 10 bytes');
+  }
+
+  const minVersion = buffer.readUInt8(4);
+  const maxVersion = buffer.readUInt8(5);
+  if (minVersion > maxVersion) {
+    throw new Error('Invalid version range in HELLO');
+  }
+
   return {
-    serverTag: buffer
+    serverTag: buffer.slice(0, 4),
+    negotiation: {
+      minVersion,
+      maxVersion,
+      capabilities: buffer.readUInt32BE(6)
+    }
   };
 }
 
 /**
  * Encode HELLO_ACK message (Phase 2: Coordinator → Server)
  * Format: [serverTag(4)][coordinatorTag(4)]
+ *     or: [serverTag(4)][coordinatorTag(4)][version(1)][capabilities(4)]
  * Coordinator echoes server's tag and sends its own
+ * Optional negotiated block carries the chosen version (0 = no common version)
+ * and the common capability bitmap; only sent in reply to a negotiating HELLO
  */
-export function encodeHelloAck(serverTag, coordinatorTag) {
+export function encodeHelloAck(serverTag, coordinatorTag, negotiated = null) {
   if (!Buffer.isBuffer(serverTag) || serverTag.length !== 4) {
     throw new Error('Server tag must be a 4-byte Buffer');
   }
   if (!Buffer.isBuffer(coordinatorTag) || coordinatorTag.length !== 4) {
     throw new Error('Coordinator tag must be a 4-byte Buffer');
   }
-  return Buffer.concat([serverTag, coordinatorTag]);
+  if (!negotiated) {
+    return Buffer.concat([serverTag, coordinatorTag]);
+  }
+
+  const { version, capabilities = 0 } = negotiated;
+  assertVersionByte(version, 'version');
+
+  const block = Buffer.alloc(5);
+  block.writeUInt8(version, 0);
+  block.writeUInt32BE(capabilities >>> 0, 1);
+  return Buffer.concat([serverTag, coordinatorTag, block]);
 }
 
 /**
  * Decode HELLO_ACK message
- * Returns: { serverTag: Buffer, coordinatorTag: Buffer }
+ * Returns: { serverTag: Buffer, coordinatorTag: Buffer, negotiated: { version, capabilities } | null }
+ * negotiated is null for legacy 8-byte HELLO_ACKs
  */
 export function decodeHelloAck(buffer) {
-  if (buffer.length !== 8) {
-    throw new Error('HELLO_ACK message must be exactly 8 bytes');
+  if (buffer.length !== 8 && buffer.length !== 13) {
+    throw new Error('HELLO_ACK message must be 8 or 13 bytes');
   }
   return {
     serverTag: buffer.slice(0, 4),
-    coordinatorTag: buffer.slice(4, 8)
+    coordinatorTag: buffer.slice(4, 8),
+    negotiated: buffer.length === 13
+      ? { version: buffer.readUInt8(8), capabilities: buffer.readUInt32BE(9) }
+      : null
   };
 }
 
 /**
  * Encode ECDH init message (Phase 3: Server → Coordinator)
  * Format: [coordinatorTag(4)][ecdhPubKeyLen(1)][ecdhPubKey]
+ *     or: [coordinatorTag(4)][ecdhPubKeyLen(1)][ecdhPubKey][version(1)][capabilities(4)]
  * Public key is SPKI DER bytes for X25519/X448
  * Now includes coordinator's tag for verification before expensive key agreement
+ * The optional block echoes the negotiated HELLO_ACK block, which the
+ * stateless coordinator tag is bound to; omitted for legacy HELLO_ACKs
  */
-export function encodeECDHInit(coordinatorTag, ecdhPublicKey) {
+export function encodeECDHInit(coordinatorTag, ecdhPublicKey, negotiated = null) {
   if (!Buffer.isBuffer(coordinatorTag) || coordinatorTag.length !== 4) {
     throw new Error('Coordinator tag must be a 4-byte Buffer');
   }
@@ -308,16 +613,25 @@ export function encodeECDHInit(coordinatorTag, ecdhPublicKey) {
   if (ecdhPubKeyBuffer.length > 255) throw new Error('ECDH public key too long');
   
   // Concatenate: coordinator tag + length prefix + ECDH public key
-  return Buffer.concat([
+  const message = Buffer.concat([
     coordinatorTag,
     Buffer.from([ecdhPubKeyBuffer.length]),
     ecdhPubKeyBuffer
   ]);
+  if (!negotiated) {
+    return message;
+  }
+
+  const block = Buffer.alloc(5);
+  block.writeUInt8(negotiated.version, 0);
+  block.writeUInt32BE(negotiated.capabilities >>> 0, 1);
+  return Buffer.concat([message, block]);
 }
 
 /**
  * Decode ECDH init message
- * Format: [coordinatorTag(4)][ecdhPubKeyLen(1)][ecdhPubKey]
+ * Format: [coordinatorTag(4)][ecdhPubKeyLen(1)][ecdhPubKey][version(1)][capabilities(4)]?
+ * Returns: { coordinatorTag, ecdhPublicKey, negotiated: { version, capabilities } | null }
  */
 export function decodeECDHInit(buffer) {
   if (buffer.length < 5) {
@@ -334,10 +648,14 @@ export function decodeECDHInit(buffer) {
   const ecdhPubKeyLen = buffer.readUInt8(offset);
   offset += 1;
   const ecdhPublicKey = buffer.slice(offset, offset + ecdhPubKeyLen);
-  
+  offset += ecdhPubKeyLen;
+
   return {
     coordinatorTag,
-    ecdhPublicKey
+    ecdhPublicKey,
+    negotiated: buffer.length - offset === 5
+      ? { version: buffer.readUInt8(offset), capabilities: buffer.readUInt32BE(offset + 1) }
+      : null
   };
 }
 
@@ -381,3 +699,211 @@ export function decodeECDHResponse(buffer) {
     encryptedData
   };
 }
+
+// Compact binary bodies for encrypted messages (BINARY_BODIES capability)
+// Body: ([tag(1)][length(2)][value])...; absent fields are omitted, unknown tags skipped
+// Value kinds: 'string' UTF-8, 'hex'/'base64' strings carried as their bytes,
+// 'uint' big-endian integer of 1-6 bytes, 'json' any JSON value (SDP payloads)
+const BODY_FIELDS = Object.freeze({
+  0x01: { path: ['seq'], kind: 'uint' },
+  0x02: { path: ['timestamp'], kind: 'uint' },
+  0x03: { path: ['sessionId'], kind: 'string' },
+  0x04: { path: ['serverPublicKey'], kind: 'base64' },
+  0x05: { path: ['signature'], kind: 'hex' },
+  0x06: { path: ['signatureAlgorithm'], kind: 'string' },
+  0x07: { path: ['payload'], kind: 'json' },
+  0x08: { path: ['payload', 'challenge'], kind: 'hex' },
+  0x09: { path: ['payload', 'newChallenge'], kind: 'hex' },
+  0x0A: { path: ['payload', 'challengeKey'], kind: 'hex' },
+  0x0B: { path: ['payload', 'host'], kind: 'string' },
+  0x0C: { path: ['payload', 'port'], kind: 'uint' },
+  0x0D: { path: ['payload', 'publicKey'], kind: 'string' },
+  0x0E: { path: ['status'], kind: 'string' }
+});
+
+// Fields of each body, in the order decoded objects list them (signed
+// sub-objects must serialize exactly as the sender signed them)
+const BODY_SCHEMAS = Object.freeze({
+  register: { type: null, tags: [0x04, 0x02, 0x08, 0x0A, 0x05] },
+  registerAck: { type: 'register', tags: [0x0E, 0x03] },
+  heartbeat: { type: 'heartbeat', tags: [0x09, 0x0A, 0x01] },
+  offer: { type: 'offer', tags: [0x03, 0x02, 0x07, 0x01] },
+  answer: { type: 'answer', tags: [0x04, 0x03, 0x02, 0x07, 0x05, 0x06, 0x01] },
+  migrate: { type: 'migrate', tags: [0x02, 0x0B, 0x0C, 0x0D, 0x01] }
+});
+
+const MAX_BODY_UINT = 2 ** 48 - 1;
+
+function encodeBodyValue(kind, value, name) {
+  switch (kind) {
+    case 'string':
+      if (typeof value !== 'string') throw new Error(`${name} must be a string`);
+      return Buffer.from(value, 'utf8');
+    case 'hex':
+      if (typeof value !== 'string' || !/^(?:[0-9a-f]{2})*$/.test(value)) {
+        throw new Error(`${name} must be lowercase hex`);
+      }
+      return Buffer.from(value, 'hex');
+    case 'base64': {
+      const bytes = typeof value === 'string' ? Buffer.from(value, 'base64') : null;
+      if (!bytes || bytes.toString('base64') !== value) throw new Error(`${name} must be base64`);
+      return bytes;
+    }
+    case 'uint': {
+      if (!Number.isSafeInteger(value) || value < 0 || value > MAX_BODY_UINT) {
+        throw new Error(`${name} must be an integer between 0 and ${MAX_BODY_UINT}`);
+      }
+      let length = 1;
+      while (length < 6 && value >= 2 ** (8 * length)) length++;
+      const bytes = Buffer.alloc(length);
+      bytes.writeUIntBE(value, 0, length);
+      return bytes;
+    }
+    case 'json':
+      return Buffer.from(JSON.stringify(value), 'utf8');
+  }
+  throw new Error(`Unknown field kind: ${kind}`);
+}
+
+function decodeBodyValue(kind, bytes) {
+  switch (kind) {
+    case 'string':
+      return bytes.toString('utf8');
+    case 'hex':
+      return bytes.toString('hex');
+    case 'base64':
+      return bytes.toString('base64');
+    case 'uint':
+      if (bytes.length < 1 || bytes.length > 6) throw new Error('Invalid integer field');
+      return bytes.readUIntBE(0, bytes.length);
+    case 'json':
+      return JSON.parse(bytes.toString('utf8'));
+  }
+  throw new Error(`Unknown field kind: ${kind}`);
+}
+
+function encodeBody(schemaName, data) {
+  const schema = BODY_SCHEMAS[schemaName];
+  if (schema.type && data.type !== schema.type) {
+    throw new Error(`Expected a ${schema.type} message`);
+  }
+  const known = new Set(['type', ...schema.tags.map(tag => BODY_FIELDS[tag].path[0])]);
+  for (const key of Object.keys(data)) {
+    if (!known.has(key)) throw new Error(`Field ${key} has no binary encoding in ${schemaName}`);
+  }
+
+  const parts = [];
+  for (const tag of schema.tags) {
+    const { path, kind } = BODY_FIELDS[tag];
+    const value = path.reduce((object, key) => object?.[key], data);
+    if (value === undefined) continue;
+
+    const bytes = encodeBodyValue(kind, value, path.join('.'));
+    if (bytes.length > 0xFFFF) throw new Error(`${path.join('.')} too long`);
+    const header = Buffer.alloc(3);
+    header.writeUInt8(tag, 0);
+    header.writeUInt16BE(bytes.length, 1);
+    parts.push(header, bytes);
+  }
+  return Buffer.concat(parts);
+}
+
+function decodeBody(schemaName, buffer) {
+  const schema = BODY_SCHEMAS[schemaName];
+  const values = new Map();
+  let offset = 0;
+  while (offset < buffer.length) {
+    if (buffer.length - offset < 3) throw new Error('Truncated field header');
+    const tag = buffer.readUInt8(offset);
+    const length = buffer.readUInt16BE(offset + 1);
+    offset += 3;
+    if (buffer.length - offset < length) throw new Error('Truncated field');
+    if (values.has(tag)) throw new Error(`Duplicate field 0x${tag.toString(16)}`);
+    values.set(tag, buffer.subarray(offset, offset + length));
+    offset += length;
+  }
+
+  const message = schema.type ? { type: schema.type } : {};
+  for (const tag of schema.tags) {
+    if (!values.has(tag)) continue;
+    const { path, kind } = BODY_FIELDS[tag];
+    let object = message;
+    for (const key of path.slice(0, -1)) {
+      object = object[key] ??= {};
+    }
+    object[path[path.length - 1]] = decodeBodyValue(kind, values.get(tag));
+  }
+  return message;
+}
+
+/**
+ * Encode registration body (Phase 5: Server → Coordinator)
+ * Fields: serverPublicKey, timestamp, payload.challenge, payload.challengeKey, signature
+ */
+export function encodeRegister(data) {
+  return encodeBody('register', data);
+}
+
+export function decodeRegister(buffer) {
+  return decodeBody('register', buffer);
+}
+
+/**
+ * Encode registration acknowledgment body (Coordinator → Server)
+ * Fields: status, sessionId
+ */
+export function encodeRegisterAck(data) {
+  return encodeBody('registerAck', data);
+}
+
+export function decodeRegisterAck(buffer) {
+  return decodeBody('registerAck', buffer);
+}
+
+/**
+ * Encode HEARTBEAT body
+ * Fields: payload.newChallenge, payload.challengeKey, seq
+ */
+export function encodeHeartbeat(data) {
+  return encodeBody('heartbeat', data);
+}
+
+export function decodeHeartbeat(buffer) {
+  return decodeBody('heartbeat', buffer);
+}
+
+/**
+ * Encode OFFER body (Coordinator → Server)
+ * Fields: sessionId, timestamp, payload (JSON), seq
+ */
+export function encodeOffer(data) {
+  return encodeBody('offer', data);
+}
+
+export function decodeOffer(buffer) {
+  return decodeBody('offer', buffer);
+}
+
+/**
+ * Encode ANSWER body (Server → Coordinator)
+ * Fields: serverPublicKey, sessionId, timestamp, payload (JSON), signature, signatureAlgorithm, seq
+ */
+export function encodeAnswer(data) {
+  return encodeBody('answer', data);
+}
+
+export function decodeAnswer(buffer) {
+  return decodeBody('answer', buffer);
+}
+
+/**
+ * Encode MIGRATE body (Coordinator → Server)
+ * Fields: timestamp, payload.host, payload.port, payload.publicKey, seq
+ */
+export function encodeMigrate(data) {
+  return encodeBody('migrate', data);
+}
+
+export function decodeMigrate(buffer) {
+  return decodeBody('migrate', buffer);
+}
@@ -1,12 +1,18 @@
 import dgram from 'dgram';
 import dns from 'dns';
+import net from 'net';
 import {
   generateECDHKeyPair,
   computeECDHSecret,
   detectKeyAgreementCurve,
   deriveAESKey,
+  deriveTrafficKeys,
+  deriveRekeyedSecret,
+  checkReplayWindow,
   encryptAES,
   decryptAES,
+  encryptAESBytes,
+  decryptAESBytes,
   signData,
   verifySignature,
   signBinaryData,
@@ -19,15 +25,66 @@ import {
   decodeECDHInit,
   encodeECDHResponse,
   decodeECDHResponse,
+  encodeRegister,
+  decodeRegister,
+  encodeRegisterAck,
+  decodeRegisterAck,
+  encodeHeartbeat,
+  decodeHeartbeat,
+  encodeOffer,
+  decodeOffer,
+  encodeAnswer,
+  decodeAnswer,
+  encodeMigrate,
+  decodeMigrate,
   generateChallenge,
-  hashChallengeAnswer,
+  generateChallengeKey,
+  generateSessionId,
+  generateCookieSecret,
+  createHelloCookie,
+  verifyHelloCookie,
+  derivePingKey,
+  encodePing,
+  decodePing,
+  verifyPing,
+  encodePong,
+  decodePong,
+  verifyPong,
+  generatePathToken,
+  encodePathResponse,
+  decodePathResponse,
+  verifyPathResponse,
   unwrapPublicKey,
   wrapPublicKey
 } from './crypto.js';
+import { isStunMessage, buildBindingResponse } from './stun.js';
 
 // Shared protocol constants for HomeChannel UDP messaging
+// HELLO and HELLO_ACK are always framed with PROTOCOL_VERSION so any peer can
+// parse them; later messages use the version negotiated in that exchange.
 export const PROTOCOL_VERSION = 0x01;
 
+// Range of protocol versions this implementation speaks
+export const MIN_PROTOCOL_VERSION = 0x01;
+export const MAX_PROTOCOL_VERSION = 0x01;
+
+// Capability bitmap (uint32) exchanged in HELLO/HELLO_ACK.
+// Bits are assigned as optional features are added; the negotiated set is the
+// intersection of both peers' bitmaps, so an unknown bit is simply never used.
+export const CAPABILITIES = Object.freeze({
+  TRICKLE_ICE: 0x00000001,  // CANDIDATES messages: ICE candidates streamed after OFFER/ANSWER
+  FRAGMENTATION: 0x00000002, // FRAGMENT/FRAGMENT_NACK: OFFER/ANSWER split across datagrams
+  AUTH_PING: 0x00000004,    // PING carries session id + MAC; coordinator follows NAT rebinding
+  PONG_ADDRESS: 0x00000008,  // PONG reports the server's address as seen by the coordinator (needs AUTH_PING)
+  KEY_SCHEDULE: 0x00000010,  // HKDF per-direction keys and sequence numbers with a replay window
+  REKEY: 0x00000020,         // Periodic X25519/X448 exchange mixed into the keys (needs KEY_SCHEDULE)
+  BINARY_BODIES: 0x00000040, // REGISTER, HEARTBEAT, OFFER, ANSWER and MIGRATE bodies in TLV instead of JSON
+  PATH_VALIDATION: 0x00000080 // A new address is used only after it echoes a PATH_CHALLENGE (needs AUTH_PING)
+});
+
+// All capabilities implemented by this build
+export const SUPPORTED_CAPABILITIES = Object.values(CAPABILITIES).reduce((bits, bit) => bits | bit, 0) >>> 0;
+
 export const MESSAGE_TYPES = Object.freeze({
   HELLO: 0x01,          // Phase 1: Server sends random tag (DoS prevention)
   HELLO_ACK: 0x02,      // Phase 2: Coordinator responds with tag (rate-limited)
@@ -40,6 +97,12 @@ export const MESSAGE_TYPES = Object.freeze({
   MIGRATE: 0x09,        // Coordinator migration (redirect to new coordinator)
   OFFER: 0x0A,          // SDP offer (coordinator to server)
   PONG: 0x0B,           // Keepalive reply (coordinator → server)
+  CANDIDATES: 0x0C,     // Trickled ICE candidates (both directions)
+  FRAGMENT: 0x0D,       // One fragment of a large OFFER/ANSWER (both directions)
+  FRAGMENT_NACK: 0x0E,  // Receiver asks for missing fragments to be resent
+  REKEY: 0x0F,          // Fresh X25519/X448 exchange over the encrypted channel
+  PATH_CHALLENGE: 0x10, // Coordinator checks that a server's new address reaches it
+  PATH_RESPONSE: 0x11,  // Server echoes the PATH_CHALLENGE token under its PING key
   ERROR: 0xFF           // Error response (not sent for HELLO messages)
 });
 
@@ -55,13 +118,63 @@ export const MESSAGE_TYPE_NAMES = Object.freeze({
   [MESSAGE_TYPES.MIGRATE]: 'migrate',
   [MESSAGE_TYPES.OFFER]: 'offer',
   [MESSAGE_TYPES.PONG]: 'pong',
+  [MESSAGE_TYPES.CANDIDATES]: 'candidates',
+  [MESSAGE_TYPES.FRAGMENT]: 'fragment',
+  [MESSAGE_TYPES.FRAGMENT_NACK]: 'fragment_nack',
+  [MESSAGE_TYPES.REKEY]: 'rekey',
+  [MESSAGE_TYPES.PATH_CHALLENGE]: 'path_challenge',
+  [MESSAGE_TYPES.PATH_RESPONSE]: 'path_response',
   [MESSAGE_TYPES.ERROR]: 'error'
 });
 
+// ERROR payload codes. An empty ERROR (older coordinators) decodes as UNKNOWN.
+export const ERROR_CODES = Object.freeze({
+  UNKNOWN: 0x00,               // No code given
+  UNKNOWN_SESSION: 0x01,       // Coordinator does not know this server: re-register now
+  RATE_LIMITED: 0x02,          // Too many requests: retry later
+  BANNED: 0x03,                // Temporarily refused: retry much later
+  UNSUPPORTED_CURVE: 0x04,     // ECDH key-agreement curve not accepted
+  MAX_SERVERS_REACHED: 0x05,   // Registry is full
+  BAD_SIGNATURE: 0x06          // Registration signature did not verify
+});
+
+export const ERROR_CODE_NAMES = Object.freeze({
+  [ERROR_CODES.UNKNOWN]: 'unknown',
+  [ERROR_CODES.UNKNOWN_SESSION]: 'unknown-session',
+  [ERROR_CODES.RATE_LIMITED]: 'rate-limited',
+  [ERROR_CODES.BANNED]: 'banned',
+  [ERROR_CODES.UNSUPPORTED_CURVE]: 'unsupported-curve',
+  [ERROR_CODES.MAX_SERVERS_REACHED]: 'max-servers-reached',
+  [ERROR_CODES.BAD_SIGNATURE]: 'bad-signature'
+});
+
+// TLV body codecs by message type (BINARY_BODIES); REGISTER has two bodies and
+// is handled on its own, other types are always JSON
+const BODY_CODECS = Object.freeze({
+  [MESSAGE_TYPES.HEARTBEAT]: { encode: encodeHeartbeat, decode: decodeHeartbeat },
+  [MESSAGE_TYPES.OFFER]: { encode: encodeOffer, decode: decodeOffer },
+  [MESSAGE_TYPES.ANSWER]: { encode: encodeAnswer, decode: decodeAnswer },
+  [MESSAGE_TYPES.MIGRATE]: { encode: encodeMigrate, decode: decodeMigrate }
+});
+
+/**
+ * Encrypt a message body: TLV when BINARY_BODIES was negotiated and the type
+ * has a binary encoding, JSON otherwise
+ */
+function encryptBody(data, key, messageType, capabilities) {
+  const codec = capabilities & CAPABILITIES.BINARY_BODIES ? BODY_CODECS[messageType] : null;
+  return codec ? encryptAESBytes(codec.encode(data), key) : encryptAES(data, key);
+}
+
+function decryptBody(payload, key, messageType, capabilities) {
+  const codec = capabilities & CAPABILITIES.BINARY_BODIES ? BODY_CODECS[messageType] : null;
+  return codec ? codec.decode(decryptAESBytes(payload, key)) : decryptAES(payload, key);
+}
+
 // Build binary UDP message: [version (1 byte)][type (1 byte)][payload]
-export function buildUDPMessage(messageType, payloadBuffer) {
+export function buildUDPMessage(messageType, payloadBuffer, version = PROTOCOL_VERSION) {
   return Buffer.concat([
-    Buffer.from([PROTOCOL_VERSION, messageType]),
+    Buffer.from([version, messageType]),
     payloadBuffer
   ]);
 }
@@ -76,11 +189,414 @@ export function parseUDPMessage(msg) {
   const messageType = msg[1];
   const payload = msg.slice(2);
 
-  if (version !== PROTOCOL_VERSION) {
+  if (version < MIN_PROTOCOL_VERSION || version > MAX_PROTOCOL_VERSION) {
     throw new Error(`Unsupported protocol version: ${version}`);
   }
 
-  return { messageType, payload };
+  return { version, messageType, payload };
+}
+
+/**
+ * Pick the highest protocol version both peers support
+ * local/remote: { minVersion, maxVersion, capabilities }
+ * Returns: { version, capabilities } or null when the ranges do not overlap
+ */
+export function negotiateProtocol(local, remote) {
+  const version = Math.min(local.maxVersion, remote.maxVersion);
+  if (version < Math.max(local.minVersion, remote.minVersion)) {
+    return null;
+  }
+  return {
+    version,
+    capabilities: (local.capabilities & remote.capabilities) >>> 0
+  };
+}
+
+// Peers that send 4-byte HELLOs / 8-byte HELLO_ACKs predate negotiation:
+// they speak version 1 only and have no capabilities
+const LEGACY_PROTOCOL = Object.freeze({ minVersion: 0x01, maxVersion: 0x01, capabilities: 0 });
+
+/**
+ * Normalize a peer address for use in ipPort keys.
+ * Dual-stack sockets report IPv4 peers as IPv4-mapped IPv6 (::ffff:a.b.c.d);
+ * these are reduced to plain IPv4 so one peer always maps to one key.
+ */
+export function normalizeAddress(address) {
+  if (typeof address === 'string' && address.toLowerCase().startsWith('::ffff:')) {
+    const ipv4 = address.slice(7);
+    if (net.isIPv4(ipv4)) {
+      return ipv4;
+    }
+  }
+  return address;
+}
+
+/**
+ * Format address and port as an ipPort key
+ * IPv4: "203.0.113.5:3478"   IPv6: "[2001:db8::1]:3478"
+ */
+export function formatIpPort(address, port) {
+  const normalized = normalizeAddress(address);
+  return net.isIPv6(normalized) ? `[${normalized}]:${port}` : `${normalized}:${port}`;
+}
+
+/**
+ * Parse an ipPort key produced by formatIpPort()
+ * Returns: { address, port }
+ */
+export function parseIpPort(ipPort) {
+  let address;
+  let portString;
+
+  if (ipPort.startsWith('[')) {
+    const end = ipPort.indexOf(']:');
+    if (end === -1) {
+      throw new Error(`Invalid ipPort: ${ipPort}`);
+    }
+    address = ipPort.slice(1, end);
+    portString = ipPort.slice(end + 2);
+  } else {
+    const separator = ipPort.lastIndexOf(':');
+    if (separator === -1) {
+      throw new Error(`Invalid ipPort: ${ipPort}`);
+    }
+    address = ipPort.slice(0, separator);
+    portString = ipPort.slice(separator + 1);
+    if (address.includes(':')) {
+      throw new Error(`Invalid ipPort (IPv6 must be bracketed): ${ipPort}`);
+    }
+  }
+
+  const port = Number(portString);
+  if (!address || !Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid ipPort: ${ipPort}`);
+  }
+
+  return { address, port };
+}
+
+// Dual-stack udp6 sockets reject plain IPv4 literals (EINVAL),
+// so IPv4 destinations are sent as IPv4-mapped IPv6 instead.
+export function toSocketAddress(address, socketFamily) {
+  if (socketFamily === 6 && net.isIPv4(address)) {
+    return `::ffff:${address}`;
+  }
+  return address;
+}
+
+// Send errors meaning the destination's address family has no route
+const UNREACHABLE_CODES = new Set(['ENETUNREACH', 'EHOSTUNREACH', 'EADDRNOTAVAIL', 'EAFNOSUPPORT']);
+
+// MIGRATE targets must be complete: the server cannot register without all three
+function assertMigrationTarget(target) {
+  const { host, port, publicKey } = target || {};
+  if (typeof host !== 'string' || !host ||
+      !Number.isInteger(port) || port < 1 || port > 65535 ||
+      typeof publicKey !== 'string' || !publicKey) {
+    throw new Error('Invalid migration target');
+  }
+}
+
+// CANDIDATES messages carry a few candidates each so they stay well under a typical MTU
+const MAX_CANDIDATES_PER_MESSAGE = 8;
+
+// Decrypted CANDIDATES body: { type: 'candidates', sessionId, candidates: [...], complete }
+function isValidCandidatesMessage(message) {
+  return !!message && message.type === 'candidates' &&
+    typeof message.sessionId === 'string' && !!message.sessionId &&
+    Array.isArray(message.candidates) &&
+    message.candidates.length <= MAX_CANDIDATES_PER_MESSAGE;
+}
+
+// Split candidates into per-message batches; an empty list still yields one (empty) batch
+function splitCandidates(candidates) {
+  const batches = [];
+  for (let i = 0; i < candidates.length; i += MAX_CANDIDATES_PER_MESSAGE) {
+    batches.push(candidates.slice(i, i + MAX_CANDIDATES_PER_MESSAGE));
+  }
+  return batches.length > 0 ? batches : [[]];
+}
+
+// Datagrams above this size are fragmented when FRAGMENTATION was negotiated.
+// 1200 bytes fits the IPv6 minimum MTU (1280) minus IP/UDP headers.
+export const MAX_DATAGRAM_SIZE = 1200;
+
+// FRAGMENT payload: [fragmentId(4)][messageType(1)][index(1)][count(1)][chunk]
+const FRAGMENT_HEADER_SIZE = 7;
+const MAX_FRAGMENTS = 32;
+// Only messages that carry SDP are large enough to need fragmenting
+const FRAGMENTABLE_TYPES = new Set([MESSAGE_TYPES.OFFER, MESSAGE_TYPES.ANSWER]);
+
+/**
+ * Split an (already encrypted) message payload into FRAGMENT payloads
+ * Fragment headers are not encrypted; the AES-GCM tag of the reassembled
+ * payload authenticates every chunk.
+ */
+export function encodeFragments(fragmentId, messageType, payload, chunkSize) {
+  if (!FRAGMENTABLE_TYPES.has(messageType)) {
+    throw new Error(`Message type 0x${messageType.toString(16)} cannot be fragmented`);
+  }
+  const count = Math.ceil(payload.length / chunkSize);
+  if (count < 1 || count > MAX_FRAGMENTS) {
+    throw new Error(`Message needs ${count} fragments, limit is ${MAX_FRAGMENTS}`);
+  }
+
+  const fragments = [];
+  for (let index = 0; index < count; index++) {
+    const header = Buffer.alloc(FRAGMENT_HEADER_SIZE);
+    header.writeUInt32BE(fragmentId >>> 0, 0);
+    header[4] = messageType;
+    header[5] = index;
+    header[6] = count;
+    fragments.push(Buffer.concat([header, payload.subarray(index * chunkSize, (index + 1) * chunkSize)]));
+  }
+  return fragments;
+}
+
+// Parse a FRAGMENT payload: { fragmentId, messageType, index, count, chunk }
+export function decodeFragment(payload) {
+  if (payload.length <= FRAGMENT_HEADER_SIZE) {
+    throw new Error('Fragment too short');
+  }
+  const fragment = {
+    fragmentId: payload.readUInt32BE(0),
+    messageType: payload[4],
+    index: payload[5],
+    count: payload[6],
+    chunk: payload.subarray(FRAGMENT_HEADER_SIZE)
+  };
+  if (!FRAGMENTABLE_TYPES.has(fragment.messageType) ||
+      fragment.count < 1 || fragment.count > MAX_FRAGMENTS || fragment.index >= fragment.count) {
+    throw new Error('Invalid fragment header');
+  }
+  return fragment;
+}
+
+// FRAGMENT_NACK payload: [fragmentId(4)][missing index(1)]...
+export function encodeFragmentNack(fragmentId, missing) {
+  const payload = Buffer.alloc(4 + missing.length);
+  payload.writeUInt32BE(fragmentId >>> 0, 0);
+  missing.forEach((index, i) => {
+    payload[4 + i] = index;
+  });
+  return payload;
+}
+
+export function decodeFragmentNack(payload) {
+  if (payload.length < 5 || payload.length > 4 + MAX_FRAGMENTS) {
+    throw new Error('Invalid fragment NACK');
+  }
+  return {
+    fragmentId: payload.readUInt32BE(0),
+    missing: [...payload.subarray(4)]
+  };
+}
+
+// Retry-after sent with MAX_SERVERS_REACHED: one registry cleanup interval
+const REGISTRY_FULL_RETRY_MS = 60000;
+
+// A PATH_CHALLENGE token is valid this long (PATH_VALIDATION)
+const PATH_CHALLENGE_TIMEOUT_MS = 10000;
+
+// ERROR payload: [code(1)][retryAfter seconds(2), optional]
+export function encodeError(code, retryAfterMs = 0) {
+  if (!retryAfterMs) {
+    return Buffer.from([code]);
+  }
+  const payload = Buffer.alloc(3);
+  payload[0] = code;
+  payload.writeUInt16BE(Math.min(Math.ceil(retryAfterMs / 1000), 0xFFFF), 1);
+  return payload;
+}
+
+export function decodeError(payload) {
+  const code = payload.length > 0 ? payload[0] : ERROR_CODES.UNKNOWN;
+  return {
+    code,
+    name: ERROR_CODE_NAMES[code] || 'unknown',
+    retryAfterMs: payload.length >= 3 ? payload.readUInt16BE(1) * 1000 : 0
+  };
+}
+
+/**
+ * Fragment state for one UDP endpoint
+ * Keeps sent fragments for retransmission and reassembles received ones.
+ * Peers are opaque keys (ipPort on the coordinator, one fixed key on the server).
+ */
+class Fragmenter {
+  constructor(options = {}) {
+    this.maxDatagramSize = options.maxDatagramSize || MAX_DATAGRAM_SIZE;
+    // Give up on an incomplete message (and forget sent fragments) after this long
+    this.timeoutMs = options.fragmentTimeoutMs || 5000;
+    // Ask for missing fragments when nothing new arrived for this long
+    this.retryMs = options.fragmentRetryMs || 300;
+    this.maxRetries = 3;
+    // Concurrent reassemblies per peer
+    this.maxPending = 8;
+
+    this.nextFragmentId = Math.floor(Math.random() * 0x100000000) >>> 0;
+    this.outbox = new Map();  // `${peer}|${fragmentId}` → { fragments, retransmits, timer }
+    this.pending = new Map(); // `${peer}|${fragmentId}` → { peer, fragmentId, messageType, chunks, received, retries, startedAt, timer }
+  }
+
+  /**
+   * Whether a datagram of this size has to be fragmented
+   */
+  needsFragmenting(datagramSize) {
+    return datagramSize > this.maxDatagramSize;
+  }
+
+  /**
+   * Split a payload into FRAGMENT payloads and keep them for retransmission
+   */
+  fragment(peer, messageType, payload) {
+    const fragmentId = this.nextFragmentId;
+    this.nextFragmentId = (this.nextFragmentId + 1) >>> 0;
+
+    // Room for the [version][type] framing and the fragment header
+    const chunkSize = this.maxDatagramSize - 2 - FRAGMENT_HEADER_SIZE;
+    const fragments = encodeFragments(fragmentId, messageType, payload, chunkSize);
+
+    const key = `${peer}|${fragmentId}`;
+    const timer = setTimeout(() => this.outbox.delete(key), this.timeoutMs);
+    timer.unref();
+    this.outbox.set(key, { fragments, retransmits: 0, timer });
+
+    return fragments;
+  }
+
+  /**
+   * Fragments to resend for a NACK; empty once the message expired or was resent too often
+   */
+  retransmit(peer, fragmentId, missing) {
+    const entry = this.outbox.get(`${peer}|${fragmentId}`);
+    if (!entry || entry.retransmits >= this.maxRetries) {
+      return [];
+    }
+    entry.retransmits++;
+    return missing
+      .filter(index => index < entry.fragments.length)
+      .map(index => entry.fragments[index]);
+  }
+
+  /**
+   * Add a received fragment
+   * Returns { messageType, payload } once the message is complete, otherwise null.
+   * requestMissing(missing) is called when fragments seem lost.
+   */
+  receive(peer, fragment, requestMissing) {
+    const key = `${peer}|${fragment.fragmentId}`;
+    let entry = this.pending.get(key);
+
+    if (!entry) {
+      let peerPending = 0;
+      for (const pending of this.pending.values()) {
+        if (pending.peer === peer) peerPending++;
+      }
+      if (peerPending >= this.maxPending) {
+        throw new Error('Too many incomplete fragmented messages');
+      }
+
+      entry = {
+        peer,
+        fragmentId: fragment.fragmentId,
+        messageType: fragment.messageType,
+        chunks: new Array(fragment.count),
+        received: 0,
+        retries: 0,
+        startedAt: Date.now(),
+        timer: null
+      };
+      this.pending.set(key, entry);
+    } else if (entry.messageType !== fragment.messageType || entry.chunks.length !== fragment.count) {
+      throw new Error('Fragment does not match earlier fragments');
+    }
+
+    if (!entry.chunks[fragment.index]) {
+      entry.chunks[fragment.index] = fragment.chunk;
+      entry.received++;
+    }
+
+    clearTimeout(entry.timer);
+
+    if (entry.received === entry.chunks.length) {
+      this.pending.delete(key);
+      return { messageType: entry.messageType, payload: Buffer.concat(entry.chunks) };
+    }
+
+    this._armRetry(key, entry, requestMissing);
+    return null;
+  }
+
+  _armRetry(key, entry, requestMissing) {
+    entry.timer = setTimeout(() => {
+      if (Date.now() - entry.startedAt >= this.timeoutMs || entry.retries >= this.maxRetries) {
+        this.pending.delete(key);
+        return;
+      }
+      entry.retries++;
+      const missing = [];
+      for (let index = 0; index < entry.chunks.length; index++) {
+        if (!entry.chunks[index]) missing.push(index);
+      }
+      requestMissing(missing);
+      this._armRetry(key, entry, requestMissing);
+    }, this.retryMs);
+    entry.timer.unref();
+  }
+
+  /**
+   * Drop all state and timers
+   */
+  clear() {
+    for (const entry of this.outbox.values()) clearTimeout(entry.timer);
+    for (const entry of this.pending.values()) clearTimeout(entry.timer);
+    this.outbox.clear();
+    this.pending.clear();
+  }
+}
+
+// Bind errors meaning the host has no usable IPv6 stack
+const IPV6_UNAVAILABLE_CODES = new Set(['EAFNOSUPPORT', 'EADDRNOTAVAIL', 'EPROTONOSUPPORT']);
+
+/**
+ * Bind a UDP socket
+ * Without a host (or with '::') a dual-stack udp6 socket is bound so IPv4 and
+ * IPv6 peers share one port; falls back to udp4 when IPv6 is disabled.
+ * An IPv4 host binds udp4 only, any other IPv6 host binds udp6 only.
+ * Returns: Promise<{ socket, family }> where family is 4 or 6
+ */
+export function bindUDPSocket(port = 0, host) {
+  const family = host && net.isIPv4(host) ? 4 : 6;
+
+  return new Promise((resolve, reject) => {
+    const socket = family === 6
+      ? dgram.createSocket({ type: 'udp6', ipv6Only: false })
+      : dgram.createSocket('udp4');
+
+    const onListening = () => {
+      socket.removeListener('error', onError);
+      resolve({ socket, family });
+    };
+
+    const onError = (err) => {
+      socket.removeListener('listening', onListening);
+      try {
+        socket.close();
+      } catch {
+        // Socket never started - nothing to close
+      }
+      if (family === 6 && !host && IPV6_UNAVAILABLE_CODES.has(err.code)) {
+        bindUDPSocket(port, '0.0.0.0').then(resolve, reject);
+      } else {
+        reject(err);
+      }
+    };
+
+    socket.once('listening', onListening);
+    socket.once('error', onError);
+    socket.bind(port, host || '::');
+  });
 }
 
 /**
@@ -91,27 +607,75 @@ export class UDPClient {
   constructor(coordinatorHost, coordinatorPort, serverKeys, options = {}) {
     this.coordinatorHost = coordinatorHost;
     this.coordinatorPort = coordinatorPort;
-    // Resolved IPv4 address u2014 populated by start() to avoid per-send DNS resolution
+    // Resolved address currently in use — populated by start() to avoid per-send DNS resolution
     this.coordinatorIp = null;
+    // All resolved addresses (A and AAAA), preferred family first
+    this.coordinatorAddresses = [];
+    this._addressIndex = 0;
+    // Restrict resolution to one family (4 or 6); 0 = both
+    this.addressFamily = options.addressFamily || 0;
+    // Family tried first when the coordinator has both A and AAAA records
+    this.preferredFamily = options.preferredFamily || 4;
+    // DNS lookup function (same signature as dns.lookup)
+    this._lookup = options.lookup || dns.lookup;
+    // Family of the bound socket (4 or 6) — set by start()
+    this.family = null;
     this.serverKeys = serverKeys;
     this.socket = null;
     
     this.challenge = null;
-    this.expectedAnswer = null;
-    this.aesKey = null;
+    this.challengeKey = null;
+    // Message keys: { send, receive }; one shared key unless KEY_SCHEDULE was negotiated
+    this.keys = null;
+    // Secret the KEY_SCHEDULE keys are derived from (registration secret, then REKEY results)
+    this.trafficSecret = null;
+    // Secret before the last REKEY, kept until the coordinator uses the new one
+    this.previousTrafficSecret = null;
     this.coordinatorPublicKey = options.coordinatorPublicKey || null;
     this.keyAgreementCurve = options.keyAgreementCurve || 'x25519';
     this.signatureAlgorithm = options.signatureAlgorithm || this.serverKeys.signatureAlgorithm || 'ed25519';
     
+    // Protocol range offered in HELLO, and what the coordinator agreed to
+    this.minProtocolVersion = options.minProtocolVersion || MIN_PROTOCOL_VERSION;
+    this.maxProtocolVersion = options.maxProtocolVersion || MAX_PROTOCOL_VERSION;
+    this.localCapabilities = options.capabilities !== undefined ? options.capabilities : SUPPORTED_CAPABILITIES;
+    this.protocolVersion = PROTOCOL_VERSION;
+    this.capabilities = 0;
+
+    // Splits large ANSWERs and reassembles large OFFERs (FRAGMENTATION capability)
+    this.fragmenter = new Fragmenter(options);
+
+    // Sequence numbers of encrypted messages (KEY_SCHEDULE capability)
+    this.sendSeq = 0;
+    this.replayWindow = { highest: 0, bitmap: 0n };
+
+    // Authenticated PING state (AUTH_PING capability), set by the registration ack
+    this.sessionId = null;
+    this.pingKey = null;
+    this.pingCounter = 0;
+    this.pongCounter = 0;
+
+    // Public ip:port the coordinator sees for this socket (PONG_ADDRESS capability)
+    // Kept across reconnects so a changed mapping is noticed
+    this.publicAddress = null;
+
+    // Last ERROR received from the coordinator: { code, name, retryAfterMs }
+    this.lastError = null;
+
     this.registered = false;
     this.handlers = new Map();
     this.keepaliveInterval = null;
     this.heartbeatInterval = null;
+    this.rekeyInterval = null;
+    this._pendingRekey = null; // Our X25519/X448 key pair while a rekey is in flight
+    this._rekeyRetryTimer = null;
     this.state = 'disconnected'; // disconnected, registering, registered
     
     // Configurable intervals for testing
     this.keepaliveIntervalMs = options.keepaliveIntervalMs || 30000; // 30 seconds default
     this.heartbeatIntervalMs = options.heartbeatIntervalMs || 600000; // 10 minutes default
+    this.rekeyIntervalMs = options.rekeyIntervalMs || 3600000; // 1 hour default (REKEY capability)
+    this.rekeyRetryMs = options.rekeyRetryMs || 5000; // Resend a REKEY that got no reply
     
     // HELLO retry configuration
     this.helloTimeoutMs = options.helloTimeoutMs || 5000;   // 5 seconds per attempt
@@ -140,23 +704,31 @@ export class UDPClient {
   }
 
   /**
-   * Start UDP client and initiate registration
-   */
-  /**
-   * Resolve coordinatorHost to an IPv4 address and cache it.
+   * Resolve coordinatorHost to all of its A/AAAA addresses and cache them.
    * Re-resolves on every call so a reconnect after network change gets a fresh IP.
+   * The address in use is kept across calls, so a family fallback sticks.
    */
   async _resolveCoordinatorIp() {
-    return new Promise((resolve, reject) => {
-      dns.lookup(this.coordinatorHost, { family: 4 }, (err, address) => {
-        if (err) {
-          console.error(`DNS lookup failed for ${this.coordinatorHost}:`, err.message);
+    return new Promise((resolve) => {
+      this._lookup(this.coordinatorHost, { all: true, family: this.addressFamily }, (err, results) => {
+        // A udp4 socket (IPv6 disabled on this host) cannot reach IPv6 addresses
+        const usable = err ? [] : results.filter(r => this.family !== 4 || r.family === 4);
+
+        if (usable.length === 0) {
+          console.error(
+            `DNS lookup failed for ${this.coordinatorHost}:`,
+            err ? err.message : 'no usable addresses'
+          );
           // Fall back to the hostname itself and let the OS try
+          this.coordinatorAddresses = [];
           this.coordinatorIp = this.coordinatorHost;
         } else {
-          this.coordinatorIp = address;
+          // Stable sort: preferred family first, resolver order kept within each family
+          usable.sort((a, b) => (a.family === this.preferredFamily ? 0 : 1) - (b.family === this.preferredFamily ? 0 : 1));
+          this.coordinatorAddresses = usable.map(r => r.address);
+          this.coordinatorIp = this.coordinatorAddresses[this._addressIndex % this.coordinatorAddresses.length];
           if (this.verbosity >= 2) {
-            console.log(`Resolved ${this.coordinatorHost} → ${address}`);
+            console.log(`Resolved ${this.coordinatorHost} → ${this.coordinatorAddresses.join(', ')} (using ${this.coordinatorIp})`);
           }
         }
         resolve(this.coordinatorIp);
@@ -164,45 +736,73 @@ export class UDPClient {
     });
   }
 
-  async start() {
-    // Pre-resolve to IPv4 to avoid per-send DNS and IPv6-over-udp4 EINVAL errors
-    await this._resolveCoordinatorIp();
+  /**
+   * Switch to the next resolved coordinator address (e.g. IPv6 → IPv4).
+   * Returns false when there is no other address to try.
+   */
+  _useNextCoordinatorAddress() {
+    if (this.coordinatorAddresses.length < 2) {
+      return false;
+    }
 
-    return new Promise((resolve, reject) => {
-      this.socket = dgram.createSocket('udp4');
+    const previous = this.coordinatorIp;
+    this._addressIndex = (this._addressIndex + 1) % this.coordinatorAddresses.length;
+    this.coordinatorIp = this.coordinatorAddresses[this._addressIndex];
 
-      this.socket.on('error', (err) => {
-        console.error('UDP client error:', err);
-        this.state = 'disconnected';
-        reject(err);
-      });
+    if (this.verbosity >= 1) {
+      console.warn(`Coordinator unreachable at ${previous}, trying ${this.coordinatorIp}`);
+    }
+    return true;
+  }
 
-      this.socket.on('message', (msg, rinfo) => {
-        this.handleMessage(msg, rinfo);
-      });
+  /**
+   * Send a message to the coordinator address currently in use
+   */
+  _sendToCoordinator(message, callback) {
+    this.socket.send(
+      message,
+      this.coordinatorPort,
+      toSocketAddress(this.coordinatorIp, this.family),
+      callback
+    );
+  }
 
-      this.socket.on('listening', () => {
-        const address = this.socket.address();
-        if (this.verbosity >= 2) {
-          console.log(`Server listening on ${address.address}:${address.port}`);
-        }
-        
-        // Initiate ECDH registration
-        this.initiateRegistration()
-          .then(() => {
-            if (this.verbosity >= 2) {
-              console.log('Registration sequence initiated');
-            }
-            resolve();
-          })
-          .catch((err) => {
-            console.error('Failed to initiate registration:', err);
-            reject(err);
-          });
-      });
+  /**
+   * Start UDP client and initiate registration
+   */
+  async start() {
+    // Dual-stack socket so the coordinator can be reached over IPv4 or IPv6
+    const { socket, family } = await bindUDPSocket(this.localPort); // 0 = OS-assigned port
+    this.socket = socket;
+    this.family = family;
+
+    this.socket.on('error', (err) => {
+      console.error('UDP client error:', err);
+      this.state = 'disconnected';
+    });
 
-      this.socket.bind(this.localPort); // Use configured port, or 0 for OS-assigned
+    this.socket.on('message', (msg, rinfo) => {
+      this.handleMessage(msg, rinfo);
     });
+
+    if (this.verbosity >= 2) {
+      const address = this.socket.address();
+      console.log(`Server listening on ${formatIpPort(address.address, address.port)}`);
+    }
+
+    // Pre-resolve once the socket family is known to avoid per-send DNS lookups
+    await this._resolveCoordinatorIp();
+
+    // Initiate ECDH registration
+    try {
+      await this.initiateRegistration();
+      if (this.verbosity >= 2) {
+        console.log('Registration sequence initiated');
+      }
+    } catch (err) {
+      console.error('Failed to initiate registration:', err);
+      throw err;
+    }
   }
 
   /**
@@ -227,12 +827,23 @@ export class UDPClient {
       const crypto = await import('crypto');
       this.serverTag = crypto.default.randomBytes(4);
 
-      const payload = encodeHello(this.serverTag);
+      const payload = encodeHello(this.serverTag, {
+        minVersion: this.minProtocolVersion,
+        maxVersion: this.maxProtocolVersion,
+        capabilities: this.localCapabilities
+      });
       const message = buildUDPMessage(MESSAGE_TYPES.HELLO, payload);
 
-      this.socket.send(message, this.coordinatorPort, this.coordinatorIp, (err) => {
+      // The address moves on once per attempt: on a send error or on timeout
+      let switched = false;
+      this._sendToCoordinator(message, (err) => {
         if (err) {
           console.error('Error sending HELLO:', err);
+          // No route for this family (e.g. IPv6 without a global address) —
+          // the next attempt goes to the other family
+          if (UNREACHABLE_CODES.has(err.code)) {
+            switched = this._useNextCoordinatorAddress();
+          }
         }
         if (this.verbosity >= 2) {
           console.log(`Sent HELLO (attempt ${this._helloRetryCount + 1}/${this.helloMaxRetries + 1})`);
@@ -246,6 +857,10 @@ export class UDPClient {
         if (this.state === 'registered') return; // Succeeded in the meantime
 
         this._helloRetryCount++;
+        // Alternate between address families until one answers
+        if (!switched) {
+          this._useNextCoordinatorAddress();
+        }
         if (this._helloRetryCount <= this.helloMaxRetries) {
           if (this.verbosity >= 1) {
             console.warn(
@@ -273,7 +888,7 @@ export class UDPClient {
     try {
       // Log message details at high verbosity
       if (this.verbosity >= 2 && rinfo) {
-        console.log(`[UDP Client] Received ${msg.length} bytes from ${rinfo.address}:${rinfo.port}`);
+        console.log(`[UDP Client] Received ${msg.length} bytes from ${formatIpPort(rinfo.address, rinfo.port)}`);
       }
 
       const { messageType, payload } = parseUDPMessage(msg);
@@ -303,12 +918,28 @@ export class UDPClient {
           this.handleMigrate(payload);
           break;
         case MESSAGE_TYPES.PONG:
-          // lastReceivedMs already updated above; nothing more to do
+          // lastReceivedMs already updated above
           if (this.verbosity >= 2) console.log('Received PONG from coordinator');
+          this.handlePong(payload);
           break;
         case MESSAGE_TYPES.OFFER:
           this.handleOfferFromCoordinator(payload);
           break;
+        case MESSAGE_TYPES.CANDIDATES:
+          this.handleCandidatesFromCoordinator(payload);
+          break;
+        case MESSAGE_TYPES.FRAGMENT:
+          this.handleFragment(payload);
+          break;
+        case MESSAGE_TYPES.FRAGMENT_NACK:
+          this.handleFragmentNack(payload);
+          break;
+        case MESSAGE_TYPES.REKEY:
+          this.handleRekey(payload);
+          break;
+        case MESSAGE_TYPES.PATH_CHALLENGE:
+          this.handlePathChallenge(payload);
+          break;
         case MESSAGE_TYPES.ERROR:
           this.handleError(payload);
           break;
@@ -340,8 +971,15 @@ export class UDPClient {
         return;
       }
       
-      // Store coordinator's tag for Phase 3
+      if (!this._applyNegotiation(decoded.negotiated)) {
+        this.state = 'disconnected';
+        this._scheduleReconnect();
+        return;
+      }
+
+      // Store coordinator's tag for Phase 3, with the negotiated block it is bound to
       this.coordinatorTag = decoded.coordinatorTag;
+      this.helloNegotiated = decoded.negotiated;
       
       if (this.verbosity >= 2) {
         console.log('HELLO_ACK verified, proceeding to ECDH');
@@ -355,6 +993,111 @@ export class UDPClient {
     }
   }
 
+  /**
+   * Store the protocol version and capabilities chosen by the coordinator.
+   * A legacy HELLO_ACK (no negotiation block) means version 1, no capabilities.
+   * Returns false if the coordinator's choice is unusable.
+   */
+  _applyNegotiation(negotiated) {
+    const { version, capabilities } = negotiated || negotiateProtocol(LEGACY_PROTOCOL, LEGACY_PROTOCOL);
+
+    if (version === 0 || version < this.minProtocolVersion || version > this.maxProtocolVersion) {
+      console.error(
+        `No common protocol version with coordinator ` +
+        `(server supports ${this.minProtocolVersion}-${this.maxProtocolVersion}` +
+        `${version ? `, coordinator chose ${version}` : ''})`
+      );
+      return false;
+    }
+
+    this.protocolVersion = version;
+    // Never enable a feature we did not offer
+    this.capabilities = (capabilities & this.localCapabilities) >>> 0;
+
+    if (this.verbosity >= 2) {
+      console.log(
+        `Negotiated protocol version ${version}, capabilities 0x${this.capabilities.toString(16)}` +
+        `${negotiated ? '' : ' (legacy coordinator)'}`
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a capability was negotiated with the coordinator
+   */
+  hasCapability(flag) {
+    return (this.capabilities & flag) !== 0;
+  }
+
+  /**
+   * Derive message keys from the current challenge key, erasing the old ones
+   * KEY_SCHEDULE: HKDF keys per direction, bound to the traffic secret;
+   * otherwise one key for both directions
+   */
+  _updateKeys() {
+    if (this.keys) {
+      this.keys.send.fill(0);
+      this.keys.receive.fill(0);
+    }
+    if (this.hasCapability(CAPABILITIES.KEY_SCHEDULE)) {
+      const keys = deriveTrafficKeys(this.trafficSecret, this.challengeKey);
+      this.keys = { send: keys.serverToCoordinator, receive: keys.coordinatorToServer };
+    } else {
+      const key = deriveAESKey(this.challengeKey);
+      this.keys = { send: key, receive: key };
+    }
+  }
+
+  /**
+   * Encrypt a message to the coordinator, numbered when KEY_SCHEDULE is in use
+   * messageType selects the TLV encoding when BINARY_BODIES is in use
+   */
+  _encrypt(data, messageType) {
+    const message = this.hasCapability(CAPABILITIES.KEY_SCHEDULE) ? { ...data, seq: ++this.sendSeq } : data;
+    return encryptBody(message, this.keys.send, messageType, this.capabilities);
+  }
+
+  /**
+   * Decrypt a message from the coordinator
+   * Throws on a wrong key, tampering, or (KEY_SCHEDULE) a replayed sequence number
+   * After a REKEY, messages under the previous secret are accepted (unless
+   * allowPrevious is false) until one arrives under the new secret
+   */
+  _decrypt(payload, messageType, allowPrevious = true) {
+    let message;
+    let switched = true;
+    try {
+      message = decryptBody(payload, this.keys.receive, messageType, this.capabilities);
+    } catch (error) {
+      if (!allowPrevious || !this.previousTrafficSecret) {
+        throw error;
+      }
+      // The coordinator has not seen a message under the new keys yet
+      const { coordinatorToServer } = deriveTrafficKeys(this.previousTrafficSecret, this.challengeKey);
+      message = decryptBody(payload, coordinatorToServer, messageType, this.capabilities);
+      switched = false;
+    }
+    if (this.hasCapability(CAPABILITIES.KEY_SCHEDULE)) {
+      const window = checkReplayWindow(this.replayWindow, message.seq);
+      if (!window) {
+        throw new Error(`Replayed or out-of-window message (seq ${message.seq})`);
+      }
+      this.replayWindow = window;
+    }
+    if (switched) {
+      this._erasePreviousSecret();
+    }
+    return message;
+  }
+
+  _erasePreviousSecret() {
+    if (this.previousTrafficSecret) {
+      this.previousTrafficSecret.fill(0);
+      this.previousTrafficSecret = null;
+    }
+  }
+
   /**
    * Send ECDH Init (Phase 3)
    */
@@ -365,12 +1108,12 @@ export class UDPClient {
       this.ecdhKeys = ecdhKeys;
       
       // Encode ECDH init message with coordinator's tag
-      const payload = encodeECDHInit(this.coordinatorTag, ecdhKeys.publicKey);
+      const payload = encodeECDHInit(this.coordinatorTag, ecdhKeys.publicKey, this.helloNegotiated);
       
       // Send Phase 3: ECDH init
-      const message = buildUDPMessage(MESSAGE_TYPES.ECDH_INIT, payload);
+      const message = buildUDPMessage(MESSAGE_TYPES.ECDH_INIT, payload, this.protocolVersion);
       
-      this.socket.send(message, this.coordinatorPort, this.coordinatorIp, (err) => {
+      this._sendToCoordinator(message, (err) => {
         if (err) {
           console.error('Error sending ECDH init:', err);
           throw err;
@@ -442,16 +1185,21 @@ export class UDPClient {
    */
   async sendRegistration() {
     try {
-      // Generate challenge and expectedAnswer
-      const password = this.serverKeys.password || 'default'; // Should be configured
+      // Generate challenge and the key that goes with it
       this.challenge = this.challenge || generateChallenge();
-      this.expectedAnswer = hashChallengeAnswer(this.challenge, password);
-      this.aesKey = deriveAESKey(this.expectedAnswer);
+      this.challengeKey = generateChallengeKey();
+      // Starts as the registration secret; REKEY replaces it
+      this.trafficSecret = this.sharedSecret;
+      this._erasePreviousSecret();
+      this._updateKeys();
+      // New shared secret, new keys: sequence numbers start over
+      this.sendSeq = 0;
+      this.replayWindow = { highest: 0, bitmap: 0n };
 
       // Prepare registration data
       const registrationPayload = {
         challenge: this.challenge,
-        challengeAnswerHash: this.expectedAnswer
+        challengeKey: this.challengeKey
       };
 
       // Sign ECDH keys binding
@@ -484,12 +1232,14 @@ export class UDPClient {
       };
 
       const key = deriveAESKey(this.sharedSecret.toString('hex'));
-      const encryptedPayload = encryptAES(fullPayload, key);
+      const encryptedPayload = this.hasCapability(CAPABILITIES.BINARY_BODIES)
+        ? encryptAESBytes(encodeRegister(fullPayload), key)
+        : encryptAES(fullPayload, key);
 
       // Send Phase 3: Registration
-      const message = buildUDPMessage(MESSAGE_TYPES.REGISTER, encryptedPayload);
+      const message = buildUDPMessage(MESSAGE_TYPES.REGISTER, encryptedPayload, this.protocolVersion);
 
-      this.socket.send(message, this.coordinatorPort, this.coordinatorIp, (err) => {
+      this._sendToCoordinator(message, (err) => {
         if (err) {
           console.error('Error sending registration:', err);
           throw err;
@@ -511,12 +1261,25 @@ export class UDPClient {
     try {
       // Decrypt with shared secret
       const key = deriveAESKey(this.sharedSecret.toString('hex'));
-      const data = decryptAES(payload, key);
+      const data = this.hasCapability(CAPABILITIES.BINARY_BODIES)
+        ? decodeRegisterAck(decryptAESBytes(payload, key))
+        : decryptAES(payload, key);
 
       if (data.status === 'ok' && data.type === 'register') {
         if (this.verbosity >= 1) {
           console.log('Registration acknowledged by coordinator');
         }
+
+        // PINGs of this registration are authenticated when the coordinator assigned a session
+        if (this.hasCapability(CAPABILITIES.AUTH_PING) && typeof data.sessionId === 'string') {
+          this.sessionId = data.sessionId;
+          this.pingKey = derivePingKey(this.sharedSecret);
+        } else {
+          this.sessionId = null;
+          this.pingKey = null;
+        }
+        this.pingCounter = 0;
+        this.pongCounter = 0;
         
         // Registration complete - start keepalive
         this.state = 'registered';
@@ -548,7 +1311,7 @@ export class UDPClient {
     if (this.keepaliveInterval) clearInterval(this.keepaliveInterval);
     
     this.keepaliveInterval = setInterval(() => {
-      if (!this.registered || !this.aesKey) return;
+      if (!this.registered || !this.keys) return;
 
       // Dead-connection detection: if no PONG received for deadIntervalMs, reconnect
       if (this.deadIntervalMs && this.lastReceivedMs) {
@@ -564,6 +1327,7 @@ export class UDPClient {
             clearInterval(this.heartbeatInterval);
             this.heartbeatInterval = null;
           }
+          this._stopRekey();
           this.state = 'disconnected';
           this.registered = false;
           if (this.handlers.has('disconnected')) {
@@ -577,8 +1341,9 @@ export class UDPClient {
       this.sendPing();
     }, this.keepaliveIntervalMs);
     
-    // Also start heartbeat interval
+    // Also start heartbeat and rekey intervals
     this.startHeartbeat();
+    this.startRekey();
   }
   
   /**
@@ -588,25 +1353,138 @@ export class UDPClient {
     if (this.heartbeatInterval) clearInterval(this.heartbeatInterval);
     
     this.heartbeatInterval = setInterval(() => {
-      if (this.registered && this.expectedAnswer) {
+      if (this.registered && this.challengeKey) {
         this.sendHeartbeat();
       }
     }, this.heartbeatIntervalMs);
   }
 
   /**
-   * Send ping message (optimized - no encryption, minimal overhead)
+   * Start periodic rekeying (REKEY capability)
    */
-  sendPing() {
-    try {
-      // Ping has no payload - just version and type bytes
-      const message = buildUDPMessage(MESSAGE_TYPES.PING, Buffer.alloc(0));
+  startRekey() {
+    this._stopRekey();
+    if (!this.hasCapability(CAPABILITIES.REKEY) || !this.hasCapability(CAPABILITIES.KEY_SCHEDULE)) {
+      return;
+    }
 
-      this.socket.send(message, this.coordinatorPort, this.coordinatorIp, (err) => {
-        if (err) {
-          console.error('Error sending ping:', err);
-        }
-      });
+    this.rekeyInterval = setInterval(() => {
+      if (this.registered) {
+        this.sendRekey();
+      }
+    }, this.rekeyIntervalMs);
+  }
+
+  _stopRekey() {
+    if (this.rekeyInterval) {
+      clearInterval(this.rekeyInterval);
+      this.rekeyInterval = null;
+    }
+    this._eraseRekey();
+  }
+
+  /**
+   * Send a fresh X25519/X448 public key over the encrypted channel
+   * The keys switch when the coordinator's REKEY reply arrives. Until then the
+   * same key is sent again every rekeyRetryMs, so any reply still matches it
+   */
+  sendRekey() {
+    try {
+      if (!this._pendingRekey) {
+        this._pendingRekey = generateECDHKeyPair(this.keyAgreementCurve);
+      }
+      clearTimeout(this._rekeyRetryTimer);
+      this._rekeyRetryTimer = setTimeout(() => {
+        if (this.registered && this._pendingRekey) {
+          this.sendRekey();
+        }
+      }, this.rekeyRetryMs);
+
+      const encryptedPayload = this._encrypt({
+        type: 'rekey',
+        ecdhPublicKey: this._pendingRekey.publicKey.toString('hex')
+      }, MESSAGE_TYPES.REKEY);
+      const message = buildUDPMessage(MESSAGE_TYPES.REKEY, encryptedPayload, this.protocolVersion);
+
+      this._sendToCoordinator(message, (err) => {
+        if (err) {
+          console.error('Error sending rekey:', err);
+        } else if (this.verbosity >= 2) {
+          console.log('Rekey sent');
+        }
+      });
+    } catch (error) {
+      console.error('Error sending rekey:', error.message);
+    }
+  }
+
+  /**
+   * Handle the coordinator's REKEY reply: mix the new secret into the traffic
+   * secret and switch keys. The old secret is kept for the coordinator's
+   * messages until it has seen ours under the new keys; a heartbeat shows it
+   */
+  handleRekey(payload) {
+    try {
+      if (!this.keys || !this._pendingRekey) {
+        return;
+      }
+
+      // A reply under an older secret answered an earlier REKEY
+      const data = this._decrypt(payload, MESSAGE_TYPES.REKEY, false);
+      if (data.type !== 'rekey' || typeof data.ecdhPublicKey !== 'string') {
+        console.warn('Invalid rekey message');
+        return;
+      }
+
+      const { privateKey, curve } = this._pendingRekey;
+      const ecdhSecret = computeECDHSecret(privateKey, Buffer.from(data.ecdhPublicKey, 'hex'), curve);
+      const trafficSecret = deriveRekeyedSecret(this.trafficSecret, ecdhSecret);
+      ecdhSecret.fill(0);
+      this._eraseRekey();
+
+      this._erasePreviousSecret();
+      this.previousTrafficSecret = this.trafficSecret;
+      this.trafficSecret = trafficSecret;
+      this._updateKeys();
+      this.sendHeartbeat();
+
+      if (this.verbosity >= 2) {
+        console.log('Session keys renewed');
+      }
+      if (this.handlers.has('rekeyed')) {
+        this.handlers.get('rekeyed')();
+      }
+    } catch (error) {
+      console.error('Error handling rekey:', error.message);
+    }
+  }
+
+  _eraseRekey() {
+    clearTimeout(this._rekeyRetryTimer);
+    this._rekeyRetryTimer = null;
+    if (this._pendingRekey) {
+      this._pendingRekey.privateKey.fill(0);
+      this._pendingRekey = null;
+    }
+  }
+
+  /**
+   * Send ping message (optimized - no encryption, minimal overhead)
+   */
+  sendPing() {
+    try {
+      // Authenticated PING: session id, counter and MAC, so the coordinator can
+      // follow a NAT rebinding; legacy PING has no payload
+      const payload = this.sessionId
+        ? encodePing(this.sessionId, ++this.pingCounter, this.pingKey)
+        : Buffer.alloc(0);
+      const message = buildUDPMessage(MESSAGE_TYPES.PING, payload, this.protocolVersion);
+
+      this._sendToCoordinator(message, (err) => {
+        if (err) {
+          console.error('Error sending ping:', err);
+        }
+      });
     } catch (error) {
       console.error('Error sending ping:', error.message);
     }
@@ -618,13 +1496,12 @@ export class UDPClient {
   sendHeartbeat() {
     try {
       // Generate new challenge
-      const password = this.serverKeys.password || 'default';
       const newChallenge = generateChallenge();
-      const newExpectedAnswer = hashChallengeAnswer(newChallenge, password);
+      const newChallengeKey = generateChallengeKey();
       
       const hbPayload = {
         newChallenge,
-        challengeAnswerHash: newExpectedAnswer
+        challengeKey: newChallengeKey
       };
       
       const message = {
@@ -632,20 +1509,20 @@ export class UDPClient {
         payload: hbPayload
       };
       
-      // Encrypt with current AES key (before updating)
+      // Encrypt with current key (before updating)
       // AES-GCM provides both encryption and authentication
-      const encryptedPayload = encryptAES(message, this.aesKey);
+      const encryptedPayload = this._encrypt(message, MESSAGE_TYPES.HEARTBEAT);
       
-      const udpMessage = buildUDPMessage(MESSAGE_TYPES.HEARTBEAT, encryptedPayload);
+      const udpMessage = buildUDPMessage(MESSAGE_TYPES.HEARTBEAT, encryptedPayload, this.protocolVersion);
 
-      this.socket.send(udpMessage, this.coordinatorPort, this.coordinatorIp, (err) => {
+      this._sendToCoordinator(udpMessage, (err) => {
         if (err) {
           console.error('Error sending heartbeat:', err);
         } else {
           // Update local challenge and keys after sending
           this.challenge = newChallenge;
-          this.expectedAnswer = newExpectedAnswer;
-          this.aesKey = deriveAESKey(this.expectedAnswer);
+          this.challengeKey = newChallengeKey;
+          this._updateKeys();
           if (this.verbosity >= 2) {
             console.log('Heartbeat sent, challenge refreshed');
           }
@@ -663,7 +1540,7 @@ export class UDPClient {
     try {
       // AES-GCM decryption automatically verifies authentication
       // If decryption succeeds, message is authentic
-      const data = decryptAES(payload, this.aesKey);
+      const data = this._decrypt(payload, MESSAGE_TYPES.HEARTBEAT);
 
       if (data.type !== 'heartbeat') {
         console.warn('Invalid heartbeat message');
@@ -673,8 +1550,8 @@ export class UDPClient {
       // Update challenge
       if (data.payload && data.payload.newChallenge) {
         this.challenge = data.payload.newChallenge;
-        this.expectedAnswer = data.payload.challengeAnswerHash;
-        this.aesKey = deriveAESKey(this.expectedAnswer);
+        this.challengeKey = data.payload.challengeKey;
+        this._updateKeys();
         if (this.verbosity >= 2) {
           console.log('Challenge refreshed');
         }
@@ -690,13 +1567,13 @@ export class UDPClient {
    */
   handleMigrate(payload) {
     try {
-      if (!this.aesKey) {
+      if (!this.keys) {
         console.error('Cannot process MIGRATE - no AES key established');
         return;
       }
 
       // AES-GCM decryption automatically verifies authentication
-      const data = decryptAES(payload, this.aesKey);
+      const data = this._decrypt(payload, MESSAGE_TYPES.MIGRATE);
 
       if (data.type !== 'migrate') {
         console.warn('Invalid migrate message type');
@@ -727,22 +1604,63 @@ export class UDPClient {
 
   /**
    * Handle ERROR message from coordinator
+   * The code decides the log message and how soon to reconnect; retry-after,
+   * when given, is the minimum delay before the next attempt.
    */
   handleError(payload) {
-    // ERROR can mean: rate limited/banned, OR coordinator doesn't recognise us (after restart).
-    // When we're currently registered, the only sensible reason is that the coordinator lost
-    // our session (e.g. restart) — reset backoff so we reconnect quickly.
-    if (this.registered) {
-      console.warn('Received ERROR from coordinator while registered — not known by coordinator, reconnecting immediately');
-      this._currentReconnectDelay = this.reconnectDelayMs; // reset backoff
-    } else if (this.state === 'registering') {
-      console.error(
-        `Received ERROR from coordinator during registration. ` +
-        `This may indicate the coordinator rejected the key-agreement curve '${this.keyAgreementCurve}'. ` +
-        `Check that the server and coordinator crypto.keyAgreementCurve settings are compatible (supported: x25519, x448).`
-      );
-    } else {
-      console.error('Received ERROR from coordinator - likely rate limited or banned');
+    const error = decodeError(payload);
+    this.lastError = error;
+    let minDelayMs = error.retryAfterMs;
+    const retryAfter = error.retryAfterMs ? ` (retry after ${Math.round(error.retryAfterMs / 1000)}s)` : '';
+
+    switch (error.code) {
+      case ERROR_CODES.UNKNOWN_SESSION:
+        // Coordinator lost our registration (e.g. restart) — reset backoff so we reconnect quickly
+        console.warn('Coordinator does not know this server — re-registering');
+        this._currentReconnectDelay = this.reconnectDelayMs;
+        break;
+      case ERROR_CODES.RATE_LIMITED:
+        console.warn(`Rate limited by coordinator${retryAfter}`);
+        break;
+      case ERROR_CODES.BANNED:
+        console.error(`Coordinator refused this server (banned)${retryAfter}`);
+        minDelayMs = minDelayMs || this.maxReconnectDelayMs;
+        break;
+      case ERROR_CODES.UNSUPPORTED_CURVE:
+        console.error(
+          `Coordinator rejected the key-agreement curve '${this.keyAgreementCurve}'. ` +
+          `Check that the server and coordinator crypto.keyAgreementCurve settings are compatible (supported: x25519, x448).`
+        );
+        // Configuration error: retrying soon will not help
+        minDelayMs = minDelayMs || this.maxReconnectDelayMs;
+        break;
+      case ERROR_CODES.MAX_SERVERS_REACHED:
+        console.warn(`Coordinator has reached its server limit${retryAfter}`);
+        break;
+      case ERROR_CODES.BAD_SIGNATURE:
+        console.error(
+          `Coordinator rejected the registration signature. ` +
+          `Check the server key and its signatureAlgorithm ('${this.signatureAlgorithm}').`
+        );
+        break;
+      default:
+        // No code (older coordinator): guess from our state
+        if (this.registered) {
+          console.warn('Received ERROR from coordinator while registered — not known by coordinator, reconnecting immediately');
+          this._currentReconnectDelay = this.reconnectDelayMs; // reset backoff
+        } else if (this.state === 'registering') {
+          console.error(
+            `Received ERROR from coordinator during registration. ` +
+            `This may indicate the coordinator rejected the key-agreement curve '${this.keyAgreementCurve}'. ` +
+            `Check that the server and coordinator crypto.keyAgreementCurve settings are compatible (supported: x25519, x448).`
+          );
+        } else {
+          console.error('Received ERROR from coordinator - likely rate limited or banned');
+        }
+    }
+
+    if (this.handlers.has('coordinatorError')) {
+      this.handlers.get('coordinatorError')(error);
     }
 
     this.state = 'disconnected';
@@ -764,26 +1682,83 @@ export class UDPClient {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
     }
+    this._stopRekey();
 
     if (this.handlers.has('disconnected')) {
       this.handlers.get('disconnected')();
     }
 
     // Always reconnect — indefinitely
-    this._scheduleReconnect();
+    this._scheduleReconnect(minDelayMs);
+  }
+
+  /**
+   * Handle PONG payload reporting our public address (PONG_ADDRESS capability)
+   * Only PONGs answering one of our own PINGs, in order, are accepted
+   */
+  handlePong(payload) {
+    if (payload.length === 0 || !this.pingKey) {
+      return;
+    }
+
+    try {
+      const pong = decodePong(payload);
+      if (!verifyPong(pong, this.pingKey)) {
+        console.error('Invalid PONG MAC');
+        return;
+      }
+      if (pong.counter <= this.pongCounter || pong.counter > this.pingCounter) {
+        return;
+      }
+      this.pongCounter = pong.counter;
+
+      if (pong.ipPort !== this.publicAddress) {
+        const previous = this.publicAddress;
+        this.publicAddress = pong.ipPort;
+        if (this.verbosity >= 1) {
+          console.log(previous
+            ? `Public address changed from ${previous} to ${pong.ipPort}`
+            : `Public address: ${pong.ipPort}`);
+        }
+        if (this.handlers.has('publicAddress')) {
+          this.handlers.get('publicAddress')({ address: pong.ipPort, previous });
+        }
+      }
+    } catch (error) {
+      console.error('Error handling PONG:', error.message);
+    }
+  }
+
+  /**
+   * Echo a PATH_CHALLENGE token (PATH_VALIDATION capability)
+   * The coordinator moves us to the address it sees only when this arrives from it
+   */
+  handlePathChallenge(payload) {
+    if (!this.sessionId || !this.pingKey || payload.length !== 8) {
+      return;
+    }
+
+    const response = encodePathResponse(this.sessionId, payload, this.pingKey);
+    this._sendToCoordinator(buildUDPMessage(MESSAGE_TYPES.PATH_RESPONSE, response, this.protocolVersion), (err) => {
+      if (err) {
+        console.error('Error sending path response:', err);
+      } else if (this.verbosity >= 2) {
+        console.log('Path challenge answered');
+      }
+    });
   }
 
   /**
    * Handle OFFER message from coordinator (WebRTC offer relayed from client)
    */
   handleOfferFromCoordinator(encryptedPayload) {
-    if (!this.registered || !this.aesKey) {
+    if (!this.registered || !this.keys) {
       console.error('Received OFFER but not registered');
       return;
     }
 
     try {
-      const message = decryptAES(encryptedPayload, this.aesKey);
+      const message = this._decrypt(encryptedPayload, MESSAGE_TYPES.OFFER);
       const { sessionId, payload } = message;
 
       if (!sessionId || !payload) {
@@ -803,15 +1778,118 @@ export class UDPClient {
     }
   }
 
+  /**
+   * Handle CANDIDATES message from coordinator (ICE candidates trickled by the client)
+   */
+  handleCandidatesFromCoordinator(encryptedPayload) {
+    if (!this.registered || !this.keys) {
+      console.error('Received CANDIDATES but not registered');
+      return;
+    }
+
+    try {
+      const message = this._decrypt(encryptedPayload, MESSAGE_TYPES.CANDIDATES);
+
+      if (!isValidCandidatesMessage(message)) {
+        console.error('Invalid CANDIDATES message');
+        return;
+      }
+
+      const { sessionId, candidates, complete } = message;
+
+      if (this.verbosity >= 2) {
+        console.log(`Received ${candidates.length} ICE candidate(s) for session ${sessionId}${complete ? ' (complete)' : ''}`);
+      }
+
+      if (this.handlers.has('candidates')) {
+        this.handlers.get('candidates')({ sessionId, candidates, complete: !!complete });
+      }
+    } catch (error) {
+      console.error('Error handling CANDIDATES from coordinator:', error.message);
+    }
+  }
+
+  /**
+   * Handle FRAGMENT from coordinator; a complete OFFER is handled as if it
+   * had arrived in one datagram
+   */
+  handleFragment(payload) {
+    if (!this.registered || !this.keys) {
+      console.error('Received FRAGMENT but not registered');
+      return;
+    }
+
+    try {
+      const fragment = decodeFragment(payload);
+      if (fragment.messageType !== MESSAGE_TYPES.OFFER) {
+        console.error('Unexpected fragmented message type');
+        return;
+      }
+
+      const message = this.fragmenter.receive('coordinator', fragment, (missing) => {
+        if (this.verbosity >= 2) {
+          console.log(`Requesting ${missing.length} missing fragment(s) of message ${fragment.fragmentId}`);
+        }
+        const nack = buildUDPMessage(MESSAGE_TYPES.FRAGMENT_NACK, encodeFragmentNack(fragment.fragmentId, missing), this.protocolVersion);
+        this._sendToCoordinator(nack);
+      });
+
+      if (message) {
+        this.handleOfferFromCoordinator(message.payload);
+      }
+    } catch (error) {
+      console.error('Error handling FRAGMENT from coordinator:', error.message);
+    }
+  }
+
+  /**
+   * Handle FRAGMENT_NACK from coordinator: resend the fragments it is missing
+   */
+  handleFragmentNack(payload) {
+    try {
+      const { fragmentId, missing } = decodeFragmentNack(payload);
+      for (const fragment of this.fragmenter.retransmit('coordinator', fragmentId, missing)) {
+        this._sendToCoordinator(buildUDPMessage(MESSAGE_TYPES.FRAGMENT, fragment, this.protocolVersion));
+      }
+    } catch (error) {
+      console.error('Error handling FRAGMENT_NACK from coordinator:', error.message);
+    }
+  }
+
+  /**
+   * Send a message to the coordinator, fragmented when it is too large for
+   * one datagram and the coordinator supports reassembly
+   */
+  async _sendMessage(messageType, payload) {
+    const message = buildUDPMessage(messageType, payload, this.protocolVersion);
+    let datagrams = [message];
+
+    if (this.fragmenter.needsFragmenting(message.length)) {
+      if (this.hasCapability(CAPABILITIES.FRAGMENTATION)) {
+        datagrams = this.fragmenter.fragment('coordinator', messageType, payload)
+          .map(fragment => buildUDPMessage(MESSAGE_TYPES.FRAGMENT, fragment, this.protocolVersion));
+      } else if (this.verbosity >= 1) {
+        console.warn(`Sending ${message.length}-byte ${MESSAGE_TYPE_NAMES[messageType]} unfragmented: coordinator does not support fragmentation`);
+      }
+    }
+
+    for (const datagram of datagrams) {
+      await new Promise((resolve, reject) => {
+        this._sendToCoordinator(datagram, (err) => err ? reject(err) : resolve());
+      });
+    }
+  }
+
   /**
    * Schedule a reconnection attempt with exponential backoff.
    * Retries indefinitely until stop() is called.
+   * minDelayMs: lower bound from the coordinator's retry-after
    */
-  _scheduleReconnect() {
+  _scheduleReconnect(minDelayMs = 0) {
     if (this._reconnectTimer) return; // already scheduled
     if (!this.socket) return;         // stopped
 
-    const delay = this._currentReconnectDelay;
+    const delay = Math.max(this._currentReconnectDelay, minDelayMs);
     this._currentReconnectDelay = Math.min(this._currentReconnectDelay * 2, this.maxReconnectDelayMs);
 
     if (this.verbosity >= 1) {
@@ -824,7 +1902,7 @@ export class UDPClient {
     this._reconnectTimer = setTimeout(async () => {
       this._reconnectTimer = null;
       if (!this.socket) return; // stopped while waiting
-      // Re-resolve hostname to IPv4 in case IP changed (VPN reconnect, DNS update)
+      // Re-resolve hostname in case IP changed (VPN reconnect, DNS update)
       await this._resolveCoordinatorIp();
       this._helloRetryCount = 0;
       await this._sendHello();
@@ -835,16 +1913,19 @@ export class UDPClient {
    * Send SDP answer
    */
   async sendAnswer(sdpAnswer) {
-    if (!this.registered || !this.aesKey) {
+    if (!this.registered || !this.keys) {
       throw new Error('Not registered');
     }
 
     try {
       const sessionId = sdpAnswer.sessionId || 'unknown';
       const timestamp = Date.now();
-      const payload = { 
+      // A refused offer is answered with the reason instead of an SDP
+      const payload = sdpAnswer.error ? { error: sdpAnswer.error, retryAfterMs: sdpAnswer.retryAfterMs || 0 } : {
         sdp: sdpAnswer.sdp || sdpAnswer,
-        candidates: sdpAnswer.candidates || []
+        candidates: sdpAnswer.candidates || [],
+        ...(sdpAnswer.pake ? { pake: sdpAnswer.pake } : {}),
+        ...(sdpAnswer.keyAuth ? { keyAuth: sdpAnswer.keyAuth } : {})
       };
 
       // Use unwrapped (base64) key consistently in signature and payload
@@ -870,22 +1951,48 @@ export class UDPClient {
         signatureAlgorithm: this.signatureAlgorithm
       };
 
-      const encryptedPayload = encryptAES(answerData, this.aesKey);
+      const encryptedPayload = this._encrypt(answerData, MESSAGE_TYPES.ANSWER);
 
-      const message = buildUDPMessage(MESSAGE_TYPES.ANSWER, encryptedPayload);
-
-      this.socket.send(message, this.coordinatorPort, this.coordinatorIp, (err) => {
-        if (err) {
-          console.error('Error sending answer:', err);
-          throw err;
-        }
-      });
+      await this._sendMessage(MESSAGE_TYPES.ANSWER, encryptedPayload);
     } catch (error) {
       console.error('Error sending answer:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Send trickled ICE candidates for a session
+   * Requires the TRICKLE_ICE capability; complete marks the end of gathering
+   */
+  async sendCandidates(sessionId, candidates, complete = false) {
+    if (!this.registered || !this.keys) {
+      throw new Error('Not registered');
+    }
+    if (!this.hasCapability(CAPABILITIES.TRICKLE_ICE)) {
+      throw new Error('Coordinator does not support trickle ICE');
+    }
+
+    // Only the last message carries the complete flag
+    const batches = splitCandidates(candidates);
+
+    for (const [index, batch] of batches.entries()) {
+      const candidatesData = {
+        type: 'candidates',
+        sessionId,
+        timestamp: Date.now(),
+        candidates: batch,
+        complete: complete && index === batches.length - 1
+      };
+
+      const encryptedPayload = this._encrypt(candidatesData, MESSAGE_TYPES.CANDIDATES);
+      const message = buildUDPMessage(MESSAGE_TYPES.CANDIDATES, encryptedPayload, this.protocolVersion);
+
+      await new Promise((resolve, reject) => {
+        this._sendToCoordinator(message, (err) => err ? reject(err) : resolve());
+      });
+    }
+  }
+
   /**
    * Register event handler
    */
@@ -913,6 +2020,8 @@ export class UDPClient {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
     }
+    this._stopRekey();
+    this.fragmenter.clear();
     if (this.socket) {
       // Remove all event listeners to prevent memory leaks
       this.socket.removeAllListeners();
@@ -941,20 +2050,42 @@ export class UDPServer {
     this.registry = registry;
     this.coordinatorKeys = coordinatorKeys;
     this.port = options.port !== undefined ? options.port : 3478;
+    // Bind address: unset or '::' = dual-stack (IPv4 + IPv6), '0.0.0.0' = IPv4 only
+    this.host = options.host;
     this.socket = null;
+    this.family = null; // 4 or 6, set by start()
     this.messageHandlers = new Map();
+    this.listeners = new Map(); // type → Set of listeners (addListener)
+    // sessionId → { ipPort, token, expires }: new server addresses awaiting PATH_RESPONSE
+    this.pathChallenges = new Map();
     this.keyAgreementCurve = options.keyAgreementCurve || 'x25519';
     this.signatureAlgorithm = options.signatureAlgorithm || this.coordinatorKeys.signatureAlgorithm || 'ed25519';
     // Verbosity: 0=silent (errors only), 1=normal (important events), 2=verbose (all messages with details)
     this.verbosity = options.verbosity !== undefined ? options.verbosity : 1;
+
+    // Protocol range and capabilities offered to servers during HELLO
+    this.protocol = {
+      minVersion: options.minProtocolVersion || MIN_PROTOCOL_VERSION,
+      maxVersion: options.maxProtocolVersion || MAX_PROTOCOL_VERSION,
+      capabilities: options.capabilities !== undefined ? options.capabilities : SUPPORTED_CAPABILITIES
+    };
     
-    // HELLO session state for DoS prevention
-    // Map: ipPort → { coordinatorTag, timestamp }
-    // Note: ipPort cannot be trusted at this stage, only used for reply routing
-    this.helloSessions = new Map();
+    // Splits large OFFERs and reassembles large ANSWERs (FRAGMENTATION capability)
+    this.fragmenter = new Fragmenter(options);
+
+    // Answer STUN Binding Requests on the same port, so deployments can use
+    // stun:<coordinator>:<port> instead of a third-party STUN server
+    this.stun = options.stun !== false;
+
+    // Stateless HELLO cookies for DoS prevention: the coordinator tag is an HMAC
+    // of the source ipPort, time bucket and negotiated protocol, so spoofed
+    // HELLOs leave no state behind. Each bucket has its own random secret;
+    // cookies from the current and previous bucket are accepted.
+    this.helloCookieBucketMs = options.helloCookieBucketMs || 30000;
+    this.helloCookieSecrets = new Map(); // bucket → secret (at most two)
     
     // Key agreement session state (X25519/X448) for pending registrations
-    // Map: ipPort → { ecdhKeys, serverECDHPublicKey, timestamp }
+    // Map: ipPort → { ecdhKeys, serverECDHPublicKey, sharedSecret, timestamp, version, capabilities }
     this.ecdhSessions = new Map();
     
     // Rate limiting: track HELLO_ACK replies sent (not incoming HELLOs)
@@ -966,13 +2097,6 @@ export class UDPServer {
     this.cleanupInterval = setInterval(() => {
       const now = Date.now();
       
-      // Cleanup HELLO sessions (timeout: 30 seconds)
-      for (const [ipPort, session] of this.helloSessions.entries()) {
-        if (now - session.timestamp > 30000) {
-          this.helloSessions.delete(ipPort);
-        }
-      }
-      
       // Cleanup ECDH sessions (timeout: 5 minutes)
       for (const [ipPort, session] of this.ecdhSessions.entries()) {
         if (now - session.timestamp > 300000) {
@@ -980,6 +2104,12 @@ export class UDPServer {
         }
       }
       
+      for (const [sessionId, challenge] of this.pathChallenges) {
+        if (now > challenge.expires) {
+          this.pathChallenges.delete(sessionId);
+        }
+      }
+
       // Cleanup old rate limit data (keep last 1 minute)
       // Note: This tracks REPLIES sent, not incoming HELLOs
       for (const [ipPort, timestamps] of this.helloAttempts.entries()) {
@@ -996,29 +2126,23 @@ export class UDPServer {
   /**
    * Start UDP server
    */
-  start() {
-    return new Promise((resolve, reject) => {
-      this.socket = dgram.createSocket('udp4');
-
-      this.socket.on('error', (err) => {
-        console.error('UDP server error:', err);
-        reject(err);
-      });
-
-      this.socket.on('message', (msg, rinfo) => {
-        this.handleMessage(msg, rinfo);
-      });
+  async start() {
+    const { socket, family } = await bindUDPSocket(this.port, this.host);
+    this.socket = socket;
+    this.family = family;
 
-      this.socket.on('listening', () => {
-        const address = this.socket.address();
-        if (this.verbosity >= 1) {
-          console.log(`UDP server listening on ${address.address}:${address.port}`);
-        }
-        resolve();
-      });
+    this.socket.on('error', (err) => {
+      console.error('UDP server error:', err);
+    });
 
-      this.socket.bind(this.port);
+    this.socket.on('message', (msg, rinfo) => {
+      this.handleMessage(msg, rinfo);
     });
+
+    if (this.verbosity >= 1) {
+      const address = this.socket.address();
+      console.log(`UDP server listening on ${formatIpPort(address.address, address.port)}`);
+    }
   }
 
   /**
@@ -1027,12 +2151,21 @@ export class UDPServer {
    */
   handleMessage(msg, rinfo) {
     try {
-      const ipPort = `${rinfo.address}:${rinfo.port}`;
+      // IPv4 peers on the dual-stack socket are keyed as plain IPv4, IPv6 as [addr]:port
+      const ipPort = formatIpPort(rinfo.address, rinfo.port);
       
       // Log message details at high verbosity
       if (this.verbosity >= 2) {
         console.log(`[UDP Server] Received ${msg.length} bytes from ${ipPort}`);
       }
+
+      // STUN starts with two zero bits; HomeChannel with a non-zero version byte
+      if (isStunMessage(msg)) {
+        if (this.stun) {
+          this.handleStun(msg, rinfo);
+        }
+        return;
+      }
       
       const { messageType, payload } = parseUDPMessage(msg);
 
@@ -1056,6 +2189,21 @@ export class UDPServer {
         case MESSAGE_TYPES.ANSWER:
           this.handleAnswer(payload, ipPort, rinfo);
           break;
+        case MESSAGE_TYPES.CANDIDATES:
+          this.handleCandidates(payload, ipPort, rinfo);
+          break;
+        case MESSAGE_TYPES.FRAGMENT:
+          this.handleFragment(payload, ipPort, rinfo);
+          break;
+        case MESSAGE_TYPES.FRAGMENT_NACK:
+          this.handleFragmentNack(payload, ipPort);
+          break;
+        case MESSAGE_TYPES.REKEY:
+          this.handleRekey(payload, ipPort);
+          break;
+        case MESSAGE_TYPES.PATH_RESPONSE:
+          this.handlePathResponse(payload, ipPort);
+          break;
         default:
           console.warn(`Unknown message type: 0x${messageType.toString(16)}`);
       }
@@ -1064,6 +2212,32 @@ export class UDPServer {
     }
   }
 
+  /**
+   * Answer a STUN Binding Request with the sender's address (XOR-MAPPED-ADDRESS)
+   * The response is at most a few dozen bytes larger than the request, so it
+   * barely amplifies traffic towards a spoofed source.
+   */
+  handleStun(msg, rinfo) {
+    let response;
+    try {
+      response = buildBindingResponse(msg, normalizeAddress(rinfo.address), rinfo.port);
+    } catch (error) {
+      if (this.verbosity >= 2) {
+        console.warn(`Dropped STUN message from ${formatIpPort(rinfo.address, rinfo.port)}: ${error.message}`);
+      }
+      return;
+    }
+    if (!response) {
+      return;
+    }
+
+    this.socket.send(response, rinfo.port, rinfo.address, (err) => {
+      if (err) {
+        console.error('Error sending STUN response:', err);
+      }
+    });
+  }
+
   /**
    * Handle HELLO (Phase 1) - DoS prevention
    * 
@@ -1087,20 +2261,38 @@ export class UDPServer {
       
       // Decode HELLO
       const decoded = decodeHello(payload);
+
+      // Pick the highest common version; legacy servers only speak version 1
+      const offer = decoded.negotiation || LEGACY_PROTOCOL;
+      const negotiated = negotiateProtocol(this.protocol, offer);
+
+      if (!negotiated) {
+        const offered = `${offer.minVersion}-${offer.maxVersion}${decoded.negotiation ? '' : ' (legacy)'}`;
+        console.warn(
+          `No common protocol version with ${ipPort}: server offers ${offered}, ` +
+          `coordinator supports ${this.protocol.minVersion}-${this.protocol.maxVersion}`
+        );
+        if (!decoded.negotiation) {
+          return; // Legacy servers cannot be told - drop silently
+        }
+      }
       
-      // Generate coordinator's random tag
-      const crypto = await import('crypto');
-      const coordinatorTag = crypto.default.randomBytes(4);
-      
-      // Store session (only coordinator's tag, not server's)
-      // Server will echo its own tag back, no need to store it
-      this.helloSessions.set(ipPort, {
-        coordinatorTag,
-        timestamp: now
-      });
+      // Coordinator tag is a stateless cookie; without a common version it is
+      // random and can never be verified
+      let coordinatorTag;
+      if (negotiated) {
+        coordinatorTag = this._createHelloCookie(ipPort, negotiated);
+      } else {
+        const crypto = await import('crypto');
+        coordinatorTag = crypto.default.randomBytes(4);
+      }
       
       // Send HELLO_ACK (Phase 2)
-      const responsePayload = encodeHelloAck(decoded.serverTag, coordinatorTag);
+      // Negotiating servers get the chosen version (0 = none in common) and capabilities;
+      // legacy servers get the original 8-byte reply
+      const responsePayload = decoded.negotiation
+        ? encodeHelloAck(decoded.serverTag, coordinatorTag, negotiated || { version: 0, capabilities: 0 })
+        : encodeHelloAck(decoded.serverTag, coordinatorTag);
       const message = buildUDPMessage(MESSAGE_TYPES.HELLO_ACK, responsePayload);
       
       this.socket.send(message, rinfo.port, rinfo.address, (err) => {
@@ -1114,45 +2306,72 @@ export class UDPServer {
       });
       
       // Emit event for testing
-      if (this.messageHandlers.has('hello')) {
-        this.messageHandlers.get('hello')(decoded, ipPort);
-      }
+      this._emit('hello', decoded, ipPort);
     } catch (error) {
       console.error('Error handling HELLO:', error.message);
     }
   }
 
+  /**
+   * Secret for a HELLO cookie bucket; the first cookie of a new bucket creates
+   * it and drops secrets older than the previous bucket
+   */
+  _helloCookieSecret(bucket) {
+    let secret = this.helloCookieSecrets.get(bucket);
+    if (!secret) {
+      secret = generateCookieSecret();
+      this.helloCookieSecrets.set(bucket, secret);
+      for (const old of this.helloCookieSecrets.keys()) {
+        if (old < bucket - 1) this.helloCookieSecrets.delete(old);
+      }
+    }
+    return secret;
+  }
+
+  /**
+   * Coordinator tag for HELLO_ACK, bound to ipPort and the negotiated protocol
+   */
+  _createHelloCookie(ipPort, negotiated) {
+    const bucket = Math.floor(Date.now() / this.helloCookieBucketMs);
+    return createHelloCookie(this._helloCookieSecret(bucket), bucket, ipPort, negotiated);
+  }
+
+  /**
+   * Check a cookie from the current or previous bucket (valid for one to two buckets)
+   */
+  _verifyHelloCookie(cookie, ipPort, negotiated) {
+    const bucket = Math.floor(Date.now() / this.helloCookieBucketMs);
+    return [bucket, bucket - 1].some(b => {
+      const secret = this.helloCookieSecrets.get(b);
+      return !!secret && verifyHelloCookie(cookie, secret, b, ipPort, negotiated);
+    });
+  }
+
   /**
    * Handle ECDH init (Phase 3) - Now requires valid coordinator tag
    */
   handleECDHInit(payload, ipPort, rinfo) {
     try {
       const decoded = decodeECDHInit(payload);
-      
-      // Verify coordinator tag before expensive ECDH operation
-      const helloSession = this.helloSessions.get(ipPort);
-      if (!helloSession) {
-        console.error('No HELLO session for ECDH init');
-        return;
-      }
-      
-      if (!helloSession.coordinatorTag.equals(decoded.coordinatorTag)) {
+
+      // Legacy servers do not echo the negotiated block; they got version 1, no capabilities
+      const negotiated = decoded.negotiated || negotiateProtocol(this.protocol, LEGACY_PROTOCOL);
+
+      // Verify coordinator tag before expensive ECDH operation. A valid cookie
+      // proves the server received our HELLO_ACK at this address.
+      if (!negotiated || !this._verifyHelloCookie(decoded.coordinatorTag, ipPort, negotiated)) {
         console.error('Invalid coordinator tag in ECDH init');
-        this.helloSessions.delete(ipPort);
         return;
       }
       
       // Tag verified - proceed with ECDH (expensive operation)
-      // Clean up HELLO session
-      this.helloSessions.delete(ipPort);
 
       // Detect the curve from the server's ECDH public key so we can respond
       // with a matching key pair — x25519 servers and x448 servers are both supported.
       const serverCurve = detectKeyAgreementCurve(decoded.ecdhPublicKey);
       if (!serverCurve) {
         console.error(`ECDH init from ${ipPort}: unsupported or unrecognised key curve, rejecting`);
-        const errMsg = buildUDPMessage(MESSAGE_TYPES.ERROR, Buffer.alloc(0));
-        this.socket.send(errMsg, rinfo.port, rinfo.address, () => {});
+        this._sendError(rinfo, ERROR_CODES.UNSUPPORTED_CURVE);
         return;
       }
       if (serverCurve !== this.keyAgreementCurve && this.verbosity >= 1) {
@@ -1177,7 +2396,9 @@ export class UDPServer {
         ecdhKeys,
         serverECDHPublicKey: decoded.ecdhPublicKey,
         sharedSecret,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        version: negotiated.version,
+        capabilities: negotiated.capabilities
       });
       
       // Sign both ECDH public keys (coordinator's + server's) to bind them and prevent MITM
@@ -1198,7 +2419,7 @@ export class UDPServer {
       
       // Encode and send ECDH response
       const responsePayload = encodeECDHResponse(ecdhKeys.publicKey, encryptedData);
-      const message = buildUDPMessage(MESSAGE_TYPES.ECDH_RESPONSE, responsePayload);
+      const message = buildUDPMessage(MESSAGE_TYPES.ECDH_RESPONSE, responsePayload, negotiated.version);
       
       this.socket.send(message, rinfo.port, rinfo.address, (err) => {
         if (err) {
@@ -1207,9 +2428,7 @@ export class UDPServer {
       });
       
       // Emit event for testing
-      if (this.messageHandlers.has('ecdh_init')) {
-        this.messageHandlers.get('ecdh_init')(decoded, ipPort);
-      }
+      this._emit('ecdh_init', decoded, ipPort);
     } catch (error) {
       console.error('Error handling ECDH init:', error.message);
     }
@@ -1234,7 +2453,8 @@ export class UDPServer {
       const key = deriveAESKey(sharedSecret.toString('hex'));
       
       // Decrypt registration message
-      const message = decryptAES(payload, key);
+      const binary = session.capabilities & CAPABILITIES.BINARY_BODIES;
+      const message = binary ? decodeRegister(decryptAESBytes(payload, key)) : decryptAES(payload, key);
       
       const { serverPublicKey: base64PublicKey, timestamp, payload: regPayload, signature } = message;
 
@@ -1262,22 +2482,46 @@ export class UDPServer {
       // But verify signature using PEM format (what crypto.verify expects)
       if (!verifySignature(dataToVerify, signature, serverPublicKey)) {
         console.error('Invalid signature in registration');
+        this._sendError(rinfo, ERROR_CODES.BAD_SIGNATURE);
+        return;
+      }
+
+      if (this.registry.isFull(base64PublicKey)) {
+        console.warn(`Registry full, rejecting server at ${ipPort}`);
+        this.ecdhSessions.delete(ipPort);
+        // Expired servers are removed by the registry's periodic cleanup
+        this._sendError(rinfo, ERROR_CODES.MAX_SERVERS_REACHED, REGISTRY_FULL_RETRY_MS);
         return;
       }
 
       // Register server
-      const { challenge, challengeAnswerHash } = regPayload;
+      const { challenge, challengeKey } = regPayload;
       try {
+        // Servers with AUTH_PING get a session id; the PING key comes from the shared secret
+        const pingSession = session.capabilities & CAPABILITIES.AUTH_PING
+          ? { sessionId: generateSessionId(), pingKey: derivePingKey(sharedSecret) }
+          : null;
+        // With KEY_SCHEDULE later messages use keys derived from the shared secret
+        const trafficSecret = session.capabilities & CAPABILITIES.KEY_SCHEDULE ? sharedSecret : null;
+
         // Store unwrapped (base64) key in registry for efficiency
-        this.registry.register(base64PublicKey, ipPort, challenge, challengeAnswerHash);
+        this.registry.register(base64PublicKey, ipPort, challenge, challengeKey, {
+          version: session.version,
+          capabilities: session.capabilities
+        }, { ...pingSession, trafficSecret });
         if (this.verbosity >= 1) {
           console.log(`Server registered: ${base64PublicKey.substring(0, 20)}... at ${ipPort}`);
         }
 
         // Send acknowledgment (encrypted with shared secret)
         const ackMessage = { status: 'ok', type: 'register' };
-        const encryptedAck = encryptAES(ackMessage, key);
-        const response = buildUDPMessage(MESSAGE_TYPES.REGISTER, encryptedAck);
+        if (pingSession) {
+          ackMessage.sessionId = pingSession.sessionId;
+        }
+        const encryptedAck = binary
+          ? encryptAESBytes(encodeRegisterAck(ackMessage), key)
+          : encryptAES(ackMessage, key);
+        const response = buildUDPMessage(MESSAGE_TYPES.REGISTER, encryptedAck, session.version);
         
         this.socket.send(response, rinfo.port, rinfo.address, (err) => {
           if (err) {
@@ -1289,9 +2533,7 @@ export class UDPServer {
         this.ecdhSessions.delete(ipPort);
 
         // Emit event for testing
-        if (this.messageHandlers.has('register')) {
-          this.messageHandlers.get('register')(message, ipPort);
-        }
+        this._emit('register', message, ipPort);
       } catch (error) {
         console.error('Error registering server:', error.message);
       }
@@ -1302,34 +2544,171 @@ export class UDPServer {
 
   /**
    * Handle keepalive ping (optimized - no decryption needed)
+   * Legacy PINGs are empty and identify the server by ipPort. Authenticated
+   * PINGs (AUTH_PING) carry a session id and MAC, so they are accepted from a
+   * new address and move the server there (NAT rebinding).
    */
   handlePing(payload, ipPort, rinfo) {
-    // Ping is optimized - no payload to decrypt
-    // Simply update timestamp for server
-    const updated = this.registry.updateTimestamp(ipPort);
-    
-    if (updated) {
-      // Reply with PONG so the server knows the connection is alive
-      const pong = buildUDPMessage(MESSAGE_TYPES.PONG, Buffer.alloc(0));
-      this.socket.send(pong, rinfo.port, rinfo.address, (err) => {
-        if (err && this.verbosity >= 2) console.error('Error sending PONG:', err);
-      });
+    if (payload.length > 0) {
+      this.handleAuthenticatedPing(payload, ipPort, rinfo);
+      return;
+    }
 
-      if (this.messageHandlers.has('ping')) {
-        this.messageHandlers.get('ping')(ipPort);
+    const server = this.registry.getServerByIpPort(ipPort);
+    if (server?.sessionId) {
+      // Anyone can send an empty PING from a spoofed address; this server authenticates its PINGs
+      if (this.verbosity >= 2) {
+        console.log(`Ignoring unauthenticated PING for ${ipPort}`);
       }
+      return;
+    }
+
+    // Simply update timestamp for server
+    if (this.registry.updateTimestamp(ipPort)) {
+      this._acceptPing(ipPort, rinfo);
     } else {
-      // Unknown server — send ERROR so it re-registers immediately instead of waiting
-      // for the dead-interval timeout (which could be 90s by default).
-      // ERROR payload is empty (same size as PING = no amplification risk).
+      this._sendReregister(ipPort, rinfo);
+    }
+  }
+
+  /**
+   * Handle PING with [sessionId(8)][counter(8)][mac(16)]
+   * Invalid MACs and replayed counters are dropped without a reply.
+   */
+  handleAuthenticatedPing(payload, ipPort, rinfo) {
+    let ping;
+    try {
+      ping = decodePing(payload);
+    } catch (error) {
+      if (this.verbosity >= 2) console.error('Invalid PING:', error.message);
+      return;
+    }
+
+    const server = this.registry.getServerBySessionId(ping.sessionId);
+    if (!server) {
+      this._sendReregister(ipPort, rinfo);
+      return;
+    }
+
+    if (!verifyPing(ping, server.pingKey) || !this.registry.recordPing(server.publicKey, ping.counter)) {
       if (this.verbosity >= 1) {
-        console.log(`PING from unregistered server at ${ipPort} — sending re-register signal`);
+        console.warn(`Rejected PING for session ${ping.sessionId} from ${ipPort}`);
       }
-      const error = buildUDPMessage(MESSAGE_TYPES.ERROR, Buffer.alloc(0));
-      this.socket.send(error, rinfo.port, rinfo.address, (err) => {
-        if (err && this.verbosity >= 2) console.error('Error sending re-register signal:', err);
-      });
+      return;
+    }
+
+    if (server.ipPort !== ipPort) {
+      if (server.capabilities & CAPABILITIES.PATH_VALIDATION) {
+        this._challengePath(server, ping.sessionId, ipPort, rinfo);
+      } else {
+        this._rebind(server, ipPort);
+      }
+    }
+
+    // Tell the server which address we see, bound to this PING by its counter
+    const pongPayload = server.capabilities & CAPABILITIES.PONG_ADDRESS
+      ? encodePong(ping.counter, ipPort, server.pingKey)
+      : Buffer.alloc(0);
+    this._acceptPing(ipPort, rinfo, pongPayload);
+  }
+
+  /**
+   * Send a PATH_CHALLENGE to a server's new address (PATH_VALIDATION capability)
+   * The token is repeated for further PINGs from that address until it expires,
+   * so any of them may be answered
+   */
+  _challengePath(server, sessionId, ipPort, rinfo) {
+    let challenge = this.pathChallenges.get(sessionId);
+    if (!challenge || challenge.ipPort !== ipPort || Date.now() > challenge.expires) {
+      challenge = { ipPort, token: generatePathToken(), expires: Date.now() + PATH_CHALLENGE_TIMEOUT_MS };
+      this.pathChallenges.set(sessionId, challenge);
+    }
+    if (this.verbosity >= 2) {
+      console.log(`Validating new address ${ipPort} of server ${server.publicKey.substring(0, 20)}...`);
+    }
+
+    const message = buildUDPMessage(MESSAGE_TYPES.PATH_CHALLENGE, challenge.token, this._versionFor(server.ipPort));
+    this.socket.send(message, rinfo.port, rinfo.address, (err) => {
+      if (err && this.verbosity >= 2) console.error('Error sending path challenge:', err);
+    });
+  }
+
+  /**
+   * Handle PATH_RESPONSE: the server answered from the address we challenged,
+   * so it can be moved there
+   */
+  handlePathResponse(payload, ipPort) {
+    let response;
+    try {
+      response = decodePathResponse(payload);
+    } catch (error) {
+      if (this.verbosity >= 2) console.error('Invalid PATH_RESPONSE:', error.message);
+      return;
+    }
+
+    const server = this.registry.getServerBySessionId(response.sessionId);
+    const challenge = this.pathChallenges.get(response.sessionId);
+    if (!server || !challenge || challenge.ipPort !== ipPort || Date.now() > challenge.expires ||
+        !verifyPathResponse(response, server.pingKey) || !response.token.equals(challenge.token)) {
+      if (this.verbosity >= 1) {
+        console.warn(`Rejected PATH_RESPONSE for session ${response.sessionId} from ${ipPort}`);
+      }
+      return;
+    }
+
+    this.pathChallenges.delete(response.sessionId);
+    if (server.ipPort !== ipPort) {
+      this._rebind(server, ipPort);
+    }
+  }
+
+  /**
+   * Move a server to the address its authenticated messages now come from
+   */
+  _rebind(server, ipPort) {
+    this.registry.rebind(server.publicKey, ipPort);
+    if (this.verbosity >= 1) {
+      console.log(`Server ${server.publicKey.substring(0, 20)}... moved from ${server.ipPort} to ${ipPort}`);
     }
+    this._emit('rebind', {
+      serverPublicKey: server.publicKey,
+      oldIpPort: server.ipPort,
+      newIpPort: ipPort
+    });
+  }
+
+  /**
+   * Reply with PONG so the server knows the connection is alive
+   */
+  _acceptPing(ipPort, rinfo, pongPayload = Buffer.alloc(0)) {
+    const pong = buildUDPMessage(MESSAGE_TYPES.PONG, pongPayload);
+    this.socket.send(pong, rinfo.port, rinfo.address, (err) => {
+      if (err && this.verbosity >= 2) console.error('Error sending PONG:', err);
+    });
+
+    this._emit('ping', ipPort);
+  }
+
+  /**
+   * Unknown server — send ERROR so it re-registers immediately instead of waiting
+   * for the dead-interval timeout (which could be 90s by default).
+   * ERROR payload is one byte (no larger than the PING = no amplification risk).
+   */
+  _sendReregister(ipPort, rinfo) {
+    if (this.verbosity >= 1) {
+      console.log(`PING from unregistered server at ${ipPort} — sending re-register signal`);
+    }
+    this._sendError(rinfo, ERROR_CODES.UNKNOWN_SESSION);
+  }
+
+  /**
+   * Send ERROR with a code and optional retry-after (never in reply to HELLO)
+   */
+  _sendError(rinfo, code, retryAfterMs = 0) {
+    const error = buildUDPMessage(MESSAGE_TYPES.ERROR, encodeError(code, retryAfterMs));
+    this.socket.send(error, rinfo.port, rinfo.address, (err) => {
+      if (err && this.verbosity >= 2) console.error(`Error sending ERROR (${ERROR_CODE_NAMES[code]}):`, err);
+    });
   }
 
   /**
@@ -1337,17 +2716,14 @@ export class UDPServer {
    */
   handleHeartbeat(payload, ipPort, rinfo) {
     try {
-      // Get expected answer (shared secret) for this server
-      const expectedAnswer = this.registry.getExpectedAnswer(ipPort);
-      if (!expectedAnswer) {
+      const server = this.registry.getServerByIpPort(ipPort);
+      if (!server) {
         console.error('Server not found for heartbeat');
         return;
       }
 
-      // Decrypt using expectedAnswer as key
       // AES-GCM decryption automatically verifies authentication
-      const key = deriveAESKey(expectedAnswer);
-      const message = decryptAES(payload, key);
+      const message = this._decryptFrom(server, payload, MESSAGE_TYPES.HEARTBEAT);
 
       const { payload: hbPayload } = message;
 
@@ -1357,33 +2733,86 @@ export class UDPServer {
       }
 
       // Update challenge
-      const { newChallenge, challengeAnswerHash } = hbPayload;
-      this.registry.updateChallenge(ipPort, newChallenge, challengeAnswerHash);
+      const { newChallenge, challengeKey } = hbPayload;
+      this.registry.updateChallenge(ipPort, newChallenge, challengeKey);
       
       // Emit event for testing
-      if (this.messageHandlers.has('heartbeat')) {
-        this.messageHandlers.get('heartbeat')(message, ipPort);
-      }
+      this._emit('heartbeat', message, ipPort);
     } catch (error) {
       console.error('Error handling heartbeat:', error.message);
     }
   }
 
+  /**
+   * Handle REKEY from server (REKEY capability)
+   * Replies with our own fresh X25519/X448 key under the current keys, then
+   * mixes the new secret into the traffic secret. The old secret stays in use
+   * until the server sends a message under the new one (see _decryptFrom);
+   * a repeated REKEY for the same key gets the same reply
+   */
+  handleRekey(payload, ipPort) {
+    try {
+      const server = this.registry.getServerByIpPort(ipPort);
+      if (!server || !server.trafficSecret || !(server.capabilities & CAPABILITIES.REKEY)) {
+        console.error('Server not found for rekey');
+        return;
+      }
+
+      const message = this._decryptFrom(server, payload, MESSAGE_TYPES.REKEY);
+      const serverECDHPublicKey = typeof message.ecdhPublicKey === 'string'
+        ? Buffer.from(message.ecdhPublicKey, 'hex')
+        : null;
+      const curve = serverECDHPublicKey && detectKeyAgreementCurve(serverECDHPublicKey);
+      if (message.type !== 'rekey' || !curve) {
+        console.error('Invalid rekey message');
+        return;
+      }
+
+      let ecdhPublicKey = server.rekeyReply?.serverKey === message.ecdhPublicKey
+        ? server.rekeyReply.ecdhPublicKey
+        : null;
+      let trafficSecret = null;
+      if (!ecdhPublicKey) {
+        const ecdhKeys = generateECDHKeyPair(curve);
+        const ecdhSecret = computeECDHSecret(ecdhKeys.privateKey, serverECDHPublicKey, curve);
+        ecdhKeys.privateKey.fill(0);
+        ecdhPublicKey = ecdhKeys.publicKey.toString('hex');
+        trafficSecret = deriveRekeyedSecret(server.previousTrafficSecret || server.trafficSecret, ecdhSecret);
+        ecdhSecret.fill(0);
+      }
+
+      // Encrypted with the keys the server still uses
+      const reply = this._encryptFor(server, { type: 'rekey', ecdhPublicKey }, MESSAGE_TYPES.REKEY);
+
+      if (trafficSecret) {
+        this.registry.rekey(server.publicKey, trafficSecret, { serverKey: message.ecdhPublicKey, ecdhPublicKey });
+      }
+
+      this._sendDatagram(ipPort, buildUDPMessage(MESSAGE_TYPES.REKEY, reply, this._versionFor(ipPort))).catch((err) => {
+        console.error('Error sending rekey:', err.message);
+      });
+
+      if (this.verbosity >= 2) {
+        console.log(`Session keys renewed for ${ipPort}`);
+      }
+      this._emit('rekey', ipPort);
+    } catch (error) {
+      console.error('Error handling rekey:', error.message);
+    }
+  }
+
   /**
    * Handle SDP answer from server
    */
   handleAnswer(payload, ipPort, rinfo) {
     try {
-      // Get expected answer (shared secret) for this server
-      const expectedAnswer = this.registry.getExpectedAnswer(ipPort);
-      if (!expectedAnswer) {
+      const server = this.registry.getServerByIpPort(ipPort);
+      if (!server) {
         console.error('Server not found for answer');
         return;
       }
 
-      // Decrypt using expectedAnswer as key
-      const key = deriveAESKey(expectedAnswer);
-      const message = decryptAES(payload, key);
+      const message = this._decryptFrom(server, payload, MESSAGE_TYPES.ANSWER);
 
       const { serverPublicKey: base64PublicKey, sessionId, timestamp, payload: answerPayload, signature } = message;
 
@@ -1404,39 +2833,161 @@ export class UDPServer {
       }
 
       // Emit event for testing/relay
-      if (this.messageHandlers.has('answer')) {
-        this.messageHandlers.get('answer')(message, sessionId);
-      }
+      this._emit('answer', message, sessionId);
     } catch (error) {
       console.error('Error handling answer:', error.message);
     }
   }
 
+  /**
+   * Handle trickled ICE candidates from server
+   * Candidates are not signed: the DTLS fingerprint in the signed answer still
+   * authenticates the connection, a forged candidate can only fail to connect
+   */
+  handleCandidates(payload, ipPort, rinfo) {
+    try {
+      const server = this.registry.getServerByIpPort(ipPort);
+      if (!server) {
+        console.error('Server not found for candidates');
+        return;
+      }
+
+      const message = this._decryptFrom(server, payload, MESSAGE_TYPES.CANDIDATES);
+
+      if (!isValidCandidatesMessage(message)) {
+        console.error('Invalid candidates message');
+        return;
+      }
+
+      const { sessionId, candidates, complete } = message;
+
+      this._emit('candidates', {
+        serverPublicKey: server.publicKey,
+        sessionId,
+        candidates,
+        complete: !!complete
+      }, sessionId);
+    } catch (error) {
+      console.error('Error handling candidates:', error.message);
+    }
+  }
+
+  /**
+   * Handle FRAGMENT from server; a complete ANSWER is handled as if it had
+   * arrived in one datagram
+   * Only registered servers may send fragments, which bounds reassembly state.
+   */
+  handleFragment(payload, ipPort, rinfo) {
+    try {
+      if (!this.registry.getServerByIpPort(ipPort)) {
+        console.error('Server not found for fragment');
+        return;
+      }
+
+      const fragment = decodeFragment(payload);
+      if (fragment.messageType !== MESSAGE_TYPES.ANSWER) {
+        console.error('Unexpected fragmented message type');
+        return;
+      }
+
+      const message = this.fragmenter.receive(ipPort, fragment, (missing) => {
+        if (this.verbosity >= 2) {
+          console.log(`Requesting ${missing.length} missing fragment(s) of message ${fragment.fragmentId} from ${ipPort}`);
+        }
+        const nack = buildUDPMessage(MESSAGE_TYPES.FRAGMENT_NACK, encodeFragmentNack(fragment.fragmentId, missing), this._versionFor(ipPort));
+        this._sendDatagram(ipPort, nack).catch((err) => {
+          console.error('Error sending fragment NACK:', err.message);
+        });
+      });
+
+      if (message) {
+        this.handleAnswer(message.payload, ipPort, rinfo);
+      }
+    } catch (error) {
+      console.error('Error handling fragment:', error.message);
+    }
+  }
+
+  /**
+   * Handle FRAGMENT_NACK from server: resend the fragments it is missing
+   * Fragments only ever go to the ipPort they were first sent to
+   */
+  handleFragmentNack(payload, ipPort) {
+    try {
+      const { fragmentId, missing } = decodeFragmentNack(payload);
+      for (const fragment of this.fragmenter.retransmit(ipPort, fragmentId, missing)) {
+        const message = buildUDPMessage(MESSAGE_TYPES.FRAGMENT, fragment, this._versionFor(ipPort));
+        this._sendDatagram(ipPort, message).catch((err) => {
+          console.error('Error resending fragment:', err.message);
+        });
+      }
+    } catch (error) {
+      console.error('Error handling fragment NACK:', error.message);
+    }
+  }
+
+  /**
+   * Send one datagram to a server
+   */
+  _sendDatagram(ipPort, message) {
+    const { address, port } = parseIpPort(ipPort);
+    return new Promise((resolve, reject) => {
+      this.socket.send(message, port, toSocketAddress(address, this.family), (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Send an encrypted message to a server, fragmented when it is too large
+   * for one datagram and the server supports reassembly
+   */
+  async _sendMessage(ipPort, messageType, payload) {
+    const version = this._versionFor(ipPort);
+    const message = buildUDPMessage(messageType, payload, version);
+    let datagrams = [message];
+
+    if (this.fragmenter.needsFragmenting(message.length)) {
+      const server = this.registry.getServerByIpPort(ipPort);
+      if (server && (server.capabilities & CAPABILITIES.FRAGMENTATION)) {
+        datagrams = this.fragmenter.fragment(ipPort, messageType, payload)
+          .map(fragment => buildUDPMessage(MESSAGE_TYPES.FRAGMENT, fragment, version));
+      } else if (this.verbosity >= 1) {
+        console.warn(`Sending ${message.length}-byte ${MESSAGE_TYPE_NAMES[messageType]} unfragmented: ${ipPort} does not support fragmentation`);
+      }
+    }
+
+    for (const datagram of datagrams) {
+      await this._sendDatagram(ipPort, datagram);
+    }
+  }
+
   /**
    * Send message to server using binary protocol
    * Format: [version (1 byte)][type (1 byte)][payload]
    */
   sendToServer(ipPort, data, messageType) {
-    const [address, port] = ipPort.split(':');
+    const { address, port } = parseIpPort(ipPort);
     
-    // Get expectedAnswer for encryption
-    const expectedAnswer = this.registry.getExpectedAnswer(ipPort);
+    const server = this.registry.getServerByIpPort(ipPort);
     
     let payload;
-    if (expectedAnswer && messageType !== MESSAGE_TYPES.ECDH_INIT && messageType !== MESSAGE_TYPES.ECDH_RESPONSE) {
-      // Encrypt message using expectedAnswer as key
-      const key = deriveAESKey(expectedAnswer);
-      payload = encryptAES(data, key);
+    if (server && messageType !== MESSAGE_TYPES.ECDH_INIT && messageType !== MESSAGE_TYPES.ECDH_RESPONSE) {
+      payload = this._encryptFor(server, data, messageType);
     } else {
       // Unencrypted (for ECDH messages)
       payload = Buffer.from(JSON.stringify(data), 'utf8');
     }
     
     // Build binary message: [version][type][payload]
-    const message = buildUDPMessage(messageType, payload);
+    const message = buildUDPMessage(messageType, payload, this._versionFor(ipPort));
     
     return new Promise((resolve, reject) => {
-      this.socket.send(message, parseInt(port), address, (err) => {
+      this.socket.send(message, port, toSocketAddress(address, this.family), (err) => {
         if (err) {
           reject(err);
         } else {
@@ -1453,16 +3004,91 @@ export class UDPServer {
     this.messageHandlers.set(type, handler);
   }
 
+  /**
+   * Register an additional listener
+   * Unlike on(), listeners do not replace each other or the handler
+   */
+  addListener(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+  }
+
+  _emit(type, ...args) {
+    this.messageHandlers.get(type)?.(...args);
+    for (const listener of this.listeners.get(type) || []) {
+      listener(...args);
+    }
+  }
+
+  /**
+   * Encrypt a message to a registered server
+   * KEY_SCHEDULE servers get the coordinator→server key and the next sequence
+   * number; others the single key derived from the challenge key. The body is TLV
+   * for BINARY_BODIES servers (see encryptBody)
+   */
+  _encryptFor(server, data, messageType) {
+    if (!server.trafficSecret) {
+      return encryptBody(data, deriveAESKey(server.challengeKey), messageType, server.capabilities);
+    }
+    // After a REKEY, the old secret until the server shows it has switched
+    const secret = server.previousTrafficSecret || server.trafficSecret;
+    const { coordinatorToServer } = deriveTrafficKeys(secret, server.challengeKey);
+    const message = { ...data, seq: this.registry.nextSequence(server.publicKey) };
+    return encryptBody(message, coordinatorToServer, messageType, server.capabilities);
+  }
+
+  /**
+   * Decrypt a message from a registered server
+   * Throws on a wrong key, tampering, or (KEY_SCHEDULE) a replayed sequence number
+   * After a REKEY, messages under the previous secret are accepted until one
+   * arrives under the new secret; that one erases the previous secret
+   */
+  _decryptFrom(server, payload, messageType) {
+    if (!server.trafficSecret) {
+      return decryptBody(payload, deriveAESKey(server.challengeKey), messageType, server.capabilities);
+    }
+    let message;
+    let switched = true;
+    try {
+      const { serverToCoordinator } = deriveTrafficKeys(server.trafficSecret, server.challengeKey);
+      message = decryptBody(payload, serverToCoordinator, messageType, server.capabilities);
+    } catch (error) {
+      if (!server.previousTrafficSecret) {
+        throw error;
+      }
+      // The server has not received our REKEY reply yet
+      const { serverToCoordinator } = deriveTrafficKeys(server.previousTrafficSecret, server.challengeKey);
+      message = decryptBody(payload, serverToCoordinator, messageType, server.capabilities);
+      switched = false;
+    }
+    if (!this.registry.recordSequence(server.publicKey, message.seq)) {
+      throw new Error(`Replayed or out-of-window message (seq ${message.seq})`);
+    }
+    if (switched && server.previousTrafficSecret) {
+      this.registry.confirmRekey(server.publicKey);
+      server.previousTrafficSecret = null;
+      server.rekeyReply = null;
+    }
+    return message;
+  }
+
+  /**
+   * Protocol version negotiated with a registered server
+   */
+  _versionFor(ipPort) {
+    const server = this.registry.getServerByIpPort(ipPort);
+    return server?.version || PROTOCOL_VERSION;
+  }
+
   /**
    * Send offer to server
    * Called by HTTPS server when client initiates connection
    */
   async sendOfferToServer(ipPort, sessionId, payload) {
-    const [address, port] = ipPort.split(':');
-    
-    // Get expectedAnswer for encryption
-    const expectedAnswer = this.registry.getExpectedAnswer(ipPort);
-    if (!expectedAnswer) {
+    const server = this.registry.getServerByIpPort(ipPort);
+    if (!server) {
       throw new Error('Server not found');
     }
     
@@ -1474,22 +3100,90 @@ export class UDPServer {
       payload
     };
     
-    // Encrypt message using expectedAnswer as key
-    const key = deriveAESKey(expectedAnswer);
-    const encryptedPayload = encryptAES(offerData, key);
-    
-    // Build binary message: [version][type][payload]
-    const message = buildUDPMessage(MESSAGE_TYPES.OFFER, encryptedPayload);
+    const encryptedPayload = this._encryptFor(server, offerData, MESSAGE_TYPES.OFFER);
     
-    return new Promise((resolve, reject) => {
-      this.socket.send(message, parseInt(port), address, (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve();
-        }
-      });
+    // Large offers (many candidates) are split across datagrams
+    return this._sendMessage(ipPort, MESSAGE_TYPES.OFFER, encryptedPayload);
+  }
+
+  /**
+   * Relay ICE candidates trickled by a client to a server
+   * Called by HTTPS server; only for servers that negotiated TRICKLE_ICE
+   */
+  async sendCandidatesToServer(ipPort, sessionId, candidates, complete = false) {
+    const server = this.registry.getServerByIpPort(ipPort);
+    if (!server) {
+      throw new Error('Server not found');
+    }
+    if (!(server.capabilities & CAPABILITIES.TRICKLE_ICE)) {
+      throw new Error('Server does not support trickle ICE');
+    }
+
+    // Only the last message carries the complete flag
+    const batches = splitCandidates(candidates);
+
+    for (const [index, batch] of batches.entries()) {
+      await this.sendToServer(ipPort, {
+        type: 'candidates',
+        sessionId,
+        timestamp: Date.now(),
+        candidates: batch,
+        complete: complete && index === batches.length - 1
+      }, MESSAGE_TYPES.CANDIDATES);
+    }
+  }
+
+  /**
+   * Send MIGRATE to a registered server
+   * Tells the server to move its registration to another coordinator
+   * target: { host, port, publicKey } of the new coordinator
+   */
+  async sendMigrate(ipPort, target) {
+    assertMigrationTarget(target);
+    const { host, port, publicKey } = target;
+
+    if (!this.registry.getServerByIpPort(ipPort)) {
+      throw new Error('Server not found');
+    }
+
+    const migrateData = {
+      type: 'migrate',
+      timestamp: Date.now(),
+      payload: { host, port, publicKey }
+    };
+
+    await this.sendToServer(ipPort, migrateData, MESSAGE_TYPES.MIGRATE);
+
+    if (this.verbosity >= 1) {
+      console.log(`Sent MIGRATE to ${ipPort} -> ${formatIpPort(host, port)}`);
+    }
+  }
+
+  /**
+   * Send MIGRATE to every registered server
+   * Used to drain the coordinator before maintenance
+   * Returns { migrated, failed: [{ ipPort, error }] }
+   */
+  async migrateAll(target) {
+    assertMigrationTarget(target);
+    const ipPorts = Array.from(this.registry.ipPortIndex.keys());
+    const results = await Promise.allSettled(
+      ipPorts.map(ipPort => this.sendMigrate(ipPort, target))
+    );
+
+    const failed = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failed.push({ ipPort: ipPorts[index], error: result.reason.message });
+      }
     });
+
+    const migrated = ipPorts.length - failed.length;
+    if (this.verbosity >= 1) {
+      console.log(`Migration requested for ${migrated}/${ipPorts.length} servers`);
+    }
+
+    return { migrated, failed };
   }
 
   /**
@@ -1501,6 +3195,7 @@ export class UDPServer {
       clearInterval(this.cleanupInterval);
       this.cleanupInterval = null;
     }
+    this.fragmenter.clear();
     
     return new Promise((resolve) => {
       if (this.socket) {
@@ -0,0 +1,183 @@
+/**
+ * SRP-6a password-authenticated key exchange between client and home server
+ * The coordinator relays A, salt and B but never sees a password-derived value
+ * it could attack offline; the proofs travel over the datachannel.
+ *
+ * Group: 2048-bit MODP group of RFC 3526 (modp14), g = 2. Hash: SHA-256.
+ * PAD(x) is x big-endian, left-padded to the 256 bytes of N.
+ *   x  = H(s | H(I | ":" | P))          v = g^x
+ *   k  = H(N | PAD(g))                  u = H(PAD(A) | PAD(B))
+ *   A  = g^a                            B = k*v + g^b
+ *   K  = H(PAD(S))
+ *   M1 = H(H(N) xor H(PAD(g)) | H(I) | s | PAD(A) | PAD(B) | K)
+ *   M2 = H(PAD(A) | M1 | K)
+ * Values on the wire are lowercase hex.
+ */
+
+import crypto from 'crypto';
+
+const N_HEX = crypto.getDiffieHellman('modp14').getPrime('hex');
+const N = BigInt(`0x${N_HEX}`);
+const g = 2n;
+const N_BYTES = N_HEX.length / 2;
+
+function hash(...parts) {
+  const sha = crypto.createHash('sha256');
+  for (const part of parts) {
+    sha.update(part);
+  }
+  return sha.digest();
+}
+
+function pad(value) {
+  return Buffer.from(value.toString(16).padStart(N_BYTES * 2, '0'), 'hex');
+}
+
+function toBigInt(bytes) {
+  return bytes.length > 0 ? BigInt(`0x${bytes.toString('hex')}`) : 0n;
+}
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = (result * base) % modulus;
+    }
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Parse a public value (A or B); null unless it is hex and not 0 mod N
+ */
+function parsePublic(hex) {
+  if (typeof hex !== 'string' || hex.length === 0 || hex.length > N_BYTES * 2 || !/^[0-9a-f]+$/.test(hex)) {
+    return null;
+  }
+  const value = BigInt(`0x${hex}`);
+  return value % N === 0n ? null : value;
+}
+
+const k = toBigInt(hash(pad(N), pad(g)));
+const N_XOR_G = (() => {
+  const hashN = hash(pad(N));
+  const hashG = hash(pad(g));
+  return Buffer.from(hashN.map((byte, i) => byte ^ hashG[i]));
+})();
+
+function computeX(username, password, salt) {
+  return toBigInt(hash(salt, hash(`${username}:${password}`)));
+}
+
+function computeProofs(username, salt, A, B, S) {
+  const key = hash(pad(S));
+  const clientProof = hash(N_XOR_G, hash(username), salt, pad(A), pad(B), key);
+  const serverProof = hash(pad(A), clientProof, key);
+  return { clientProof, serverProof };
+}
+
+function randomExponent() {
+  return toBigInt(crypto.randomBytes(32));
+}
+
+/**
+ * Password verifier for one user; the salt is random unless given
+ * Returns: { username, salt, verifier } (salt and verifier in hex)
+ */
+export function createVerifier(username, password, salt = crypto.randomBytes(16)) {
+  const saltBytes = Buffer.isBuffer(salt) ? salt : Buffer.from(salt, 'hex');
+  const verifier = modPow(g, computeX(username, password, saltBytes), N);
+  return { username, salt: saltBytes.toString('hex'), verifier: verifier.toString(16) };
+}
+
+/**
+ * Server side of one exchange, created from the client's A
+ * Throws on an invalid A. serverPublic (B) and salt go back to the client.
+ */
+export class SRPServerSession {
+  constructor({ username, salt, verifier }, clientPublic) {
+    const A = parsePublic(clientPublic);
+    if (A === null) {
+      throw new Error('Invalid SRP client public value');
+    }
+    const v = BigInt(`0x${verifier}`);
+    const b = randomExponent();
+    const B = (k * v + modPow(g, b, N)) % N;
+    const u = toBigInt(hash(pad(A), pad(B)));
+    if (u === 0n) {
+      throw new Error('Invalid SRP client public value');
+    }
+    const S = modPow((A * modPow(v, u, N)) % N, b, N);
+
+    this.salt = salt;
+    this.serverPublic = pad(B).toString('hex');
+    this.proofs = computeProofs(username, Buffer.from(salt, 'hex'), A, B, S);
+  }
+
+  /**
+   * Check the client's M1; returns M2 (hex) on success, null otherwise
+   * A session accepts one proof only.
+   */
+  verifyClientProof(proof) {
+    const proofs = this.proofs;
+    this.proofs = null;
+    if (!proofs || typeof proof !== 'string' || !/^[0-9a-f]{64}$/.test(proof)) {
+      return null;
+    }
+    if (!crypto.timingSafeEqual(Buffer.from(proof, 'hex'), proofs.clientProof)) {
+      return null;
+    }
+    return proofs.serverProof.toString('hex');
+  }
+}
+
+/**
+ * Client side of one exchange: send clientPublic (A), then prove the password
+ * once the server's salt and B arrive
+ */
+export class SRPClientSession {
+  constructor(username, password) {
+    this.username = username;
+    this.password = password;
+    this.a = randomExponent();
+    this.clientPublic = pad(modPow(g, this.a, N)).toString('hex');
+    this.serverProof = null;
+  }
+
+  /**
+   * Compute M1 (hex) from the server's salt and B; throws on an invalid B
+   */
+  computeProof(salt, serverPublic) {
+    const B = parsePublic(serverPublic);
+    if (B === null) {
+      throw new Error('Invalid SRP server public value');
+    }
+    const A = BigInt(`0x${this.clientPublic}`);
+    const u = toBigInt(hash(pad(A), pad(B)));
+    if (u === 0n) {
+      throw new Error('Invalid SRP server public value');
+    }
+    const saltBytes = Buffer.from(salt, 'hex');
+    const x = computeX(this.username, this.password, saltBytes);
+    this.password = null;
+    const base = ((B - k * modPow(g, x, N)) % N + N) % N;
+    const S = modPow(base, this.a + u * x, N);
+
+    const proofs = computeProofs(this.username, saltBytes, A, B, S);
+    this.serverProof = proofs.serverProof;
+    return proofs.clientProof.toString('hex');
+  }
+
+  /**
+   * Whether the server's M2 proves it holds the verifier
+   */
+  verifyServerProof(proof) {
+    if (!this.serverProof || typeof proof !== 'string' || !/^[0-9a-f]{64}$/.test(proof)) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(proof, 'hex'), this.serverProof);
+  }
+}
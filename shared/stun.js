@@ -0,0 +1,348 @@
+/**
+ * Minimal STUN (RFC 5389) message codec
+ * Used by the coordinator to answer Binding Requests on its UDP port, and by
+ * its TURN relay (RFC 5766) for allocations.
+ *
+ * STUN and HomeChannel datagrams share that port: a STUN message starts with
+ * two zero bits and has the magic cookie at offset 4, while every HomeChannel
+ * message starts with a non-zero protocol version byte.
+ *
+ * Header (20 bytes): [type(2)][length(2)][magic cookie(4)][transaction id(12)]
+ * Attributes:        [type(2)][length(2)][value, padded to 4 bytes]
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+
+export const STUN_MAGIC_COOKIE = 0x2112A442;
+export const STUN_HEADER_SIZE = 20;
+
+// Requests; the success response is type | 0x0100, the error response type | 0x0110
+export const STUN_TYPES = Object.freeze({
+  BINDING_REQUEST: 0x0001,
+  BINDING_SUCCESS: 0x0101,
+  BINDING_ERROR: 0x0111,
+  ALLOCATE_REQUEST: 0x0003,           // TURN
+  REFRESH_REQUEST: 0x0004,            // TURN
+  SEND_INDICATION: 0x0016,            // TURN
+  DATA_INDICATION: 0x0017,            // TURN
+  CREATE_PERMISSION_REQUEST: 0x0008,  // TURN
+  CHANNEL_BIND_REQUEST: 0x0009        // TURN
+});
+
+export const STUN_ATTRIBUTES = Object.freeze({
+  USERNAME: 0x0006,
+  MESSAGE_INTEGRITY: 0x0008,
+  ERROR_CODE: 0x0009,
+  UNKNOWN_ATTRIBUTES: 0x000A,
+  CHANNEL_NUMBER: 0x000C,       // TURN
+  LIFETIME: 0x000D,             // TURN
+  XOR_PEER_ADDRESS: 0x0012,     // TURN
+  DATA: 0x0013,                 // TURN
+  REALM: 0x0014,
+  NONCE: 0x0015,
+  XOR_RELAYED_ADDRESS: 0x0016,  // TURN
+  REQUESTED_TRANSPORT: 0x0019,  // TURN
+  DONT_FRAGMENT: 0x001A,        // TURN
+  XOR_MAPPED_ADDRESS: 0x0020,
+  PRIORITY: 0x0024,        // ICE (RFC 8445)
+  USE_CANDIDATE: 0x0025,   // ICE
+  SOFTWARE: 0x8022,
+  FINGERPRINT: 0x8028,
+  ICE_CONTROLLED: 0x8029,  // ICE
+  ICE_CONTROLLING: 0x802A  // ICE
+});
+
+// Comprehension-required attributes (type < 0x8000) a Binding Request may
+// carry; they are read but need no action. Others get a 420 error.
+const KNOWN_REQUIRED_ATTRIBUTES = new Set([
+  STUN_ATTRIBUTES.USERNAME,
+  STUN_ATTRIBUTES.MESSAGE_INTEGRITY,
+  STUN_ATTRIBUTES.XOR_MAPPED_ADDRESS,
+  STUN_ATTRIBUTES.PRIORITY,
+  STUN_ATTRIBUTES.USE_CANDIDATE
+]);
+
+const FINGERPRINT_XOR = 0x5354554E;
+const ADDRESS_FAMILY_IPV4 = 0x01;
+const ADDRESS_FAMILY_IPV6 = 0x02;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Whether a datagram is a STUN message rather than a HomeChannel message
+ */
+export function isStunMessage(msg) {
+  return msg.length >= STUN_HEADER_SIZE &&
+    (msg[0] & 0xC0) === 0 &&
+    msg.readUInt32BE(4) === STUN_MAGIC_COOKIE &&
+    msg.readUInt16BE(2) === msg.length - STUN_HEADER_SIZE &&
+    msg.length % 4 === 0;
+}
+
+/**
+ * Success and error response types for a request type
+ */
+export function stunSuccessType(requestType) {
+  return requestType | 0x0100;
+}
+
+export function stunErrorType(requestType) {
+  return requestType | 0x0110;
+}
+
+/**
+ * Parse a STUN message
+ * Returns { type, transactionId, attributes: [{ type, value, offset }] }
+ * offset is where the attribute header starts (for MESSAGE-INTEGRITY checks).
+ * Throws on malformed attributes or a wrong FINGERPRINT
+ */
+export function parseStunMessage(msg) {
+  if (!isStunMessage(msg)) {
+    throw new Error('Not a STUN message');
+  }
+
+  const type = msg.readUInt16BE(0);
+  const transactionId = msg.subarray(8, STUN_HEADER_SIZE);
+  const attributes = [];
+
+  let offset = STUN_HEADER_SIZE;
+  while (offset < msg.length) {
+    if (offset + 4 > msg.length) {
+      throw new Error('Truncated STUN attribute');
+    }
+    const attrType = msg.readUInt16BE(offset);
+    const length = msg.readUInt16BE(offset + 2);
+    const valueEnd = offset + 4 + length;
+    if (valueEnd > msg.length) {
+      throw new Error('Truncated STUN attribute');
+    }
+
+    if (attrType === STUN_ATTRIBUTES.FINGERPRINT) {
+      if (length !== 4 || valueEnd !== msg.length) {
+        throw new Error('FINGERPRINT must be the last attribute');
+      }
+      if ((crc32(msg.subarray(0, offset)) ^ FINGERPRINT_XOR) >>> 0 !== msg.readUInt32BE(offset + 4)) {
+        throw new Error('Invalid STUN FINGERPRINT');
+      }
+    }
+
+    attributes.push({ type: attrType, value: msg.subarray(offset + 4, valueEnd), offset });
+    offset = valueEnd + ((4 - (length % 4)) % 4);
+  }
+
+  return { type, transactionId, attributes };
+}
+
+/**
+ * Find an attribute value in a parsed message, or null
+ */
+export function getStunAttribute(message, type) {
+  return message.attributes.find(attribute => attribute.type === type)?.value || null;
+}
+
+/**
+ * Build a STUN message
+ * attributes: [{ type, value: Buffer }]; MESSAGE-INTEGRITY (when integrityKey
+ * is given) and FINGERPRINT are appended
+ */
+export function encodeStunMessage(type, transactionId, attributes = [], integrityKey = null) {
+  const parts = [];
+  for (const { type: attrType, value } of attributes) {
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(attrType, 0);
+    header.writeUInt16BE(value.length, 2);
+    parts.push(header, value, Buffer.alloc((4 - (value.length % 4)) % 4));
+  }
+
+  const header = Buffer.alloc(STUN_HEADER_SIZE);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt32BE(STUN_MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+
+  let body = Buffer.concat(parts);
+  if (integrityKey) {
+    // The length field covers MESSAGE-INTEGRITY when the HMAC is computed
+    header.writeUInt16BE(body.length + 24, 2);
+    const integrity = Buffer.alloc(4);
+    integrity.writeUInt16BE(STUN_ATTRIBUTES.MESSAGE_INTEGRITY, 0);
+    integrity.writeUInt16BE(20, 2);
+    const mac = crypto.createHmac('sha1', integrityKey).update(header).update(body).digest();
+    body = Buffer.concat([body, integrity, mac]);
+  }
+
+  // The length field covers FINGERPRINT when the CRC is computed
+  header.writeUInt16BE(body.length + 8, 2);
+  const unsigned = Buffer.concat([header, body]);
+
+  const fingerprint = Buffer.alloc(8);
+  fingerprint.writeUInt16BE(STUN_ATTRIBUTES.FINGERPRINT, 0);
+  fingerprint.writeUInt16BE(4, 2);
+  fingerprint.writeUInt32BE((crc32(unsigned) ^ FINGERPRINT_XOR) >>> 0, 4);
+  return Buffer.concat([unsigned, fingerprint]);
+}
+
+/**
+ * Check MESSAGE-INTEGRITY (HMAC-SHA1) of a parsed message
+ * msg: the raw datagram; key: see deriveLongTermKey
+ */
+export function verifyMessageIntegrity(msg, message, key) {
+  const attribute = message.attributes.find(({ type }) => type === STUN_ATTRIBUTES.MESSAGE_INTEGRITY);
+  if (!attribute || attribute.value.length !== 20) {
+    return false;
+  }
+  const signed = Buffer.from(msg.subarray(0, attribute.offset));
+  signed.writeUInt16BE(attribute.offset - STUN_HEADER_SIZE + 24, 2);
+  const expected = crypto.createHmac('sha1', key).update(signed).digest();
+  return crypto.timingSafeEqual(expected, attribute.value);
+}
+
+/**
+ * Long-term credential key (RFC 5389 15.4): MD5(username:realm:password)
+ */
+export function deriveLongTermKey(username, realm, password) {
+  return crypto.createHash('md5').update(`${username}:${realm}:${password}`).digest();
+}
+
+/**
+ * Encode an XOR-MAPPED-ADDRESS value (also XOR-PEER-ADDRESS, XOR-RELAYED-ADDRESS)
+ * IPv4-mapped IPv6 addresses should be normalized to IPv4 first.
+ */
+export function encodeXorAddress(address, port, transactionId) {
+  const xorPort = port ^ (STUN_MAGIC_COOKIE >>> 16);
+  if (net.isIPv4(address)) {
+    const value = Buffer.alloc(8);
+    value[1] = ADDRESS_FAMILY_IPV4;
+    value.writeUInt16BE(xorPort, 2);
+    const octets = address.split('.').map(Number);
+    value.writeUInt32BE((Buffer.from(octets).readUInt32BE(0) ^ STUN_MAGIC_COOKIE) >>> 0, 4);
+    return value;
+  }
+
+  if (!net.isIPv6(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+  const value = Buffer.alloc(20);
+  value[1] = ADDRESS_FAMILY_IPV6;
+  value.writeUInt16BE(xorPort, 2);
+  const mask = Buffer.concat([cookieBytes(), transactionId]);
+  const bytes = ipv6ToBytes(address);
+  for (let i = 0; i < 16; i++) {
+    value[4 + i] = bytes[i] ^ mask[i];
+  }
+  return value;
+}
+
+/**
+ * Decode an XOR-MAPPED-ADDRESS value
+ * Returns { address, port, family: 4 | 6 }
+ */
+export function decodeXorAddress(value, transactionId) {
+  if (value.length < 4) {
+    throw new Error('Truncated STUN address');
+  }
+  const port = value.readUInt16BE(2) ^ (STUN_MAGIC_COOKIE >>> 16);
+
+  if (value[1] === ADDRESS_FAMILY_IPV4 && value.length === 8) {
+    const ip = Buffer.alloc(4);
+    ip.writeUInt32BE((value.readUInt32BE(4) ^ STUN_MAGIC_COOKIE) >>> 0, 0);
+    return { address: [...ip].join('.'), port, family: 4 };
+  }
+  if (value[1] === ADDRESS_FAMILY_IPV6 && value.length === 20) {
+    const mask = Buffer.concat([cookieBytes(), transactionId]);
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+      groups.push((((value[4 + i] ^ mask[i]) << 8) | (value[5 + i] ^ mask[i + 1])).toString(16));
+    }
+    // Canonical (compressed) form, as reported for incoming datagrams
+    const address = new net.SocketAddress({ address: groups.join(':'), family: 'ipv6' }).address;
+    return { address, port, family: 6 };
+  }
+  throw new Error('Unsupported STUN address family');
+}
+
+/**
+ * Answer a Binding Request
+ * address/port: where the request came from, reported in XOR-MAPPED-ADDRESS
+ * Returns the response, or null for messages that get no response
+ * (indications and responses). Throws on malformed messages.
+ */
+export function buildBindingResponse(msg, address, port) {
+  const request = parseStunMessage(msg);
+  if (request.type !== STUN_TYPES.BINDING_REQUEST) {
+    return null;
+  }
+
+  const unknown = request.attributes
+    .map(attribute => attribute.type)
+    .filter(type => type < 0x8000 && !KNOWN_REQUIRED_ATTRIBUTES.has(type));
+  if (unknown.length > 0) {
+    const list = Buffer.alloc(unknown.length * 2);
+    unknown.forEach((type, i) => list.writeUInt16BE(type, i * 2));
+    return encodeStunMessage(STUN_TYPES.BINDING_ERROR, request.transactionId, [
+      { type: STUN_ATTRIBUTES.ERROR_CODE, value: encodeErrorCode(420, 'Unknown Attribute') },
+      { type: STUN_ATTRIBUTES.UNKNOWN_ATTRIBUTES, value: list }
+    ]);
+  }
+
+  return encodeStunMessage(STUN_TYPES.BINDING_SUCCESS, request.transactionId, [
+    { type: STUN_ATTRIBUTES.XOR_MAPPED_ADDRESS, value: encodeXorAddress(address, port, request.transactionId) }
+  ]);
+}
+
+/**
+ * ERROR-CODE value: [reserved(2)][class(1)][number(1)][reason phrase]
+ */
+export function encodeErrorCode(code, reason) {
+  const value = Buffer.alloc(4);
+  value[2] = Math.floor(code / 100);
+  value[3] = code % 100;
+  return Buffer.concat([value, Buffer.from(reason, 'utf8')]);
+}
+
+function cookieBytes() {
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32BE(STUN_MAGIC_COOKIE, 0);
+  return bytes;
+}
+
+function ipv6ToBytes(address) {
+  // Zone ids (fe80::1%eth0) are local to this host
+  const [head, tail = ''] = address.split('%')[0].split('::');
+  const parse = (part) => (part ? part.split(':') : []);
+  let groups = [...parse(head)];
+  let tailGroups = parse(tail);
+
+  // Embedded IPv4 in the last 32 bits (e.g. 64:ff9b::192.0.2.1)
+  const expand = (list) => list.flatMap(group => {
+    if (!net.isIPv4(group)) return [group];
+    const [a, b, c, d] = group.split('.').map(Number);
+    return [((a << 8) | b).toString(16), ((c << 8) | d).toString(16)];
+  });
+  groups = expand(groups);
+  tailGroups = expand(tailGroups);
+
+  const missing = address.includes('::') ? 8 - groups.length - tailGroups.length : 0;
+  const all = [...groups, ...new Array(missing).fill('0'), ...tailGroups];
+  const bytes = Buffer.alloc(16);
+  all.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+  return bytes;
+}
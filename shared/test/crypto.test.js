@@ -4,6 +4,11 @@ import {
   generateECDHKeyPair,
   computeECDHSecret,
   deriveAESKey,
+  deriveTrafficKeys,
+  deriveRekeyedSecret,
+  deriveClusterKey,
+  checkReplayWindow,
+  REPLAY_WINDOW_SIZE,
   encryptAES,
   decryptAES,
   signBinaryData,
@@ -17,7 +22,37 @@ import {
   decodeECDHInit,
   decodeECDHResponse,
   generateChallenge,
-  hashChallengeAnswer
+  generateChallengeKey,
+  generateSessionId,
+  generateCookieSecret,
+  createHelloCookie,
+  verifyHelloCookie,
+  derivePingKey,
+  encodePing,
+  decodePing,
+  verifyPing,
+  encodePong,
+  decodePong,
+  verifyPong,
+  encodePathResponse,
+  decodePathResponse,
+  verifyPathResponse,
+  encryptAESBytes,
+  decryptAESBytes,
+  encodeRegister,
+  decodeRegister,
+  encodeRegisterAck,
+  decodeRegisterAck,
+  encodeHeartbeat,
+  decodeHeartbeat,
+  encodeOffer,
+  decodeOffer,
+  encodeAnswer,
+  decodeAnswer,
+  encodeMigrate,
+  decodeMigrate,
+  signData,
+  verifySignature
 } from '../crypto.js';
 
 import { generateSigningKeyPair } from '../keys.js';
@@ -26,20 +61,30 @@ import {
   PROTOCOL_VERSION,
   MESSAGE_TYPES,
   buildUDPMessage,
-  parseUDPMessage
+  parseUDPMessage,
+  negotiateProtocol,
+  normalizeAddress,
+  formatIpPort,
+  parseIpPort,
+  encodeFragments,
+  decodeFragment,
+  encodeFragmentNack,
+  decodeFragmentNack,
+  ERROR_CODES,
+  encodeError,
+  decodeError
 } from '../protocol.js';
 
 describe('shared crypto utilities', () => {
-  test('challenge answer is deterministic', () => {
-    const challenge = generateChallenge();
-    const password = 'test-password';
-    const answer1 = hashChallengeAnswer(challenge, password);
-    const answer2 = hashChallengeAnswer(challenge, password);
-    assert.strictEqual(answer1, answer2);
+  test('challenge keys are random 32-byte hex values', () => {
+    const key1 = generateChallengeKey();
+    const key2 = generateChallengeKey();
+    assert.match(key1, /^[0-9a-f]{64}$/);
+    assert.notStrictEqual(key1, key2);
   });
 
   test('AES-GCM encrypt/decrypt roundtrip', () => {
-    const key = deriveAESKey('test-expected-answer');
+    const key = deriveAESKey('test-challenge-key');
     const data = { type: 'test', value: 123 };
     const encrypted = encryptAES(data, key);
     const decrypted = decryptAES(encrypted, key);
@@ -47,7 +92,7 @@ describe('shared crypto utilities', () => {
   });
 
   test('AES-GCM detects tampering', () => {
-    const key = deriveAESKey('test-expected-answer');
+    const key = deriveAESKey('test-challenge-key');
     const data = { type: 'test', value: 123 };
     const encrypted = encryptAES(data, key);
     
@@ -58,14 +103,68 @@ describe('shared crypto utilities', () => {
   });
 
   test('AES-GCM detects wrong key', () => {
-    const key1 = deriveAESKey('test-expected-answer-1');
-    const key2 = deriveAESKey('test-expected-answer-2');
+    const key1 = deriveAESKey('test-challenge-key-1');
+    const key2 = deriveAESKey('test-challenge-key-2');
     const data = { type: 'test', value: 123 };
     const encrypted = encryptAES(data, key1);
     
     assert.throws(() => decryptAES(encrypted, key2));
   });
 
+  test('traffic keys differ per direction and depend on both secrets', () => {
+    const sharedSecret = Buffer.alloc(32, 1);
+    const keys = deriveTrafficKeys(sharedSecret, 'answer-1');
+
+    assert.strictEqual(keys.serverToCoordinator.length, 32);
+    assert.notDeepStrictEqual(keys.serverToCoordinator, keys.coordinatorToServer);
+    assert.deepStrictEqual(deriveTrafficKeys(sharedSecret, 'answer-1'), keys);
+    assert.notDeepStrictEqual(deriveTrafficKeys(sharedSecret, 'answer-2'), keys);
+    assert.notDeepStrictEqual(deriveTrafficKeys(Buffer.alloc(32, 2), 'answer-1'), keys);
+  });
+
+  test('rekeyed secret mixes the fresh ECDH secret into the traffic secret', () => {
+    const trafficSecret = Buffer.alloc(32, 1);
+    const ecdh1 = generateECDHKeyPair();
+    const ecdh2 = generateECDHKeyPair();
+    const secret1 = computeECDHSecret(ecdh1.privateKey, ecdh2.publicKey, ecdh1.curve);
+    const secret2 = computeECDHSecret(ecdh2.privateKey, ecdh1.publicKey, ecdh2.curve);
+
+    const rekeyed = deriveRekeyedSecret(trafficSecret, secret1);
+    assert.strictEqual(rekeyed.length, 32);
+    assert.deepStrictEqual(deriveRekeyedSecret(trafficSecret, secret2), rekeyed);
+    assert.notDeepStrictEqual(rekeyed, trafficSecret);
+    assert.notDeepStrictEqual(deriveRekeyedSecret(Buffer.alloc(32, 2), secret1), rekeyed);
+  });
+
+  test('cluster key is derived from the shared secret', () => {
+    const key = deriveClusterKey('correct horse battery staple');
+    assert.strictEqual(key.length, 32);
+    assert.deepStrictEqual(deriveClusterKey('correct horse battery staple'), key);
+    assert.notDeepStrictEqual(deriveClusterKey('correct horse battery stable'), key);
+    assert.throws(() => deriveClusterKey('short'), /at least 16 characters/);
+    assert.throws(() => deriveClusterKey(undefined), /at least 16 characters/);
+  });
+
+  test('replay window accepts each sequence number once', () => {
+    let window = { highest: 0, bitmap: 0n };
+    const accept = (seq) => {
+      const next = checkReplayWindow(window, seq);
+      if (next) window = next;
+      return !!next;
+    };
+
+    assert.strictEqual(accept(1), true);
+    assert.strictEqual(accept(3), true);
+    assert.strictEqual(accept(2), true, 'reordered within the window');
+    assert.strictEqual(accept(2), false, 'replayed');
+    assert.strictEqual(accept(3), false, 'replayed highest');
+    assert.strictEqual(accept(3 + REPLAY_WINDOW_SIZE), true);
+    assert.strictEqual(accept(3), false, 'older than the window');
+    assert.strictEqual(accept(4), true, 'oldest in the window');
+    assert.strictEqual(accept(0), false);
+    assert.strictEqual(accept(undefined), false);
+  });
+
   test('ECDH shared secret matches on both sides', () => {
     const ecdh1 = generateECDHKeyPair();
     const ecdh2 = generateECDHKeyPair();
@@ -81,6 +180,60 @@ describe('shared crypto utilities', () => {
     assert.strictEqual(verifyBinarySignature(data, signature, keys.publicKey), true);
   });
 
+  test('authenticated PING roundtrip and tamper detection', () => {
+    const sessionId = generateSessionId();
+    const pingKey = derivePingKey(Buffer.from('shared-secret'));
+    const payload = encodePing(sessionId, 7, pingKey);
+
+    assert.strictEqual(payload.length, 32);
+    const ping = decodePing(payload);
+    assert.strictEqual(ping.sessionId, sessionId);
+    assert.strictEqual(ping.counter, 7);
+    assert.strictEqual(verifyPing(ping, pingKey), true);
+    assert.strictEqual(verifyPing(ping, derivePingKey(Buffer.from('other-secret'))), false);
+
+    const tampered = Buffer.from(payload);
+    tampered[15] ^= 0x01; // counter
+    assert.strictEqual(verifyPing(decodePing(tampered), pingKey), false);
+    assert.throws(() => decodePing(payload.subarray(0, 31)), /32 bytes/);
+  });
+
+  test('PONG address roundtrip is bound to the PING key', () => {
+    const pingKey = derivePingKey(Buffer.from('shared-secret'));
+    const payload = encodePong(3, '[2001:db8::1]:3478', pingKey);
+
+    const pong = decodePong(payload);
+    assert.strictEqual(pong.counter, 3);
+    assert.strictEqual(pong.ipPort, '[2001:db8::1]:3478');
+    assert.strictEqual(verifyPong(pong, pingKey), true);
+
+    // Rewriting the reported address breaks the MAC
+    const tampered = Buffer.from(payload);
+    tampered[10] ^= 0x01;
+    assert.strictEqual(verifyPong(decodePong(tampered), pingKey), false);
+    assert.throws(() => decodePong(payload.subarray(0, payload.length - 1)), /Invalid PONG/);
+  });
+
+  test('PATH_RESPONSE echoes the token under its own MAC label', () => {
+    const sessionId = generateSessionId();
+    const pingKey = derivePingKey(Buffer.from('shared-secret'));
+    const token = Buffer.from('0123456789abcdef', 'hex');
+    const payload = encodePathResponse(sessionId, token, pingKey);
+
+    const response = decodePathResponse(payload);
+    assert.strictEqual(response.sessionId, sessionId);
+    assert.deepStrictEqual(response.token, token);
+    assert.strictEqual(verifyPathResponse(response, pingKey), true);
+
+    // A PING with the same bytes is not a valid response
+    assert.strictEqual(verifyPathResponse(decodePathResponse(encodePing(sessionId, 1, pingKey)), pingKey), false);
+
+    const tampered = Buffer.from(payload);
+    tampered[12] ^= 0x01; // token
+    assert.strictEqual(verifyPathResponse(decodePathResponse(tampered), pingKey), false);
+    assert.throws(() => decodePathResponse(payload.subarray(0, 31)), /32 bytes/);
+  });
+
   test('binary signatures fail on tampering', () => {
     const keys = generateSigningKeyPair();
     const data = Buffer.from('test data');
@@ -111,6 +264,45 @@ describe('shared protocol helpers', () => {
     const decoded = decodeHelloAck(encoded);
     assert.deepStrictEqual(decoded.serverTag, serverTag);
     assert.deepStrictEqual(decoded.coordinatorTag, coordinatorTag);
+    assert.strictEqual(decoded.negotiated, null);
+  });
+
+  test('encodes and decodes HELLO with version range and capabilities', async () => {
+    const crypto = await import('crypto');
+    const serverTag = crypto.default.randomBytes(4);
+    const encoded = encodeHello(serverTag, { minVersion: 1, maxVersion: 3, capabilities: 0x80000005 });
+    assert.strictEqual(encoded.length, 10);
+    const decoded = decodeHello(encoded);
+    assert.deepStrictEqual(decoded.serverTag, serverTag);
+    assert.deepStrictEqual(decoded.negotiation, { minVersion: 1, maxVersion: 3, capabilities: 0x80000005 });
+
+    assert.strictEqual(decodeHello(serverTag).negotiation, null);
+    assert.throws(() => encodeHello(serverTag, { minVersion: 3, maxVersion: 1 }));
+    assert.throws(() => decodeHello(Buffer.alloc(7)));
+  });
+
+  test('encodes and decodes HELLO_ACK with negotiated version', async () => {
+    const crypto = await import('crypto');
+    const serverTag = crypto.default.randomBytes(4);
+    const coordinatorTag = crypto.default.randomBytes(4);
+    const encoded = encodeHelloAck(serverTag, coordinatorTag, { version: 2, capabilities: 0x3 });
+    assert.strictEqual(encoded.length, 13);
+    const decoded = decodeHelloAck(encoded);
+    assert.deepStrictEqual(decoded.coordinatorTag, coordinatorTag);
+    assert.deepStrictEqual(decoded.negotiated, { version: 2, capabilities: 0x3 });
+  });
+
+  test('negotiates the highest common version and shared capabilities', () => {
+    const coordinator = { minVersion: 1, maxVersion: 3, capabilities: 0b0111 };
+    assert.deepStrictEqual(
+      negotiateProtocol(coordinator, { minVersion: 2, maxVersion: 5, capabilities: 0b1101 }),
+      { version: 3, capabilities: 0b0101 }
+    );
+    assert.deepStrictEqual(
+      negotiateProtocol(coordinator, { minVersion: 1, maxVersion: 1, capabilities: 0 }),
+      { version: 1, capabilities: 0 }
+    );
+    assert.strictEqual(negotiateProtocol(coordinator, { minVersion: 4, maxVersion: 6, capabilities: 0 }), null);
   });
 
   test('encodes and decodes ECDH init payload', async () => {
@@ -122,6 +314,28 @@ describe('shared protocol helpers', () => {
     const decoded = decodeECDHInit(encoded);
     assert.deepStrictEqual(decoded.coordinatorTag, coordinatorTag);
     assert.deepStrictEqual(decoded.ecdhPublicKey, ecdh.publicKey);
+    assert.strictEqual(decoded.negotiated, null);
+  });
+
+  test('encodes and decodes ECDH init with the negotiated block', () => {
+    const ecdh = generateECDHKeyPair();
+    const negotiated = { version: 1, capabilities: 0b101 };
+    const decoded = decodeECDHInit(encodeECDHInit(Buffer.alloc(4), ecdh.publicKey, negotiated));
+    assert.deepStrictEqual(decoded.ecdhPublicKey, ecdh.publicKey);
+    assert.deepStrictEqual(decoded.negotiated, negotiated);
+  });
+
+  test('HELLO cookies are bound to address, bucket and negotiated protocol', () => {
+    const secret = generateCookieSecret();
+    const negotiated = { version: 1, capabilities: 3 };
+    const cookie = createHelloCookie(secret, 100, '203.0.113.5:3478', negotiated);
+
+    assert.strictEqual(cookie.length, 4);
+    assert.strictEqual(verifyHelloCookie(cookie, secret, 100, '203.0.113.5:3478', negotiated), true);
+    assert.strictEqual(verifyHelloCookie(cookie, secret, 101, '203.0.113.5:3478', negotiated), false);
+    assert.strictEqual(verifyHelloCookie(cookie, secret, 100, '203.0.113.5:3479', negotiated), false);
+    assert.strictEqual(verifyHelloCookie(cookie, secret, 100, '203.0.113.5:3478', { version: 1, capabilities: 1 }), false);
+    assert.strictEqual(verifyHelloCookie(cookie, generateCookieSecret(), 100, '203.0.113.5:3478', negotiated), false);
   });
 
   test('encodes and decodes ECDH response payload', () => {
@@ -137,6 +351,7 @@ describe('shared protocol helpers', () => {
     const payload = Buffer.from('hello');
     const msg = buildUDPMessage(MESSAGE_TYPES.PING, payload);
     const parsed = parseUDPMessage(msg);
+    assert.strictEqual(parsed.version, PROTOCOL_VERSION);
     assert.strictEqual(parsed.messageType, MESSAGE_TYPES.PING);
     assert.deepStrictEqual(parsed.payload, payload);
   });
@@ -146,4 +361,162 @@ describe('shared protocol helpers', () => {
     const msg = Buffer.concat([Buffer.from([PROTOCOL_VERSION + 1, MESSAGE_TYPES.PING]), payload]);
     assert.throws(() => parseUDPMessage(msg));
   });
+
+  test('splits a payload into fragments and decodes them back', () => {
+    const payload = Buffer.from('x'.repeat(250));
+    const fragments = encodeFragments(0xdeadbeef, MESSAGE_TYPES.OFFER, payload, 100);
+
+    assert.strictEqual(fragments.length, 3);
+    const decoded = fragments.map(decodeFragment);
+    assert.ok(decoded.every(f => f.fragmentId === 0xdeadbeef && f.count === 3 && f.messageType === MESSAGE_TYPES.OFFER));
+    assert.deepStrictEqual(decoded.map(f => f.index), [0, 1, 2]);
+    assert.deepStrictEqual(Buffer.concat(decoded.map(f => f.chunk)), payload);
+  });
+
+  test('rejects fragments of non-SDP messages and malformed headers', () => {
+    assert.throws(() => encodeFragments(1, MESSAGE_TYPES.PING, Buffer.from('x'), 10), /cannot be fragmented/);
+    assert.throws(() => encodeFragments(1, MESSAGE_TYPES.OFFER, Buffer.alloc(100), 1), /limit is 32/);
+
+    const [fragment] = encodeFragments(1, MESSAGE_TYPES.ANSWER, Buffer.from('abc'), 10);
+    const badIndex = Buffer.from(fragment);
+    badIndex[5] = 1; // index 1 of 1
+    assert.throws(() => decodeFragment(badIndex), /Invalid fragment header/);
+    assert.throws(() => decodeFragment(fragment.subarray(0, 7)), /too short/);
+  });
+
+  test('encodes and decodes fragment NACKs', () => {
+    const nack = decodeFragmentNack(encodeFragmentNack(42, [1, 3]));
+    assert.deepStrictEqual(nack, { fragmentId: 42, missing: [1, 3] });
+    assert.throws(() => decodeFragmentNack(Buffer.alloc(4)), /Invalid fragment NACK/);
+  });
+});
+
+describe('Binary message bodies', () => {
+  const keys = generateSigningKeyPair();
+  const serverPublicKey = keys.publicKey.replace(/-----[A-Z ]+-----|\s/g, '');
+
+  test('ANSWER roundtrip keeps the signature valid and is smaller than JSON', () => {
+    const payload = {
+      sdp: { type: 'answer', sdp: 'v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\n' },
+      candidates: [{ candidate: 'candidate:1 1 udp 2122260223 192.0.2.1 54400 typ host', sdpMid: '0' }]
+    };
+    const signed = { serverPublicKey, sessionId: 'session-1', timestamp: Date.now(), payload };
+    const answer = {
+      type: 'answer',
+      ...signed,
+      signature: signData(signed, keys.privateKey),
+      signatureAlgorithm: 'ed25519',
+      seq: 7
+    };
+
+    const encoded = encodeAnswer(answer);
+    const decoded = decodeAnswer(encoded);
+    assert.deepStrictEqual(decoded, answer);
+    assert.ok(encoded.length < Buffer.byteLength(JSON.stringify(answer)));
+
+    const { serverPublicKey: key, sessionId, timestamp } = decoded;
+    assert.strictEqual(verifySignature({ serverPublicKey: key, sessionId, timestamp, payload: decoded.payload },
+      decoded.signature, keys.publicKey), true);
+  });
+
+  test('REGISTER, HEARTBEAT, OFFER and MIGRATE roundtrip', () => {
+    const challenge = generateChallenge();
+    const register = {
+      serverPublicKey,
+      timestamp: Date.now(),
+      payload: { challenge, challengeKey: generateChallengeKey() },
+      signature: 'ab'.repeat(64)
+    };
+    assert.deepStrictEqual(decodeRegister(encodeRegister(register)), register);
+
+    const ack = { status: 'ok', type: 'register', sessionId: generateSessionId() };
+    assert.deepStrictEqual(decodeRegisterAck(encodeRegisterAck(ack)), ack);
+
+    const heartbeat = {
+      type: 'heartbeat',
+      payload: { newChallenge: challenge, challengeKey: generateChallengeKey() },
+      seq: 2
+    };
+    assert.deepStrictEqual(decodeHeartbeat(encodeHeartbeat(heartbeat)), heartbeat);
+
+    const offer = { type: 'offer', sessionId: 'session-1', timestamp: 1, payload: { sdp: 'v=0' } };
+    assert.deepStrictEqual(decodeOffer(encodeOffer(offer)), offer);
+
+    const migrate = {
+      type: 'migrate',
+      timestamp: Date.now(),
+      payload: { host: 'coordinator.example.com', port: 3478, publicKey: serverPublicKey },
+      seq: 300
+    };
+    assert.deepStrictEqual(decodeMigrate(encodeMigrate(migrate)), migrate);
+  });
+
+  test('rejects values without a binary form and malformed bodies', () => {
+    const heartbeat = { type: 'heartbeat', payload: { newChallenge: 'ABCD', challengeKey: '00' } };
+    assert.throws(() => encodeHeartbeat(heartbeat), /lowercase hex/);
+    assert.throws(() => encodeOffer({ type: 'offer', sessionId: 's', extra: 1 }), /no binary encoding/);
+    assert.throws(() => encodeOffer({ type: 'answer', sessionId: 's' }), /offer message/);
+
+    const encoded = encodeOffer({ type: 'offer', sessionId: 'session-1', timestamp: 1, payload: {} });
+    assert.throws(() => decodeOffer(encoded.subarray(0, encoded.length - 1)), /Truncated/);
+    assert.throws(() => decodeOffer(Buffer.concat([encoded, encoded])), /Duplicate field/);
+
+    // Unknown tags from newer peers are skipped
+    const withUnknown = Buffer.concat([encoded, Buffer.from([0xF0, 0x00, 0x01, 0x2A])]);
+    assert.deepStrictEqual(decodeOffer(withUnknown), decodeOffer(encoded));
+  });
+
+  test('raw AES-GCM roundtrip', () => {
+    const key = Buffer.alloc(32, 3);
+    const body = Buffer.from([0x01, 0x00, 0x01, 0x05]);
+    assert.deepStrictEqual(decryptAESBytes(encryptAESBytes(body, key), key), body);
+    assert.throws(() => decryptAESBytes(encryptAESBytes(body, key), Buffer.alloc(32, 4)), /Decryption failed/);
+  });
+});
+
+describe('ERROR codes', () => {
+  test('encodes and decodes codes with and without retry-after', () => {
+    assert.deepStrictEqual(decodeError(encodeError(ERROR_CODES.RATE_LIMITED, 1500)), {
+      code: ERROR_CODES.RATE_LIMITED,
+      name: 'rate-limited',
+      retryAfterMs: 2000
+    });
+    assert.strictEqual(encodeError(ERROR_CODES.UNKNOWN_SESSION).length, 1);
+    assert.deepStrictEqual(decodeError(encodeError(ERROR_CODES.UNKNOWN_SESSION)), {
+      code: ERROR_CODES.UNKNOWN_SESSION,
+      name: 'unknown-session',
+      retryAfterMs: 0
+    });
+  });
+
+  test('decodes empty and unassigned codes as unknown', () => {
+    assert.strictEqual(decodeError(Buffer.alloc(0)).name, 'unknown');
+    assert.strictEqual(decodeError(Buffer.from([0x7F])).name, 'unknown');
+  });
+});
+
+describe('ipPort addressing', () => {
+  test('formats IPv4 and IPv6 keys', () => {
+    assert.strictEqual(formatIpPort('203.0.113.5', 3478), '203.0.113.5:3478');
+    assert.strictEqual(formatIpPort('2001:db8::1', 3478), '[2001:db8::1]:3478');
+  });
+
+  test('normalizes IPv4-mapped IPv6 addresses to IPv4', () => {
+    assert.strictEqual(normalizeAddress('::ffff:127.0.0.1'), '127.0.0.1');
+    assert.strictEqual(normalizeAddress('::1'), '::1');
+    assert.strictEqual(formatIpPort('::ffff:198.51.100.7', 5000), '198.51.100.7:5000');
+  });
+
+  test('parses keys back to address and port', () => {
+    assert.deepStrictEqual(parseIpPort('203.0.113.5:3478'), { address: '203.0.113.5', port: 3478 });
+    assert.deepStrictEqual(parseIpPort('[2001:db8::1]:3478'), { address: '2001:db8::1', port: 3478 });
+    assert.deepStrictEqual(parseIpPort(formatIpPort('fe80::1', 1)), { address: 'fe80::1', port: 1 });
+  });
+
+  test('rejects malformed keys', () => {
+    assert.throws(() => parseIpPort('2001:db8::1'));
+    assert.throws(() => parseIpPort('[::1]'));
+    assert.throws(() => parseIpPort('127.0.0.1:99999'));
+    assert.throws(() => parseIpPort('127.0.0.1'));
+  });
 });
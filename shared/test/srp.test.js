@@ -0,0 +1,54 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import { createVerifier, SRPServerSession, SRPClientSession } from '../srp.js';
+
+describe('SRP-6a', () => {
+  const verifier = createVerifier('alice', 'correct horse');
+
+  const exchange = (username, password) => {
+    const client = new SRPClientSession(username, password);
+    const server = new SRPServerSession(verifier, client.clientPublic);
+    const proof = client.computeProof(server.salt, server.serverPublic);
+    return { client, server, proof };
+  };
+
+  test('should create a salted verifier', () => {
+    assert.strictEqual(verifier.username, 'alice');
+    assert.match(verifier.salt, /^[0-9a-f]{32}$/);
+    assert.notStrictEqual(createVerifier('alice', 'correct horse').verifier, verifier.verifier);
+    assert.strictEqual(createVerifier('alice', 'correct horse', verifier.salt).verifier, verifier.verifier);
+  });
+
+  test('should agree on proofs with the right password', () => {
+    const { client, server, proof } = exchange('alice', 'correct horse');
+    const serverProof = server.verifyClientProof(proof);
+    assert.match(serverProof, /^[0-9a-f]{64}$/);
+    assert.strictEqual(client.verifyServerProof(serverProof), true);
+    assert.strictEqual(client.verifyServerProof('00'.repeat(32)), false);
+    assert.strictEqual(client.password, null);
+  });
+
+  test('should reject a wrong password or identity', () => {
+    const wrongPassword = exchange('alice', 'wrong horse');
+    assert.strictEqual(wrongPassword.server.verifyClientProof(wrongPassword.proof), null);
+    const wrongIdentity = exchange('bob', 'correct horse');
+    assert.strictEqual(wrongIdentity.server.verifyClientProof(wrongIdentity.proof), null);
+  });
+
+  test('should accept one proof per session', () => {
+    const { server, proof } = exchange('alice', 'correct horse');
+    assert.strictEqual(server.verifyClientProof('00'.repeat(32)), null);
+    assert.strictEqual(server.verifyClientProof(proof), null);
+  });
+
+  test('should reject public values that are zero mod N', () => {
+    const modulus = crypto.getDiffieHellman('modp14').getPrime('hex');
+    for (const value of ['0', modulus, 'not-hex', 'f'.repeat(modulus.length + 2)]) {
+      assert.throws(() => new SRPServerSession(verifier, value), /Invalid SRP client public value/);
+    }
+
+    const client = new SRPClientSession('alice', 'x');
+    assert.throws(() => client.computeProof(verifier.salt, '00'), /Invalid SRP server public value/);
+  });
+});
@@ -0,0 +1,109 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import {
+  STUN_TYPES,
+  STUN_ATTRIBUTES,
+  isStunMessage,
+  parseStunMessage,
+  encodeStunMessage,
+  encodeXorAddress,
+  decodeXorAddress,
+  buildBindingResponse,
+  verifyMessageIntegrity,
+  deriveLongTermKey
+} from '../stun.js';
+import { buildUDPMessage, MESSAGE_TYPES } from '../protocol.js';
+
+// RFC 5769 test vectors
+const TRANSACTION_ID = Buffer.from('b7e7a701bc34d686fa87dfae', 'hex');
+const SAMPLE_REQUEST = Buffer.from(
+  '000100582112a442b7e7a701bc34d686fa87dfae' +
+  '802200105354554e207465737420636c69656e74' +
+  '002400046e0001ff' +
+  '80290008932ff9b151263b36' +
+  '000600096576746a3a68367659202020' +
+  '000800149aeaa70cbfd8cb56781ef2b5b2d3f249c1b571a2' +
+  '80280004e57a3bcf',
+  'hex'
+);
+
+const bindingRequest = (attributes = []) => encodeStunMessage(STUN_TYPES.BINDING_REQUEST, TRANSACTION_ID, attributes);
+
+describe('STUN', () => {
+  test('should tell STUN from HomeChannel messages', () => {
+    assert.strictEqual(isStunMessage(SAMPLE_REQUEST), true);
+    assert.strictEqual(isStunMessage(bindingRequest()), true);
+    assert.strictEqual(isStunMessage(buildUDPMessage(MESSAGE_TYPES.PING, Buffer.alloc(30))), false);
+    assert.strictEqual(isStunMessage(Buffer.alloc(20)), false, 'no magic cookie');
+  });
+
+  test('should parse the RFC 5769 sample request and check its FINGERPRINT', () => {
+    const message = parseStunMessage(SAMPLE_REQUEST);
+    assert.strictEqual(message.type, STUN_TYPES.BINDING_REQUEST);
+    assert.deepStrictEqual(message.transactionId, TRANSACTION_ID);
+    const username = message.attributes.find(attribute => attribute.type === STUN_ATTRIBUTES.USERNAME);
+    assert.strictEqual(username.value.toString(), 'evtj:h6vY');
+
+    const corrupted = Buffer.from(SAMPLE_REQUEST);
+    corrupted[30] ^= 1;
+    assert.throws(() => parseStunMessage(corrupted), /FINGERPRINT/);
+  });
+
+  test('should check MESSAGE-INTEGRITY', () => {
+    // RFC 5769 sample request uses a short-term credential: the key is the password
+    const key = Buffer.from('VOkJxbRl1RmTxUk/WvJxBt');
+    assert.strictEqual(verifyMessageIntegrity(SAMPLE_REQUEST, parseStunMessage(SAMPLE_REQUEST), key), true);
+    assert.strictEqual(verifyMessageIntegrity(SAMPLE_REQUEST, parseStunMessage(SAMPLE_REQUEST), Buffer.from('wrong')), false);
+
+    const longTermKey = deriveLongTermKey('user', 'homechannel', 'password');
+    const signed = encodeStunMessage(STUN_TYPES.ALLOCATE_REQUEST, TRANSACTION_ID, [
+      { type: STUN_ATTRIBUTES.USERNAME, value: Buffer.from('user') }
+    ], longTermKey);
+    const message = parseStunMessage(signed);
+    assert.strictEqual(verifyMessageIntegrity(signed, message, longTermKey), true);
+    assert.strictEqual(message.attributes.at(-1).type, STUN_ATTRIBUTES.FINGERPRINT);
+  });
+
+  test('should encode XOR-MAPPED-ADDRESS like RFC 5769', () => {
+    const ipv4 = encodeXorAddress('192.0.2.1', 32853, TRANSACTION_ID);
+    assert.strictEqual(ipv4.toString('hex'), '0001a147e112a643');
+    assert.deepStrictEqual(decodeXorAddress(ipv4, TRANSACTION_ID), { address: '192.0.2.1', port: 32853, family: 4 });
+
+    const ipv6 = encodeXorAddress('2001:db8:1234:5678:11:2233:4455:6677', 32853, TRANSACTION_ID);
+    assert.strictEqual(ipv6.toString('hex'), '0002a1470113a9faa5d3f179bc25f4b5bed2b9d9');
+    assert.deepStrictEqual(decodeXorAddress(ipv6, TRANSACTION_ID),
+      { address: '2001:db8:1234:5678:11:2233:4455:6677', port: 32853, family: 6 });
+
+    const compressed = encodeXorAddress('2001:db8::1', 5000, TRANSACTION_ID);
+    assert.strictEqual(decodeXorAddress(compressed, TRANSACTION_ID).address, '2001:db8::1');
+  });
+
+  test('should answer Binding Requests with the source address', () => {
+    const response = buildBindingResponse(SAMPLE_REQUEST, '203.0.113.5', 40000);
+    const message = parseStunMessage(response);
+    assert.strictEqual(message.type, STUN_TYPES.BINDING_SUCCESS);
+    assert.deepStrictEqual(message.transactionId, TRANSACTION_ID);
+
+    const mapped = message.attributes.find(attribute => attribute.type === STUN_ATTRIBUTES.XOR_MAPPED_ADDRESS);
+    assert.deepStrictEqual(decodeXorAddress(mapped.value, TRANSACTION_ID), { address: '203.0.113.5', port: 40000, family: 4 });
+    assert.strictEqual(message.attributes.at(-1).type, STUN_ATTRIBUTES.FINGERPRINT);
+  });
+
+  test('should reject unknown comprehension-required attributes with 420', () => {
+    const request = bindingRequest([{ type: 0x0777, value: Buffer.alloc(4) }, { type: 0x8777, value: Buffer.alloc(4) }]);
+    const message = parseStunMessage(buildBindingResponse(request, '203.0.113.5', 40000));
+    assert.strictEqual(message.type, STUN_TYPES.BINDING_ERROR);
+
+    const errorCode = message.attributes.find(attribute => attribute.type === STUN_ATTRIBUTES.ERROR_CODE).value;
+    assert.strictEqual(errorCode[2] * 100 + errorCode[3], 420);
+    const unknown = message.attributes.find(attribute => attribute.type === STUN_ATTRIBUTES.UNKNOWN_ATTRIBUTES).value;
+    assert.strictEqual(unknown.toString('hex'), '0777');
+  });
+
+  test('should not answer responses or indications', () => {
+    const response = encodeStunMessage(STUN_TYPES.BINDING_SUCCESS, TRANSACTION_ID);
+    assert.strictEqual(buildBindingResponse(response, '203.0.113.5', 40000), null);
+    const indication = encodeStunMessage(0x0011, TRANSACTION_ID);
+    assert.strictEqual(buildBindingResponse(indication, '203.0.113.5', 40000), null);
+  });
+});
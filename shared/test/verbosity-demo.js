@@ -10,17 +10,17 @@ import { generateSigningKeyPair } from '../keys.js';
 console.log('=== Verbosity Demo ===\n');
 
 // Generate test keys
-const serverKeys = { ...generateSigningKeyPair(), password: 'test-password' };
-const coordinatorKeys = { ...generateSigningKeyPair(), password: 'coordinator-password' };
+const serverKeys = generateSigningKeyPair();
+const coordinatorKeys = generateSigningKeyPair();
 
 // Mock registry for coordinator
 const mockRegistry = {
-  register: (publicKey, ipPort, challenge, challengeAnswerHash) => {
+  register: (publicKey, ipPort, challenge, challengeKey) => {
     console.log(`[Registry] Registered server at ${ipPort}`);
   },
   updateTimestamp: (ipPort) => true,
-  getExpectedAnswer: (ipPort) => null,
-  updateChallenge: (ipPort, challenge, challengeAnswerHash) => {}
+  getServerByIpPort: (ipPort) => null,
+  updateChallenge: (ipPort, challenge, challengeKey) => {}
 };
 
 async function demo() {
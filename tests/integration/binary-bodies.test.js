@@ -0,0 +1,129 @@
+/**
+ * Integration Test: Binary message bodies
+ *
+ * A real UDPClient and UDPServer negotiate BINARY_BODIES. REGISTER, HEARTBEAT,
+ * OFFER, ANSWER and MIGRATE must work with TLV bodies, ANSWERs must be smaller
+ * than their JSON form, and servers without the capability keep JSON.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { TestCleanupHandler, cleanupClient } from '../utils/test-helpers.js';
+import { UDPClient, UDPServer, MESSAGE_TYPES, CAPABILITIES, SUPPORTED_CAPABILITIES } from '../../shared/protocol.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+
+const ANSWER = {
+  sessionId: 'session-1',
+  sdp: { type: 'answer', sdp: 'v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n' },
+  candidates: [{ candidate: 'candidate:1 1 udp 2122260223 192.0.2.1 54400 typ host', sdpMid: '0' }]
+};
+
+describe('Binary message bodies', () => {
+  let cleanup;
+  let registry;
+  let udpServer;
+  let coordinatorKeys;
+  let coordinatorPort;
+
+  const startClient = async (capabilities = SUPPORTED_CAPABILITIES) => {
+    const client = new UDPClient('127.0.0.1', coordinatorPort, generateSigningKeyPair(), {
+      coordinatorPublicKey: coordinatorKeys.publicKey,
+      capabilities,
+      verbosity: 0
+    });
+    const registered = new Promise((resolve) => client.on('registered', resolve));
+    cleanup.add(() => cleanupClient(client));
+    await client.start();
+    await registered;
+    return client;
+  };
+
+  /**
+   * Send an answer and return the relayed message and the size of its datagram
+   */
+  const answerAndMeasure = async (client) => {
+    const socket = client.socket;
+    const original = socket.send;
+    const send = original.bind(socket);
+    let size = 0;
+    socket.send = (message, ...args) => {
+      if (message[1] === MESSAGE_TYPES.ANSWER) {
+        size = message.length;
+      }
+      send(message, ...args);
+    };
+
+    const answered = new Promise((resolve) => udpServer.on('answer', resolve));
+    try {
+      await client.sendAnswer(ANSWER);
+    } finally {
+      socket.send = original;
+    }
+    const answer = await answered;
+    udpServer.on('answer', () => {});
+    return { answer, size };
+  };
+
+  before(async () => {
+    cleanup = new TestCleanupHandler();
+    registry = new ServerRegistry();
+    coordinatorKeys = generateSigningKeyPair();
+    udpServer = new UDPServer(registry, coordinatorKeys, { port: 0, verbosity: 0 });
+    await udpServer.start();
+    coordinatorPort = udpServer.socket.address().port;
+
+    cleanup.add(async () => {
+      await udpServer.stop();
+      registry.destroy();
+    });
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should exchange every message type with TLV bodies', async () => {
+    const client = await startClient();
+    assert.strictEqual(client.hasCapability(CAPABILITIES.BINARY_BODIES), true);
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+
+    const { answer } = await answerAndMeasure(client);
+    assert.strictEqual(answer.sessionId, 'session-1');
+    assert.deepStrictEqual(answer.payload, { sdp: ANSWER.sdp, candidates: ANSWER.candidates });
+
+    const heartbeat = new Promise((resolve) => udpServer.on('heartbeat', resolve));
+    client.sendHeartbeat();
+    await heartbeat;
+    udpServer.on('heartbeat', () => {});
+    assert.strictEqual(registry.getServerByIpPort(ipPort).challengeKey, client.challengeKey);
+
+    // The coordinator uses the refreshed keys
+    const offerReceived = new Promise((resolve) => client.on('offer', resolve));
+    await udpServer.sendOfferToServer(ipPort, 'session-2', { sdp: 'v=0' });
+    assert.deepStrictEqual(await offerReceived, { sessionId: 'session-2', payload: { sdp: 'v=0' } });
+
+    const migrated = new Promise((resolve) => client.on('migrate', resolve));
+    const target = { host: 'coordinator.example.com', port: 3479, publicKey: coordinatorKeys.publicKey };
+    await udpServer.sendMigrate(ipPort, target);
+    assert.deepStrictEqual(await migrated, target);
+  });
+
+  test('should keep JSON bodies for servers without the capability', async () => {
+    const binary = await startClient();
+    const json = await startClient(SUPPORTED_CAPABILITIES & ~CAPABILITIES.BINARY_BODIES);
+    assert.strictEqual(json.hasCapability(CAPABILITIES.BINARY_BODIES), false);
+
+    const binaryAnswer = await answerAndMeasure(binary);
+    const jsonAnswer = await answerAndMeasure(json);
+
+    assert.deepStrictEqual(jsonAnswer.answer.payload, binaryAnswer.answer.payload);
+    assert.ok(binaryAnswer.size < jsonAnswer.size,
+      `binary ANSWER (${binaryAnswer.size} bytes) should be smaller than JSON (${jsonAnswer.size} bytes)`);
+
+    const ipPort = `127.0.0.1:${json.socket.address().port}`;
+    const offerReceived = new Promise((resolve) => json.on('offer', resolve));
+    await udpServer.sendOfferToServer(ipPort, 'session-3', { sdp: 'v=0' });
+    assert.strictEqual((await offerReceived).sessionId, 'session-3');
+  });
+});
@@ -13,7 +13,7 @@ import { HTTPSServer } from '../../coordinator/https.js';
 import { ServerRegistry } from '../../coordinator/registry.js';
 import { UDPServer } from '../../shared/protocol.js';
 import { generateSigningKeyPair } from '../../shared/keys.js';
-import { generateChallenge, hashChallengeAnswer, unwrapPublicKey } from '../../shared/crypto.js';
+import { generateChallenge, generateChallengeKey, unwrapPublicKey } from '../../shared/crypto.js';
 import { generateSelfSignedCertificate, isOpenSSLAvailable } from '../../shared/tls.js';
 
 describe('Client-Coordinator HTTPS Integration', () => {
@@ -41,7 +41,7 @@ describe('Client-Coordinator HTTPS Integration', () => {
       sessionTimeout: 60000,
       relayOffer,
       getServerByPublicKey: (publicKey) => registry.getServerByPublicKey(publicKey),
-      verifyChallenge: (publicKey, answer) => registry.verifyChallenge(publicKey, answer)
+      verifyChallenge: (publicKey, challenge) => registry.verifyChallenge(publicKey, challenge)
     };
     
     if (isOpenSSLAvailable()) {
@@ -72,15 +72,15 @@ describe('Client-Coordinator HTTPS Integration', () => {
   });
 
   test('POST /api/servers lists registered servers', async () => {
-    // Register a test server using correct API: register(serverPublicKey, ipPort, challenge, expectedAnswer)
+    // Register a test server using correct API: register(serverPublicKey, ipPort, challenge, challengeKey)
     const serverKeys = generateSigningKeyPair();
     const challenge = generateChallenge();
-    const expectedAnswer = hashChallengeAnswer(challenge, 'test-password');
+    const challengeKey = generateChallengeKey();
     const serverIpPort = '192.168.1.100:12345';
     
     // Registry stores base64 keys (unwrapped)
     const serverKeyBase64 = unwrapPublicKey(serverKeys.publicKey);
-    registry.register(serverKeyBase64, serverIpPort, challenge, expectedAnswer);
+    registry.register(serverKeyBase64, serverIpPort, challenge, challengeKey);
     
     const response = await makeRequest('POST', '/api/servers', {
       serverPublicKeys: [serverKeyBase64],
@@ -97,21 +97,20 @@ describe('Client-Coordinator HTTPS Integration', () => {
   });
 
   test('POST /api/connect initiates connection', async () => {
-    // Register a test server using correct API: register(serverPublicKey, ipPort, challenge, expectedAnswer)
+    // Register a test server using correct API: register(serverPublicKey, ipPort, challenge, challengeKey)
     const serverKeys = generateSigningKeyPair();
     const challenge = generateChallenge();
-    const password = 'test-password';
-    const expectedAnswer = hashChallengeAnswer(challenge, password);
+    const challengeKey = generateChallengeKey();
     const serverIpPort = '192.168.1.100:12346';
     
     // Registry stores base64 keys (unwrapped)
     const serverKeyBase64 = unwrapPublicKey(serverKeys.publicKey);
-    registry.register(serverKeyBase64, serverIpPort, challenge, expectedAnswer);
+    registry.register(serverKeyBase64, serverIpPort, challenge, challengeKey);
     
-    // Use the same expectedAnswer as the challenge answer (hashed password)
+    // The client presents the server's current challenge
     const response = await makeRequest('POST', '/api/connect', {
       serverPublicKey: serverKeyBase64,
-      challengeAnswer: expectedAnswer,
+      challenge,
       payload: {
         sdp: 'v=0\r\no=- 1234 1234 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n',
         candidates: []
@@ -127,20 +126,19 @@ describe('Client-Coordinator HTTPS Integration', () => {
   test('POST /api/connect rejects invalid challenge', async () => {
     const serverKeys = generateSigningKeyPair();
     const challenge = generateChallenge();
-    const password = 'test-password';
-    const expectedAnswer = hashChallengeAnswer(challenge, password);
+    const challengeKey = generateChallengeKey();
     const serverIpPort = '192.168.1.100:12347';
     
     // Registry stores base64 keys (unwrapped)
     const serverKeyBase64 = unwrapPublicKey(serverKeys.publicKey);
-    registry.register(serverKeyBase64, serverIpPort, challenge, expectedAnswer);
+    registry.register(serverKeyBase64, serverIpPort, challenge, challengeKey);
     
-    // Wrong challenge answer
-    const wrongAnswer = hashChallengeAnswer(challenge, 'wrong-password');
+    // Challenge the server has not issued (or already replaced)
+    const staleChallenge = generateChallenge();
     
     const response = await makeRequest('POST', '/api/connect', {
       serverPublicKey: serverKeyBase64,
-      challengeAnswer: wrongAnswer,
+      challenge: staleChallenge,
       payload: {
         sdp: 'v=0\r\no=- 1234 1234 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n',
         candidates: []
@@ -156,18 +154,17 @@ describe('Client-Coordinator HTTPS Integration', () => {
     // Register server and create session
     const serverKeys = generateSigningKeyPair();
     const challenge = generateChallenge();
-    const password = 'test-password';
-    const expectedAnswer = hashChallengeAnswer(challenge, password);
+    const challengeKey = generateChallengeKey();
     const serverIpPort = '192.168.1.100:12348';
     
     // Registry stores base64 keys (unwrapped)
     const serverKeyBase64 = unwrapPublicKey(serverKeys.publicKey);
-    registry.register(serverKeyBase64, serverIpPort, challenge, expectedAnswer);
+    registry.register(serverKeyBase64, serverIpPort, challenge, challengeKey);
     
     // Create connection
     const connectResponse = await makeRequest('POST', '/api/connect', {
       serverPublicKey: serverKeyBase64,
-      challengeAnswer: expectedAnswer,
+      challenge,
       payload: {
         sdp: 'v=0\r\no=- 1234 1234 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n',
         candidates: []
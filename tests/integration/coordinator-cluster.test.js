@@ -0,0 +1,252 @@
+/**
+ * Integration Test: Coordinator cluster
+ *
+ * Two Coordinator instances peer over the cluster link. A real UDPClient
+ * registers with node A only; node B must learn the entry by gossip, relay an
+ * offer through A, and receive the server's answer for its own session. Offers
+ * and answers larger than one datagram are fragmented. Forged and replayed
+ * cluster datagrams must be dropped, and silent nodes forgotten.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import dgram from 'dgram';
+import path from 'path';
+import { TestCleanupHandler, cleanupClient, createTempDir, waitForCondition } from '../utils/test-helpers.js';
+import { UDPClient, MAX_DATAGRAM_SIZE } from '../../shared/protocol.js';
+import { deriveClusterKey, encryptAES, decryptAES, verifySignature, wrapPublicKey } from '../../shared/crypto.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+import { Coordinator } from '../../coordinator/index.js';
+import { CLUSTER_PROTOCOL_VERSION } from '../../coordinator/cluster.js';
+
+const SECRET = 'test cluster secret value';
+
+describe('Coordinator cluster', () => {
+  let cleanup;
+  let tmpDir;
+  let nodeA;
+  let nodeB;
+  let client;
+  let serverPublicKey;
+
+  const startNode = async (nodeId, peers) => {
+    const coordinator = new Coordinator({
+      udp: { port: 0, host: '127.0.0.1' },
+      https: { port: 0, host: '127.0.0.1' },
+      serverTimeout: 120000,
+      maxServers: 10,
+      privateKeyPath: path.join(tmpDir.path, `${nodeId}.key`),
+      publicKeyPath: path.join(tmpDir.path, `${nodeId}.pub`),
+      cluster: { nodeId, host: '127.0.0.1', port: 0, secret: SECRET, peers, gossipIntervalMs: 200, verbosity: 0 }
+    });
+    await coordinator.init();
+    await coordinator.udpServer.start();
+    await coordinator.cluster.start();
+
+    cleanup.add(async () => {
+      await coordinator.cluster.stop();
+      await coordinator.udpServer.stop();
+      coordinator.registry.destroy();
+    });
+    return coordinator;
+  };
+
+  const createSession = (coordinator, sessionId) => {
+    coordinator.httpsServer.sessions.set(sessionId, {
+      clientOffer: { sdp: 'v=0', candidates: [] },
+      timestamp: Date.now(),
+      serverPublicKey,
+      answer: null,
+      trickle: false,
+      clientCandidates: [],
+      serverCandidates: [],
+      serverCandidatesComplete: false
+    });
+  };
+
+  before(async () => {
+    cleanup = new TestCleanupHandler();
+    tmpDir = await createTempDir();
+    cleanup.add(tmpDir.cleanup);
+
+    // B knows A; A learns B's address from B's first gossip round
+    nodeA = await startNode('a', []);
+    nodeB = await startNode('b', [{ host: '127.0.0.1', port: nodeA.cluster.socket.address().port }]);
+
+    client = new UDPClient('127.0.0.1', nodeA.udpServer.socket.address().port, generateSigningKeyPair(), {
+      coordinatorPublicKey: nodeA.coordinatorKeys.publicKey,
+      verbosity: 0
+    });
+    const registered = new Promise((resolve) => client.on('registered', resolve));
+    cleanup.add(() => cleanupClient(client));
+    await client.start();
+    await registered;
+    [serverPublicKey] = nodeA.registry.servers.keys();
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should gossip registrations to peer nodes', async () => {
+    await waitForCondition(() => nodeB.cluster.getServer(serverPublicKey));
+
+    const entry = nodeB.cluster.getServer(serverPublicKey);
+    assert.strictEqual(entry.nodeId, 'a');
+    assert.strictEqual(nodeB.registry.getServerByPublicKey(serverPublicKey), undefined);
+    assert.strictEqual(nodeB.findServer(serverPublicKey).challenge, nodeA.registry.getServerByPublicKey(serverPublicKey).challenge);
+    assert.strictEqual(nodeB.httpsServer.verifyChallenge(serverPublicKey, client.challenge), true);
+    assert.strictEqual(nodeB.httpsServer.verifyChallenge(serverPublicKey, 'wrong-answer'), false);
+  });
+
+  test('should forward offers to the owning node and answers back', async () => {
+    await waitForCondition(() => nodeB.cluster.getServer(serverPublicKey) && nodeA.cluster.nodes.has('b'));
+
+    const sessionId = 'cluster-session-1';
+    createSession(nodeB, sessionId);
+
+    const offerReceived = new Promise((resolve) => client.on('offer', resolve));
+    await nodeB.httpsServer.relayOffer({ sessionId, payload: { sdp: 'v=0', candidates: [] }, serverPublicKey });
+    assert.strictEqual((await offerReceived).sessionId, sessionId);
+
+    // Forward a little later than the server signed, so a send time cannot pass for the signed one
+    let signed = null;
+    nodeA.udpServer.addListener('answer', (message) => {
+      signed = message;
+    });
+    const forwardAnswer = nodeA.cluster.forwardAnswer.bind(nodeA.cluster);
+    nodeA.cluster.forwardAnswer = (id, answer) => {
+      setTimeout(() => forwardAnswer(id, answer), 20);
+      return true;
+    };
+
+    try {
+      await client.sendAnswer({ sessionId, sdp: { type: 'answer', sdp: 'v=0' } });
+      await waitForCondition(() => nodeB.httpsServer.sessions.get(sessionId).answer);
+    } finally {
+      nodeA.cluster.forwardAnswer = forwardAnswer;
+    }
+
+    const { answer } = nodeB.httpsServer.sessions.get(sessionId);
+    assert.strictEqual(answer.serverPublicKey, serverPublicKey);
+    assert.strictEqual(answer.timestamp, signed.timestamp);
+    assert.deepStrictEqual(answer.payload, signed.payload);
+    assert.strictEqual(verifySignature(
+      { serverPublicKey: answer.serverPublicKey, sessionId, timestamp: answer.timestamp, payload: answer.payload },
+      answer.signature,
+      wrapPublicKey(serverPublicKey)
+    ), true, 'the client can verify the forwarded answer');
+    assert.strictEqual(nodeA.httpsServer.sessions.has(sessionId), false);
+  });
+
+  test('should drop forged and replayed cluster messages', async () => {
+    const clusterPort = nodeB.cluster.socket.address().port;
+    const received = [];
+    const handleGossip = nodeB.cluster.handleGossip.bind(nodeB.cluster);
+    nodeB.cluster.handleGossip = (message) => {
+      received.push(message.id);
+      handleGossip(message);
+    };
+
+    // Capture one genuine gossip datagram from node A
+    const socket = nodeA.cluster.socket;
+    const original = socket.send;
+    const send = original.bind(socket);
+    const captured = [];
+    socket.send = (message, ...args) => {
+      captured.push(Buffer.from(message));
+      send(message, ...args);
+    };
+    try {
+      await nodeA.cluster.gossip(serverPublicKey);
+    } finally {
+      socket.send = original;
+    }
+    const [genuine] = captured;
+    const { id } = decryptAES(genuine.subarray(1), deriveClusterKey(SECRET));
+    await waitForCondition(() => received.includes(id));
+
+    const attacker = dgram.createSocket('udp4');
+    cleanup.add(() => new Promise(resolve => attacker.close(resolve)));
+    const sendRaw = (datagram) => new Promise((resolve) => attacker.send(datagram, clusterPort, '127.0.0.1', resolve));
+
+    const forged = encryptAES({
+      type: 'gossip',
+      from: 'mallory',
+      id: 'forged-1',
+      sentAt: Date.now(),
+      servers: [{ publicKey: 'forged-key', challenge: 'c', timestamp: Date.now() }]
+    }, deriveClusterKey('some other cluster secret'));
+    await sendRaw(Buffer.concat([Buffer.from([CLUSTER_PROTOCOL_VERSION]), forged]));
+    await sendRaw(genuine);
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    assert.strictEqual(nodeB.cluster.getServer('forged-key'), null);
+    assert.strictEqual(nodeB.cluster.nodes.has('mallory'), false);
+    assert.strictEqual(received.filter(seen => seen === id).length, 1, 'replayed datagram is ignored');
+  });
+
+  test('should fragment offers and answers larger than one datagram', async () => {
+    await waitForCondition(() => nodeB.cluster.getServer(serverPublicKey) && nodeA.cluster.nodes.has('b'));
+
+    // Record the size of every cluster datagram either node sends
+    const sizes = [];
+    for (const node of [nodeA, nodeB]) {
+      const socket = node.cluster.socket;
+      const original = socket.send;
+      socket.send = function (message, ...args) {
+        sizes.push(message.length);
+        return original.call(this, message, ...args);
+      };
+      cleanup.add(() => { socket.send = original; });
+    }
+
+    const sessionId = 'cluster-session-large';
+    createSession(nodeB, sessionId);
+    const largeSdp = `v=0\r\n${'a=x-padding:0123456789abcdef\r\n'.repeat(150)}`;
+
+    const offerReceived = new Promise((resolve) => client.on('offer', resolve));
+    await nodeB.httpsServer.relayOffer({ sessionId, payload: { sdp: largeSdp, candidates: [] }, serverPublicKey });
+    assert.strictEqual((await offerReceived).payload.sdp, largeSdp);
+
+    await client.sendAnswer({ sessionId, sdp: { type: 'answer', sdp: largeSdp } });
+    await waitForCondition(() => nodeB.httpsServer.sessions.get(sessionId).answer);
+
+    assert.ok(sizes.length > 2, 'messages were split');
+    assert.ok(sizes.every(size => size <= MAX_DATAGRAM_SIZE), `datagram sizes: ${sizes.join(', ')}`);
+    assert.strictEqual(nodeB.cluster.fragments.size, 0);
+    assert.strictEqual(nodeA.cluster.fragments.size, 0);
+  });
+
+  test('should gossip registrations when the UDP handlers are replaced', async () => {
+    const registeredKeys = [];
+    nodeA.udpServer.on('register', ({ serverPublicKey: key }) => registeredKeys.push(key));
+    const gossiped = [];
+    const gossip = nodeA.cluster.gossip.bind(nodeA.cluster);
+    nodeA.cluster.gossip = (key = null) => {
+      gossiped.push(key);
+      return gossip(key);
+    };
+    cleanup.add(() => { nodeA.cluster.gossip = gossip; });
+
+    const second = new UDPClient('127.0.0.1', nodeA.udpServer.socket.address().port, generateSigningKeyPair(), {
+      coordinatorPublicKey: nodeA.coordinatorKeys.publicKey,
+      verbosity: 0
+    });
+    const registered = new Promise((resolve) => second.on('registered', resolve));
+    cleanup.add(() => cleanupClient(second));
+    await second.start();
+    await registered;
+
+    await waitForCondition(() => registeredKeys.length === 1);
+    assert.ok(gossiped.includes(registeredKeys[0]), 'the cluster listener still gossips the new server');
+  });
+
+  test('should forget nodes not heard from within serverTimeout', () => {
+    nodeB.cluster.nodes.set('gone', { address: '127.0.0.1', port: 9, lastSeen: Date.now() - 120001 });
+    nodeB.cluster.prune();
+
+    assert.strictEqual(nodeB.cluster.nodes.has('gone'), false);
+    assert.strictEqual(nodeB.cluster.nodes.has('a'), true);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Integration Test: Automatic failover to the saved failover coordinator
+ *
+ * A real Server registered with a real primary coordinator fails over to the
+ * coordinator saved in failover-coordinator.json after N reconnects, persists
+ * that state, and fails back once the primary answers again.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import fs from 'fs/promises';
+import { TestCleanupHandler, waitForCondition, createTempDir } from '../utils/test-helpers.js';
+import { UDPServer } from '../../shared/protocol.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+import { Server } from '../../server/index.js';
+
+/**
+ * Start a coordinator UDP server, optionally on a fixed port with existing keys
+ */
+async function startCoordinator(keys = generateSigningKeyPair(), port = 0) {
+  const registry = new ServerRegistry();
+  const udpServer = new UDPServer(registry, keys, { port, verbosity: 0 });
+  await udpServer.start();
+  return { registry, keys, udpServer, port: udpServer.socket.address().port };
+}
+
+async function stopCoordinator({ udpServer, registry }) {
+  await udpServer.stop();
+  registry.destroy();
+}
+
+/**
+ * Deliver the 'reconnecting' events the UDPClient emits after exhausting its HELLO retries
+ */
+function simulateReconnects(udpClient, count) {
+  for (let i = 0; i < count; i++) {
+    udpClient.handlers.get('reconnecting')({ delay: 0 });
+  }
+}
+
+describe('Coordinator failover', () => {
+  let cleanup;
+  let tmpDir;
+  let failoverPath;
+  let primary;
+  let backup;
+
+  const createServer = (failover) => new Server({
+    coordinator: {
+      host: '127.0.0.1',
+      port: primary.port,
+      publicKey: primary.keys.publicKey
+    },
+    failover,
+    password: 'test-password',
+    privateKeyPath: path.join(tmpDir.path, 'server.key'),
+    publicKeyPath: path.join(tmpDir.path, 'server.pub'),
+    _failoverPath: failoverPath
+  });
+
+  const readFailoverFile = async () => JSON.parse(await fs.readFile(failoverPath, 'utf8'));
+
+  before(async () => {
+    cleanup = new TestCleanupHandler();
+    tmpDir = await createTempDir();
+    failoverPath = path.join(tmpDir.path, 'failover-coordinator.json');
+
+    primary = await startCoordinator();
+    backup = await startCoordinator();
+
+    cleanup.add(async () => {
+      await stopCoordinator(primary);
+      await stopCoordinator(backup);
+      await tmpDir.cleanup();
+    });
+
+    // Failover coordinator as saved by an earlier MIGRATE
+    await fs.writeFile(failoverPath, JSON.stringify({
+      host: '127.0.0.1',
+      port: backup.port,
+      publicKey: backup.keys.publicKey,
+      timestamp: Date.now()
+    }));
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should reject an unknown failback policy', async () => {
+    const server = createServer({ failback: 'sometimes' });
+    await assert.rejects(server.init(), /Invalid failover.failback policy/);
+  });
+
+  test('should fail over after N reconnects and fail back when the primary returns', async () => {
+    const server = createServer({ afterReconnects: 2, failback: 'auto' });
+    cleanup.add(() => server.stop());
+
+    await server.start();
+    const [link] = server.coordinatorLinks;
+    await waitForCondition(() => link.udpClient.registered);
+
+    // Primary goes away
+    const primaryPort = primary.port;
+    await stopCoordinator(primary);
+
+    // Below the threshold nothing happens
+    const primaryClient = link.udpClient;
+    simulateReconnects(primaryClient, 1);
+    assert.strictEqual(link.udpClient, primaryClient);
+
+    simulateReconnects(primaryClient, 1);
+    await waitForCondition(() => link.udpClient !== primaryClient && link.udpClient.registered);
+
+    assert.strictEqual(backup.registry.getStats().totalServers, 1);
+    const [health] = server.getCoordinatorHealth();
+    assert.strictEqual(health.port, backup.port);
+    assert.strictEqual(health.failover, true);
+    assert.strictEqual((await readFailoverFile()).activeFor, `127.0.0.1:${primaryPort}`);
+    assert.ok(link.failbackClient, 'Primary should be probed for failback');
+
+    // Primary comes back on the same port with the same keys
+    primary = await startCoordinator(primary.keys, primaryPort);
+
+    await waitForCondition(() => !server.getCoordinatorHealth()[0].failover, 15000);
+
+    assert.strictEqual(link.udpClient.registered, true);
+    assert.strictEqual(server.getCoordinatorHealth()[0].port, primaryPort);
+    assert.strictEqual(link.failbackClient, null);
+    assert.strictEqual((await readFailoverFile()).activeFor, null);
+
+    await server.stop();
+  });
+
+  test('should resume on the failover coordinator after a restart', async () => {
+    // Persisted state from a previous run that had failed over
+    const saved = await readFailoverFile();
+    saved.activeFor = `127.0.0.1:${primary.port}`;
+    await fs.writeFile(failoverPath, JSON.stringify(saved));
+
+    const server = createServer({ failback: 'never' });
+    cleanup.add(() => server.stop());
+
+    await server.start();
+    const [link] = server.coordinatorLinks;
+
+    assert.strictEqual(link.active.port, backup.port);
+    assert.strictEqual(link.failbackClient, null, "'never' must not probe the primary");
+    await waitForCondition(() => link.udpClient.registered);
+    assert.strictEqual(server.getCoordinatorHealth()[0].failover, true);
+
+    await server.stop();
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Integration Test: Fragmented OFFER/ANSWER
+ *
+ * A real UDPClient and UDPServer with a small datagram limit exchange offers
+ * and answers that do not fit in one datagram, including a lost fragment that
+ * has to be requested again.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { TestCleanupHandler, cleanupClient } from '../utils/test-helpers.js';
+import { UDPClient, UDPServer, MESSAGE_TYPES, CAPABILITIES, SUPPORTED_CAPABILITIES } from '../../shared/protocol.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+
+const MAX_DATAGRAM_SIZE = 300;
+
+// Offer/answer payload with enough candidates to need several fragments
+function largePayload(type) {
+  return {
+    sdp: { type, sdp: 'v=0\r\n'.repeat(40) },
+    candidates: Array.from({ length: 20 }, (_, i) => ({
+      candidate: `candidate:${i} 1 udp 2122260223 192.168.1.${i} 5${i}000 typ host`,
+      sdpMLineIndex: 0,
+      sdpMid: 'data'
+    }))
+  };
+}
+
+/**
+ * Record the datagrams passing through socket.send, optionally dropping the
+ * first one of a given type; restore() puts the original send back
+ */
+function interceptSends(socket, dropType = null) {
+  const original = socket.send;
+  const send = original.bind(socket);
+  const sent = [];
+  const dropped = [];
+  socket.send = (message, ...args) => {
+    if (dropType !== null && dropped.length === 0 && message[1] === dropType) {
+      dropped.push(message);
+      const callback = args.find(arg => typeof arg === 'function');
+      if (callback) callback(null);
+      return;
+    }
+    sent.push(message);
+    send(message, ...args);
+  };
+  return {
+    sent,
+    dropped,
+    restore: () => {
+      socket.send = original;
+    }
+  };
+}
+
+describe('Fragmented OFFER/ANSWER', () => {
+  let cleanup;
+  let registry;
+  let udpServer;
+  let coordinatorKeys;
+
+  const startClient = async (capabilities = SUPPORTED_CAPABILITIES) => {
+    const client = new UDPClient(
+      '127.0.0.1',
+      udpServer.socket.address().port,
+      generateSigningKeyPair(),
+      {
+        coordinatorPublicKey: coordinatorKeys.publicKey,
+        capabilities,
+        maxDatagramSize: MAX_DATAGRAM_SIZE,
+        verbosity: 0
+      }
+    );
+    const registered = new Promise((resolve) => client.on('registered', resolve));
+    cleanup.add(() => cleanupClient(client));
+    await client.start();
+    await registered;
+    return client;
+  };
+
+  before(async () => {
+    cleanup = new TestCleanupHandler();
+    registry = new ServerRegistry();
+    coordinatorKeys = generateSigningKeyPair();
+
+    udpServer = new UDPServer(registry, coordinatorKeys, {
+      port: 0,
+      maxDatagramSize: MAX_DATAGRAM_SIZE,
+      verbosity: 0
+    });
+    await udpServer.start();
+
+    cleanup.add(async () => {
+      await udpServer.stop();
+      registry.destroy();
+    });
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should deliver a fragmented offer and answer', async () => {
+    const client = await startClient();
+    assert.strictEqual(client.hasCapability(CAPABILITIES.FRAGMENTATION), true);
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+
+    const offerPayload = largePayload('offer');
+    const offerReceived = new Promise((resolve) => client.on('offer', resolve));
+    const sends = interceptSends(udpServer.socket);
+    try {
+      await udpServer.sendOfferToServer(ipPort, 'session-1', offerPayload);
+    } finally {
+      sends.restore();
+    }
+    const offer = await offerReceived;
+
+    assert.strictEqual(offer.sessionId, 'session-1');
+    assert.deepStrictEqual(offer.payload, offerPayload);
+    assert.ok(sends.sent.length > 1);
+    assert.ok(sends.sent.every(message => message[1] === MESSAGE_TYPES.FRAGMENT));
+    assert.ok(sends.sent.every(message => message.length <= MAX_DATAGRAM_SIZE));
+
+    const answerPayload = largePayload('answer');
+    const answerReceived = new Promise((resolve) => udpServer.on('answer', resolve));
+    await client.sendAnswer({ sessionId: 'session-1', ...answerPayload });
+    const answer = await answerReceived;
+
+    assert.strictEqual(answer.sessionId, 'session-1');
+    assert.deepStrictEqual(answer.payload, answerPayload);
+  });
+
+  test('should request and resend a lost fragment', async () => {
+    const client = await startClient();
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+
+    const offerPayload = largePayload('offer');
+    const offerReceived = new Promise((resolve) => client.on('offer', resolve));
+    const sends = interceptSends(udpServer.socket, MESSAGE_TYPES.FRAGMENT);
+    let offer;
+    try {
+      await udpServer.sendOfferToServer(ipPort, 'session-2', offerPayload);
+      // Delivered only after the client's FRAGMENT_NACK triggers a resend
+      offer = await offerReceived;
+    } finally {
+      sends.restore();
+    }
+
+    assert.strictEqual(sends.dropped.length, 1);
+    assert.deepStrictEqual(sends.sent.at(-1), sends.dropped[0]);
+    assert.deepStrictEqual(offer.payload, offerPayload);
+  });
+
+  test('should send unfragmented to peers without the capability', async () => {
+    const client = await startClient(SUPPORTED_CAPABILITIES & ~CAPABILITIES.FRAGMENTATION);
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+
+    const offerReceived = new Promise((resolve) => client.on('offer', resolve));
+    const sends = interceptSends(udpServer.socket);
+    try {
+      await udpServer.sendOfferToServer(ipPort, 'session-3', largePayload('offer'));
+    } finally {
+      sends.restore();
+    }
+    await offerReceived;
+
+    assert.deepStrictEqual(sends.sent.map(message => message[1]), [MESSAGE_TYPES.OFFER]);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Integration Test: Stateless HELLO cookies
+ *
+ * Raw datagrams against a real UDPServer: HELLOs leave no per-source state,
+ * and the coordinator tag from HELLO_ACK only opens an ECDH session when it is
+ * echoed from the address it was sent to, before the cookie expires.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { TestCleanupHandler, waitForCondition } from '../utils/test-helpers.js';
+import {
+  UDPServer,
+  MESSAGE_TYPES,
+  MAX_PROTOCOL_VERSION,
+  bindUDPSocket,
+  buildUDPMessage,
+  parseUDPMessage
+} from '../../shared/protocol.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+import {
+  generateECDHKeyPair,
+  encodeHello,
+  decodeHelloAck,
+  encodeECDHInit
+} from '../../shared/crypto.js';
+
+const NEGOTIATION = { minVersion: 1, maxVersion: MAX_PROTOCOL_VERSION, capabilities: 0 };
+
+describe('Stateless HELLO cookies', () => {
+  let cleanup;
+  let registry;
+  let coordinatorKeys;
+
+  const startCoordinator = async (options = {}) => {
+    const udpServer = new UDPServer(registry, coordinatorKeys, { port: 0, verbosity: 0, ...options });
+    await udpServer.start();
+    cleanup.add(() => udpServer.stop());
+    return udpServer;
+  };
+
+  /**
+   * Raw socket that records the messages it receives
+   */
+  const openPeer = async (udpServer) => {
+    const { socket } = await bindUDPSocket(0);
+    cleanup.add(() => new Promise(resolve => socket.close(resolve)));
+    const received = [];
+    socket.on('message', (msg) => received.push(parseUDPMessage(msg)));
+
+    // Dual-stack sockets reach IPv4 peers through IPv4-mapped addresses
+    const address = socket.address().family === 'IPv6' ? '::ffff:127.0.0.1' : '127.0.0.1';
+    const send = (type, payload) => new Promise((resolve, reject) => {
+      socket.send(buildUDPMessage(type, payload), udpServer.socket.address().port, address,
+        err => err ? reject(err) : resolve());
+    });
+    const ipPort = `127.0.0.1:${socket.address().port}`;
+    return { socket, received, send, ipPort };
+  };
+
+  const hello = async (peer, negotiation = NEGOTIATION) => {
+    await peer.send(MESSAGE_TYPES.HELLO, encodeHello(Buffer.from([1, 2, 3, 4]), negotiation));
+    await waitForCondition(() => peer.received.some(m => m.messageType === MESSAGE_TYPES.HELLO_ACK), 2000, 10);
+    const ack = peer.received.find(m => m.messageType === MESSAGE_TYPES.HELLO_ACK);
+    peer.received.length = 0;
+    return decodeHelloAck(ack.payload);
+  };
+
+  const ecdhInit = (peer, ack) => peer.send(
+    MESSAGE_TYPES.ECDH_INIT,
+    encodeECDHInit(ack.coordinatorTag, generateECDHKeyPair().publicKey, ack.negotiated)
+  );
+
+  before(() => {
+    cleanup = new TestCleanupHandler();
+    registry = new ServerRegistry();
+    coordinatorKeys = generateSigningKeyPair();
+    cleanup.add(() => registry.destroy());
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should keep no state for HELLOs', async () => {
+    const udpServer = await startCoordinator({ maxHelloPerMinute: 100 });
+    const peer = await openPeer(udpServer);
+
+    for (let i = 0; i < 20; i++) {
+      await hello(peer);
+    }
+
+    assert.strictEqual(udpServer.ecdhSessions.size, 0);
+    assert.ok(udpServer.helloCookieSecrets.size <= 2);
+  });
+
+  test('should accept the cookie only from the address it was sent to', async () => {
+    const udpServer = await startCoordinator();
+    const peer = await openPeer(udpServer);
+    const attacker = await openPeer(udpServer);
+    const ack = await hello(peer);
+
+    await ecdhInit(attacker, ack);
+    await ecdhInit(peer, ack);
+    await waitForCondition(() => peer.received.some(m => m.messageType === MESSAGE_TYPES.ECDH_RESPONSE), 2000, 10);
+
+    assert.deepStrictEqual([...udpServer.ecdhSessions.keys()], [peer.ipPort]);
+    assert.strictEqual(attacker.received.length, 0);
+  });
+
+  test('should bind the cookie to the negotiated protocol', async () => {
+    const udpServer = await startCoordinator();
+    const peer = await openPeer(udpServer);
+    const ack = await hello(peer);
+
+    // Claiming capabilities the coordinator did not agree to breaks the cookie
+    await ecdhInit(peer, { ...ack, negotiated: { ...ack.negotiated, capabilities: 0xFF } });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.strictEqual(udpServer.ecdhSessions.size, 0);
+
+    // Legacy servers echo no negotiated block
+    const legacy = await openPeer(udpServer);
+    const legacyAck = await hello(legacy, null);
+    assert.strictEqual(legacyAck.negotiated, null);
+    await ecdhInit(legacy, legacyAck);
+    await waitForCondition(() => udpServer.ecdhSessions.has(legacy.ipPort), 2000, 10);
+    assert.strictEqual(udpServer.ecdhSessions.get(legacy.ipPort).capabilities, 0);
+  });
+
+  test('should reject expired cookies', async () => {
+    const udpServer = await startCoordinator({ helloCookieBucketMs: 100 });
+    const peer = await openPeer(udpServer);
+    const ack = await hello(peer);
+
+    // Two buckets later the secret is gone
+    await new Promise(resolve => setTimeout(resolve, 250));
+    await hello(await openPeer(udpServer));
+    await ecdhInit(peer, ack);
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.strictEqual(udpServer.ecdhSessions.size, 0);
+    assert.strictEqual(peer.received.length, 0);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Integration Test: Coordinator-initiated migration
+ *
+ * Drains a real coordinator with UDPServer.migrateAll() and checks that a real
+ * Server re-registers with the target coordinator and switches over to it.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import fs from 'fs/promises';
+import { TestCleanupHandler, waitForCondition, createTempDir } from '../utils/test-helpers.js';
+import { UDPServer } from '../../shared/protocol.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+import { Server } from '../../server/index.js';
+
+describe('Coordinator migration', () => {
+  let cleanup;
+  let tmpDir;
+  let source;
+  let target;
+  let server;
+
+  before(async () => {
+    cleanup = new TestCleanupHandler();
+    tmpDir = await createTempDir();
+
+    const startCoordinator = async () => {
+      const registry = new ServerRegistry();
+      const keys = generateSigningKeyPair();
+      const udpServer = new UDPServer(registry, keys, { port: 0, verbosity: 0 });
+      await udpServer.start();
+      return { registry, keys, udpServer, port: udpServer.socket.address().port };
+    };
+
+    source = await startCoordinator();
+    target = await startCoordinator();
+
+    cleanup.add(async () => {
+      for (const { udpServer, registry } of [source, target]) {
+        await udpServer.stop();
+        registry.destroy();
+      }
+      await tmpDir.cleanup();
+    });
+
+    server = new Server({
+      coordinator: {
+        host: '127.0.0.1',
+        port: source.port,
+        publicKey: source.keys.publicKey
+      },
+      password: 'test-password',
+      privateKeyPath: path.join(tmpDir.path, 'server.key'),
+      publicKeyPath: path.join(tmpDir.path, 'server.pub'),
+      _failoverPath: path.join(tmpDir.path, 'failover-coordinator.json')
+    });
+
+    cleanup.add(() => server.stop());
+
+    await server.start();
+    await waitForCondition(() => source.registry.getStats().totalServers === 1);
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should reject an incomplete migration target', async () => {
+    const [ipPort] = source.registry.ipPortIndex.keys();
+
+    await assert.rejects(
+      source.udpServer.sendMigrate(ipPort, { host: '127.0.0.1', port: target.port }),
+      /Invalid migration target/
+    );
+    await assert.rejects(
+      source.udpServer.migrateAll({ host: '127.0.0.1', port: 0, publicKey: 'key' }),
+      /Invalid migration target/
+    );
+  });
+
+  test('should reject MIGRATE for an unregistered server', async () => {
+    await assert.rejects(
+      source.udpServer.sendMigrate('127.0.0.1:9', {
+        host: '127.0.0.1',
+        port: target.port,
+        publicKey: target.keys.publicKey
+      }),
+      /Server not found/
+    );
+  });
+
+  test('should move every registered server to the target coordinator', async () => {
+    const [link] = server.coordinatorLinks;
+    const originalClient = link.udpClient;
+
+    const result = await source.udpServer.migrateAll({
+      host: '127.0.0.1',
+      port: target.port,
+      publicKey: target.keys.publicKey
+    });
+
+    assert.deepStrictEqual(result, { migrated: 1, failed: [] });
+
+    await waitForCondition(
+      () => target.registry.getStats().totalServers === 1 && link.udpClient !== originalClient
+    );
+
+    assert.strictEqual(link.coordinator.port, target.port);
+    assert.strictEqual(link.coordinator.publicKey, target.keys.publicKey);
+    assert.strictEqual(link.udpClient.registered, true);
+    assert.strictEqual(originalClient.socket, null, 'Old coordinator client should be stopped');
+
+    const saved = JSON.parse(await fs.readFile(path.join(tmpDir.path, 'failover-coordinator.json'), 'utf8'));
+    assert.strictEqual(saved.port, target.port);
+  });
+});
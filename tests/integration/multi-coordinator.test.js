@@ -0,0 +1,128 @@
+/**
+ * Integration Test: Server registered with several coordinators
+ *
+ * Runs a real Server against two real coordinator UDP servers and checks that
+ * each coordinator gets an independent registration, that offers from either
+ * are answered through the coordinator that sent them, and that per-coordinator
+ * health is reported.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import fs from 'fs/promises';
+import { TestCleanupHandler, waitForCondition, createTempDir } from '../utils/test-helpers.js';
+import { UDPServer } from '../../shared/protocol.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+import { Server } from '../../server/index.js';
+
+describe('Server with multiple coordinators', () => {
+  let cleanup;
+  let tmpDir;
+  let coordinators;
+  let server;
+
+  before(async () => {
+    cleanup = new TestCleanupHandler();
+    tmpDir = await createTempDir();
+
+    // Two independent coordinators, each with its own registry and keys
+    coordinators = [];
+    for (let i = 0; i < 2; i++) {
+      const registry = new ServerRegistry();
+      const keys = generateSigningKeyPair();
+      const udpServer = new UDPServer(registry, keys, { port: 0, verbosity: 0 });
+      await udpServer.start();
+      coordinators.push({ registry, keys, udpServer, port: udpServer.socket.address().port });
+    }
+
+    cleanup.add(async () => {
+      for (const { udpServer, registry } of coordinators) {
+        await udpServer.stop();
+        registry.destroy();
+      }
+      await tmpDir.cleanup();
+    });
+
+    server = new Server({
+      coordinator: coordinators.map(({ port, keys }) => ({
+        host: '127.0.0.1',
+        port,
+        publicKey: keys.publicKey
+      })),
+      password: 'test-password',
+      privateKeyPath: path.join(tmpDir.path, 'server.key'),
+      publicKeyPath: path.join(tmpDir.path, 'server.pub'),
+      _failoverPath: path.join(tmpDir.path, 'failover-coordinator.json')
+    });
+
+    cleanup.add(() => server.stop());
+
+    await server.start();
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should register independently with every coordinator', async () => {
+    await waitForCondition(() => coordinators.every(({ registry }) => registry.getStats().totalServers === 1));
+
+    assert.strictEqual(server.coordinatorLinks.length, 2);
+    const [first, second] = server.coordinatorLinks;
+    assert.notStrictEqual(first.udpClient, second.udpClient, 'Each coordinator needs its own client');
+    assert.notStrictEqual(
+      first.udpClient.socket.address().port,
+      second.udpClient.socket.address().port,
+      'Each coordinator needs its own socket'
+    );
+  });
+
+  test('should report per-coordinator health', async () => {
+    await waitForCondition(() => server.coordinatorLinks.every(link => link.udpClient.registered));
+
+    const health = server.getCoordinatorHealth();
+    assert.strictEqual(health.length, 2);
+    for (const [index, entry] of health.entries()) {
+      assert.strictEqual(entry.host, '127.0.0.1');
+      assert.strictEqual(entry.port, coordinators[index].port);
+      assert.strictEqual(entry.state, 'registered');
+      assert.strictEqual(entry.registered, true);
+      assert.ok(entry.registeredAt, 'Registration time should be recorded');
+      assert.strictEqual(entry.reconnects, 0);
+    }
+  });
+
+  test('should answer offers through the coordinator that relayed them', async () => {
+    const received = [];
+    server.handleOffer = async (sessionId, payload, udpClient) => {
+      received.push({ sessionId, udpClient });
+    };
+
+    for (const [index, { udpServer, registry }] of coordinators.entries()) {
+      const [ipPort] = registry.ipPortIndex.keys();
+      await udpServer.sendOfferToServer(ipPort, `session-${index}`, { sdp: 'v=0' });
+    }
+
+    await waitForCondition(() => received.length === 2);
+
+    for (const [index, link] of server.coordinatorLinks.entries()) {
+      const offer = received.find(r => r.sessionId === `session-${index}`);
+      assert.ok(offer, `Offer from coordinator ${index} should be handled`);
+      assert.strictEqual(offer.udpClient, link.udpClient, 'Answer must go back via the same coordinator');
+    }
+  });
+
+  test('should keep other coordinators registered when one is lost', async () => {
+    const [lost, kept] = server.coordinatorLinks;
+
+    // Coordinator 0 forgets the server (e.g. restart) — its next PING gets an ERROR
+    lost.udpClient.handleError(Buffer.alloc(0));
+
+    assert.strictEqual(lost.udpClient.registered, false);
+    assert.strictEqual(kept.udpClient.registered, true);
+    assert.strictEqual(server.getCoordinatorHealth()[1].state, 'registered');
+    assert.ok(server.getCoordinatorHealth()[0].reconnects >= 1, 'Reconnect should be counted');
+  });
+});
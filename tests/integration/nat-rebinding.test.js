@@ -0,0 +1,207 @@
+/**
+ * Integration Test: Authenticated PING and NAT rebinding
+ *
+ * A real UDPClient registered with a real UDPServer moves to a new local port,
+ * as after a home NAT rebinding. Its next authenticated PING must move the
+ * registry entry to the new address without a new handshake, once the server
+ * has echoed a PATH_CHALLENGE from there; spoofed, replayed and unauthenticated
+ * PINGs are ignored, and a PING redirected through another address does not
+ * move the server. PONGs report the address the coordinator sees, so the
+ * server notices the change.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { TestCleanupHandler, cleanupClient, waitForCondition } from '../utils/test-helpers.js';
+import { UDPClient, UDPServer, MESSAGE_TYPES, CAPABILITIES, bindUDPSocket, buildUDPMessage } from '../../shared/protocol.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+import { encodePing, encodePathResponse } from '../../shared/crypto.js';
+
+describe('Authenticated PING', () => {
+  let cleanup;
+  let registry;
+  let udpServer;
+  let coordinatorKeys;
+  let coordinatorPort;
+
+  const startClient = async () => {
+    const client = new UDPClient('127.0.0.1', coordinatorPort, generateSigningKeyPair(), {
+      coordinatorPublicKey: coordinatorKeys.publicKey,
+      keepaliveIntervalMs: 60000,
+      verbosity: 0
+    });
+    const registered = new Promise((resolve) => client.on('registered', resolve));
+    cleanup.add(() => cleanupClient(client));
+    await client.start();
+    await registered;
+    return client;
+  };
+
+  /**
+   * Bound socket for sending raw datagrams to the coordinator
+   */
+  const openSocket = async () => {
+    const { socket } = await bindUDPSocket(0);
+    cleanup.add(() => new Promise(resolve => socket.close(resolve)));
+    return socket;
+  };
+
+  const sendRaw = (socket, message) => new Promise((resolve, reject) => {
+    // Dual-stack sockets reach IPv4 peers through IPv4-mapped addresses
+    const address = socket.address().family === 'IPv6' ? '::ffff:127.0.0.1' : '127.0.0.1';
+    socket.send(message, coordinatorPort, address, err => err ? reject(err) : resolve());
+  });
+
+  before(async () => {
+    cleanup = new TestCleanupHandler();
+    registry = new ServerRegistry();
+    coordinatorKeys = generateSigningKeyPair();
+    udpServer = new UDPServer(registry, coordinatorKeys, { port: 0, verbosity: 0 });
+    await udpServer.start();
+    coordinatorPort = udpServer.socket.address().port;
+
+    cleanup.add(async () => {
+      await udpServer.stop();
+      registry.destroy();
+    });
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should report the public address in PONG', async () => {
+    const client = await startClient();
+    assert.strictEqual(client.hasCapability(CAPABILITIES.PONG_ADDRESS), true);
+    assert.strictEqual(client.publicAddress, null);
+
+    const reported = new Promise((resolve) => client.on('publicAddress', resolve));
+    client.sendPing();
+
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+    assert.deepStrictEqual(await reported, { address: ipPort, previous: null });
+    assert.strictEqual(client.publicAddress, ipPort);
+    assert.strictEqual(client.pongCounter, client.pingCounter);
+  });
+
+  test('should follow a NAT rebinding without re-registering', async () => {
+    const client = await startClient();
+    assert.strictEqual(client.hasCapability(CAPABILITIES.AUTH_PING), true);
+    assert.strictEqual(client.hasCapability(CAPABILITIES.PATH_VALIDATION), true);
+    assert.ok(client.sessionId);
+
+    // Address before the rebinding
+    const addressReported = new Promise((resolve) => client.on('publicAddress', resolve));
+    client.sendPing();
+    await addressReported;
+
+    const oldIpPort = `127.0.0.1:${client.socket.address().port}`;
+    const serverPublicKey = registry.getServerByIpPort(oldIpPort).publicKey;
+
+    let reregistered = false;
+    udpServer.on('register', () => {
+      reregistered = true;
+    });
+    const rebinds = [];
+    udpServer.on('rebind', (event) => rebinds.push(event));
+
+    // The NAT now maps the server to a new external port
+    const oldSocket = client.socket;
+    const socket = await openSocket();
+    socket.on('message', (msg, rinfo) => client.handleMessage(msg, rinfo));
+    client.socket = socket;
+    oldSocket.removeAllListeners();
+    await new Promise(resolve => oldSocket.close(resolve));
+
+    const newIpPort = `127.0.0.1:${socket.address().port}`;
+    const addressChanged = new Promise((resolve) => client.on('publicAddress', resolve));
+    client.sendPing();
+
+    await waitForCondition(() => registry.getServerByIpPort(newIpPort));
+    assert.deepStrictEqual(await addressChanged, { address: newIpPort, previous: oldIpPort });
+    assert.strictEqual(client.publicAddress, newIpPort);
+
+    assert.strictEqual(registry.getServerByIpPort(oldIpPort), null);
+    assert.deepStrictEqual(rebinds, [{ serverPublicKey, oldIpPort, newIpPort }]);
+    assert.strictEqual(reregistered, false);
+
+    // Coordinator-initiated messages now reach the new address
+    const offerReceived = new Promise((resolve) => client.on('offer', resolve));
+    await udpServer.sendOfferToServer(newIpPort, 'session-1', { sdp: 'v=0' });
+    assert.strictEqual((await offerReceived).sessionId, 'session-1');
+
+    udpServer.on('register', () => {});
+    udpServer.on('rebind', () => {});
+  });
+
+  test('should ignore replayed, forged and unauthenticated PINGs', async () => {
+    const client = await startClient();
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+    const attacker = await openSocket();
+
+    const pings = [];
+    udpServer.on('ping', (from) => pings.push(from));
+
+    // Capture a valid PING and let it through once
+    const ping = encodePing(client.sessionId, client.pingCounter + 1, client.pingKey);
+    client.pingCounter++;
+    await sendRaw(client.socket, buildUDPMessage(MESSAGE_TYPES.PING, ping));
+    await waitForCondition(() => pings.length === 1);
+
+    // Replay from another address, forged MAC, empty PING for the victim's address
+    await sendRaw(attacker, buildUDPMessage(MESSAGE_TYPES.PING, ping));
+    const forged = encodePing(client.sessionId, client.pingCounter + 10, Buffer.alloc(32));
+    await sendRaw(attacker, buildUDPMessage(MESSAGE_TYPES.PING, forged));
+    await sendRaw(client.socket, buildUDPMessage(MESSAGE_TYPES.PING, Buffer.alloc(0)));
+
+    // Followed by a valid PING, which is the only other one accepted
+    client.sendPing();
+    await waitForCondition(() => pings.length === 2);
+
+    assert.deepStrictEqual(pings, [ipPort, ipPort]);
+    assert.strictEqual(registry.getServerByIpPort(ipPort).pingCounter, client.pingCounter);
+    assert.strictEqual(registry.getServerByIpPort(`127.0.0.1:${attacker.address().port}`), null);
+
+    udpServer.on('ping', () => {});
+  });
+
+  test('should not move a server to an address that does not answer the path challenge', async () => {
+    const client = await startClient();
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+    const attacker = await openSocket();
+    const attackerIpPort = `127.0.0.1:${attacker.address().port}`;
+    const challenges = [];
+    attacker.on('message', (msg) => {
+      if (msg[1] === MESSAGE_TYPES.PATH_CHALLENGE) challenges.push(msg.subarray(2));
+    });
+
+    const rebinds = [];
+    udpServer.on('rebind', (event) => rebinds.push(event));
+
+    // A fresh PING rewritten to come from the attacker's address
+    const ping = encodePing(client.sessionId, ++client.pingCounter, client.pingKey);
+    await sendRaw(attacker, buildUDPMessage(MESSAGE_TYPES.PING, ping));
+    await waitForCondition(() => challenges.length === 1);
+    const [token] = challenges;
+
+    // The attacker cannot answer without the PING key, and the real server's
+    // answer from its own address does not count for the attacker's
+    const forged = encodePathResponse(client.sessionId, token, Buffer.alloc(32));
+    await sendRaw(attacker, buildUDPMessage(MESSAGE_TYPES.PATH_RESPONSE, forged));
+    const genuine = encodePathResponse(client.sessionId, token, client.pingKey);
+    await sendRaw(client.socket, buildUDPMessage(MESSAGE_TYPES.PATH_RESPONSE, genuine));
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.deepStrictEqual(rebinds, []);
+    assert.strictEqual(registry.getServerByIpPort(ipPort).sessionId, client.sessionId);
+    assert.strictEqual(registry.getServerByIpPort(attackerIpPort), null);
+
+    // The real server keeps receiving offers
+    const offerReceived = new Promise((resolve) => client.on('offer', resolve));
+    await udpServer.sendOfferToServer(ipPort, 'session-2', { sdp: 'v=0' });
+    assert.strictEqual((await offerReceived).sessionId, 'session-2');
+
+    udpServer.on('rebind', () => {});
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Integration Test: Persistent registry across coordinator restarts
+ *
+ * A real UDPClient registers with a UDPServer whose registry is backed by a
+ * RegistryStore. After the coordinator restarts on the same port and restores
+ * the registry, the server must keep its session: PINGs, heartbeats and
+ * offers work without a new registration.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { TestCleanupHandler, cleanupClient, createTempDir } from '../utils/test-helpers.js';
+import { UDPClient, UDPServer } from '../../shared/protocol.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { RegistryStore } from '../../coordinator/registry-store.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+
+describe('Persistent registry', () => {
+  let cleanup;
+  let registryPath;
+  let coordinatorKeys;
+
+  const startCoordinator = async (port = 0) => {
+    const registry = new ServerRegistry({ store: new RegistryStore(registryPath) });
+    const restored = await registry.restore();
+    const udpServer = new UDPServer(registry, coordinatorKeys, { port, verbosity: 0 });
+    await udpServer.start();
+
+    let stopped = false;
+    const stop = async () => {
+      if (stopped) return;
+      stopped = true;
+      await udpServer.stop();
+      await registry.persist();
+      registry.destroy();
+    };
+    cleanup.add(stop);
+    return { registry, udpServer, restored, stop };
+  };
+
+  before(async () => {
+    cleanup = new TestCleanupHandler();
+    const tempDir = await createTempDir();
+    cleanup.add(tempDir.cleanup);
+    registryPath = path.join(tempDir.path, 'registry.json');
+    coordinatorKeys = generateSigningKeyPair();
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should keep registered servers across a restart', async () => {
+    const first = await startCoordinator();
+    const port = first.udpServer.socket.address().port;
+
+    const client = new UDPClient('127.0.0.1', port, generateSigningKeyPair(), {
+      coordinatorPublicKey: coordinatorKeys.publicKey,
+      keepaliveIntervalMs: 60000,
+      verbosity: 0
+    });
+    const registered = new Promise((resolve) => client.on('registered', resolve));
+    cleanup.add(() => cleanupClient(client));
+    await client.start();
+    await registered;
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+
+    await first.stop();
+    const second = await startCoordinator(port);
+    assert.strictEqual(second.restored, 1);
+
+    let reregistered = false;
+    second.udpServer.on('register', () => {
+      reregistered = true;
+    });
+
+    // Authenticated PING is answered from the restored session
+    const pinged = new Promise((resolve) => second.udpServer.on('ping', resolve));
+    client.sendPing();
+    assert.strictEqual(await pinged, ipPort);
+
+    // Challenge refresh and coordinator-initiated messages use the restored keys
+    const heartbeat = new Promise((resolve) => second.udpServer.on('heartbeat', resolve));
+    client.sendHeartbeat();
+    await heartbeat;
+
+    const offerReceived = new Promise((resolve) => client.on('offer', resolve));
+    await second.udpServer.sendOfferToServer(ipPort, 'session-1', { sdp: 'v=0' });
+    assert.strictEqual((await offerReceived).sessionId, 'session-1');
+
+    const answered = new Promise((resolve) => second.udpServer.on('answer', resolve));
+    await client.sendAnswer({ sessionId: 'session-1', sdp: { type: 'answer', sdp: 'v=0' } });
+    assert.strictEqual((await answered).sessionId, 'session-1');
+
+    assert.strictEqual(reregistered, false);
+  });
+});
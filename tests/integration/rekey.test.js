@@ -0,0 +1,167 @@
+/**
+ * Integration Test: Periodic rekeying
+ *
+ * A real UDPClient and UDPServer negotiate REKEY. A fresh X25519 exchange over
+ * the encrypted channel must replace the keys on both sides, erase the old
+ * traffic secret once both sides use the new one, and leave the channel usable
+ * in both directions, also when a REKEY reply is lost or a rekey is repeated.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { TestCleanupHandler, cleanupClient, waitForCondition } from '../utils/test-helpers.js';
+import { UDPClient, UDPServer, CAPABILITIES, SUPPORTED_CAPABILITIES, MESSAGE_TYPES } from '../../shared/protocol.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+
+describe('Periodic rekeying', () => {
+  let cleanup;
+  let registry;
+  let udpServer;
+  let coordinatorKeys;
+  let coordinatorPort;
+
+  const startClient = async (options = {}) => {
+    const client = new UDPClient('127.0.0.1', coordinatorPort, generateSigningKeyPair(), {
+      coordinatorPublicKey: coordinatorKeys.publicKey,
+      verbosity: 0,
+      ...options
+    });
+    const registered = new Promise((resolve) => client.on('registered', resolve));
+    cleanup.add(() => cleanupClient(client));
+    await client.start();
+    await registered;
+    return client;
+  };
+
+  // Offer and answer still get through, and every old secret has been erased
+  const assertChannelWorks = async (client, ipPort, sessionId) => {
+    const answered = new Promise((resolve) => udpServer.on('answer', resolve));
+    await client.sendAnswer({ sessionId, sdp: { type: 'answer', sdp: 'v=0' } });
+    assert.strictEqual((await answered).sessionId, sessionId);
+    udpServer.on('answer', () => {});
+
+    const offerReceived = new Promise((resolve) => client.on('offer', resolve));
+    await udpServer.sendOfferToServer(ipPort, `${sessionId}-offer`, { sdp: 'v=0' });
+    assert.strictEqual((await offerReceived).sessionId, `${sessionId}-offer`);
+    client.on('offer', () => {});
+  };
+
+  before(async () => {
+    cleanup = new TestCleanupHandler();
+    registry = new ServerRegistry();
+    coordinatorKeys = generateSigningKeyPair();
+    udpServer = new UDPServer(registry, coordinatorKeys, { port: 0, verbosity: 0 });
+    await udpServer.start();
+    coordinatorPort = udpServer.socket.address().port;
+
+    cleanup.add(async () => {
+      await udpServer.stop();
+      registry.destroy();
+    });
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should replace and erase the keys on both sides', async () => {
+    const client = await startClient();
+    assert.strictEqual(client.hasCapability(CAPABILITIES.REKEY), true);
+
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+    const oldSecret = client.trafficSecret;
+    const oldKeys = { send: Buffer.from(client.keys.send), receive: Buffer.from(client.keys.receive) };
+    const oldCoordinatorSecret = registry.getServerByIpPort(ipPort).trafficSecret;
+
+    const rekeyed = new Promise((resolve) => client.on('rekeyed', resolve));
+    client.sendRekey();
+    await rekeyed;
+
+    assert.notDeepStrictEqual(client.keys.send, oldKeys.send);
+    assert.notDeepStrictEqual(client.keys.receive, oldKeys.receive);
+    assert.deepStrictEqual(registry.getServerByIpPort(ipPort).trafficSecret, client.trafficSecret);
+    assert.strictEqual(client._pendingRekey, null);
+
+    // The new keys work in both directions; the old secrets are then gone
+    await assertChannelWorks(client, ipPort, 'session-1');
+    assert.deepStrictEqual(oldSecret, Buffer.alloc(oldSecret.length));
+    assert.deepStrictEqual(oldCoordinatorSecret, Buffer.alloc(oldCoordinatorSecret.length));
+    assert.strictEqual(client.previousTrafficSecret, null);
+    assert.strictEqual(registry.getServerByIpPort(ipPort).previousTrafficSecret, null);
+  });
+
+  test('should keep the old keys and retry when the REKEY reply is lost', async () => {
+    const client = await startClient({ rekeyRetryMs: 200 });
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+
+    const sendDatagram = udpServer._sendDatagram;
+    let dropped = 0;
+    udpServer._sendDatagram = function (target, message) {
+      if (target === ipPort && message[1] === MESSAGE_TYPES.REKEY && dropped === 0) {
+        dropped++;
+        return Promise.resolve();
+      }
+      return sendDatagram.call(this, target, message);
+    };
+    cleanup.add(() => { udpServer._sendDatagram = sendDatagram; });
+
+    let rekeys = 0;
+    client.on('rekeyed', () => rekeys++);
+    const rekeyRequests = [];
+    udpServer.on('rekey', (target) => rekeyRequests.push(target));
+    client.sendRekey();
+    await waitForCondition(() => dropped === 1, 2000, 10);
+
+    // The coordinator switched, the server did not: both still talk
+    assert.strictEqual(rekeys, 0);
+    await assertChannelWorks(client, ipPort, 'lost-1');
+
+    await waitForCondition(() => rekeys === 1, 3000, 20);
+    assert.strictEqual(rekeyRequests.length, 2);
+    assert.deepStrictEqual(registry.getServerByIpPort(ipPort).trafficSecret, client.trafficSecret);
+    await assertChannelWorks(client, ipPort, 'lost-2');
+    assert.strictEqual(registry.getServerByIpPort(ipPort).previousTrafficSecret, null);
+    udpServer.on('rekey', () => {});
+  });
+
+  test('should send the pending key again when a rekey is already in flight', async () => {
+    const client = await startClient();
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+
+    let rekeys = 0;
+    client.on('rekeyed', () => rekeys++);
+    client.sendRekey();
+    const pending = client._pendingRekey;
+    client.sendRekey();
+    assert.strictEqual(client._pendingRekey, pending);
+
+    await waitForCondition(() => rekeys === 1, 2000, 10);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(rekeys, 1);
+    assert.deepStrictEqual(registry.getServerByIpPort(ipPort).trafficSecret, client.trafficSecret);
+    await assertChannelWorks(client, ipPort, 'twice-1');
+  });
+
+  test('should rekey on the configured interval', async () => {
+    const client = await startClient({ rekeyIntervalMs: 100 });
+    let rekeys = 0;
+    client.on('rekeyed', () => rekeys++);
+
+    await waitForCondition(() => rekeys >= 2, 3000, 20);
+    assert.ok(client.registered);
+  });
+
+  test('should not rekey without the capability', async () => {
+    const client = await startClient({
+      rekeyIntervalMs: 100,
+      capabilities: SUPPORTED_CAPABILITIES & ~CAPABILITIES.REKEY
+    });
+    assert.strictEqual(client.rekeyInterval, null);
+
+    let rekeys = 0;
+    client.on('rekeyed', () => rekeys++);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.strictEqual(rekeys, 0);
+  });
+});
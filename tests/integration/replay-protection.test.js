@@ -0,0 +1,152 @@
+/**
+ * Integration Test: Per-direction keys and replay protection
+ *
+ * A real UDPClient and UDPServer negotiate KEY_SCHEDULE. Captured ANSWER and
+ * OFFER datagrams sent again must be dropped by the receiver's replay window,
+ * and servers without the capability keep the single shared key.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { TestCleanupHandler, cleanupClient } from '../utils/test-helpers.js';
+import { UDPClient, UDPServer, MESSAGE_TYPES, CAPABILITIES, SUPPORTED_CAPABILITIES } from '../../shared/protocol.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+
+/**
+ * Copy the datagrams of one type passing through socket.send
+ */
+function captureSends(socket, messageType) {
+  const original = socket.send;
+  const send = original.bind(socket);
+  const captured = [];
+  socket.send = (message, ...args) => {
+    if (message[1] === messageType) {
+      captured.push(Buffer.from(message));
+    }
+    send(message, ...args);
+  };
+  return {
+    captured,
+    restore: () => {
+      socket.send = original;
+    }
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Replay protection', () => {
+  let cleanup;
+  let registry;
+  let udpServer;
+  let coordinatorKeys;
+  let coordinatorPort;
+
+  const startClient = async (capabilities = SUPPORTED_CAPABILITIES) => {
+    const client = new UDPClient('127.0.0.1', coordinatorPort, generateSigningKeyPair(), {
+      coordinatorPublicKey: coordinatorKeys.publicKey,
+      capabilities,
+      verbosity: 0
+    });
+    const registered = new Promise((resolve) => client.on('registered', resolve));
+    cleanup.add(() => cleanupClient(client));
+    await client.start();
+    await registered;
+    return client;
+  };
+
+  const sendRaw = (socket, message, port) => new Promise((resolve, reject) => {
+    // Dual-stack sockets reach IPv4 peers through IPv4-mapped addresses
+    const address = socket.address().family === 'IPv6' ? '::ffff:127.0.0.1' : '127.0.0.1';
+    socket.send(message, port, address, err => err ? reject(err) : resolve());
+  });
+
+  before(async () => {
+    cleanup = new TestCleanupHandler();
+    registry = new ServerRegistry();
+    coordinatorKeys = generateSigningKeyPair();
+    udpServer = new UDPServer(registry, coordinatorKeys, { port: 0, verbosity: 0 });
+    await udpServer.start();
+    coordinatorPort = udpServer.socket.address().port;
+
+    cleanup.add(async () => {
+      await udpServer.stop();
+      registry.destroy();
+    });
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should use separate keys per direction', async () => {
+    const client = await startClient();
+    assert.strictEqual(client.hasCapability(CAPABILITIES.KEY_SCHEDULE), true);
+    assert.notDeepStrictEqual(client.keys.send, client.keys.receive);
+
+    const server = registry.getServerByIpPort(`127.0.0.1:${client.socket.address().port}`);
+    assert.ok(server.trafficSecret);
+  });
+
+  test('should drop a replayed ANSWER', async () => {
+    const client = await startClient();
+    const answers = [];
+    udpServer.on('answer', (message) => answers.push(message));
+
+    const capture = captureSends(client.socket, MESSAGE_TYPES.ANSWER);
+    try {
+      await client.sendAnswer({ sessionId: 'session-1', sdp: { type: 'answer', sdp: 'v=0' } });
+    } finally {
+      capture.restore();
+    }
+    await sleep(100);
+
+    await sendRaw(client.socket, capture.captured[0], coordinatorPort);
+    await sleep(200);
+
+    assert.strictEqual(answers.length, 1);
+    assert.strictEqual(answers[0].seq, 1);
+
+    // Later answers are still accepted
+    await client.sendAnswer({ sessionId: 'session-2', sdp: { type: 'answer', sdp: 'v=0' } });
+    await sleep(100);
+    assert.deepStrictEqual(answers.map(answer => answer.sessionId), ['session-1', 'session-2']);
+
+    udpServer.on('answer', () => {});
+  });
+
+  test('should drop a replayed OFFER', async () => {
+    const client = await startClient();
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+    const offers = [];
+    client.on('offer', (offer) => offers.push(offer));
+
+    const capture = captureSends(udpServer.socket, MESSAGE_TYPES.OFFER);
+    try {
+      await udpServer.sendOfferToServer(ipPort, 'session-3', { sdp: 'v=0' });
+    } finally {
+      capture.restore();
+    }
+    await sleep(100);
+
+    await sendRaw(udpServer.socket, capture.captured[0], client.socket.address().port);
+    await sleep(200);
+
+    assert.deepStrictEqual(offers.map(offer => offer.sessionId), ['session-3']);
+  });
+
+  test('should keep the shared key for servers without the capability', async () => {
+    const client = await startClient(SUPPORTED_CAPABILITIES & ~CAPABILITIES.KEY_SCHEDULE);
+    assert.deepStrictEqual(client.keys.send, client.keys.receive);
+
+    const answered = new Promise((resolve) => udpServer.on('answer', resolve));
+    await client.sendAnswer({ sessionId: 'session-4', sdp: { type: 'answer', sdp: 'v=0' } });
+    const answer = await answered;
+
+    assert.strictEqual(answer.sessionId, 'session-4');
+    assert.strictEqual(answer.seq, undefined);
+
+    udpServer.on('answer', () => {});
+  });
+});
@@ -8,9 +8,10 @@
 import { test, describe, before, after } from 'node:test';
 import assert from 'node:assert';
 import { TestCleanupHandler, cleanupClient, createPingCounter } from '../utils/test-helpers.js';
-import { UDPClient, UDPServer } from '../../shared/protocol.js';
+import { UDPClient, UDPServer, MAX_PROTOCOL_VERSION, CAPABILITIES, ERROR_CODES } from '../../shared/protocol.js';
 import { ServerRegistry } from '../../coordinator/registry.js';
 import { generateSigningKeyPair } from '../../shared/keys.js';
+import { unwrapPublicKey } from '../../shared/crypto.js';
 
 describe('Server-Coordinator Integration', () => {
   let cleanup;
@@ -189,4 +190,355 @@ describe('Server-Coordinator Integration', () => {
     // The important thing is that registration did not succeed with invalid signature
     assert.ok(true, 'Invalid signature prevented successful registration');
   });
+
+  test('should report why a registration was refused', async () => {
+    // Registry with room for one server, already taken
+    const fullRegistry = new ServerRegistry({ maxServers: 1 });
+    fullRegistry.register('other-server', '192.0.2.1:3478', 'challenge', 'answer');
+    const fullServer = new UDPServer(fullRegistry, coordinatorKeys, { port: 0, verbosity: 0 });
+    await fullServer.start();
+    cleanup.add(async () => {
+      await fullServer.stop();
+      fullRegistry.destroy();
+    });
+
+    const startClient = async (port, serverKeys) => {
+      const client = new UDPClient('127.0.0.1', port, serverKeys, {
+        coordinatorPublicKey: coordinatorKeys.publicKey,
+        verbosity: 0
+      });
+      cleanup.add(() => cleanupClient(client));
+      const refused = new Promise((resolve) => client.on('coordinatorError', resolve));
+      const reconnecting = new Promise((resolve) => client.on('reconnecting', resolve));
+      await client.start();
+      return { client, error: await refused, reconnect: await reconnecting };
+    };
+
+    const full = await startClient(fullServer.socket.address().port, generateSigningKeyPair());
+    assert.deepStrictEqual(full.error, {
+      code: ERROR_CODES.MAX_SERVERS_REACHED,
+      name: 'max-servers-reached',
+      retryAfterMs: 60000
+    });
+    assert.ok(full.reconnect.delay >= 60000, 'Reconnect should wait for the retry-after');
+    assert.strictEqual(full.client.lastError.name, 'max-servers-reached');
+
+    const serverKeys = generateSigningKeyPair();
+    const mismatchedKeys = { privateKey: generateSigningKeyPair().privateKey, publicKey: serverKeys.publicKey };
+    const forged = await startClient(coordinatorPort, mismatchedKeys);
+    assert.strictEqual(forged.error.code, ERROR_CODES.BAD_SIGNATURE);
+    assert.strictEqual(forged.client.registered, false);
+  });
+
+  test('should register over IPv6 with a bracketed ipPort key', async () => {
+    const serverKeys = generateSigningKeyPair();
+
+    const client = new UDPClient(
+      '::1',
+      coordinatorPort,
+      serverKeys,
+      {
+        coordinatorPublicKey: coordinatorKeys.publicKey
+      }
+    );
+
+    const registrationPromise = new Promise((resolve) => {
+      client.on('registered', resolve);
+    });
+
+    cleanup.add(() => cleanupClient(client));
+
+    await client.start();
+
+    await Promise.race([
+      registrationPromise,
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Registration timeout')), 5000)
+      )
+    ]);
+
+    const serverKey = `[::1]:${client.socket.address().port}`;
+    assert.ok(registry.getServerByIpPort(serverKey), 'Server should be indexed by bracketed IPv6 key');
+
+    // Offers are routed back to the server using the bracketed key
+    const offerPromise = new Promise((resolve) => {
+      client.on('offer', resolve);
+    });
+    await udpServer.sendOfferToServer(serverKey, 'session-v6', { sdp: 'v=0' });
+
+    const offer = await Promise.race([
+      offerPromise,
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Offer timeout')), 5000)
+      )
+    ]);
+    assert.strictEqual(offer.sessionId, 'session-v6');
+  });
+
+  test('should fall back to the other address family when the preferred one is silent', async () => {
+    const serverKeys = generateSigningKeyPair();
+
+    // Coordinator bound to IPv6 loopback only — HELLOs sent over IPv4 go unanswered
+    const v6Server = new UDPServer(registry, coordinatorKeys, { port: 0, host: '::1' });
+    await v6Server.start();
+    cleanup.add(() => v6Server.stop());
+
+    const client = new UDPClient(
+      'coordinator.test',
+      v6Server.socket.address().port,
+      serverKeys,
+      {
+        coordinatorPublicKey: coordinatorKeys.publicKey,
+        helloTimeoutMs: 200,
+        // Host with both A and AAAA records
+        lookup: (host, options, callback) => {
+          callback(null, [
+            { address: '::1', family: 6 },
+            { address: '127.0.0.1', family: 4 }
+          ]);
+        }
+      }
+    );
+
+    const registrationPromise = new Promise((resolve) => {
+      client.on('registered', resolve);
+    });
+
+    cleanup.add(() => cleanupClient(client));
+
+    await client.start();
+    assert.strictEqual(client.coordinatorIp, '127.0.0.1', 'IPv4 should be tried first by default');
+
+    await Promise.race([
+      registrationPromise,
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Registration timeout')), 5000)
+      )
+    ]);
+
+    assert.strictEqual(client.coordinatorIp, '::1', 'Client should have fallen back to IPv6');
+    assert.ok(registry.getServerByIpPort(`[::1]:${client.socket.address().port}`));
+  });
+
+  test('should fall back once per attempt when the preferred address is unreachable', async () => {
+    const serverKeys = generateSigningKeyPair();
+
+    const v4Server = new UDPServer(registry, coordinatorKeys, { port: 0, host: '127.0.0.1' });
+    await v4Server.start();
+    cleanup.add(() => v4Server.stop());
+
+    const client = new UDPClient(
+      'coordinator.test',
+      v4Server.socket.address().port,
+      serverKeys,
+      {
+        coordinatorPublicKey: coordinatorKeys.publicKey,
+        helloTimeoutMs: 200,
+        preferredFamily: 6,
+        lookup: (host, options, callback) => {
+          callback(null, [
+            { address: '2001:db8::1', family: 6 },
+            { address: '127.0.0.1', family: 4 }
+          ]);
+        }
+      }
+    );
+
+    // No IPv6 route on this host: sends to the IPv6 address fail at once
+    const tried = [];
+    const send = client._sendToCoordinator.bind(client);
+    client._sendToCoordinator = (message, callback) => {
+      tried.push(client.coordinatorIp);
+      if (client.coordinatorIp === '2001:db8::1') {
+        setImmediate(() => callback(Object.assign(new Error('send ENETUNREACH'), { code: 'ENETUNREACH' })));
+        return;
+      }
+      send(message, callback);
+    };
+
+    const registrationPromise = new Promise((resolve) => {
+      client.on('registered', resolve);
+    });
+
+    cleanup.add(() => cleanupClient(client));
+
+    await client.start();
+    await Promise.race([
+      registrationPromise,
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Registration timeout')), 5000)
+      )
+    ]);
+
+    assert.deepStrictEqual(tried.slice(0, 2), ['2001:db8::1', '127.0.0.1']);
+    assert.strictEqual(client.coordinatorIp, '127.0.0.1');
+  });
+
+  test('should negotiate protocol version and shared capabilities', async () => {
+    const serverKeys = generateSigningKeyPair();
+
+    // Coordinator with capability bits 0 and 1, server with bits 0 and 2
+    const negotiatingServer = new UDPServer(registry, coordinatorKeys, { port: 0, capabilities: 0b011 });
+    await negotiatingServer.start();
+    cleanup.add(() => negotiatingServer.stop());
+
+    const client = new UDPClient(
+      '127.0.0.1',
+      negotiatingServer.socket.address().port,
+      serverKeys,
+      {
+        coordinatorPublicKey: coordinatorKeys.publicKey,
+        capabilities: 0b101
+      }
+    );
+
+    const registrationPromise = new Promise((resolve) => {
+      client.on('registered', resolve);
+    });
+
+    cleanup.add(() => cleanupClient(client));
+
+    await client.start();
+
+    await Promise.race([
+      registrationPromise,
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Registration timeout')), 5000)
+      )
+    ]);
+
+    assert.strictEqual(client.protocolVersion, MAX_PROTOCOL_VERSION);
+    assert.strictEqual(client.capabilities, 0b001);
+    assert.strictEqual(client.hasCapability(0b001), true);
+    assert.strictEqual(client.hasCapability(0b100), false);
+
+    const server = registry.getServerByIpPort(`127.0.0.1:${client.socket.address().port}`);
+    assert.strictEqual(server.version, MAX_PROTOCOL_VERSION);
+    assert.strictEqual(server.capabilities, 0b001);
+  });
+
+  test('should not register when no protocol version is shared', async () => {
+    const serverKeys = generateSigningKeyPair();
+
+    // Server that only speaks a future protocol version
+    const client = new UDPClient(
+      '127.0.0.1',
+      coordinatorPort,
+      serverKeys,
+      {
+        coordinatorPublicKey: coordinatorKeys.publicKey,
+        minProtocolVersion: MAX_PROTOCOL_VERSION + 1,
+        maxProtocolVersion: MAX_PROTOCOL_VERSION + 1,
+        reconnectDelayMs: 60000
+      }
+    );
+
+    let registered = false;
+    client.on('registered', () => {
+      registered = true;
+    });
+    const reconnectPromise = new Promise((resolve) => {
+      client.on('reconnecting', resolve);
+    });
+
+    cleanup.add(() => cleanupClient(client));
+
+    await client.start();
+
+    await Promise.race([
+      reconnectPromise,
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Version mismatch not detected')), 5000)
+      )
+    ]);
+
+    assert.strictEqual(registered, false);
+    assert.strictEqual(client.state, 'disconnected');
+    assert.strictEqual(registry.getServerByIpPort(`127.0.0.1:${client.socket.address().port}`), null);
+  });
+
+  test('should exchange trickled ICE candidates in both directions', async () => {
+    const serverKeys = generateSigningKeyPair();
+
+    const client = new UDPClient(
+      '127.0.0.1',
+      coordinatorPort,
+      serverKeys,
+      {
+        coordinatorPublicKey: coordinatorKeys.publicKey
+      }
+    );
+
+    const registrationPromise = new Promise((resolve) => {
+      client.on('registered', resolve);
+    });
+
+    cleanup.add(() => cleanupClient(client));
+
+    await client.start();
+    await registrationPromise;
+    assert.strictEqual(client.hasCapability(CAPABILITIES.TRICKLE_ICE), true);
+
+    const ipPort = `127.0.0.1:${client.socket.address().port}`;
+
+    // Coordinator -> server, split across several messages
+    const clientCandidates = Array.from({ length: 10 }, (_, i) => ({ candidate: `client-${i}` }));
+    const received = [];
+    const clientDone = new Promise((resolve) => {
+      client.on('candidates', (message) => {
+        received.push(message);
+        if (message.complete) resolve();
+      });
+    });
+
+    await udpServer.sendCandidatesToServer(ipPort, 'session-a', clientCandidates, true);
+    await clientDone;
+
+    assert.deepStrictEqual(received.flatMap(m => m.candidates), clientCandidates);
+    assert.ok(received.every(m => m.sessionId === 'session-a'));
+    assert.strictEqual(received.filter(m => m.complete).length, 1);
+
+    // Server -> coordinator
+    const serverDone = new Promise((resolve) => {
+      udpServer.on('candidates', (message) => {
+        if (message.complete) resolve(message);
+      });
+    });
+
+    await client.sendCandidates('session-b', [], true);
+    const message = await serverDone;
+
+    assert.strictEqual(message.serverPublicKey, unwrapPublicKey(serverKeys.publicKey));
+    assert.strictEqual(message.sessionId, 'session-b');
+    assert.deepStrictEqual(message.candidates, []);
+  });
+
+  test('should refuse to trickle to servers without the capability', async () => {
+    const serverKeys = generateSigningKeyPair();
+
+    const client = new UDPClient(
+      '127.0.0.1',
+      coordinatorPort,
+      serverKeys,
+      {
+        coordinatorPublicKey: coordinatorKeys.publicKey,
+        capabilities: 0
+      }
+    );
+
+    const registrationPromise = new Promise((resolve) => {
+      client.on('registered', resolve);
+    });
+
+    cleanup.add(() => cleanupClient(client));
+
+    await client.start();
+    await registrationPromise;
+
+    await assert.rejects(
+      udpServer.sendCandidatesToServer(`127.0.0.1:${client.socket.address().port}`, 'session', []),
+      /does not support trickle ICE/
+    );
+    await assert.rejects(client.sendCandidates('session', []), /trickle ICE/);
+  });
 });
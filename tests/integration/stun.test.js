@@ -0,0 +1,103 @@
+/**
+ * Integration Test: STUN responder on the coordinator UDP port
+ *
+ * A STUN client sends Binding Requests to a real UDPServer and must get its
+ * own address back, while a HomeChannel server registers on the same port.
+ * With `stun: false` STUN requests go unanswered.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import dgram from 'dgram';
+import { TestCleanupHandler, cleanupClient } from '../utils/test-helpers.js';
+import { UDPClient, UDPServer } from '../../shared/protocol.js';
+import { STUN_TYPES, STUN_ATTRIBUTES, encodeStunMessage, parseStunMessage, decodeXorAddress } from '../../shared/stun.js';
+import { ServerRegistry } from '../../coordinator/registry.js';
+import { generateSigningKeyPair } from '../../shared/keys.js';
+
+describe('STUN responder', () => {
+  let cleanup;
+  let coordinatorKeys;
+
+  const startCoordinator = async (options = {}) => {
+    const registry = new ServerRegistry();
+    const udpServer = new UDPServer(registry, coordinatorKeys, { port: 0, verbosity: 0, ...options });
+    await udpServer.start();
+    cleanup.add(async () => {
+      await udpServer.stop();
+      registry.destroy();
+    });
+    return { registry, udpServer, port: udpServer.socket.address().port };
+  };
+
+  const createStunClient = async () => {
+    const socket = dgram.createSocket('udp4');
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    cleanup.add(() => new Promise(resolve => socket.close(resolve)));
+    return socket;
+  };
+
+  /**
+   * Send a Binding Request; resolves with the parsed response or null after timeoutMs
+   */
+  const bind = (socket, port, timeoutMs = 1000) => new Promise((resolve) => {
+    const transactionId = crypto.randomBytes(12);
+    const timer = setTimeout(() => {
+      socket.removeListener('message', onMessage);
+      resolve(null);
+    }, timeoutMs);
+    function onMessage(msg) {
+      const response = parseStunMessage(msg);
+      if (response.transactionId.equals(transactionId)) {
+        clearTimeout(timer);
+        socket.removeListener('message', onMessage);
+        resolve(response);
+      }
+    }
+    socket.on('message', onMessage);
+    socket.send(encodeStunMessage(STUN_TYPES.BINDING_REQUEST, transactionId), port, '127.0.0.1');
+  });
+
+  before(() => {
+    cleanup = new TestCleanupHandler();
+    coordinatorKeys = generateSigningKeyPair();
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should report the mapped address next to HomeChannel traffic', async () => {
+    const { port } = await startCoordinator();
+    const stunClient = await createStunClient();
+
+    const response = await bind(stunClient, port);
+    assert.ok(response, 'Binding Request should be answered');
+    assert.strictEqual(response.type, STUN_TYPES.BINDING_SUCCESS);
+    const mapped = response.attributes.find(attribute => attribute.type === STUN_ATTRIBUTES.XOR_MAPPED_ADDRESS);
+    assert.deepStrictEqual(decodeXorAddress(mapped.value, response.transactionId), {
+      address: '127.0.0.1',
+      port: stunClient.address().port,
+      family: 4
+    });
+
+    const client = new UDPClient('127.0.0.1', port, generateSigningKeyPair(), {
+      coordinatorPublicKey: coordinatorKeys.publicKey,
+      verbosity: 0
+    });
+    const registered = new Promise((resolve) => client.on('registered', resolve));
+    cleanup.add(() => cleanupClient(client));
+    await client.start();
+    await registered;
+
+    assert.ok(await bind(stunClient, port), 'STUN keeps working after registrations');
+  });
+
+  test('should ignore STUN when disabled', async () => {
+    const { port } = await startCoordinator({ stun: false });
+    const stunClient = await createStunClient();
+
+    assert.strictEqual(await bind(stunClient, port, 300), null);
+  });
+});
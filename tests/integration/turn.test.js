@@ -0,0 +1,321 @@
+/**
+ * Integration Test: TURN relay
+ *
+ * A minimal TURN client built on shared/stun.js allocates on a real
+ * TurnServer with coordinator-issued credentials and relays data to a peer
+ * socket through Send/Data indications and channels. Bad credentials,
+ * peers without permission, quota and bandwidth limits are checked too.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import dgram from 'dgram';
+import { TestCleanupHandler } from '../utils/test-helpers.js';
+import {
+  STUN_TYPES,
+  STUN_ATTRIBUTES,
+  encodeStunMessage,
+  parseStunMessage,
+  isStunMessage,
+  getStunAttribute,
+  encodeXorAddress,
+  decodeXorAddress,
+  deriveLongTermKey,
+  verifyMessageIntegrity
+} from '../../shared/stun.js';
+import { TurnServer } from '../../coordinator/turn.js';
+
+const SECRET = 'test turn secret value';
+const REQUESTED_TRANSPORT_UDP = { type: STUN_ATTRIBUTES.REQUESTED_TRANSPORT, value: Buffer.from([17, 0, 0, 0]) };
+
+const errorCodeOf = (message) => {
+  const value = getStunAttribute(message, STUN_ATTRIBUTES.ERROR_CODE);
+  return value ? value[2] * 100 + value[3] : null;
+};
+
+const nextMessage = (socket, predicate = () => true, timeoutMs = 1000) => new Promise((resolve) => {
+  const timer = setTimeout(() => {
+    socket.removeListener('message', onMessage);
+    resolve(null);
+  }, timeoutMs);
+  function onMessage(msg, rinfo) {
+    if (predicate(msg, rinfo)) {
+      clearTimeout(timer);
+      socket.removeListener('message', onMessage);
+      resolve(msg);
+    }
+  }
+  socket.on('message', onMessage);
+});
+
+/**
+ * TURN client speaking the long-term credential mechanism
+ */
+class TestTurnClient {
+  constructor(socket, port, credentials) {
+    this.socket = socket;
+    this.port = port;
+    this.credentials = credentials;
+    this.realm = null;
+    this.nonce = null;
+    this.key = null;
+  }
+
+  async request(type, attributes = []) {
+    const transactionId = crypto.randomBytes(12);
+    const auth = this.nonce
+      ? [
+        { type: STUN_ATTRIBUTES.USERNAME, value: Buffer.from(this.credentials.username) },
+        { type: STUN_ATTRIBUTES.REALM, value: Buffer.from(this.realm) },
+        { type: STUN_ATTRIBUTES.NONCE, value: Buffer.from(this.nonce) }
+      ]
+      : [];
+    const msg = encodeStunMessage(type, transactionId, [...attributes, ...auth], this.nonce ? this.key : null);
+    const reply = nextMessage(this.socket, (data) => isStunMessage(data) && data.subarray(8, 20).equals(transactionId));
+    this.socket.send(msg, this.port, '127.0.0.1');
+    const response = await reply;
+    assert.ok(response, 'TURN request should be answered');
+    return { msg: response, message: parseStunMessage(response) };
+  }
+
+  /**
+   * Send a request, answering a 401/438 challenge once
+   */
+  async authenticatedRequest(type, attributes = []) {
+    let response = await this.request(type, attributes);
+    if ([401, 438].includes(errorCodeOf(response.message)) && getStunAttribute(response.message, STUN_ATTRIBUTES.NONCE)) {
+      this.realm = getStunAttribute(response.message, STUN_ATTRIBUTES.REALM).toString();
+      this.nonce = getStunAttribute(response.message, STUN_ATTRIBUTES.NONCE).toString();
+      this.key = deriveLongTermKey(this.credentials.username, this.realm, this.credentials.credential);
+      response = await this.request(type, attributes);
+    }
+    return response;
+  }
+
+  peerAttribute(address, port, transactionId) {
+    return { type: STUN_ATTRIBUTES.XOR_PEER_ADDRESS, value: encodeXorAddress(address, port, transactionId) };
+  }
+}
+
+describe('TURN relay', () => {
+  let cleanup;
+
+  const startTurn = async (options = {}) => {
+    // Test peers are on loopback, which the relay refuses by default
+    const turn = new TurnServer({ secret: SECRET, port: 0, host: '127.0.0.1', allowedPeers: ['127.0.0.1'], verbosity: 0, ...options });
+    await turn.start();
+    cleanup.add(() => turn.stop());
+    return turn;
+  };
+
+  const createSocket = async () => {
+    const socket = dgram.createSocket('udp4');
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    cleanup.add(() => new Promise(resolve => socket.close(resolve)));
+    return socket;
+  };
+
+  const allocate = async (turn, serverPublicKey = 'server-key') => {
+    const socket = await createSocket();
+    const client = new TestTurnClient(socket, turn.socket.address().port, turn.issueCredentials(serverPublicKey));
+    const response = await client.authenticatedRequest(STUN_TYPES.ALLOCATE_REQUEST, [REQUESTED_TRANSPORT_UDP]);
+    return { socket, client, ...response };
+  };
+
+  /**
+   * CreatePermission for a peer socket
+   * XOR-PEER-ADDRESS depends on the transaction id, so the request is built here
+   */
+  const permit = (client, peer) => peerRequest(client, STUN_TYPES.CREATE_PERMISSION_REQUEST, '127.0.0.1', peer.address().port);
+
+  const peerRequest = async (client, type, address, port, attributes = []) => {
+    const transactionId = crypto.randomBytes(12);
+    const signed = [
+      ...attributes,
+      client.peerAttribute(address, port, transactionId),
+      { type: STUN_ATTRIBUTES.USERNAME, value: Buffer.from(client.credentials.username) },
+      { type: STUN_ATTRIBUTES.REALM, value: Buffer.from(client.realm) },
+      { type: STUN_ATTRIBUTES.NONCE, value: Buffer.from(client.nonce) }
+    ];
+    const reply = nextMessage(client.socket, (data) => isStunMessage(data) && data.subarray(8, 20).equals(transactionId));
+    client.socket.send(encodeStunMessage(type, transactionId, signed, client.key), client.port, '127.0.0.1');
+    return parseStunMessage(await reply);
+  };
+
+  before(() => {
+    cleanup = new TestCleanupHandler();
+  });
+
+  after(async () => {
+    await cleanup.cleanup();
+  });
+
+  test('should challenge, then allocate with issued credentials', async () => {
+    const turn = await startTurn();
+    const credentials = turn.issueCredentials('server-key');
+    assert.match(credentials.urls, /^turn:127\.0\.0\.1:\d+\?transport=udp$/);
+
+    const socket = await createSocket();
+    const client = new TestTurnClient(socket, turn.socket.address().port, credentials);
+    const challenge = await client.request(STUN_TYPES.ALLOCATE_REQUEST, [REQUESTED_TRANSPORT_UDP]);
+    assert.strictEqual(challenge.message.type, STUN_TYPES.ALLOCATE_REQUEST | 0x0110);
+    assert.strictEqual(errorCodeOf(challenge.message), 401);
+    assert.ok(getStunAttribute(challenge.message, STUN_ATTRIBUTES.NONCE));
+
+    const { msg, message } = await client.authenticatedRequest(STUN_TYPES.ALLOCATE_REQUEST, [REQUESTED_TRANSPORT_UDP]);
+    assert.strictEqual(message.type, STUN_TYPES.ALLOCATE_REQUEST | 0x0100);
+    assert.ok(verifyMessageIntegrity(msg, message, client.key), 'responses are signed');
+    const relayed = decodeXorAddress(getStunAttribute(message, STUN_ATTRIBUTES.XOR_RELAYED_ADDRESS), message.transactionId);
+    assert.strictEqual(relayed.address, '127.0.0.1');
+    assert.strictEqual(turn.allocations.size, 1);
+    assert.strictEqual(turn.allocations.values().next().value.socket.address().port, relayed.port);
+
+    // Refresh with LIFETIME 0 releases the allocation
+    const lifetime = Buffer.alloc(4);
+    const refresh = await client.authenticatedRequest(STUN_TYPES.REFRESH_REQUEST, [{ type: STUN_ATTRIBUTES.LIFETIME, value: lifetime }]);
+    assert.strictEqual(refresh.message.type, STUN_TYPES.REFRESH_REQUEST | 0x0100);
+    assert.strictEqual(turn.allocations.size, 0);
+  });
+
+  test('should reject wrong or expired credentials', async () => {
+    const turn = await startTurn();
+    const socket = await createSocket();
+
+    const wrong = new TestTurnClient(socket, turn.socket.address().port, { ...turn.issueCredentials('server-key'), credential: 'wrong' });
+    const { message } = await wrong.authenticatedRequest(STUN_TYPES.ALLOCATE_REQUEST, [REQUESTED_TRANSPORT_UDP]);
+    assert.strictEqual(errorCodeOf(message), 401);
+
+    const expired = `${Math.floor(Date.now() / 1000) - 10}:abcd`;
+    const password = crypto.createHmac('sha1', SECRET).update(expired).digest('base64');
+    const stale = new TestTurnClient(socket, turn.socket.address().port, { username: expired, credential: password });
+    assert.strictEqual(errorCodeOf((await stale.authenticatedRequest(STUN_TYPES.ALLOCATE_REQUEST, [REQUESTED_TRANSPORT_UDP])).message), 401);
+    assert.strictEqual(turn.allocations.size, 0);
+  });
+
+  test('should relay to permitted peers with indications and channels', async () => {
+    const turn = await startTurn();
+    const { client, socket, message } = await allocate(turn);
+    const relayed = decodeXorAddress(getStunAttribute(message, STUN_ATTRIBUTES.XOR_RELAYED_ADDRESS), message.transactionId);
+    const peer = await createSocket();
+
+    // Without a permission the relay drops peer traffic
+    const dropped = nextMessage(socket, () => true, 300);
+    peer.send(Buffer.from('too early'), relayed.port, '127.0.0.1');
+    assert.strictEqual(await dropped, null);
+
+    assert.strictEqual((await permit(client, peer)).type, STUN_TYPES.CREATE_PERMISSION_REQUEST | 0x0100);
+
+    // Send indication → peer
+    const toPeer = nextMessage(peer);
+    const sendId = crypto.randomBytes(12);
+    socket.send(encodeStunMessage(STUN_TYPES.SEND_INDICATION, sendId, [
+      client.peerAttribute('127.0.0.1', peer.address().port, sendId),
+      { type: STUN_ATTRIBUTES.DATA, value: Buffer.from('hello peer') }
+    ]), client.port, '127.0.0.1');
+    assert.strictEqual((await toPeer).toString(), 'hello peer');
+
+    // Peer → Data indication
+    const dataIndication = nextMessage(socket, isStunMessage);
+    peer.send(Buffer.from('hello client'), relayed.port, '127.0.0.1');
+    const indication = parseStunMessage(await dataIndication);
+    assert.strictEqual(indication.type, STUN_TYPES.DATA_INDICATION);
+    assert.strictEqual(getStunAttribute(indication, STUN_ATTRIBUTES.DATA).toString(), 'hello client');
+
+    // ChannelBind, then ChannelData both ways
+    const bindId = crypto.randomBytes(12);
+    const channel = Buffer.from([0x40, 0x01, 0, 0]);
+    const bound = nextMessage(socket, (data) => isStunMessage(data) && data.subarray(8, 20).equals(bindId));
+    socket.send(encodeStunMessage(STUN_TYPES.CHANNEL_BIND_REQUEST, bindId, [
+      { type: STUN_ATTRIBUTES.CHANNEL_NUMBER, value: channel },
+      client.peerAttribute('127.0.0.1', peer.address().port, bindId),
+      { type: STUN_ATTRIBUTES.USERNAME, value: Buffer.from(client.credentials.username) },
+      { type: STUN_ATTRIBUTES.REALM, value: Buffer.from(client.realm) },
+      { type: STUN_ATTRIBUTES.NONCE, value: Buffer.from(client.nonce) }
+    ], client.key), client.port, '127.0.0.1');
+    assert.strictEqual(parseStunMessage(await bound).type, STUN_TYPES.CHANNEL_BIND_REQUEST | 0x0100);
+
+    const viaChannel = nextMessage(peer);
+    socket.send(Buffer.concat([Buffer.from([0x40, 0x01, 0x00, 0x04]), Buffer.from('ping')]), client.port, '127.0.0.1');
+    assert.strictEqual((await viaChannel).toString(), 'ping');
+
+    const channelData = nextMessage(socket, (data) => data[0] === 0x40);
+    peer.send(Buffer.from('pong'), relayed.port, '127.0.0.1');
+    const data = await channelData;
+    assert.strictEqual(data.readUInt16BE(0), 0x4001);
+    assert.strictEqual(data.subarray(4, 4 + data.readUInt16BE(2)).toString(), 'pong');
+  });
+
+  test('should cap allocations and bandwidth per server', async () => {
+    const turn = await startTurn({ maxAllocationsPerServer: 1, bandwidthBytesPerSec: 1000 });
+    const { client, socket } = await allocate(turn, 'capped-server');
+
+    const second = await allocate(turn, 'capped-server');
+    assert.strictEqual(errorCodeOf(second.message), 486);
+    const other = await allocate(turn, 'other-server');
+    assert.strictEqual(other.message.type, STUN_TYPES.ALLOCATE_REQUEST | 0x0100);
+
+    const peer = await createSocket();
+    await permit(client, peer);
+    const received = [];
+    peer.on('message', (msg) => received.push(msg));
+    for (let i = 0; i < 3; i++) {
+      const id = crypto.randomBytes(12);
+      socket.send(encodeStunMessage(STUN_TYPES.SEND_INDICATION, id, [
+        client.peerAttribute('127.0.0.1', peer.address().port, id),
+        { type: STUN_ATTRIBUTES.DATA, value: Buffer.alloc(600) }
+      ]), client.port, '127.0.0.1');
+    }
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.strictEqual(received.length, 1, 'only one second of bandwidth is relayed in a burst');
+  });
+
+  test('should refuse internal peers and the coordinator\'s own ports', async () => {
+    const turn = await startTurn({ allowedPeers: [], reservedPorts: [3478, 3479] });
+    const { client } = await allocate(turn);
+    const channel = { type: STUN_ATTRIBUTES.CHANNEL_NUMBER, value: Buffer.from([0x40, 0x02, 0, 0]) };
+
+    const internal = ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1'];
+    for (const address of internal) {
+      assert.strictEqual(errorCodeOf(await peerRequest(client, STUN_TYPES.CREATE_PERMISSION_REQUEST, address, 9)), 403, address);
+      assert.strictEqual(errorCodeOf(await peerRequest(client, STUN_TYPES.CHANNEL_BIND_REQUEST, address, 9, [channel])), 403, address);
+    }
+    const allocation = turn.allocations.values().next().value;
+    assert.strictEqual(allocation.permissions.size, 0);
+    assert.strictEqual(allocation.channels.size, 0);
+
+    // Loopback peers allowed explicitly still cannot reach the coordinator's ports
+    const lan = await startTurn({ reservedPorts: [3478, 3479] });
+    const lanClient = (await allocate(lan)).client;
+    for (const port of [3478, 3479, lan.socket.address().port]) {
+      assert.strictEqual(errorCodeOf(await peerRequest(lanClient, STUN_TYPES.CREATE_PERMISSION_REQUEST, '127.0.0.1', port)), 403, String(port));
+    }
+    assert.strictEqual(turn.isForbiddenPeer('203.0.113.7', 3478), false);
+    assert.strictEqual(turn.isForbiddenPeer('::ffff:10.0.0.1', 5000), true);
+  });
+
+  test('should not bind extra relay sockets for concurrent Allocates', async () => {
+    const turn = await startTurn({ maxAllocationsPerServer: 2 });
+    const challenged = async () => {
+      const client = new TestTurnClient(await createSocket(), turn.socket.address().port, turn.issueCredentials('busy-server'));
+      const { message } = await client.request(STUN_TYPES.ALLOCATE_REQUEST, [REQUESTED_TRANSPORT_UDP]);
+      client.realm = getStunAttribute(message, STUN_ATTRIBUTES.REALM).toString();
+      client.nonce = getStunAttribute(message, STUN_ATTRIBUTES.NONCE).toString();
+      client.key = deriveLongTermKey(client.credentials.username, client.realm, client.credentials.credential);
+      return client;
+    };
+
+    // Same 5-tuple: one allocation, the others mismatch
+    const client = await challenged();
+    const sameTuple = await Promise.all([1, 2, 3].map(() => client.request(STUN_TYPES.ALLOCATE_REQUEST, [REQUESTED_TRANSPORT_UDP])));
+    assert.deepStrictEqual(sameTuple.map(({ message }) => errorCodeOf(message)).sort(), [437, 437, null]);
+    assert.strictEqual(turn.allocations.size, 1);
+
+    // Other 5-tuples: the per-server quota holds
+    const others = await Promise.all([1, 2, 3].map(async () => (await challenged())));
+    const quota = await Promise.all(others.map(other => other.request(STUN_TYPES.ALLOCATE_REQUEST, [REQUESTED_TRANSPORT_UDP])));
+    assert.deepStrictEqual(quota.map(({ message }) => errorCodeOf(message)).sort(), [486, 486, null]);
+    assert.strictEqual(turn.allocations.size, 2);
+    assert.strictEqual(turn.pendingAllocations.size, 0);
+  });
+});
@@ -221,13 +221,13 @@ export async function startTestCoordinator(options = {}) {
 export async function startTestServer(options = {}) {
   const coordinatorHost = options.coordinatorHost || 'localhost';
   const coordinatorPort = options.coordinatorPort || 3478;
-  const expectedAnswer = options.expectedAnswer || 'test-password';
+  const password = options.password || 'test-password';
   
   // Create temporary config
   const config = {
     coordinatorHost,
     coordinatorPort,
-    expectedAnswer,
+    password,
     enabledServices: ['files'],
     files: {
       allowedDirectories: [options.testDir || '/tmp'],